@@ -0,0 +1,3508 @@
+/*
+ * Cultivation World - Simulation Core
+ *
+ * This file holds the headless game engine: the global `game` state, the
+ * content tables (`upgradeDefs`, `researchDefs`, `expeditionDefs`, …) and
+ * every function that advances or mutates the simulation (tick, production,
+ * purchases, expeditions, forging, alchemy and ascension).  Nothing in here
+ * touches `document`, `localStorage` or the UI helpers.  Instead the engine
+ * reports what happened through a typed event bus (see `engine` below) and
+ * the browser UI in main.js subscribes to it.
+ *
+ * In the browser this file is loaded as a classic script before main.js so
+ * its declarations are shared globals.  Under Node it can be required
+ * directly, e.g. for balance sweeps or regression checks against the real
+ * formulas:
+ *
+ *   const core = require('./core.js');
+ *   core.engine.on('upgrade.purchased', e => console.log(e.id, e.level));
+ *   core.game.qi = core.BigNum.from(1e6);
+ *   core.buyUpgrade('meditation', 10);
+ *   core.tick();
+ */
+
+// Engine event bus.  The simulation reports what happened through typed
+// events rather than calling UI functions directly.  Every event type is
+// declared in engineEvents with the fields its payload carries; subscribing
+// to or emitting an undeclared type throws, so a typo fails loudly instead
+// of silently never firing.
+//
+// UI plumbing:
+//   'toast'  – a player-facing message (payload: { message, severity,
+//              category }, see notifyToast())
+//   'change' – state changed outside the tick (payload: array of UI area
+//              keys such as 'stats', 'upgrades', 'forging')
+//   'tick'   – one simulation tick finished (no payload)
+// Game events carry a payload object with the listed fields.  They are
+// emitted by the functions that make the change, after the state has been
+// updated, and also fire while simulateOffline() replays the time away.
+// Listeners are plain callbacks; errors thrown by one listener are logged
+// and do not stop the others.
+const engineEvents = {
+  'toast': ['message', 'severity', 'category'],
+  'change': [],
+  'tick': [],
+  'qi.gathered': ['amount'],
+  'dantian.full': ['cap'],
+  'upgrade.purchased': ['id', 'amount', 'level'],
+  'skill.purchased': ['id', 'level'],
+  'research.purchased': ['id', 'level'],
+  'building.purchased': ['id', 'level'],
+  'perk.purchased': ['id', 'level'],
+  'perks.respec': ['refund', 'cost'],
+  'challenge.started': ['id'],
+  'challenge.completed': ['id', 'seconds', 'best'],
+  'challenge.abandoned': ['id'],
+  'story.chosen': ['stage', 'choiceId'],
+  'disciple.recruited': ['name', 'classId'],
+  'expedition.started': ['type'],
+  'expedition.completed': ['type', 'success', 'rare', 'reward'],
+  'artifact.forged': ['artifactId'],
+  'elixir.brewed': ['elixirId'],
+  'elixir.used': ['elixirId'],
+  'layer.breakthrough': ['stage', 'subLayer'],
+  'realm.ascended': ['stage', 'reward', 'transcended'],
+  'relic.discovered': ['id'],
+  'random.event': ['resource', 'amount', 'message'],
+  'achievement.unlocked': ['id'],
+  'breakthrough.failed': ['stage', 'subLayer', 'chance'],
+  'reincarnated': ['life', 'karma'],
+  'karma.purchased': ['id', 'level'],
+  'tribulation.started': ['stage', 'waves'],
+  'tribulation.wave': ['wave', 'passed', 'chance'],
+  'tribulation.ended': ['stage', 'success', 'passed', 'bonusAp'],
+  // Quests and bounties live in the UI layer (main.js), which emits these.
+  'quest.claimed': ['id', 'kind', 'reward'],
+  'quests.reset': ['kind']
+};
+
+const engine = {
+  listeners: {},
+  on(type, fn) {
+    checkEventType(type);
+    (this.listeners[type] || (this.listeners[type] = [])).push(fn);
+    return () => this.off(type, fn);
+  },
+  off(type, fn) {
+    const list = this.listeners[type];
+    if (!list) return;
+    const idx = list.indexOf(fn);
+    if (idx >= 0) list.splice(idx, 1);
+  },
+  emit(type, payload) {
+    checkEventType(type);
+    const missing = engineEvents[type].filter(field => !payload || !(field in payload));
+    if (missing.length) console.warn(`Event '${type}' is missing ${missing.join(', ')}`);
+    const list = this.listeners[type];
+    if (!list) return;
+    list.slice().forEach(fn => {
+      try {
+        fn(payload);
+      } catch (e) {
+        console.error(`Engine listener for '${type}' failed:`, e);
+      }
+    });
+  }
+};
+
+function checkEventType(type) {
+  if (!Object.prototype.hasOwnProperty.call(engineEvents, type)) {
+    throw new Error(`Unknown engine event '${type}'`);
+  }
+}
+
+// Arbitrary-magnitude number used for Qi, Qi costs and Qi multipliers, which
+// outgrow a double once progression continues past the final realm.  A value
+// is m × 10^e with 1 <= |m| < 10 (or m = 0) and an integer exponent e.
+// Instances are immutable: arithmetic returns new values and accepts plain
+// numbers, strings or other BigNums as operands.  valueOf() returns the
+// nearest double, so a comparison or Math call that still sees a plain
+// number keeps working while the value is in range.  Saves store the
+// "<mantissa>e<exponent>" string produced by toJSON().
+class BigNum {
+  constructor(m, e) {
+    this.m = 0;
+    this.e = 0;
+    if (!m || !isFinite(m)) return;
+    // toExponential() splits off the exponent without the rounding error of
+    // dividing by a power of ten.
+    const parts = m.toExponential().split('e');
+    this.m = Number(parts[0]);
+    this.e = (e || 0) + Number(parts[1]);
+  }
+
+  // Coerce a number, numeric string, {m, e} object or BigNum.  Anything
+  // unreadable (null, NaN) becomes zero.
+  static from(value) {
+    if (value instanceof BigNum) return value;
+    if (typeof value === 'number') return new BigNum(value, 0);
+    if (typeof value === 'string') {
+      const idx = value.search(/e/i);
+      if (idx < 0) return new BigNum(parseFloat(value), 0);
+      const e = parseInt(value.slice(idx + 1), 10);
+      return new BigNum(parseFloat(value.slice(0, idx)), isFinite(e) ? e : 0);
+    }
+    if (value && typeof value === 'object' && 'm' in value) return new BigNum(Number(value.m), Math.floor(Number(value.e) || 0));
+    return new BigNum(0, 0);
+  }
+
+  // 10^log, for values whose logarithm is known but which overflow a double.
+  static fromLog10(log) {
+    if (!isFinite(log)) return new BigNum(log > 0 ? 1 : 0, log > 0 ? Number.MAX_SAFE_INTEGER : 0);
+    const e = Math.floor(log);
+    return new BigNum(Math.pow(10, log - e), e);
+  }
+
+  static max(a, b) {
+    a = BigNum.from(a);
+    return a.gte(b) ? a : BigNum.from(b);
+  }
+
+  static min(a, b) {
+    a = BigNum.from(a);
+    return a.lte(b) ? a : BigNum.from(b);
+  }
+
+  add(other) {
+    const b = BigNum.from(other);
+    if (b.m === 0) return this;
+    if (this.m === 0) return b;
+    const big = this.e >= b.e ? this : b;
+    const small = big === this ? b : this;
+    const diff = big.e - small.e;
+    // Beyond 17 digits the smaller term no longer changes the mantissa.
+    if (diff > 17) return big;
+    return new BigNum(big.m + small.m / Math.pow(10, diff), big.e);
+  }
+
+  sub(other) {
+    return this.add(BigNum.from(other).neg());
+  }
+
+  neg() {
+    const r = new BigNum(0, 0);
+    r.m = -this.m;
+    r.e = this.e;
+    return r;
+  }
+
+  mul(other) {
+    const b = BigNum.from(other);
+    return new BigNum(this.m * b.m, this.e + b.e);
+  }
+
+  div(other) {
+    const b = BigNum.from(other);
+    if (b.m === 0) return new BigNum(0, 0);
+    return new BigNum(this.m / b.m, this.e - b.e);
+  }
+
+  // Raise a non-negative value to a real power.
+  pow(p) {
+    if (this.m <= 0) return p === 0 ? new BigNum(1, 0) : new BigNum(0, 0);
+    return BigNum.fromLog10(this.log10() * p);
+  }
+
+  floor() {
+    // Above 2^53 every double is already an integer.
+    if (this.e >= 16) return this;
+    return new BigNum(Math.floor(this.toNumber()), 0);
+  }
+
+  log10() {
+    return this.m > 0 ? Math.log10(this.m) + this.e : -Infinity;
+  }
+
+  // -1, 0 or 1 as this is less than, equal to or greater than `other`.
+  cmp(other) {
+    const b = BigNum.from(other);
+    if (this.m === 0 || b.m === 0 || (this.m > 0) !== (b.m > 0)) return Math.sign(this.m - b.m);
+    if (this.e !== b.e) {
+      const sign = this.e > b.e ? 1 : -1;
+      return this.m > 0 ? sign : -sign;
+    }
+    return Math.sign(this.m - b.m);
+  }
+
+  gt(other) { return this.cmp(other) > 0; }
+  gte(other) { return this.cmp(other) >= 0; }
+  lt(other) { return this.cmp(other) < 0; }
+  lte(other) { return this.cmp(other) <= 0; }
+  eq(other) { return this.cmp(other) === 0; }
+
+  // Nearest double; ±Infinity once the exponent is out of range.
+  toNumber() {
+    return Number(this.toString());
+  }
+
+  valueOf() {
+    return this.toNumber();
+  }
+
+  toString() {
+    return `${this.m}e${this.e}`;
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+// Shorthands used throughout the core.  notifyChange() tells subscribers
+// which parts of the UI need refreshing (and that the save is dirty);
+// notifyToast() surfaces a message to the player.
+// While simulateOffline() replays the time away both are held back; the
+// offline report summarises what happened instead.
+function notifyChange(areas) {
+  if (offlineReport) return;
+  engine.emit('change', areas);
+}
+
+// Toast severities and categories.  The category groups messages for the
+// per-category mute settings and decides where clicking the toast leads.
+const toastSeverities = ['info', 'success', 'warning', 'failure'];
+const toastCategories = ['general', 'expeditions', 'forging', 'alchemy', 'sect', 'ascension', 'achievements', 'story', 'quests', 'events'];
+
+// `options` may give { severity, category }; they default to 'info' and
+// 'general'.
+function notifyToast(msg, options) {
+  if (offlineReport) return;
+  const { severity = 'info', category = 'general' } = options || {};
+  engine.emit('toast', { message: msg, severity, category });
+}
+
+// Look up a translation when i18n.js is loaded (browser only).  Falls back
+// to the supplied English text under Node or when the key is missing.
+function translate(key, params, fallback) {
+  if (typeof window !== 'undefined' && typeof window.t === 'function') {
+    try {
+      const text = window.t(key, params);
+      if (text && text !== key) return text;
+    } catch (e) {
+      // fall through to the English text
+    }
+  }
+  return fallback;
+}
+
+// Global game state
+const game = {
+  // Qi, the dantian cap, layerMult and finalQiPerSec are BigNums (see above).
+  qi: new BigNum(0, 0),
+  qiPerTap: 1,
+  qiPerSec: 0,
+  finalQiPerSec: new BigNum(0, 0),
+  herbs: 0,
+    beasts: 0,
+  jade: 0,
+  spiritStones: 0,
+  dantianCap: new BigNum(1, 6),
+  // Multiplicative modifier for Qi capacity (dantian).  This starts at 1 and is
+  // increased by upgrades such as Dantian Expansion and Nebula Elixir.  The
+  // final Qi cap is computed as a function of the player’s current realm/layer
+  // cost times this multiplier.  See recalcProduction() for calculation.
+  dantianMult: 1,
+  forgingBuffMult: 1,
+
+  // Multiplier for Qi gained per tap.  Used for testing purposes to drastically
+  // increase manual Qi gathering when enabled via a toggle in Settings.  The
+  // default value is 1 (no multiplier); when set to 100, each manual
+  // meditation yields 100× the usual Qi.  See gatherQi() and updateStatsUI().
+  qiPerTapMult: 1,
+
+  // Multiplier for passive Qi gained per second.  This mirrors the tap
+  // multiplier and is exposed as a testing toggle in the Settings screen.
+  // When enabled it multiplies the final Qi/s by 100.  Defaults to 1.
+  qiPerSecMult: 1,
+
+  // Additional forging property: overall reduction to expedition failure risk.
+  // Each "Fortune Charm" forged multiplies this factor by (1 - buffValue).
+  // Defaults to 1 (no effect).  When less than 1, expedition risks are reduced
+  // multiplicatively.  This value is persisted across saves.
+  forgingRiskMult: 1,
+  // Alchemy system state
+  elixirQueue: [],
+  elixirInventory: {},
+  activeElixirs: [],
+  // Expedition party selection (indices into disciples array)
+  selectedPartyIdxs: [],
+  // Recruited disciples.  Each entry holds name, classId, level, trainingCost,
+  // traits and avatar.  Always read through game.disciples so that loading or
+  // resetting the save never leaves a stale alias behind.
+  disciples: [],
+
+  // New forging system: allow separate multipliers for each resource type and a queue of
+  // artifacts being forged.  Each artifact can boost Qi, herbs, spiritStones or beasts
+  // independently.  The forgingMults object stores cumulative multipliers applied
+  // to each resource.  forgingQueue holds active forge tasks with their
+  // completion time and target artifact id.
+  forgingMults: {
+    qi: 1,
+    herbs: 1,
+    spiritStones: 1,
+    beasts: 1
+  },
+  forgingQueue: [],
+  stage: 0, // realm index: 0=Qi Gathering, 1=Foundation, 2=Core Formation, etc.
+  subLayer: 0, // 0-8 minor layers
+  upgrades: {}, // {upgradeId: level}
+  research: {}, // {researchId: level}
+  // runtime multipliers
+  multQi: 1,
+  multHerbs: 1,
+  multSpiritStones: 1,
+  multBeasts: 1,
+  multJade: 1,
+  // Save version indicates the schema version for persisted game data.  Incrementing this
+  // number requires registering the matching migration in save.js, which upgrades
+  // older saves one version at a time on load.
+  saveVersion: 13,
+  // Seconds the game has been running in this save (shown on save slots).
+  playtime: 0,
+  totalBreakthroughs: 0,
+  // Times the final realm has been completed; each pass raises layer costs.
+  transcendences: 0,
+  // Reincarnation (see reincarnate()): Karma to spend in the Karma tree, the
+  // nodes bought, the number of lives completed and a record of each.  The
+  // current life is measured from lifeStart (totalBreakthroughs and playtime
+  // when it began) and lifeQi, the Qi gathered in it.
+  karma: 0,
+  karmaPerks: {},
+  reincarnations: 0,
+  pastLives: [],
+  lifeStart: { breakthroughs: 0, playtime: 0 },
+  lifeQi: new BigNum(0, 0),
+  // Saved state of each plugin, keyed by plugin id (see registerPlugin()).
+  pluginData: {},
+  // Event log shown in the bell drawer, newest first (see the S1 block in
+  // main.js).
+  eventLog: [],
+  // Heavenly tribulation guarding realm ascensions: the encounter in
+  // progress, if any, and when the next attempt is allowed (see
+  // startTribulation()).
+  tribulation: { active: null, cooldownUntil: 0 },
+  // Breakthrough risk: the pill taken for the next attempt, the pity bonus
+  // built up by failed attempts and when the Qi deviation debuff wears off.
+  breakthroughPill: null,
+  breakthroughPity: 0,
+  qiDeviationExpires: 0,
+
+  // additional runtime state
+  layerMult: new BigNum(1, 0),
+  lastTick: Date.now(),
+  autoSend: false,
+  lastExpeditionType: null,
+  // support multiple simultaneous expeditions.  Previously a single activeExpedition
+  // tracked only one ongoing expedition.  We now use activeExpeditions keyed by
+  // expedition id ('herb','stone','beast') with values containing endTime and reward.
+  activeExpeditions: {}
+  ,afterglowExpires: 0,
+  // collapsed UI states
+  achCollapsed: false,
+  loreCollapsed: false,
+  // quest reset timestamp (ms)
+  questTimestamp: 0,
+  // pity counters for expeditions
+  expeditionPity: { herb: 0, stone: 0, beast: 0, beastLair: 0 }
+  ,buildings: {},
+  ascensionPoints: 0,
+  ascensionPerks: {},
+  // Times the perk tree has been respecced; each raises the next price.
+  perkRespecs: 0,
+  // Challenge runs (see challengeDefs): the one running ({ id, startedAt,
+  // seconds elapsed, savedRun set aside }), completions per challenge and the
+  // fastest completion times.
+  challenges: { active: null, completed: {}, best: {} }
+  ,settings: {
+    colorBlind: false,
+    largeFont: false,
+    reduceMotion: false,
+    theme: 'dark',
+    // Index of selected background image (0-4).  Added for dynamic backgrounds
+    backgroundIndex: 0
+    ,
+    // Whether to hide locked research and techniques by default.  Persisted across sessions.
+    hideLocked: true,
+    // Opacity (0-0.3) for a dimming overlay on the background image.  Higher values darken the background for better contrast.
+    bgDimmer: 0
+    ,
+    // Number notation and decimal places used by formatNumber().
+    notation: 'standard',
+    notationPrecision: 2,
+    // Per‑expedition auto‑send flags keyed by expedition id.  When the global auto‑send toggle
+    // is enabled, only expedition types with a true flag here will auto‑start.  Defining this
+    // property up front prevents undefined property errors when the auto‑send logic attempts
+    // to read or write game.settings.autoSendTypes.
+    autoSendTypes: {},
+    // Toast categories the player has muted, e.g. { events: true }.
+    toastMute: {},
+    // Desktop notification categories the player has opted into.
+    desktopNotify: {},
+    // Whether minor breakthroughs roll against a success chance (see
+    // getBreakthroughChance()) instead of always succeeding.
+    breakthroughRisk: false
+  }
+  ,
+  // Collapse state for cultivation sections.  When true, the corresponding list is hidden.
+  skillsCollapsed: false,
+  researchCollapsed: false
+  ,
+  // Story progress tracks choices made for each realm-based chapter.  Each key
+  // corresponds to the stage index (0=Qi Gathering, 1=Foundation, etc.) and
+  // stores the choice id selected.  If a stage key is absent, the player has
+  // not yet made a decision for that chapter.  The story system unlocks
+  // chapters automatically based on your current stage.
+  story: { choices: {} }
+  ,
+  // Additional counters used by later achievements.  These values persist
+  // across sessions and are updated whenever their associated actions occur.
+  // 'expeditionsCompleted' counts the total number of expeditions finished
+  // (of any type).  'bountiesClaimed' counts how many bounty rewards you have
+  // collected.  'artifactsForged' counts how many times you have forged an
+  // artifact.  These counters allow new achievements to be defined without
+  // retroactively modifying existing structures.
+  expeditionsCompleted: 0,
+  bountiesClaimed: 0,
+  artifactsForged: 0,
+  // Last time a random event occurred (ms).  Used to throttle the frequency
+  // of random events that occur during the tick() loop.  Initially set to 0.
+  lastRandomEvent: 0
+
+  ,
+  // Track which UI features have been unlocked but not yet visited.  When a
+  // new screen becomes available (e.g. after ascending to a new realm), a
+  // small exclamation mark will appear next to its navigation button.  When
+  // the player leaves that screen for the first time, the indicator is
+  // cleared.  Keys are screen IDs (e.g. 'sect', 'sect-management',
+  // 'sect-forging', 'dao', etc.).  Booleans indicate whether the feature
+  // should currently display a notification.
+  newFeatures: {},
+  // Record which screens the player has visited.  A screen is considered
+  // visited once the player navigates away from it.  Used in tandem with
+  // `newFeatures` to determine when to show or hide notification badges.
+  featuresSeen: {},
+  // Track which active expeditions have their details expanded.  Keys are
+  // expedition IDs, values are booleans.  When true, the expedition’s
+  // duration/risk/EV details are shown even while it is in progress.  When
+  // false, only the remaining time is displayed.
+  expandedExpeditions: {},
+  // Properties introduced by later sprints (e.g. forging upgrades, disciples assignments,
+  // enhanced alchemy, bounties, etc.).  By defining them here with sensible defaults,
+  // we prevent reference errors when optional systems attempt to read or write these fields
+  // before a save migration has created them.
+  // Parallel forging slots available (1 by default).  Increased by certain perks.
+  forgingSlots: 1,
+  // Global forging time multiplier (1 = normal speed).  Perks can reduce this below 1.
+  forgingTimeMult: 1,
+  // Track overdose cooldowns for each elixir recipe (recipe id -> timestamp).  Used by the
+  // alchemy 2.0 system to prevent consuming the same elixir repeatedly in rapid succession.
+  elixirOverdose: {},
+  // Assign disciples to sect buildings (building id -> disciple index).  Allows buildings
+  // to benefit from assigned disciple levels and loyalty.
+  discipleAssignments: {},
+  // Containers for daily and weekly bounty tasks.  Each element is an object describing
+  // the target resource/action and the amount required.  These arrays are empty until
+  // rollBounties() populates them on load.  Seeds store the randomization seed used to
+  // generate the current set of bounties and change each day/week.
+  dailyBounties: [],
+  weeklyBounties: [],
+  dailySeed: 0,
+  weekSeed: 0,
+  // Seeded PRNG.  rngSeed records the seed the current game started from and
+  // rngState is the generator's position.  Every random roll in the core goes
+  // through random(), so a save plus its rngState replays the same outcomes
+  // (expedition failures, random events, disciple rolls, task ids).
+  rngSeed: 0,
+  rngState: 0
+};
+
+// Return a fresh 32-bit seed.  Only used to start a new stream; the rolls
+// themselves come from random().
+function makeSeed() {
+  return ((Date.now() ^ Math.floor(Math.random() * 0x100000000)) >>> 0) || 1;
+}
+
+// (Re)seed the generator.  Without an argument a new seed is chosen.
+function seedRandom(seed) {
+  const value = (typeof seed === 'number' && isFinite(seed)) ? (seed >>> 0) : makeSeed();
+  game.rngSeed = value;
+  game.rngState = value;
+  return value;
+}
+
+// Mulberry32: a small, fast PRNG whose whole state is a single 32-bit integer
+// stored on game.rngState.  Returns a float in [0, 1) like Math.random().
+function random() {
+  let t = (game.rngState = (game.rngState + 0x6D2B79F5) >>> 0);
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+seedRandom();
+
+// Define realm names for display.  If more realms are reached than names defined, the helper
+// function `getRealmName()` will fall back to a generic label.  Adding additional names here
+// allows the game to keep the sense of progression found in cultivation novels.
+const realms = [
+  'Qi Gathering',
+  'Foundation Establishment',
+  'Core Formation',
+  'Golden Core',
+  'Nascent Soul',
+  'Spirit Transformation',
+  'Immortal Ascension',
+  'Void Refinement',
+  'Celestial Tribulation',
+  'Divine Ascension',
+  'Eternal Godhood'
+];
+
+// Helper to return a realm name or a generic label if undefined.  This ensures UI
+// messages don\'t display "undefined" when the player reaches realms beyond the
+// predefined list.
+function getRealmName(index) {
+  // Use the i18n helper if available to translate realm names.  The
+  // i18n module defines keys such as 'realm.0', 'realm.1', etc.  When the
+  // translation is missing (or the helper is undefined) fall back to the
+  // original entry in the realms array or to a generic label.
+  try {
+    if (typeof window !== 'undefined' && typeof window.t === 'function') {
+      const key = 'realm.' + index;
+      const translated = window.t(key);
+      // Only use the translated string if the helper returned a non-empty
+      // string that isn't just the key itself.  Otherwise fall back.
+      if (translated && translated !== key) return translated;
+    }
+  } catch (e) {
+    /* ignore any errors */
+  }
+  return realms[index] || `Realm ${index + 1}`;
+}
+
+// Content tables.  These are filled from the JSON files under content/ by
+// installContent() before the game starts (see "Content loading" below); the
+// arrays themselves never change identity, so code may hold on to them.
+
+// Upgrade definitions (content/upgrades.json)
+const upgradeDefs = [];
+
+// Research definitions (content/research.json)
+const researchDefs = [];
+
+// Story definitions (content/story.json) describe narrative chapters that
+// unlock at specific realms.  Each chapter contains a title, an array of
+// paragraph strings, and an array of choices with a description and a list of
+// effects.  The player can select only one choice per chapter; its effects
+// apply permanently from then on.
+const storyDefs = [];
+
+// Relic definitions (content/relics.json) for late‑game depth.  When the
+// player forges a certain number of artifacts, they unlock powerful relics
+// whose effects apply permanently.  These relics provide meaningful goals
+// beyond the early ascension stages and reward dedication to forging.
+const relicDefs = [];
+
+// Check if any relic milestones have been reached.  Called after each
+// forging.  If the player has forged enough artifacts and the relic has
+// not yet been claimed, mark it as collected so its effects apply.
+function checkRelics() {
+  if (!game.relics) game.relics = {};
+  relicDefs.forEach(rel => {
+    const forged = game.artifactsForged || 0;
+    if (forged >= rel.threshold && !game.relics[rel.id]) {
+      game.relics[rel.id] = true;
+      recalcProduction();
+      notifyToast(`You have discovered the ${rel.name}! Its essence empowers your cultivation.`, { severity: 'success', category: 'forging' });
+      engine.emit('relic.discovered', { id: rel.id });
+      notifyChange(['stats']);
+    }
+  });
+}
+
+// Handle selecting a story choice for a given stage.  If a choice has already
+// been selected, it does nothing.  The choice's effects apply immediately.
+function selectStoryChoice(stage, index) {
+  const chapter = storyDefs.find(ch => ch.stage === stage);
+  if (!chapter) return;
+  if (!game.story) game.story = { choices: {} };
+  if (!game.story.choices) game.story.choices = {};
+  if (game.story.choices[stage]) {
+    notifyToast('You have already chosen a path for this chapter.', { severity: 'warning', category: 'story' });
+    return;
+  }
+  const choice = chapter.choices && chapter.choices[index];
+  if (!choice) return;
+  game.story.choices[stage] = choice.id;
+  recalcProduction();
+  notifyToast('Your decision echoes along your cultivation path.', { category: 'story' });
+  engine.emit('story.chosen', { stage, choiceId: choice.id });
+  notifyChange(['story', 'stats']);
+}
+
+// Techniques definitions (content/skills.json)
+const skillDefs = [];
+
+// Number notations offered in Settings.  formatNumber() follows the player's
+// choice (game.settings.notation) with game.settings.notationPrecision
+// decimal places:
+//   'standard'    – 1.23M, using the suffixes below up to De (decillion)
+//   'scientific'  – 1.23e6
+//   'engineering' – 1.23e6, with the exponent a multiple of three
+//   'letters'     – 1.23ab: aa … zz, then aaa …, one step per factor of 1000
+//   'full'        – 1,230,000 with the grouping of the game's language
+const numberNotations = ['standard', 'scientific', 'engineering', 'letters', 'full'];
+
+// After T (trillion) come the common incremental game abbreviations: Qa
+// (quadrillion), Qi (quintillion), Sx (sextillion), Sp (septillion), Oc
+// (octillion), No (nonillion) and De (decillion).
+const standardSuffixes = ['K', 'M', 'B', 'T', 'Qa', 'Qi', 'Sx', 'Sp', 'Oc', 'No', 'De'];
+
+// Letter notation suffix for 1000^tier: tiers 1–676 are aa … zz, the next
+// 26^3 are aaa … zzz, and so on.
+function letterSuffix(tier) {
+  let idx = tier - 1;
+  let len = 2;
+  let count = 26 * 26;
+  while (idx >= count) {
+    idx -= count;
+    len++;
+    count *= 26;
+  }
+  let out = '';
+  for (let i = 0; i < len; i++) {
+    out = String.fromCharCode(97 + idx % 26) + out;
+    idx = Math.floor(idx / 26);
+  }
+  return out;
+}
+
+// Helper to format numbers (plain or BigNum) in the player's chosen notation.
+function formatNumber(n) {
+  const settings = game.settings || {};
+  const notation = numberNotations.includes(settings.notation) ? settings.notation : 'standard';
+  const precision = Number.isInteger(settings.notationPrecision) ? Math.min(6, Math.max(0, settings.notationPrecision)) : 2;
+  // BigNums are formatted from their mantissa and exponent so values past
+  // the range of a double still display.
+  const big = BigNum.from(n);
+  if (notation === 'full' && big.e <= 308) {
+    return big.toNumber().toLocaleString(settings.language || undefined, { maximumFractionDigits: precision });
+  }
+  if (big.e < 3) {
+    n = big.toNumber();
+    return n % 1 === 0 ? n.toFixed(0) : n.toFixed(precision);
+  }
+  // Round first so a mantissa like 9.999 carries into the exponent instead
+  // of displaying as 10.00.
+  const scientific = () => {
+    const r = new BigNum(Number(big.m.toFixed(precision)), big.e);
+    return r.m.toFixed(precision) + 'e' + r.e;
+  };
+  if (notation === 'scientific' || notation === 'full') return scientific();
+  const r = new BigNum(Number(big.m.toFixed(big.e % 3 + precision)), big.e);
+  const tier = Math.floor(r.e / 3);
+  const digits = (r.m * Math.pow(10, r.e % 3)).toFixed(precision);
+  if (notation === 'engineering') return digits + 'e' + tier * 3;
+  if (notation === 'letters') return digits + letterSuffix(tier);
+  // Beyond decillions the standard notation falls back to scientific.
+  if (tier > standardSuffixes.length) return scientific();
+  return digits + standardSuffixes[tier - 1];
+}
+
+// Generate a simple unique identifier for queued tasks.  We use base36 to
+// shorten the string and two draws from the seeded generator so ids are
+// reproducible from a save.  This function is used to assign IDs to forging
+// queue entries and does not need to be cryptographically secure.
+function generateId() {
+  return Math.floor(random() * 0x100000000).toString(36) + Math.floor(random() * 0x100000000).toString(36);
+}
+
+
+// Calculate total cost for n levels using geometric series.  Returns a
+// BigNum; the powers are taken in log space so high levels do not overflow.
+function getUpgradeTotalCost(def, currentLevel, n) {
+  const r = def.costMult;
+  const a = BigNum.from(def.baseCost).mul(BigNum.fromLog10(currentLevel * Math.log10(r)));
+  if (r === 1) {
+    return a.mul(n);
+  }
+  return a.mul(BigNum.fromLog10(n * Math.log10(r)).sub(1)).div(r - 1);
+}
+
+// Purchase an upgrade
+function buyUpgrade(id, amount) {
+  const def = upgradeDefs.find(u => u.id === id);
+  const level = game.upgrades[id] || 0;
+  // Respect maximum levels for certain upgrades.  If a maxLevel is defined and
+  // the player has already reached or exceeded it, prevent further purchases.
+  if (typeof def.maxLevel === 'number') {
+    const max = def.maxLevel;
+    if (level >= max) {
+      notifyToast('Max level reached', { severity: 'warning' });
+      return;
+    }
+    // Adjust purchase amount so that it does not exceed the maximum level
+    if (level + amount > max) {
+      amount = max - level;
+    }
+  }
+  if (def.unlockStage > game.stage) {
+    notifyToast(`Unlocks at ${getRealmName(def.unlockStage)}`, { severity: 'warning' });
+    return;
+  }
+  // compute total cost using geometric series
+  let totalCost = getUpgradeTotalCost(def, level, amount);
+  // apply upgrade cost reductions (Upgrade Efficiency perk, Origin Talisman)
+  totalCost = totalCost.mul(getUtilityStat('upgradeCost'));
+  if (game.qi.lt(totalCost)) {
+    notifyToast('Not enough Qi', { severity: 'warning' });
+    return;
+  }
+  game.qi = game.qi.sub(totalCost);
+  game.upgrades[id] = level + amount;
+  // reapply effects: reset multipliers and recalc
+  recalcProduction();
+  engine.emit('upgrade.purchased', { id, amount, level: level + amount });
+  notifyChange(['upgrades', 'stats']);
+}
+
+// Purchase a skill
+function buySkill(id) {
+  const def = skillDefs.find(s => s.id === id);
+  const level = game[`${id}Level`] || 0;
+  // apply technique cost reductions (Dao Comprehension, Jade Research)
+  const cost = def.baseCost * Math.pow(def.costMult, level) * getUtilityStat('skillCost');
+  const currency = def.currency || 'spiritStones';
+  if (game[currency] < cost) {
+    notifyToast('Not enough currency', { severity: 'warning' });
+    return;
+  }
+  game[currency] -= cost;
+  game[`${id}Level`] = level + 1;
+  recalcProduction();
+  engine.emit('skill.purchased', { id, level: level + 1 });
+  notifyChange(['skills', 'stats']);
+}
+
+// Purchase research
+function buyResearch(id) {
+  const def = researchDefs.find(r => r.id === id);
+  const level = game.research[id] || 0;
+  if (def.unlockStage > game.stage) {
+    notifyToast(`Unlocks at ${getRealmName(def.unlockStage)}`, { severity: 'warning' });
+    return;
+  }
+  if (def.prereq) {
+    const cur = game.research[def.prereq.id] || 0;
+    if (cur < def.prereq.level) {
+      notifyToast(`Requires ${def.prereq.id} Lv${def.prereq.level}`, { severity: 'warning' });
+      return;
+    }
+  }
+  // apply research cost reductions (Daoist Insights)
+  const cost = def.baseCost * Math.pow(def.costMult, level) * getUtilityStat('researchCost');
+  if (game.spiritStones < cost) {
+    notifyToast('Not enough Spirit Stones', { severity: 'warning' });
+    return;
+  }
+  game.spiritStones -= cost;
+  game.research[id] = level + 1;
+  recalcProduction();
+  engine.emit('research.purchased', { id, level: level + 1 });
+  notifyChange(['research', 'stats']);
+}
+
+// Failure chance of an expedition: its base risk reduced by Fortune Charms
+// (each multiplies the risk downward), raised to RISKY_EXPEDITION_FLOOR while
+// the Expeditions Always Risky challenge runs.
+const RISKY_EXPEDITION_FLOOR = 0.5;
+function getExpeditionRisk(def) {
+  const riskMult = (typeof game.forgingRiskMult === 'number' ? game.forgingRiskMult : 1);
+  const risk = def.risk && def.risk > 0 ? Math.max(0, def.risk * riskMult) : 0;
+  return challengeRule('riskyExpeditions') ? Math.max(risk, RISKY_EXPEDITION_FLOOR) : risk;
+}
+
+// Modifier registry.  Every bonus to a stat is a named modifier from one
+// source:
+//   { stat, kind, value, source, id, label }
+// `source` is the kind of origin ('base', 'upgrade', 'research', 'skill',
+// 'perk', 'karma', 'challenge', 'challengeReward', 'story', 'relic',
+// 'forging', 'realm', 'building', 'disciples', 'testing', 'elixir',
+// 'afterglow', 'debuff'), `id` and `label` name it.  `kind` is
+//   'add'  – flat amount added to the stat's base,
+//   'mult' – factor applied to the summed base,
+//   'flat' – amount added after the multipliers (elixir tap bonuses).
+// An optional `stage` (default 0) orders 'add' and 'mult' modifiers: each
+// stage's additions join the value carried from the stage before and its
+// multipliers then apply to the total, so a later-stage addition is not
+// raised by an earlier-stage multiplier (see getStatValue()).
+// Stats: 'qi', 'herbs', 'spiritStones', 'beasts', 'jade' (per second),
+// 'qiPerTap', 'dantian' (Qi capacity), 'discipleQi' and 'disciples'
+// (disciple Qi / all disciple output), plus the utility stats below.
+// recalcProduction() rebuilds the lasting modifiers; elixirs and afterglow
+// expire between recalculations, so getTimedModifiers() collects them on
+// demand.  Content effects are applied by applyEffects(), which calls
+// mod.add(stat, value) / mod.mult(stat, value) / mod.flat(stat, value) on a
+// scope from modifierScope().
+let modifiers = [];
+
+// Utility stats: factors and amounts read by the cost, timer, offline and
+// ascension code rather than shown as production.  Each starts at `base`;
+// additions (cost and time reductions are negative additions) are held at
+// `floor` or above, then multipliers apply.
+const utilityStats = {
+  upgradeCost: { base: 1, floor: 0.3 },
+  skillCost: { base: 1, floor: 0.2 },
+  researchCost: { base: 1, floor: 0.1 },
+  layerCost: { base: 1, floor: 0.2 },
+  forgeCost: { base: 1, floor: 0.1 },
+  forgeTime: { base: 1, floor: 0.1 },
+  brewTime: { base: 1, floor: 0.5 },
+  expeditionTime: { base: 1, floor: 0.1 },
+  expeditionReward: { base: 1 },
+  offlineGain: { base: 1 },
+  offlineCapHours: { base: 8 },
+  elixirPotency: { base: 1 },
+  ascensionReward: { base: 1 },
+  qiForgeBuff: { base: 1 },
+  tribulationPower: { base: 1 },
+  breakthroughChance: { base: 0 },
+  karmaGain: { base: 1 }
+};
+
+// Current value of a utility stat from the lasting modifiers, or from `list`
+// when given (e.g. lasting plus timed modifiers).
+function getUtilityStat(stat, list) {
+  const def = utilityStats[stat];
+  const sum = Math.max(def.floor || 0, def.base + getModifierSum(stat, 'add', list));
+  return sum * getModifierMult(stat, list).toNumber();
+}
+
+// Production stats shown in the breakdown, with the game field holding the
+// final rate of each.
+const productionStats = {
+  qi: 'finalQiPerSec',
+  herbs: 'finalHerbPerSec',
+  spiritStones: 'finalSpiritStonePerSec',
+  beasts: 'finalBeastPerSec',
+  jade: 'finalJadePerSec'
+};
+
+// A helper that appends modifiers from one source to `list`.
+function modifierScope(list, source, id, label) {
+  const push = kind => (stat, value, stage) => {
+    const m = { stat, kind, value, source, id, label: label || id };
+    if (stage) m.stage = stage;
+    list.push(m);
+  };
+  return { add: push('add'), mult: push('mult'), flat: push('flat') };
+}
+
+// Effect vocabulary used by content files.  An effect is an object with a
+// `type` and that type's parameters; `params` lists them ('?' marks an
+// optional one) for validateContent().  `level` is the owned level of an
+// upgrade, research, technique or perk, and 1 for story choices, relics and
+// elixirs.
+//   addStat        – add amount × level to a stat; with `growth` the total
+//                    is amount × growth^(level − 1) instead
+//   multStat       – multiply a stat by factor^level; with `every` only each
+//                    full `every` levels count
+//   multStatLinear – multiply a stat by 1 + amount × level
+//   flatStat       – add amount × level after the multipliers
+//   reduceCost     – lower a utility cost or time factor by amount × level
+// addStat, multStat and multStatLinear take an optional modifier `stage`.
+const effectTypes = {
+  addStat: {
+    params: { stat: 'string', amount: 'number', growth: '?number', stage: '?number' },
+    apply: (e, level, mod) => mod.add(e.stat, e.growth ? e.amount * Math.pow(e.growth, level - 1) : e.amount * level, e.stage)
+  },
+  multStat: {
+    params: { stat: 'string', factor: 'number', every: '?number', stage: '?number' },
+    apply: (e, level, mod) => mod.mult(e.stat, Math.pow(e.factor, Math.floor(level / (e.every || 1))), e.stage)
+  },
+  multStatLinear: {
+    params: { stat: 'string', amount: 'number', stage: '?number' },
+    apply: (e, level, mod) => mod.mult(e.stat, 1 + e.amount * level, e.stage)
+  },
+  flatStat: {
+    params: { stat: 'string', amount: 'number' },
+    apply: (e, level, mod) => mod.flat(e.stat, e.amount * level)
+  },
+  reduceCost: {
+    params: { stat: 'string', amount: 'number' },
+    apply: (e, level, mod) => mod.add(e.stat, -e.amount * level)
+  }
+};
+
+// Apply a content entry's effects at `level` to a modifier scope.  With a
+// `potency` other than 1 (elixirs) each bonus is scaled: additions by
+// potency, multipliers by 1 + (factor − 1) × potency.
+function applyEffects(effects, level, mod, potency) {
+  if (!effects || level <= 0) return;
+  let scope = mod;
+  if (typeof potency === 'number' && potency !== 1) {
+    scope = {
+      add: (stat, value, stage) => mod.add(stat, value * potency, stage),
+      mult: (stat, value, stage) => mod.mult(stat, 1 + (value - 1) * potency, stage),
+      flat: (stat, value) => mod.flat(stat, value * potency)
+    };
+  }
+  effects.forEach(e => effectTypes[e.type].apply(e, level, scope));
+}
+
+// Product of a stat's multipliers in `list`.  Multipliers may be BigNums
+// (the realm multiplier), so the product is a BigNum.
+function getModifierMult(stat, list) {
+  let mult = new BigNum(1, 0);
+  (list || modifiers).forEach(m => {
+    if (m.stat === stat && m.kind === 'mult') mult = mult.mul(m.value);
+  });
+  return mult;
+}
+
+// Sum of a stat's flat additions of one kind ('add' or 'flat').
+function getModifierSum(stat, kind, list) {
+  let sum = 0;
+  (list || modifiers).forEach(m => {
+    if (m.stat === stat && m.kind === kind) sum += m.value;
+  });
+  return sum;
+}
+
+// Value of a stat: (sum of adds) × (product of mults) + (sum of flats).
+// With stages, ((stage-0 adds) × stage-0 mults + stage-1 adds) × stage-1
+// mults …, then the flats.
+function getStatValue(stat, list) {
+  list = (list || modifiers).filter(m => m.stat === stat);
+  const stages = [...new Set(list.map(m => m.stage || 0))].sort((a, b) => a - b);
+  let value = new BigNum(0, 0);
+  stages.forEach(stage => {
+    const inStage = list.filter(m => (m.stage || 0) === stage);
+    value = getModifierMult(stat, inStage).mul(value.add(getModifierSum(stat, 'add', inStage)));
+  });
+  return value.add(getModifierSum(stat, 'flat', list));
+}
+
+// Per-resource split of production between base sources, buildings and
+// disciples, refreshed by recalcProduction().
+let productionShares = {};
+
+// Rebuild the lasting modifiers from every source and derive the production
+// rates, multipliers and Qi capacity stored on `game`.
+function recalcProduction() {
+  const list = [];
+  // Innate trickle and bare-handed gathering before any upgrades.  The
+  // trickle helps early progress when nothing is purchased yet.
+  const base = modifierScope(list, 'base', 'innate', 'Innate');
+  base.add('qi', 0.05);
+  base.add('qiPerTap', 1);
+  for (const def of upgradeDefs) {
+    applyEffects(def.effects, game.upgrades[def.id] || 0, modifierScope(list, 'upgrade', def.id, def.name));
+  }
+  for (const def of researchDefs) {
+    applyEffects(def.effects, game.research[def.id] || 0, modifierScope(list, 'research', def.id, def.name));
+  }
+  for (const def of skillDefs) {
+    applyEffects(def.effects, game[`${def.id}Level`] || 0, modifierScope(list, 'skill', def.id, def.name));
+  }
+  // Body Cultivation and Swordplay together grant a 5% Qi synergy.
+  if ((game.bodyCultivationLevel || 0) > 0 && (game.swordplayLevel || 0) > 0) {
+    modifierScope(list, 'skill', 'bodySwordSynergy', 'Body & Sword Synergy').mult('qi', 1.05);
+  }
+  for (const def of ascensionPerkDefs) {
+    applyEffects(def.effects, game.ascensionPerks[def.id] || 0, modifierScope(list, 'perk', def.id, def.name));
+  }
+  for (const def of karmaPerkDefs) {
+    applyEffects(def.effects, (game.karmaPerks || {})[def.id] || 0, modifierScope(list, 'karma', def.id, def.name));
+  }
+  // The running challenge's constraints, and the rewards of those completed.
+  const challenge = getActiveChallenge();
+  if (challenge) applyEffects(challenge.effects, 1, modifierScope(list, 'challenge', challenge.id, challenge.name));
+  challengeDefs.forEach(def => {
+    if (game.challenges.completed[def.id]) applyEffects(def.reward.effects, 1, modifierScope(list, 'challengeReward', def.id, def.name));
+  });
+  const choices = (game.story && game.story.choices) || {};
+  storyDefs.forEach(chapter => {
+    const choice = (chapter.choices || []).find(c => c.id === choices[chapter.stage]);
+    if (choice) applyEffects(choice.effects, 1, modifierScope(list, 'story', choice.id, chapter.title));
+  });
+  relicDefs.forEach(rel => {
+    if (game.relics && game.relics[rel.id]) applyEffects(rel.effects, 1, modifierScope(list, 'relic', rel.id, rel.name));
+  });
+  // Forged artifacts accumulate per-resource multipliers on game.forgingMults.
+  const forging = modifierScope(list, 'forging', 'artifacts', 'Forged Artifacts');
+  Object.keys(game.forgingMults || {}).forEach(res => {
+    const mult = game.forgingMults[res];
+    if (typeof mult === 'number' && mult !== 1) forging.mult(res, mult);
+  });
+  // Each layer and realm breakthrough multiplies Qi production.
+  modifierScope(list, 'realm', 'layers', 'Layers & Realms').mult('qi', game.layerMult);
+  buildingDefs.forEach(def => {
+    const level = game.buildings[def.id] || 0;
+    if (level > 0) modifierScope(list, 'building', def.id, def.name).add(def.resource, level * def.amountPerSec);
+  });
+  // Testing multipliers from Settings.  The tap multiplier scales the whole
+  // tap, technique bonuses included, so it sits in the last tap stage.
+  const testing = modifierScope(list, 'testing', 'testing', 'Testing');
+  if (typeof game.qiPerSecMult === 'number' && game.qiPerSecMult > 0 && game.qiPerSecMult !== 1) testing.mult('qi', game.qiPerSecMult);
+  if (typeof game.qiPerTapMult === 'number' && game.qiPerTapMult > 0 && game.qiPerTapMult !== 1) testing.mult('qiPerTap', game.qiPerTapMult, 1);
+  // Disciples add flat output scaled by their own multipliers (Sect
+  // Leadership and Sect Research for Qi, story rewards for everything).
+  const discipleAll = getModifierMult('disciples', list).toNumber();
+  const discipleQi = getModifierMult('discipleQi', list).toNumber() * discipleAll;
+  const discipleOutput = { qi: 0, herbs: 0, spiritStones: 0, beasts: 0 };
+  (challengeRule('noDisciples') ? [] : game.disciples).forEach(d => {
+    const cls = discipleClasses.find(c => c.id === d.classId);
+    if (!cls) return;
+    // The diligent trait boosts this disciple's own output.
+    const traitMult = (d.traits && d.traits.includes('diligent')) ? 1 + 0.05 * (d.level || 1) : 1;
+    Object.keys(discipleOutput).forEach(res => {
+      discipleOutput[res] += (cls[res] || 0) * (d.level || 1) * traitMult;
+    });
+  });
+  const disciples = modifierScope(list, 'disciples', 'disciples', 'Disciples');
+  Object.keys(discipleOutput).forEach(res => {
+    const amount = discipleOutput[res] * (res === 'qi' ? discipleQi : discipleAll);
+    if (amount > 0) disciples.add(res, amount);
+  });
+  modifiers = list;
+
+  // Derived values read elsewhere in the game.
+  game.qiPerSec = getModifierSum('qi', 'add');
+  game.qiPerTap = getStatValue('qiPerTap').toNumber();
+  game.multQi = getModifierMult('qi').toNumber();
+  game.multHerbs = getModifierMult('herbs').toNumber();
+  game.multSpiritStones = getModifierMult('spiritStones').toNumber();
+  game.multBeasts = getModifierMult('beasts').toNumber();
+  game.multJade = getModifierMult('jade').toNumber();
+  game.dantianMult = getModifierMult('dantian').toNumber();
+  game.forgeCostMult = getUtilityStat('forgeCost');
+  game.expeditionTimeMult = getUtilityStat('expeditionTime');
+  game.discipleMult = discipleAll;
+  game.ascensionRewardMult = getUtilityStat('ascensionReward');
+  game.finalQiPerSec = getStatValue('qi');
+  game.finalHerbPerSec = getStatValue('herbs').toNumber();
+  game.finalSpiritStonePerSec = getStatValue('spiritStones').toNumber();
+  game.finalBeastPerSec = getStatValue('beasts').toNumber();
+  game.finalJadePerSec = getStatValue('jade').toNumber();
+  // Record which share of each resource's flat production comes from base
+  // sources (innate trickle, upgrades, research), buildings and disciples.
+  // Multipliers apply to the whole sum, so the shares carry over to the final
+  // rates.  Used to attribute offline gains per source.
+  productionShares = {};
+  Object.keys(productionStats).forEach(res => {
+    const split = { base: 0, buildings: 0, disciples: 0 };
+    modifiers.forEach(m => {
+      if (m.stat !== res || m.kind !== 'add') return;
+      const key = m.source === 'building' ? 'buildings' : m.source === 'disciples' ? 'disciples' : 'base';
+      split[key] += m.value;
+    });
+    const total = split.base + split.buildings + split.disciples;
+    productionShares[res] = total > 0 ? { base: split.base / total, buildings: split.buildings / total, disciples: split.disciples / total } : { base: 1, buildings: 0, disciples: 0 };
+  });
+
+  // Qi capacity (dantian): ten times the undiscounted cost of the next
+  // breakthrough, so capacity grows with realm and layer, times the dantian
+  // multipliers from upgrades, story choices and relics.
+  const baseCap = getBaseLayerCostNoDiscount().mul(10);
+  game.dantianCap = baseCap.mul(game.dantianMult);
+}
+
+// Timed modifiers: active elixirs (scaled by Alchemy and Alchemy Research
+// potency), the afterglow bonus after returning from offline and the Qi
+// deviation left by a failed breakthrough.  Expired elixirs are pruned.
+function getTimedModifiers() {
+  const now = gameNow();
+  const list = [];
+  game.activeElixirs = (game.activeElixirs || []).filter(e => e.expiresAt > now);
+  const potency = getUtilityStat('elixirPotency');
+  for (const e of game.activeElixirs) {
+    const def = elixirDefs.find(d => d.id === e.id);
+    if (def) applyEffects(def.effects, 1, modifierScope(list, 'elixir', def.id, def.name), potency);
+  }
+  if (game.afterglowExpires && now < game.afterglowExpires) {
+    modifierScope(list, 'afterglow', 'afterglow', 'Afterglow').mult('qi', 1.20);
+  }
+  if (game.qiDeviationExpires && now < game.qiDeviationExpires) {
+    modifierScope(list, 'debuff', 'qiDeviation', 'Qi Deviation').mult('qi', breakthroughConfig.deviationQiMult);
+  }
+  return list;
+}
+
+// Aggregate timed bonuses as multipliers on the lasting rates (and a flat
+// tap bonus), e.g. rate = game.finalHerbPerSec × buffs.herbsMult.
+function getTimedBuffs() {
+  const list = getTimedModifiers();
+  const mult = stat => getModifierMult(stat, list).toNumber();
+  return {
+    qiMult: mult('qi'),
+    herbsMult: mult('herbs'),
+    spiritStonesMult: mult('spiritStones'),
+    beastsMult: mult('beasts'),
+    jadeMult: mult('jade'),
+    tapMult: mult('qiPerTap'),
+    tapFlat: getModifierSum('qiPerTap', 'flat', list)
+  };
+}
+
+// Every modifier currently affecting each production stat (plus Qi per tap),
+// lasting and timed, with the resulting value.  Returns
+//   { qi: { modifiers: [...], value }, herbs: …, qiPerTap: … }
+// where Qi values are BigNums and the rest plain numbers.
+function getModifierBreakdown() {
+  const all = modifiers.concat(getTimedModifiers());
+  const breakdown = {};
+  Object.keys(productionStats).concat(['qiPerTap']).forEach(stat => {
+    const value = getStatValue(stat, all);
+    breakdown[stat] = {
+      modifiers: all.filter(m => m.stat === stat),
+      value: stat === 'qi' ? value : value.toNumber()
+    };
+  });
+  return breakdown;
+}
+
+// Achievements definitions
+// Each achievement lists the engine events that can change its condition;
+// checkAchievements() re-tests it only when one of them fires.
+const achievementDefs = [
+  { id: 'firstTap', events: ['qi.gathered', 'tick'], name: 'First Steps', desc: 'Gather Qi manually for the first time.', condition: () => game.qi.gte(1) },
+  { id: 'collector', events: ['qi.gathered', 'tick'], name: 'Qi Adept', desc: 'Accumulate 1K Qi.', condition: () => game.qi.gte(1000) },
+  { id: 'upgradeBuyer', events: ['upgrade.purchased'], name: 'Seasoned Cultivator', desc: 'Purchase 10 upgrade levels.', condition: () => Object.values(game.upgrades).reduce((a,b) => a + b, 0) >= 10 },
+  { id: 'ascendRealm', events: ['realm.ascended'], name: 'Foundation Layer', desc: 'Reach Foundation Establishment.', condition: () => game.stage >= 1 }
+  ,
+  // New achievements provide long‑term goals beyond the early game.  These
+  // include tracking expedition completions, technique mastery, bounty claims,
+  // research progress, forging, sect expansion and story progression.
+  { id: 'expeditionMaster', events: ['expedition.completed'], name: 'Expedition Master', desc: 'Complete 50 expeditions.', condition: () => (game.expeditionsCompleted || 0) >= 50 },
+  { id: 'techniqueMaster', events: ['skill.purchased'], name: 'Technique Mastery', desc: 'Reach Level 5 in any technique.', condition: () => skillDefs.some(def => (game[`${def.id}Level`] || 0) >= 5) },
+  { id: 'bountyHunter', events: ['quest.claimed'], name: 'Bounty Hunter', desc: 'Claim 10 bounty rewards.', condition: () => (game.bountiesClaimed || 0) >= 10 },
+  { id: 'researchScholar', events: ['research.purchased'], name: 'Research Scholar', desc: 'Accumulate 10 research levels.', condition: () => Object.values(game.research).reduce((a,b) => a + b, 0) >= 10 },
+  { id: 'artifactCrafter', events: ['artifact.forged'], name: 'Artifact Crafter', desc: 'Forge 10 artifacts.', condition: () => (game.artifactsForged || 0) >= 10 },
+  { id: 'sectLeader', events: ['disciple.recruited'], name: 'Sect Leader', desc: 'Recruit 5 disciples.', condition: () => game.disciples.length >= 5 },
+  { id: 'storyTeller', events: ['story.chosen'], name: 'Story Teller', desc: 'Unlock 3 story chapters.', condition: () => Object.keys(game.story.choices || {}).length >= 3 },
+  { id: 'perkCollector', events: ['perk.purchased'], name: 'Perk Collector', desc: 'Unlock 5 ascension perks.', condition: () => Object.keys(game.ascensionPerks).reduce((a,k) => a + (game.ascensionPerks[k] > 0 ? 1 : 0), 0) >= 5 }
+];
+
+// Lore definitions
+const loreDefs = [
+  { stage: 0, title: 'Qi Gathering', text: 'At the beginning of your cultivation journey you gather ambient Qi from the environment.' },
+  { stage: 1, title: 'Foundation Establishment', text: 'You solidify your base, strengthening body and spirit for more complex techniques.' },
+  { stage: 2, title: 'Core Formation', text: 'You forge your inner core, condensing Qi into a rotating sphere of power.' },
+  { stage: 3, title: 'Golden Core', text: 'Your core crystallizes into a golden elixir, vastly amplifying your cultivation.' },
+  { stage: 4, title: 'Nascent Soul', text: 'Your consciousness manifests as a nascent soul, granting new insights and abilities.' },
+  { stage: 5, title: 'Spirit Transformation', text: 'You begin transcending mortality, merging your essence with the Dao.' },
+  { stage: 6, title: 'Immortal Ascension', text: 'You break free of worldly bonds and ascend to immortality.' }
+  ,{ stage: 7, title: 'Void Refinement', text: 'You refine the void itself, harnessing the emptiness between realms to strengthen your Dao.' }
+  ,{ stage: 8, title: 'Celestial Tribulation', text: 'You face tribulations sent by the heavens, tempering your soul and testing your determination.' }
+  ,{ stage: 9, title: 'Divine Ascension', text: 'Your cultivation transcends mortality and immortality, touching upon the divine essence of creation.' }
+  ,{ stage: 10, title: 'Eternal Godhood', text: 'At the peak of all existence, you become an eternal deity, your name etched into the fabric of reality.' }
+];
+
+// Track unlocked achievements and lore
+game.achievementsUnlocked = game.achievementsUnlocked || {};
+game.loreUnlocked = game.loreUnlocked || [];
+
+// Expeditions definitions (content/expeditions.json)
+const expeditionDefs = [];
+
+// Sect building definitions (content/buildings.json)
+// Each building produces resources passively. Costs are paid in Spirit Stones.
+const buildingDefs = [];
+
+// Ascension perk definitions
+// Players spend Ascension Points (AP) earned upon realm ascension to buy perks.
+// Effects use the same vocabulary as the content files (see effectTypes).
+// The perks form a tree drawn on a grid: `tier` is the row and `col` the
+// column.  A perk needs every perk in `requires` at level 1 or more, and may
+// be capped with maxLevel; capstones are single-level perks at the end of a
+// path.  Perks with a `branch` shut out the rival branch listed in
+// ascensionBranchRivals until the tree is respecced.
+const ascensionPerkDefs = [
+  {
+    id: 'qiMastery',
+    name: 'Qi Mastery',
+    desc: 'Increases all Qi/s by 2% per level.',
+    baseCost: 1,
+    costMult: 2,
+    tier: 0,
+    col: 0,
+    effects: [{ type: 'multStatLinear', stat: 'qi', amount: 0.02 }]
+  },
+  {
+    id: 'upgradeEfficiency',
+    name: 'Upgrade Efficiency',
+    desc: 'Reduces upgrade costs by 2% per level.',
+    baseCost: 1,
+    costMult: 2.5,
+    tier: 0,
+    col: 1,
+    effects: [{ type: 'reduceCost', stat: 'upgradeCost', amount: 0.02 }]
+  },
+  {
+    id: 'resourceProficiency',
+    name: 'Resource Proficiency',
+    desc: 'Increases herb, spirit stone and beast production by 2% per level.',
+    baseCost: 1,
+    costMult: 2.5,
+    tier: 0,
+    col: 3,
+    effects: ['herbs', 'spiritStones', 'beasts', 'jade'].map(stat => ({ type: 'multStatLinear', stat, amount: 0.02 }))
+  }
+  ,
+  {
+    id: 'forgeMastery',
+    name: 'Forge Mastery',
+    desc: 'Reduces forging cost and time by 2% per level.',
+    baseCost: 2,
+    costMult: 2.5,
+    tier: 0,
+    col: 2,
+    effects: [
+      { type: 'reduceCost', stat: 'forgeCost', amount: 0.02 },
+      { type: 'reduceCost', stat: 'forgeTime', amount: 0.02 }
+    ]
+  },
+  // Sword path
+  {
+    id: 'swordIntent',
+    name: 'Sword Intent',
+    desc: 'Increases tribulation power by 5% per level.',
+    baseCost: 3,
+    costMult: 2,
+    maxLevel: 5,
+    tier: 1,
+    col: 0,
+    branch: 'sword',
+    requires: ['qiMastery'],
+    effects: [{ type: 'multStatLinear', stat: 'tribulationPower', amount: 0.05 }]
+  },
+  {
+    id: 'swordHeart',
+    name: 'Heart of the Sword',
+    desc: 'Increases all Qi/s by 4% per level.',
+    baseCost: 5,
+    costMult: 2,
+    maxLevel: 5,
+    tier: 2,
+    col: 0,
+    branch: 'sword',
+    requires: ['swordIntent'],
+    effects: [{ type: 'multStatLinear', stat: 'qi', amount: 0.04 }]
+  },
+  {
+    id: 'tenThousandSwords',
+    name: 'Ten Thousand Swords',
+    desc: 'Capstone: multiplies Qi/s by 1.5 and tribulation power by 1.25.',
+    baseCost: 40,
+    costMult: 1,
+    maxLevel: 1,
+    capstone: true,
+    tier: 3,
+    col: 0,
+    branch: 'sword',
+    requires: ['swordHeart'],
+    effects: [
+      { type: 'multStat', stat: 'qi', factor: 1.5 },
+      { type: 'multStat', stat: 'tribulationPower', factor: 1.25 }
+    ]
+  },
+  // Alchemy path
+  {
+    id: 'pillRefinement',
+    name: 'Pill Refinement',
+    desc: 'Reduces brewing time by 5% per level.',
+    baseCost: 3,
+    costMult: 2,
+    maxLevel: 5,
+    tier: 1,
+    col: 3,
+    branch: 'alchemy',
+    requires: ['resourceProficiency'],
+    effects: [{ type: 'reduceCost', stat: 'brewTime', amount: 0.05 }]
+  },
+  {
+    id: 'elixirAffinity',
+    name: 'Elixir Affinity',
+    desc: 'Increases elixir potency by 10% per level.',
+    baseCost: 5,
+    costMult: 2,
+    maxLevel: 5,
+    tier: 2,
+    col: 3,
+    branch: 'alchemy',
+    requires: ['pillRefinement'],
+    effects: [{ type: 'addStat', stat: 'elixirPotency', amount: 0.1 }]
+  },
+  {
+    id: 'nineTurnPill',
+    name: 'Nine-Turn Golden Pill',
+    desc: 'Capstone: multiplies elixir potency by 1.5 and adds 10% breakthrough success chance.',
+    baseCost: 40,
+    costMult: 1,
+    maxLevel: 1,
+    capstone: true,
+    tier: 3,
+    col: 3,
+    branch: 'alchemy',
+    requires: ['elixirAffinity'],
+    effects: [
+      { type: 'multStat', stat: 'elixirPotency', factor: 1.5 },
+      { type: 'addStat', stat: 'breakthroughChance', amount: 0.1 }
+    ]
+  },
+  // Shared paths
+  {
+    id: 'ascendantInsight',
+    name: 'Ascendant Insight',
+    desc: 'Increases ascension rewards by 5% per level.',
+    baseCost: 3,
+    costMult: 2,
+    maxLevel: 10,
+    tier: 1,
+    col: 1,
+    requires: ['upgradeEfficiency'],
+    effects: [{ type: 'multStatLinear', stat: 'ascensionReward', amount: 0.05 }]
+  },
+  {
+    id: 'heavenlyForge',
+    name: 'Heavenly Forge',
+    desc: 'Strengthens Qi artifacts by 5% per level.',
+    baseCost: 3,
+    costMult: 2,
+    maxLevel: 5,
+    tier: 1,
+    col: 2,
+    requires: ['forgeMastery'],
+    effects: [{ type: 'addStat', stat: 'qiForgeBuff', amount: 0.05 }]
+  },
+  {
+    id: 'eternalDao',
+    name: 'Eternal Dao',
+    desc: 'Capstone: reduces breakthrough costs by 10% and increases offline gains by 25%.',
+    baseCost: 30,
+    costMult: 1,
+    maxLevel: 1,
+    capstone: true,
+    tier: 2,
+    col: 1.5,
+    requires: ['ascendantInsight', 'heavenlyForge'],
+    effects: [
+      { type: 'reduceCost', stat: 'layerCost', amount: 0.1 },
+      { type: 'multStat', stat: 'offlineGain', factor: 1.25 }
+    ]
+  }
+];
+
+// Mutually exclusive perk branches: owning a perk of one shuts out the other.
+const ascensionBranchRivals = { sword: 'alchemy', alchemy: 'sword' };
+
+// Paid respec of the perk tree: every AP spent is refunded for Spirit Stones,
+// `baseCost` for the first respec and `growth` times more for each after.
+const perkRespecConfig = { baseCost: 1000, growth: 2 };
+
+// Karma tree
+// Karma is earned by reincarnating (see reincarnate()) and kept across
+// lives.  Nodes list the nodes they require (at level 1 or more) and may be
+// capped with maxLevel.  Effects use the same vocabulary as the content files.
+const karmaPerkDefs = [
+  {
+    id: 'karmicQi',
+    name: 'Karmic Qi',
+    desc: 'Increases all Qi/s by 10% per level.',
+    baseCost: 1,
+    costMult: 1.6,
+    effects: [{ type: 'multStatLinear', stat: 'qi', amount: 0.1 }]
+  },
+  {
+    id: 'pastLifeMemory',
+    name: 'Past Life Memory',
+    desc: 'Reduces upgrade and research costs by 3% per level.',
+    baseCost: 2,
+    costMult: 1.8,
+    maxLevel: 10,
+    effects: [
+      { type: 'reduceCost', stat: 'upgradeCost', amount: 0.03 },
+      { type: 'reduceCost', stat: 'researchCost', amount: 0.03 }
+    ]
+  },
+  {
+    id: 'karmicFortune',
+    name: 'Karmic Fortune',
+    desc: 'Increases ascension rewards by 10% per level.',
+    baseCost: 3,
+    costMult: 2,
+    requires: ['karmicQi'],
+    effects: [{ type: 'multStatLinear', stat: 'ascensionReward', amount: 0.1 }]
+  },
+  {
+    id: 'daoHeart',
+    name: 'Dao Heart',
+    desc: 'Adds 3% breakthrough success chance per level.',
+    baseCost: 3,
+    costMult: 2,
+    maxLevel: 5,
+    requires: ['pastLifeMemory'],
+    effects: [{ type: 'addStat', stat: 'breakthroughChance', amount: 0.03 }]
+  },
+  {
+    id: 'heavenlyFavor',
+    name: 'Heavenly Favor',
+    desc: 'Increases tribulation power by 10% per level.',
+    baseCost: 5,
+    costMult: 2,
+    requires: ['karmicFortune'],
+    effects: [{ type: 'multStatLinear', stat: 'tribulationPower', amount: 0.1 }]
+  },
+  {
+    id: 'wheelOfRebirth',
+    name: 'Wheel of Rebirth',
+    desc: 'Increases Karma earned by reincarnating by 10% per level.',
+    baseCost: 10,
+    costMult: 2.5,
+    requires: ['heavenlyFavor', 'daoHeart'],
+    effects: [{ type: 'multStatLinear', stat: 'karmaGain', amount: 0.1 }]
+  }
+];
+
+// Disciples (simplified)
+// Disciples are stored on game.disciples; each has a name, classId and level.
+
+// Avatar images for disciples.  We provide a small set of chibi faces that
+// are assigned to each disciple when they are recruited.  The paths are relative
+// to the index.html file.  You can add more avatar
+// images next to index.html and include them here to increase variety.
+const discipleAvatars = [
+  'avatar1.png',
+  'avatar2.png',
+  'avatar3.png',
+  'avatar4.png',
+  'avatar5.png',
+  'avatar6.png',
+  'avatar7.png',
+  'avatar8.png',
+  'avatar9.png',
+  'avatar10.png',
+  'avatar11.png',
+  'avatar12.png',
+  'avatar13.png',
+  'avatar14.png'
+];
+
+// Index used to assign unique avatars.  Each time a disciple is recruited
+// this counter increments to ensure a new avatar and unique hue rotation
+// combination.  When the base avatar array is exhausted, hue rotation is
+// applied to differentiate subsequent recruits.
+let nextAvatarIndex = 0;
+
+// Define possible disciple names and classes for enhanced disciple management
+const discipleNames = [
+  'Li', 'Zhang', 'Wang', 'Chen', 'Zhao', 'Lin', 'Liu', 'Yang', 'Huang', 'Zhou',
+  'Xu', 'Sun', 'Deng', 'Gao', 'Feng', 'Guo', 'Cai', 'Pan', 'Qin', 'Rao'
+];
+const discipleClasses = [
+  { id: 'sword', name: 'Sword Cultivator', qi: 2, herbs: 0, spiritStones: 0, beasts: 0 },
+  { id: 'alchemist', name: 'Alchemist', qi: 1, herbs: 0.5, spiritStones: 0, beasts: 0 },
+  { id: 'stone', name: 'Spirit Stone Cultivator', qi: 1, herbs: 0, spiritStones: 0.5, beasts: 0 },
+  { id: 'beastMaster', name: 'Beast Master', qi: 1, herbs: 0, spiritStones: 0, beasts: 0.5 }
+];
+
+// Disciple trait definitions.  Each trait provides a passive bonus that applies
+// either to the disciple’s own contributions or to other systems.  Traits are
+// assigned randomly when recruiting a new disciple.  The effects are applied
+// in various parts of the code (e.g. recalcProduction, expedition and forging).
+const discipleTraits = [
+  {
+    id: 'diligent',
+    name: 'Diligent',
+    // Adds +5% to all resource output contributed by this disciple
+    desc: 'Resource output +5% per level'
+  },
+  {
+    id: 'loyal',
+    name: 'Loyal',
+    // Reduces expedition duration by 5% per level when this disciple is in the
+    // sect.  Stacks additively across disciples.
+    desc: 'Expedition duration −5% per level'
+  },
+  {
+    id: 'forgeMaster',
+    name: 'Forge Master',
+    // Reduces forging duration by 5% per level.  Stacks across disciples.
+    desc: 'Forging duration −5% per level'
+  }
+  ,
+  {
+    id: 'lucky',
+    name: 'Lucky',
+    // Each level of Lucky reduces the rare reward threshold on expeditions by 1.
+    // This effectively increases the frequency of rare drops by making them
+    // occur sooner.  It does not guarantee specific items.
+    desc: 'Rare expedition rewards appear more often'
+  }
+];
+
+// Helper: compute the total levels of disciples possessing a particular trait.
+// Some traits stack based on disciple level (e.g. Loyal reduces expedition
+// duration by 5% per level of each Loyal disciple).  If no disciple has the
+// trait, returns 0.
+function getTraitLevelSum(traitId) {
+  if (challengeRule('noDisciples')) return 0;
+  let sum = 0;
+  game.disciples.forEach(d => {
+    if (d.traits && d.traits.includes(traitId)) {
+      // sum levels; default level is 1
+      sum += d.level || 1;
+    }
+  });
+  return sum;
+}
+
+// Recruit a new disciple for 50 Spirit Stones.  Each disciple receives a
+// random name, class and exactly one trait to encourage variety.
+function recruitDisciple() {
+  if (challengeRule('noDisciples')) {
+    notifyToast('Disciples cannot be recruited during this challenge.', { severity: 'warning', category: 'sect' });
+    return false;
+  }
+  if (game.spiritStones < 50) {
+    notifyToast(translate('toast.insufficientSS', undefined, 'Not enough Spirit Stones'), { severity: 'warning', category: 'sect' });
+    return false;
+  }
+  game.spiritStones -= 50;
+  const name = discipleNames[Math.floor(random() * discipleNames.length)];
+  const cls = discipleClasses[Math.floor(random() * discipleClasses.length)];
+  const trait = discipleTraits[Math.floor(random() * discipleTraits.length)];
+  // Determine avatar for this disciple.  Use a unique index that
+  // increments with each recruitment.  The base avatar cycles through
+  // the available images, and once exhausted a hue rotation is applied
+  // to ensure uniqueness of appearance.
+  const idx = nextAvatarIndex;
+  const basePath = discipleAvatars[idx % discipleAvatars.length];
+  let hue = 0;
+  if (idx >= discipleAvatars.length) {
+    // Apply a deterministic hue rotation based on how many times we've
+    // wrapped around the avatar list.  Multiplying by 37 spreads out
+    // hues across the 360° color circle without obvious repetition.
+    hue = ((idx - discipleAvatars.length) * 37) % 360;
+  }
+  nextAvatarIndex++;
+  const avatar = { path: basePath, hue };
+  game.disciples.push({ name, classId: cls.id, level: 1, trainingCost: 20, traits: [trait.id], avatar });
+  notifyToast(translate('toast.recruited', { name, class: cls.name, trait: trait.name },
+    `Recruited ${name}, a ${cls.name} with the ${trait.name} trait!`), { severity: 'success', category: 'sect' });
+  recalcProduction();
+  engine.emit('disciple.recruited', { name, classId: cls.id });
+  notifyChange(['disciples', 'stats']);
+  return true;
+}
+
+// Train the disciple at the given index.  Each level costs double the
+// previous one.
+function trainDisciple(idx) {
+  const disciple = game.disciples[idx];
+  if (!disciple) return false;
+  disciple.trainingCost = disciple.trainingCost || 20;
+  if (game.spiritStones < disciple.trainingCost) {
+    notifyToast('Not enough Spirit Stones', { severity: 'warning', category: 'sect' });
+    return false;
+  }
+  game.spiritStones -= disciple.trainingCost;
+  disciple.level++;
+  disciple.trainingCost = Math.max(1, Math.floor(disciple.trainingCost * 2));
+  notifyToast(translate('toast.discipleAdvanced', { name: disciple.name, level: disciple.level, cost: formatNumber(disciple.trainingCost) },
+    `${disciple.name} has advanced to Level ${disciple.level}! Training cost is now ${formatNumber(disciple.trainingCost)} SS.`), { severity: 'success', category: 'sect' });
+  recalcProduction();
+  notifyChange(['disciples', 'stats']);
+  return true;
+}
+
+// Forging (simplified) - placeholder
+// Forging recipes (content/artifacts.json).  Each artifact specifies its
+// unique id, display name, which resource it boosts and by how much, base
+// stone cost, base forging time (in seconds) and the minimum realm stage
+// required to unlock it.
+// The buffValue acts as a multiplicative factor (e.g. 1.10 = +10%).
+const artifactDefs = [];
+
+// Alchemy elixir definitions (content/elixirs.json).  Effects are scaled by
+// elixir potency while active; see getTimedModifiers().
+const elixirDefs = [];
+
+// Start forging an artifact if a slot is free and the player can afford it.
+// Cost and time include upgrade, perk, trait and story reductions.
+function startForging(artifactId) {
+  const def = artifactDefs.find(a => a.id === artifactId);
+  if (!def || game.stage < def.unlockStage) return false;
+  const currentCost = Math.ceil(def.baseCost * getUtilityStat('forgeCost'));
+  let currentTimeMult = getUtilityStat('forgeTime');
+  // Apply forge master trait reduction to current time
+  const forgeTraitLv = getTraitLevelSum('forgeMaster');
+  if (forgeTraitLv > 0) {
+    currentTimeMult *= (1 - 0.05 * forgeTraitLv);
+  }
+  // Apply global forging time multiplier; ensure default of 1
+  const effectiveTimeMult = currentTimeMult * (game.forgingTimeMult || 1);
+  const currentTime = Math.max(5, Math.ceil(def.baseTime * effectiveTimeMult));
+  if (game.spiritStones < currentCost) {
+    notifyToast(translate('toast.notEnoughSpiritStones2', undefined, 'Not enough spiritStones'), { severity: 'warning', category: 'forging' });
+    return false;
+  }
+  // Check slots again just before queuing
+  const inUse = Array.isArray(game.forgingQueue) ? game.forgingQueue.length : 0;
+  if (inUse >= ((typeof game.forgingSlots === 'number' && game.forgingSlots > 0) ? game.forgingSlots : 1)) {
+    notifyToast(translate('toast.forgingSlotsFull', undefined, 'All forging slots are currently in use'), { severity: 'warning', category: 'forging' });
+    notifyChange(['forging']);
+    return false;
+  }
+  // deduct cost and queue the artifact
+  game.spiritStones -= currentCost;
+  const finishTime = gameNow() + currentTime * 1000;
+  game.forgingQueue.push({ id: generateId(), artifactId: def.id, endTime: finishTime, duration: currentTime });
+  const forgeName = translate(`artifact.${def.id}.name`, undefined, def.name);
+  notifyToast(translate('toast.startedForging', { name: forgeName }, `${forgeName} started forging!`), { category: 'forging' });
+  notifyChange(['forging', 'stats']);
+  return true;
+}
+
+// Check active forging tasks each tick.  When a task finishes, apply its
+// multiplier to the appropriate resource, remove it from the queue and
+// refresh production and UI.  If multiple tasks finish simultaneously
+// they are all processed before updating.
+function updateForgingQueue() {
+  if (!Array.isArray(game.forgingQueue) || game.forgingQueue.length === 0) {
+    return;
+  }
+  const now = gameNow();
+  let changed = false;
+  // Process tasks in reverse order so splicing removal does not affect indices
+  for (let i = game.forgingQueue.length - 1; i >= 0; i--) {
+    const task = game.forgingQueue[i];
+    if (now >= task.endTime) {
+      const def = artifactDefs.find(a => a.id === task.artifactId);
+      if (def) {
+        // Qi artifacts are strengthened by Heavenly Thunder
+        let buffMult = def.buffValue;
+        if (def.buffType === 'qi') {
+          buffMult *= getUtilityStat('qiForgeBuff');
+        }
+        // Apply forging bonus depending on the artifact type.  For Qi/Herb/
+        // Stone/Beast buffs, multiply the appropriate resource multiplier.  For
+        // risk reduction charms, multiply the expedition risk multiplier.
+        if (def.buffType === 'riskReduction') {
+          // Initialize forgingRiskMult if absent
+          if (typeof game.forgingRiskMult !== 'number') {
+            game.forgingRiskMult = 1;
+          }
+          // Multiply by (1 - buffValue) to reduce risk
+          game.forgingRiskMult *= (1 - def.buffValue);
+        } else {
+          // multiply forgingMults for the corresponding resource type
+          if (!game.forgingMults) {
+            game.forgingMults = { qi: 1, herbs: 1, spiritStones: 1, beasts: 1 };
+          }
+          if (typeof game.forgingMults[def.buffType] !== 'number') {
+            game.forgingMults[def.buffType] = 1;
+          }
+          game.forgingMults[def.buffType] *= buffMult;
+        }
+        // increment forged artifact counter for achievements
+        game.artifactsForged = (game.artifactsForged || 0) + 1;
+        notifyToast(`${def.name} forging complete!`, { severity: 'success', category: 'forging' });
+        if (offlineReport) offlineReport.forged.push(def.id);
+        engine.emit('artifact.forged', { artifactId: def.id });
+        changed = true;
+      }
+      // Remove task from queue
+      game.forgingQueue.splice(i, 1);
+    }
+  }
+  if (changed) {
+    recalcProduction();
+    checkRelics();
+    notifyChange(['forging', 'stats']);
+  }
+}
+
+// Check and unlock achievements.  With an event type only the achievements
+// subscribed to it are tested; without one (after loading or an offline
+// replay) all of them are.
+function checkAchievements(type) {
+  let changed = false;
+  for (const def of achievementDefs) {
+    if (type && !def.events.includes(type)) continue;
+    if (!game.achievementsUnlocked[def.id] && def.condition()) {
+      game.achievementsUnlocked[def.id] = true;
+      // reward 1 Spirit Stone per achievement unlocked
+      game.spiritStones += 1;
+      notifyToast(`Achievement unlocked: ${def.name}!`, { severity: 'success', category: 'achievements' });
+      engine.emit('achievement.unlocked', { id: def.id });
+      changed = true;
+    }
+  }
+  // unlock lore based on stage
+  for (const entry of loreDefs) {
+    if (!game.loreUnlocked.includes(entry.stage) && game.stage >= entry.stage) {
+      game.loreUnlocked.push(entry.stage);
+      changed = true;
+    }
+  }
+  if (changed) notifyChange(['codex', 'stats']);
+}
+
+new Set(achievementDefs.flatMap(def => def.events)).forEach(type => {
+  engine.on(type, () => checkAchievements(type));
+});
+
+// Start an expedition
+function startExpedition(type) {
+  // Ensure the activeExpeditions map exists
+  if (!game.activeExpeditions) game.activeExpeditions = {};
+  // Only one expedition of each type can run at a time
+  if (game.activeExpeditions[type]) {
+    notifyToast('This expedition is already in progress.', { severity: 'warning', category: 'expeditions' });
+    return;
+  }
+  // Require at least one disciple
+  if (game.disciples.length === 0) {
+    notifyToast('You need disciples to go on expeditions.', { severity: 'warning', category: 'expeditions' });
+    return;
+  }
+  const def = expeditionDefs.find(e => e.id === type);
+  if (!def) return;
+
+  // Expeditions no longer require a party.  Duration and reward come from
+  // the expedition modifiers (Logistics research, story choices, relics).
+  const rewardMult = getUtilityStat('expeditionReward');
+  const totalDuration = Math.floor(def.baseDuration * getUtilityStat('expeditionTime'));
+  const endTime = gameNow() + totalDuration * 1000;
+  // reward is based on base amounts scaled by the reward modifiers
+  const reward = {
+    herbs: (def.reward.herbs || 0) * rewardMult,
+    spiritStones: (def.reward.spiritStones || 0) * rewardMult,
+    beasts: (def.reward.beasts || 0) * rewardMult
+  };
+  game.activeExpeditions[type] = {
+    type: type,
+    endTime: endTime,
+    reward: reward,
+    // maintain an empty party array for backward compatibility; no longer used
+    party: []
+  };
+  // Track last expedition type for auto send
+  game.lastExpeditionType = type;
+  notifyToast(`${def.name} expedition started!`, { category: 'expeditions' });
+  engine.emit('expedition.started', { type });
+  notifyChange(['expeditions']);
+  return;
+}
+function updateExpedition() {
+  if (!game.activeExpeditions) return;
+  const now = gameNow();
+  let anyCompleted = false;
+  // iterate over active expeditions by type
+  for (const type of Object.keys(game.activeExpeditions)) {
+    const exp = game.activeExpeditions[type];
+    if (!exp) continue;
+    if (now >= exp.endTime) {
+      // Determine risk of failure for this expedition type.  If an expedition
+      // definition includes a risk value, roll a random check to see if it
+      // succeeds.  On failure, no rewards are granted.  Pity counter still
+      // increases so rare rewards can still be earned on subsequent attempts.
+      const eDef = expeditionDefs.find(e => e.id === type);
+      let success = true;
+      const actualRisk = eDef ? getExpeditionRisk(eDef) : 0;
+      if (actualRisk > 0 && random() < actualRisk) success = false;
+      if (success) {
+        // grant rewards
+        const reward = exp.reward || {};
+        if (reward.herbs) game.herbs += reward.herbs;
+        if (reward.spiritStones) game.spiritStones += reward.spiritStones;
+        if (reward.beasts) game.beasts += reward.beasts;
+      }
+      // Increase pity counter and check for rare reward for this type
+      game.expeditionPity[type] = (game.expeditionPity[type] || 0) + 1;
+      let rare = false;
+      // Adjust rare reward threshold based on Lucky traits.  Each level of Lucky
+      // reduces the number of successful expeditions required before a rare drop.
+      const partyIdxs = (exp.party && Array.isArray(exp.party)) ? exp.party : [];
+      let luckyLv = 0;
+      partyIdxs.forEach(i => { const d = game.disciples[i]; if (d && d.traits && d.traits.includes('lucky')) luckyLv += d.level || 1; });
+      // Default threshold is 3; subtract one per lucky level but not below 1.
+      const rareThreshold = Math.max(1, 3 - luckyLv);
+      if (game.expeditionPity[type] >= rareThreshold) {
+        rare = true;
+        if (type === 'herb') game.herbs += 20;
+        if (type === 'stone') game.spiritStones += 20;
+        if (type === 'beast') game.beasts += 10;
+        game.jade += 1;
+        game.expeditionPity[type] = 0;
+      }
+      if (!success) {
+        notifyToast(`${type} expedition failed! Your disciples returned empty-handed.`, { severity: 'failure', category: 'expeditions' });
+      } else {
+        notifyToast(rare ? `${type} expedition complete! Rare find discovered.` : `${type} expedition complete! Resources gained.`, { severity: 'success', category: 'expeditions' });
+      }
+      if (offlineReport) offlineReport.expeditions.push({ type, success, rare });
+      // remove the completed expedition
+      delete game.activeExpeditions[type];
+      anyCompleted = true;
+      // increment global counter for completed expeditions.  This
+      // counter is used for achievements such as Expedition Master.  It
+      // counts each expedition individually, regardless of type or
+      // simultaneous completion.
+      game.expeditionsCompleted = (game.expeditionsCompleted || 0) + 1;
+      engine.emit('expedition.completed', { type, success, rare, reward: success ? exp.reward || {} : {} });
+    }
+  }
+  if (anyCompleted) {
+    notifyChange(['expeditions', 'stats']);
+  }
+
+  // Auto‑send idle expeditions according to per‑type settings.  When the global autoSend
+  // toggle is enabled, loop through each defined expedition and check whether the player
+  // has opted into auto sending for that type.  If so, and there is no active expedition
+  // of that type, immediately queue a new one.  This logic runs each tick regardless of
+  // whether any expeditions completed in this iteration.
+  try {
+    if (game.autoSend && game.settings && game.settings.autoSendTypes) {
+      // Track whether any expedition types are explicitly flagged for auto send.
+      let anyFlagSet = false;
+      expeditionDefs.forEach(def => {
+        const flagged = !!game.settings.autoSendTypes[def.id];
+        if (flagged) anyFlagSet = true;
+        // If this type is flagged and not currently active, start it immediately.
+        if (!game.activeExpeditions[def.id] && flagged) {
+          startExpedition(def.id);
+        }
+      });
+      // If no expedition types have been flagged for auto‑send, fall back to the
+      // last expedition type used.  This provides a sensible default so that
+      // enabling the global toggle immediately requeues the most recently
+      // selected expedition without requiring per‑type toggles.  Only start
+      // the fallback if there is no active expedition of that type.
+      if (!anyFlagSet && game.lastExpeditionType) {
+        const t = game.lastExpeditionType;
+        if (!game.activeExpeditions[t]) {
+          startExpedition(t);
+        }
+      }
+    }
+  } catch (e) {
+    console.error('Auto‑send error:', e);
+  }
+}
+
+// Purchase sect building level
+function buyBuilding(id) {
+  const def = buildingDefs.find(b => b.id === id);
+  if (!def) return;
+  const level = game.buildings[id] || 0;
+  if (def.unlockStage > game.stage) {
+    notifyToast(`Unlocks at ${getRealmName(def.unlockStage)}`, { severity: 'warning', category: 'sect' });
+    return;
+  }
+  const cost = def.baseCost * Math.pow(def.costMult, level);
+  if (game.spiritStones < cost) {
+    notifyToast('Not enough Spirit Stones', { severity: 'warning', category: 'sect' });
+    return;
+  }
+  game.spiritStones -= cost;
+  game.buildings[id] = level + 1;
+  notifyToast(`${def.name} upgraded!`, { severity: 'success', category: 'sect' });
+  recalcProduction();
+  engine.emit('building.purchased', { id, level: level + 1 });
+  notifyChange(['sect', 'stats']);
+}
+
+// AP cost of the next level of an ascension perk.
+function getAscensionPerkCost(def) {
+  return def.baseCost * Math.pow(def.costMult, game.ascensionPerks[def.id] || 0);
+}
+
+// Why a perk cannot be bought right now, ignoring AP: null when it can, or
+//   { reason: 'maxed' } / { reason: 'requires', missing: [ids] } /
+//   { reason: 'branch', rival: 'sword' }
+function getAscensionPerkLock(def) {
+  const level = game.ascensionPerks[def.id] || 0;
+  if (def.maxLevel && level >= def.maxLevel) return { reason: 'maxed' };
+  const missing = (def.requires || []).filter(req => !(game.ascensionPerks[req] > 0));
+  if (missing.length) return { reason: 'requires', missing };
+  const rival = def.branch && ascensionBranchRivals[def.branch];
+  if (rival && ascensionPerkDefs.some(p => p.branch === rival && game.ascensionPerks[p.id] > 0)) return { reason: 'branch', rival };
+  return null;
+}
+
+// Purchase an ascension perk
+function buyAscensionPerk(id) {
+  const def = ascensionPerkDefs.find(p => p.id === id);
+  if (!def) return;
+  const level = game.ascensionPerks[id] || 0;
+  const lock = getAscensionPerkLock(def);
+  if (lock) {
+    let message = `${def.name} is already at its highest level.`;
+    if (lock.reason === 'requires') message = `${def.name} requires ${lock.missing.map(req => ascensionPerkDefs.find(p => p.id === req).name).join(' and ')}.`;
+    if (lock.reason === 'branch') message = `${def.name} is sealed: you have chosen the ${lock.rival} path.`;
+    notifyToast(message, { severity: 'warning', category: 'ascension' });
+    return;
+  }
+  const cost = getAscensionPerkCost(def);
+  if (game.ascensionPoints < cost) {
+    notifyToast('Not enough Ascension Points', { severity: 'warning', category: 'ascension' });
+    return;
+  }
+  game.ascensionPoints -= cost;
+  game.ascensionPerks[id] = level + 1;
+  notifyToast(`${def.name} upgraded!`, { severity: 'success', category: 'ascension' });
+  recalcProduction();
+  engine.emit('perk.purchased', { id, level: level + 1 });
+  notifyChange(['perks', 'stats']);
+}
+
+// AP spent on the perks owned, which a respec refunds.
+function getAscensionPerkRefund() {
+  return ascensionPerkDefs.reduce((total, def) => {
+    const level = game.ascensionPerks[def.id] || 0;
+    for (let l = 0; l < level; l++) total += def.baseCost * Math.pow(def.costMult, l);
+    return total;
+  }, 0);
+}
+
+// Spirit Stone price of the next perk respec.
+function getPerkRespecCost() {
+  return perkRespecConfig.baseCost * Math.pow(perkRespecConfig.growth, game.perkRespecs || 0);
+}
+
+// Clear the perk tree and refund the AP spent on it, for Spirit Stones.
+function respecAscensionPerks() {
+  const refund = getAscensionPerkRefund();
+  if (refund <= 0) {
+    notifyToast('You have no perks to respec.', { severity: 'warning', category: 'ascension' });
+    return;
+  }
+  const cost = getPerkRespecCost();
+  if (game.spiritStones < cost) {
+    notifyToast(`A respec costs ${formatNumber(cost)} Spirit Stones.`, { severity: 'warning', category: 'ascension' });
+    return;
+  }
+  game.spiritStones -= cost;
+  game.ascensionPoints += refund;
+  game.ascensionPerks = {};
+  game.perkRespecs = (game.perkRespecs || 0) + 1;
+  notifyToast(`Perk tree reset. ${formatNumber(refund)} Ascension Points refunded.`, { severity: 'success', category: 'ascension' });
+  recalcProduction();
+  engine.emit('perks.respec', { refund, cost });
+  notifyChange(['perks', 'stats', 'alchemy', 'ascension']);
+}
+
+// Karma cost of the next level of a Karma tree node.
+function getKarmaPerkCost(def) {
+  return Math.ceil(def.baseCost * Math.pow(def.costMult, (game.karmaPerks || {})[def.id] || 0));
+}
+
+// Whether every node a Karma tree node requires has been bought.
+function isKarmaPerkUnlocked(def) {
+  return (def.requires || []).every(req => ((game.karmaPerks || {})[req] || 0) > 0);
+}
+
+// Purchase a level of a Karma tree node
+function buyKarmaPerk(id) {
+  const def = karmaPerkDefs.find(p => p.id === id);
+  if (!def) return;
+  game.karmaPerks = game.karmaPerks || {};
+  const level = game.karmaPerks[id] || 0;
+  if (!isKarmaPerkUnlocked(def)) {
+    notifyToast(`${def.name} requires ${def.requires.map(req => karmaPerkDefs.find(p => p.id === req).name).join(' and ')}.`, { severity: 'warning', category: 'ascension' });
+    return;
+  }
+  if (def.maxLevel && level >= def.maxLevel) {
+    notifyToast(`${def.name} is already at its highest level.`, { severity: 'warning', category: 'ascension' });
+    return;
+  }
+  const cost = getKarmaPerkCost(def);
+  if (game.karma < cost) {
+    notifyToast('Not enough Karma', { severity: 'warning', category: 'ascension' });
+    return;
+  }
+  game.karma -= cost;
+  game.karmaPerks[id] = level + 1;
+  notifyToast(`${def.name} upgraded!`, { severity: 'success', category: 'ascension' });
+  recalcProduction();
+  engine.emit('karma.purchased', { id, level: level + 1 });
+  notifyChange(['perks', 'stats']);
+}
+
+// Process brewing queue and move finished elixirs into inventory
+function updateAlchemyQueue() {
+  game.elixirQueue = Array.isArray(game.elixirQueue) ? game.elixirQueue : [];
+  game.elixirInventory = game.elixirInventory || {};
+  const now = gameNow();
+  let changed = false;
+  for (const task of game.elixirQueue) {
+    if (!task.done && now >= task.endTime) {
+      // Mark the task as done and move the brewed elixir into the inventory.
+      task.done = true;
+      game.elixirInventory[task.id] = (game.elixirInventory[task.id] || 0) + 1;
+      if (offlineReport) offlineReport.brewed.push(task.id);
+      engine.emit('elixir.brewed', { elixirId: task.id });
+      changed = true;
+    }
+  }
+  // Remove completed tasks from the brewing queue.  Leaving them in place
+  // results in entries with "0s remaining" cluttering the UI.  Filtering
+  // here ensures the queue only contains active brews.
+  const beforeLen = game.elixirQueue.length;
+  game.elixirQueue = game.elixirQueue.filter(task => !task.done);
+  if (game.elixirQueue.length !== beforeLen) {
+    changed = true;
+  }
+  if (changed) notifyChange(['alchemy']);
+}
+
+// Start brewing an elixir
+function craftElixir(id) {
+  const def = elixirDefs.find(d => d.id === id);
+  if (!def) return;
+  if (def.unlockStage && game.stage < def.unlockStage) {
+    notifyToast('This elixir unlocks later.', { severity: 'warning', category: 'alchemy' });
+    return;
+  }
+  const costs = def.costs || {};
+  for (const k of Object.keys(costs)) {
+    if ((game[k] || 0) < costs[k]) {
+      notifyToast('Not enough resources.', { severity: 'warning', category: 'alchemy' });
+      return;
+    }
+  }
+  // pay costs
+  for (const k of Object.keys(costs)) {
+    game[k] -= costs[k];
+  }
+  // brew time reduced by Alchemy (down to 50%) and Logistics
+  const brewMs = Math.floor((def.baseBrew || 60) * getUtilityStat('brewTime') * 1000);
+  const task = { id: def.id, endTime: gameNow() + brewMs, done: false };
+  game.elixirQueue.push(task);
+  notifyToast(`Brewing ${def.name}...`, { category: 'alchemy' });
+  notifyChange(['alchemy', 'stats']);
+}
+
+// Consume an elixir from inventory
+function useElixir(id) {
+  game.elixirInventory = game.elixirInventory || {};
+  const count = game.elixirInventory[id] || 0;
+  if (count <= 0) {
+    notifyToast('You do not have that elixir.', { severity: 'warning', category: 'alchemy' });
+    return;
+  }
+  const def = elixirDefs.find(d => d.id === id);
+  if (!def) return;
+  // Breakthrough pills are not timed: one is held for the next minor
+  // breakthrough attempt.
+  if (def.category === 'breakthrough') {
+    if (!game.settings.breakthroughRisk) {
+      notifyToast('Breakthrough pills only help when breakthrough risk is enabled in Settings.', { severity: 'warning', category: 'alchemy' });
+      return;
+    }
+    if (game.breakthroughPill) {
+      notifyToast('A breakthrough pill is already prepared for your next attempt.', { severity: 'warning', category: 'alchemy' });
+      return;
+    }
+    game.elixirInventory[id] = count - 1;
+    game.breakthroughPill = id;
+    notifyToast(`${def.name} prepared for your next breakthrough.`, { category: 'alchemy' });
+    engine.emit('elixir.used', { elixirId: id });
+    notifyChange(['alchemy', 'ascension']);
+    return;
+  }
+  game.elixirInventory[id] = count - 1;
+  const durMs = (def.duration || 60) * 1000;
+  game.activeElixirs = Array.isArray(game.activeElixirs) ? game.activeElixirs : [];
+  game.activeElixirs.push({ id: id, expiresAt: gameNow() + durMs });
+  notifyToast(`${def.name} consumed!`, { category: 'alchemy' });
+  engine.emit('elixir.used', { elixirId: id });
+  notifyChange(['alchemy', 'stats']);
+}
+
+// Tick timing.  tick() measures the real time elapsed since game.lastTick and
+// integrates it in fixed steps of TICK_STEP_MS, so a throttled background tab
+// catches up instead of losing progress.  Very long gaps use proportionally
+// larger steps so one catch-up never runs more than MAX_TICK_STEPS steps.
+const TICK_STEP_MS = 1000;
+const MAX_TICK_STEPS = 3600;
+// A tick covering more than this is catching up time the tab spent hidden or
+// throttled rather than time the game was in front of the player.
+const LIVE_TICK_MS = 5 * TICK_STEP_MS;
+
+// Simulated clock.  While tick() integrates a step this holds the time at the
+// end of that step; otherwise it is null and gameNow() is the wall clock.
+// Everything in the core that compares against "now" (queues, buffs,
+// expeditions, cooldowns) reads gameNow() so it follows the step being run.
+let simClock = null;
+
+// Report being built by simulateOffline(), or null when not replaying.
+let offlineReport = null;
+
+function gameNow() {
+  return simClock !== null ? simClock : Date.now();
+}
+
+// Longest gap that is credited when the game catches up: base 8 hours plus
+// the hours added by Temporal Rift research.
+function getOfflineCapSeconds() {
+  return getUtilityStat('offlineCapHours') * 3600;
+}
+
+// Advance the simulation to `now` (defaults to the wall clock).
+function tick(now) {
+  now = typeof now === 'number' ? now : Date.now();
+  const last = (typeof game.lastTick === 'number' && game.lastTick > 0) ? game.lastTick : now;
+  const elapsed = Math.min(Math.max(0, now - last), getOfflineCapSeconds() * 1000);
+  if (elapsed > 0) {
+    const steps = Math.min(MAX_TICK_STEPS, Math.ceil(elapsed / TICK_STEP_MS));
+    const stepMs = elapsed / steps;
+    const start = now - elapsed;
+    // Steps before the last LIVE_TICK_MS catch up time spent away, so the
+    // running challenge's offline penalty applies to them.
+    const liveFrom = now - Math.min(elapsed, LIVE_TICK_MS);
+    const catchUpGain = getCatchUpGain();
+    try {
+      for (let i = 1; i <= steps; i++) {
+        simClock = start + i * stepMs;
+        simulateStep(stepMs / 1000, simClock <= liveFrom ? catchUpGain : 1);
+      }
+    } finally {
+      simClock = null;
+    }
+  }
+  // Playtime counts time the game is running; a catch-up after the tab was
+  // hidden or throttled only adds a few seconds.
+  game.playtime = (game.playtime || 0) + Math.min(elapsed, LIVE_TICK_MS) / 1000;
+  // A challenge's clock counts all of it: the catch-up pays out production,
+  // so it cannot come for free (simulateOffline() adds the time away too).
+  if (game.challenges && game.challenges.active) game.challenges.active.seconds = (game.challenges.active.seconds || 0) + elapsed / 1000;
+  game.lastTick = now;
+  runPluginHook('onTick', { dt: elapsed / 1000, offline: false });
+  // Listeners refresh per-second displays (progress bars, timers) and persist.
+  engine.emit('tick');
+}
+
+// Integrate `dt` seconds of production, queues and events ending at gameNow().
+// `gain` (default 1) scales the production paid for the step.
+function simulateStep(dt, gain) {
+  const yieldDt = dt * (typeof gain === 'number' ? gain : 1);
+  // Process any completed forging tasks before adding resources
+  updateForgingQueue();
+  // Process any completed alchemy brews
+  updateAlchemyQueue();
+  // Strike any tribulation waves that have come due
+  updateTribulation();
+  // add resources for this step, including elixir and afterglow bonuses
+  const buffs = getTimedBuffs();
+  const qiPerSec = game.finalQiPerSec.mul(buffs.qiMult);
+  const belowCap = game.qi.lt(game.dantianCap);
+  const qiBefore = game.qi;
+  game.qi = BigNum.min(game.qi.add(qiPerSec.mul(yieldDt)), game.dantianCap);
+  game.lifeQi = game.lifeQi.add(BigNum.max(0, game.qi.sub(qiBefore)));
+  if (belowCap && game.qi.gte(game.dantianCap)) engine.emit('dantian.full', { cap: game.dantianCap });
+  game.herbs += game.finalHerbPerSec * buffs.herbsMult * yieldDt;
+  game.spiritStones += game.finalSpiritStonePerSec * buffs.spiritStonesMult * yieldDt;
+  game.beasts += game.finalBeastPerSec * buffs.beastsMult * yieldDt;
+  game.jade += (game.finalJadePerSec || 0) * buffs.jadeMult * yieldDt;
+  // disciple contributions are handled in recalcProduction; no need to add separately here
+  // update expedition progress
+  updateExpedition();
+
+  // Random Events: occasionally award small bonuses.  To avoid overwhelming
+  // the player, random events can only occur if at least five minutes have
+  // passed since the last event.  Once that cooldown elapses, there is a 5%
+  // chance each second that a random event will occur (compounded over the
+  // length of the step).  When an event triggers, one of several bonuses is
+  // selected at random and granted.
+  const now = gameNow();
+  // 5 minute cooldown: 5 * 60 * 1000 = 300000 ms
+  if (now - (game.lastRandomEvent || 0) > 300000) {
+    if (random() < 1 - Math.pow(0.95, dt)) {
+      const roll = random();
+      // Each row is [roll below, resource, amount, message].
+      const events = [
+        [0.2, 'herbs', 50, 'A wandering herbalist shares 50 herbs with you.'],
+        [0.4, 'spiritStones', 50, 'You discover a modest stone vein! +50 spiritStones.'],
+        [0.6, 'beasts', 25, 'A small pack of spirit beasts crosses your path. +25 beast energy.'],
+        [0.8, 'jade', 1, 'A tiny jade shard lands nearby! +1 jade.'],
+        [1, 'spiritStones', 20, 'A wandering merchant gifts you 20 Spirit Stones.']
+      ];
+      const [, resource, amount, message] = events.find(e => roll < e[0]);
+      // Moderate random event rewards to provide small boosts
+      game[resource] += amount;
+      notifyToast(message, { category: 'events' });
+      engine.emit('random.event', { resource, amount, message });
+      game.lastRandomEvent = now;
+    }
+  }
+}
+
+// Share of production paid while tick() catches up a hidden or throttled
+// tab: the running challenge's offline penalty (Half Offline Gains), which
+// would otherwise only reach simulateOffline().  Offline bonuses such as
+// Spirit Well stay with time spent closed.
+function getCatchUpGain() {
+  return getModifierMult('offlineGain', modifiers.filter(m => m.source === 'challenge')).toNumber();
+}
+
+// Earliest forge or brew finishing or expedition returning strictly after
+// `t`: the timers whose completion the player is told about.
+function getNextTimerEnd(t) {
+  let next = Infinity;
+  const consider = time => {
+    if (typeof time === 'number' && time > t && time < next) next = time;
+  };
+  (game.forgingQueue || []).forEach(task => consider(task.endTime));
+  (game.elixirQueue || []).forEach(task => { if (!task.done) consider(task.endTime); });
+  Object.values(game.activeExpeditions || {}).forEach(exp => exp && consider(exp.endTime));
+  return next;
+}
+
+// Earliest scheduled event strictly after `t`: a timer from
+// getNextTimerEnd(), a tribulation wave striking, an elixir, the afterglow
+// or a Qi deviation wearing off.  Production is
+// constant between these points, so it can be integrated in one piece.
+function getNextEventTime(t) {
+  let next = getNextTimerEnd(t);
+  const consider = time => {
+    if (typeof time === 'number' && time > t && time < next) next = time;
+  };
+  (game.activeElixirs || []).forEach(e => consider(e.expiresAt));
+  consider(game.afterglowExpires);
+  consider(game.qiDeviationExpires);
+  if (game.tribulation && game.tribulation.active) consider(game.tribulation.active.nextWaveAt);
+  return next;
+}
+
+// The UI stops its tick loop while the page is hidden.  Instead this sleeps
+// until the next timer from getNextTimerEnd() is due and ticks then, so the
+// completion events (and the desktop notifications they raise) still fire on
+// time.  Returns a function that stops it.
+function tickAtTimerEnds() {
+  let timer = null;
+  const schedule = () => {
+    const next = getNextTimerEnd(Date.now());
+    if (next === Infinity) return;
+    timer = setTimeout(() => {
+      tick();
+      schedule();
+    }, next - Date.now());
+  };
+  schedule();
+  return () => clearTimeout(timer);
+}
+
+// Replay the time between `from` and `to` (ms timestamps) while the game was
+// closed.  Instead of multiplying the per-second rates by the whole gap, the
+// timeline is walked event by event: forges finishing raise forgingMults
+// partway through, brews land in the inventory, expeditions return and
+// auto-send re-queues them, elixirs expire and Qi stops at the dantian cap.
+// Offline production is boosted by Spirit Well.  Random events do not fire
+// while offline.  Returns a report of what happened.
+function simulateOffline(from, to) {
+  const report = {
+    seconds: Math.max(0, (to - from) / 1000),
+    offlineMult: getUtilityStat('offlineGain'),
+    capSeconds: getOfflineCapSeconds(),
+    production: { qi: 0, herbs: 0, spiritStones: 0, beasts: 0, jade: 0 },
+    // production split by source: { qi: { base, buildings, disciples }, … }
+    bySource: {},
+    expeditionRewards: { herbs: 0, spiritStones: 0, beasts: 0, jade: 0 },
+    qiLost: 0,
+    forged: [],
+    brewed: [],
+    expeditions: []
+  };
+  Object.keys(report.production).forEach(k => {
+    report.bySource[k] = { base: 0, buildings: 0, disciples: 0 };
+  });
+  // Credit production for one resource, attributing it by source.
+  const credit = (res, amount) => {
+    report.production[res] += amount;
+    const split = productionShares[res] || { base: 1, buildings: 0, disciples: 0 };
+    Object.keys(split).forEach(src => { report.bySource[res][src] += amount * split[src]; });
+  };
+  offlineReport = report;
+  try {
+    let t = from;
+    simClock = t;
+    const settle = () => {
+      updateForgingQueue();
+      updateAlchemyQueue();
+      updateTribulation();
+      const before = { herbs: game.herbs, spiritStones: game.spiritStones, beasts: game.beasts, jade: game.jade };
+      updateExpedition();
+      Object.keys(before).forEach(k => { report.expeditionRewards[k] += game[k] - before[k]; });
+    };
+    // Anything that was already due when the game closed completes first.
+    settle();
+    while (t < to) {
+      const next = Math.min(to, getNextEventTime(t));
+      const dt = (next - t) / 1000;
+      const buffs = getTimedBuffs();
+      const qiPerSec = game.finalQiPerSec.mul(buffs.qiMult);
+      const qiGain = qiPerSec.mul(dt * report.offlineMult);
+      const room = BigNum.max(0, game.dantianCap.sub(game.qi));
+      const qiKept = BigNum.min(qiGain, room);
+      // The report itself keeps plain numbers; it only feeds the display.
+      report.qiLost += qiGain.sub(qiKept).toNumber();
+      credit('qi', qiKept.toNumber());
+      game.qi = game.qi.add(qiKept);
+      game.lifeQi = game.lifeQi.add(qiKept);
+      const gains = {
+        herbs: game.finalHerbPerSec * buffs.herbsMult,
+        spiritStones: game.finalSpiritStonePerSec * buffs.spiritStonesMult,
+        beasts: game.finalBeastPerSec * buffs.beastsMult,
+        jade: (game.finalJadePerSec || 0) * buffs.jadeMult
+      };
+      Object.keys(gains).forEach(k => {
+        const amount = (gains[k] || 0) * dt * report.offlineMult;
+        credit(k, amount);
+        game[k] = (game[k] || 0) + amount;
+      });
+      t = next;
+      simClock = t;
+      settle();
+    }
+    checkAchievements();
+    // The time replayed counts against a running challenge's clock.
+    if (game.challenges && game.challenges.active) game.challenges.active.seconds = (game.challenges.active.seconds || 0) + report.seconds;
+    runPluginHook('onTick', { dt: report.seconds, offline: true });
+  } finally {
+    simClock = null;
+    offlineReport = null;
+  }
+  return report;
+}
+
+// Start again the work that finished while the player was away: every
+// expedition type that returned, then each forged artifact and brewed elixir
+// in order until slots or resources run out.  Failures are reported through
+// the usual toasts.
+function requeueOfflineWork(report) {
+  if (!report) return;
+  const types = [];
+  report.expeditions.forEach(e => { if (!types.includes(e.type)) types.push(e.type); });
+  types.forEach(type => {
+    if (!game.activeExpeditions || !game.activeExpeditions[type]) startExpedition(type);
+  });
+  for (const id of report.forged) {
+    if (!startForging(id)) break;
+  }
+  for (const id of report.brewed) {
+    const before = game.elixirQueue.length;
+    craftElixir(id);
+    if (game.elixirQueue.length === before) break;
+  }
+}
+
+// Calculate Qi cost to break through the next layer
+
+// Base layer cost without any discounts (used for cap calculations).  Each
+// pass through the final realm counts as one more realm.
+function getBaseLayerCostNoDiscount() {
+  const base = 100;
+  const exponent = game.subLayer + 9 * (game.stage + (game.transcendences || 0));
+  return BigNum.from(base).mul(BigNum.fromLog10(exponent * Math.log10(2)));
+}
+
+function getLayerCost() {
+  // Base cost increases exponentially per layer and scales by realm.  We multiply the
+  // base cost by 5^stage so each realm starts at 5x the previous realm\'s base cost.
+  // Within a realm, each minor layer doubles the cost.  This yields ever-increasing
+  // breakthrough costs that carry over between realms instead of resetting.
+  // Lower the base breakthrough cost further to improve early progression pacing.
+  // Increase the base breakthrough cost to make realm progression more challenging.
+  // Originally the base was 70; subsequent revisions increased this to 90.  Further
+  // raising the base to 100 pushes breakthrough requirements slightly higher across
+  // all realms and layers (about a 43% increase from 70), resulting in a more
+  // deliberate pace without making progress feel impossible.
+  const base = 100;
+  // New cost formula: each minor layer doubles the cost (2^subLayer) and each
+  // new realm multiplies the cost by 10 (10^stage).  This prevents cost resets
+  // between realms and enforces a steep increase for ascension.
+  // Passes through the final realm keep multiplying the cost by 10, so the
+  // cost is a BigNum to stay finite however long the player transcends.
+  const cost = BigNum.from(base).mul(Math.pow(2, game.subLayer)).mul(new BigNum(1, game.stage + (game.transcendences || 0)));
+  // Apply the Ascension Theory research discount, held to a minimum factor
+  // so the cost never becomes trivial.
+  return cost.mul(getUtilityStat('layerCost'));
+}
+
+// Breakthrough risk (the breakthroughRisk setting).  A minor breakthrough
+// succeeds with `baseChance` plus bonuses for the Qi held beyond the cost
+// (`stabilityPerSurplus` for each extra cost's worth, up to `maxStability`),
+// for research levels and for the breakthrough pill taken, plus the pity
+// built up by failures.  A failure scatters `failQiLoss` of the cost, leaves
+// a Qi deviation that slows Qi/s for `deviationSeconds` and adds
+// `pityPerFailure` to the next attempt; a success clears the pity.
+const breakthroughConfig = {
+  baseChance: 0.6,
+  stabilityPerSurplus: 0.15,
+  maxStability: 0.3,
+  researchPerLevel: 0.005,
+  maxResearch: 0.15,
+  pityPerFailure: 0.1,
+  minChance: 0.05,
+  failQiLoss: 0.5,
+  deviationSeconds: 120,
+  deviationQiMult: 0.75
+};
+
+// Success chance of the next minor breakthrough and its parts:
+//   { chance, base, stability, research, pill, pity }
+// `pill` counts the prepared breakthrough pill and any other
+// breakthroughChance bonuses.
+function getBreakthroughChance() {
+  const cfg = breakthroughConfig;
+  const cost = getLayerCost();
+  const surplus = Math.max(0, game.qi.div(cost).toNumber() - 1);
+  const stability = Math.min(cfg.maxStability, cfg.stabilityPerSurplus * surplus);
+  const researchLevels = Object.values(game.research || {}).reduce((sum, level) => sum + (level || 0), 0);
+  const research = Math.min(cfg.maxResearch, cfg.researchPerLevel * researchLevels);
+  const list = modifiers.concat(getTimedModifiers());
+  const pillDef = game.breakthroughPill && elixirDefs.find(d => d.id === game.breakthroughPill);
+  if (pillDef) applyEffects(pillDef.effects, 1, modifierScope(list, 'elixir', pillDef.id, pillDef.name), getUtilityStat('elixirPotency'));
+  const pill = getUtilityStat('breakthroughChance', list);
+  const pity = game.breakthroughPity || 0;
+  const chance = Math.min(1, Math.max(cfg.minChance, cfg.baseChance + stability + research + pill + pity));
+  return { chance, base: cfg.baseChance, stability, research, pill, pity };
+}
+
+// Roll a minor breakthrough costing `cost` Qi, using up the prepared pill.
+// Returns true on success; a failure applies its penalties here.
+function rollBreakthrough(cost) {
+  const cfg = breakthroughConfig;
+  const { chance } = getBreakthroughChance();
+  game.breakthroughPill = null;
+  if (random() < chance) {
+    game.breakthroughPity = 0;
+    return true;
+  }
+  game.qi = game.qi.sub(cost.mul(cfg.failQiLoss));
+  game.breakthroughPity = (game.breakthroughPity || 0) + cfg.pityPerFailure;
+  game.qiDeviationExpires = gameNow() + cfg.deviationSeconds * 1000;
+  notifyToast(`Breakthrough failed! Your Qi deviates, slowing cultivation for ${cfg.deviationSeconds}s. Your next attempt is ${Math.round(cfg.pityPerFailure * 100)}% more likely to succeed.`, { severity: 'failure', category: 'ascension' });
+  engine.emit('breakthrough.failed', { stage: game.stage, subLayer: game.subLayer, chance });
+  recalcProduction();
+  notifyChange(['ascension', 'alchemy', 'stats']);
+  return false;
+}
+
+// Areas redrawn after a breakthrough, ascension or tribulation.
+const ascensionAreas = ['ascension', 'perks', 'challenges', 'sect', 'stats', 'upgrades', 'research', 'alchemy', 'story'];
+
+// Handle layer breakthrough or realm ascension
+function ascendLayer() {
+  // Calculate the Qi cost for the next breakthrough or ascension.
+  const cost = getLayerCost();
+  const realmStep = game.subLayer >= 8;
+  // Realm ascensions past the first are guarded by a tribulation: only one
+  // can run at a time and a failed one must be recovered from first.
+  if (realmStep && game.stage >= tribulationConfig.minStage) {
+    const trib = game.tribulation;
+    if (trib.active) {
+      notifyToast('The tribulation is already underway.', { severity: 'warning', category: 'ascension' });
+      return;
+    }
+    const wait = Math.ceil(((trib.cooldownUntil || 0) - gameNow()) / 1000);
+    if (wait > 0) {
+      notifyToast(`Your meridians are still recovering from the last tribulation. Try again in ${wait}s.`, { severity: 'warning', category: 'ascension' });
+      return;
+    }
+  }
+  // Players must have enough Qi to proceed.
+  if (game.qi.lt(cost)) {
+    notifyToast('Not enough Qi', { severity: 'warning', category: 'ascension' });
+    return;
+  }
+  // Check resource requirements if the player is about to ascend to a new realm.
+  // In the first realm (Qi Gathering, stage 0) only Qi is required, so skip extra
+  // resource checks.  For later realms, herbs, spiritStones, beasts and jade are
+  // consumed in increasing amounts.  This allows new players to ascend out of
+  // the first realm without worrying about other resources.
+  const paid = { herbs: 0, spiritStones: 0, beasts: 0, jade: 0 };
+  if (realmStep) {
+    const stage = game.stage;
+    // Only enforce resource requirements when ascending beyond the first realm.
+    if (stage > 0) {
+      const herbCost = 100 * Math.pow(2, stage);
+      const stoneCost = 100 * Math.pow(2, stage);
+      const beastCost = 50 * Math.pow(2, stage);
+      const jadeCost = Math.pow(2, stage);
+      if (game.herbs < herbCost || game.spiritStones < stoneCost || game.beasts < beastCost || game.jade < jadeCost) {
+        notifyToast(`Insufficient resources to ascend. Need ${formatNumber(herbCost)} Herbs, ${formatNumber(stoneCost)} Spirit Stones, ${formatNumber(beastCost)} Beast Energy and ${formatNumber(jadeCost)} Jade.`, { severity: 'warning', category: 'ascension' });
+        return;
+      }
+      // Deduct the required resources for ascension.
+      game.herbs -= herbCost;
+      game.spiritStones -= stoneCost;
+      game.beasts -= beastCost;
+      game.jade -= jadeCost;
+      Object.assign(paid, { herbs: herbCost, spiritStones: stoneCost, beasts: beastCost, jade: jadeCost });
+    }
+  }
+  // With breakthrough risk enabled a minor breakthrough may fail.
+  if (!realmStep && game.settings.breakthroughRisk && !rollBreakthrough(cost)) return;
+  // Deduct the Qi cost now that all requirements are satisfied.
+  game.qi = game.qi.sub(cost);
+  if (!realmStep) {
+    // Minor breakthrough: advance the sub‑layer and apply a modest boost.
+    game.subLayer++;
+    // Each layer increases overall Qi output by 2% (0.02 multiplier).
+    // Previously this was 5%, but ascension mechanics have been adjusted for
+    // a smoother, less explosive growth curve.
+    game.layerMult = game.layerMult.mul(1.02);
+    // Increment the total breakthrough counter for minor breakthroughs.  This
+    // counter tracks both minor layer breakthroughs and realm ascensions.  It
+    // drives progress for quests and bounties that measure cumulative
+    // breakthroughs.  Without incrementing here, only realm ascensions would
+    // count, resulting in progress increments every nine layers instead of
+    // each breakthrough.
+    game.totalBreakthroughs = (game.totalBreakthroughs || 0) + 1;
+    notifyToast('Breakthrough successful!', { severity: 'success', category: 'ascension' });
+    engine.emit('layer.breakthrough', { stage: game.stage, subLayer: game.subLayer });
+  } else if (game.stage >= tribulationConfig.minStage) {
+    // The costs are held by the tribulation until its waves are resolved.
+    startTribulation(cost, paid);
+    return;
+  } else {
+    completeRealmAscension(cost);
+  }
+  recalcProduction();
+  notifyChange(ascensionAreas);
+}
+
+// Complete the 9th layer: ascend to the next realm, or start the final realm
+// over.  `cost` is the Qi paid, which sets the Spirit Stone reward.  Returns
+// the Ascension Points awarded.
+function completeRealmAscension(cost) {
+  const finalRealm = realms.length - 1;
+  const atFinalRealm = game.stage >= finalRealm;
+  // Reset the sub‑layer counter and apply the realm multiplier.  Each realm
+  // ascended grants a 10% bonus to all Qi production.  Previously this
+  // bonus was 40% which caused very steep scaling.
+  game.subLayer = 0;
+  game.layerMult = game.layerMult.mul(1.10);
+  game.totalBreakthroughs = (game.totalBreakthroughs || 0) + 1;
+  // Calculate Spirit Stone reward based on the Qi cost and various bonuses.
+  // Spirit Stones stay plain numbers, so the reward is held to the safe
+  // integer range.
+  let reward = Math.floor(Math.min(cost.pow(0.65).div(1000).toNumber(), Number.MAX_SAFE_INTEGER));
+  // Apply the ascension reward modifiers (Soul Refinement, Soul Search,
+  // Eternal Flame and the Eternal Cycle story choice).
+  reward = Math.floor(Math.min(reward * getUtilityStat('ascensionReward'), Number.MAX_SAFE_INTEGER));
+  game.spiritStones += reward;
+  // Award Ascension Points proportional to Spirit Stones (minimum of 1).
+  const apReward = Math.max(1, Math.floor(reward / 10));
+  game.ascensionPoints += apReward;
+  // Reset Qi after ascension.
+  game.qi = new BigNum(0, 0);
+  if (atFinalRealm) {
+    // Remain in the final realm; each pass raises the costs like a new realm.
+    game.transcendences = (game.transcendences || 0) + 1;
+    notifyToast(`You have transcended beyond Eternal Godhood! Reward: ${formatNumber(reward)} Spirit Stones`, { severity: 'success', category: 'ascension' });
+  } else {
+    // Advance to the next realm.
+    game.stage++;
+    notifyToast(`Ascended to ${getRealmName(game.stage)}! Reward: ${formatNumber(reward)} Spirit Stones`, { severity: 'success', category: 'ascension' });
+    // Unlock new features at specific stages.
+    if (game.stage === 1) {
+      notifyToast('Research unlocked! New studies await in the Cultivation hall.', { category: 'ascension' });
+    } else if (game.stage === 2) {
+      notifyToast('New buildings have been unlocked within your sect.', { category: 'ascension' });
+    } else if (game.stage === 3) {
+      notifyToast('Forging unlocked! The forge within your sect is now available.', { category: 'ascension' });
+    }
+  }
+  engine.emit('realm.ascended', { stage: game.stage, reward, transcended: atFinalRealm });
+  checkChallengeGoal();
+  return apReward;
+}
+
+// Heavenly tribulation.  Every realm ascension from `minStage` on calls down
+// `waves` lightning strikes, `waveSeconds` apart.  Each strike is withstood
+// with chance power / (power + strength), where power comes from Qi/s, Body
+// Cultivation, Swordplay and forged artifacts (scaled by the
+// tribulationPower stat: Thunderward Pills, Thunder Ward Charms) and the
+// strength grows with the realm and with each wave.  Withstanding most
+// waves completes the ascension with `apBonusPerWave` extra AP per wave
+// withstood; otherwise the resources are returned, `qiLoss` of the Qi cost
+// is lost and ascending is blocked for `cooldownSeconds`.
+const tribulationConfig = {
+  minStage: 1,
+  waves: 3,
+  waveSeconds: 10,
+  strength: 20,
+  strengthPerWave: 0.5,
+  minChance: 0.05,
+  maxChance: 0.95,
+  apBonusPerWave: 0.25,
+  qiLoss: 0.25,
+  cooldownSeconds: 300
+};
+
+// Power brought against a tribulation, including active elixirs.
+function getTribulationPower() {
+  const qiScore = 10 * Math.max(0, game.finalQiPerSec.add(1).log10());
+  const base = qiScore + 4 * (game.bodyCultivationLevel || 0) + 4 * (game.swordplayLevel || 0) + 2 * (game.artifactsForged || 0);
+  return base * getUtilityStat('tribulationPower', modifiers.concat(getTimedModifiers()));
+}
+
+// Strength of a wave (0-based) of the tribulation guarding `stage`.
+function getTribulationStrength(stage, wave) {
+  const cfg = tribulationConfig;
+  return cfg.strength * Math.max(1, stage) * (1 + cfg.strengthPerWave * wave);
+}
+
+// Chance of withstanding a wave with the current power.
+function getTribulationChance(stage, wave) {
+  const power = getTribulationPower();
+  const strength = getTribulationStrength(stage, wave);
+  const chance = power / (power + strength);
+  return Math.min(tribulationConfig.maxChance, Math.max(tribulationConfig.minChance, chance));
+}
+
+// Begin the tribulation for the realm ascension whose Qi `cost` and
+// resources `paid` have been deducted.
+function startTribulation(cost, paid) {
+  const cfg = tribulationConfig;
+  game.tribulation.active = {
+    stage: game.stage,
+    waves: cfg.waves,
+    wave: 0,
+    results: [],
+    nextWaveAt: gameNow() + cfg.waveSeconds * 1000,
+    qiCost: cost.toJSON(),
+    paid
+  };
+  notifyToast(`Heavenly tribulation descends! Withstand ${cfg.waves} waves of lightning.`, { severity: 'warning', category: 'ascension' });
+  engine.emit('tribulation.started', { stage: game.stage, waves: cfg.waves });
+  notifyChange(['ascension', 'stats']);
+}
+
+// Strike the waves of the active tribulation that are due by gameNow(), and
+// settle it after the last one.
+function updateTribulation() {
+  const trib = game.tribulation && game.tribulation.active;
+  if (!trib) return;
+  const now = gameNow();
+  while (trib.wave < trib.waves && now >= trib.nextWaveAt) {
+    const chance = getTribulationChance(trib.stage, trib.wave);
+    const passed = random() < chance;
+    trib.results.push(passed);
+    trib.wave++;
+    trib.nextWaveAt += tribulationConfig.waveSeconds * 1000;
+    if (passed) {
+      notifyToast(`Lightning wave ${trib.wave}/${trib.waves} withstood!`, { severity: 'success', category: 'ascension' });
+    } else {
+      notifyToast(`Lightning wave ${trib.wave}/${trib.waves} breaks through your defences.`, { severity: 'warning', category: 'ascension' });
+    }
+    engine.emit('tribulation.wave', { wave: trib.wave, passed, chance });
+  }
+  if (trib.wave < trib.waves) {
+    notifyChange(['ascension']);
+    return;
+  }
+  const passed = trib.results.filter(Boolean).length;
+  const success = passed * 2 > trib.waves;
+  const cost = BigNum.from(trib.qiCost);
+  game.tribulation.active = null;
+  let bonusAp = 0;
+  if (success) {
+    notifyToast(`You survived the heavenly tribulation (${passed}/${trib.waves} waves)!`, { severity: 'success', category: 'ascension' });
+    const apReward = completeRealmAscension(cost);
+    bonusAp = Math.max(1, Math.floor(apReward * tribulationConfig.apBonusPerWave * passed));
+    game.ascensionPoints += bonusAp;
+    notifyToast(`Tribulation bonus: +${formatNumber(bonusAp)} Ascension Points.`, { severity: 'success', category: 'ascension' });
+  } else {
+    // The resources are returned; part of the Qi is scattered by the
+    // lightning and the rest flows back, up to the dantian cap.
+    Object.keys(trib.paid || {}).forEach(res => { game[res] = (game[res] || 0) + trib.paid[res]; });
+    const lost = cost.mul(tribulationConfig.qiLoss);
+    game.qi = BigNum.min(game.qi.add(cost.sub(lost)), game.dantianCap);
+    game.tribulation.cooldownUntil = now + tribulationConfig.cooldownSeconds * 1000;
+    notifyToast(`The tribulation overwhelmed you (${passed}/${trib.waves} waves). ${formatNumber(lost)} Qi was lost; you must recover for ${Math.round(tribulationConfig.cooldownSeconds / 60)} minutes.`, { severity: 'failure', category: 'ascension' });
+  }
+  engine.emit('tribulation.ended', { stage: trib.stage, success, passed, bonusAp });
+  recalcProduction();
+  notifyChange(ascensionAreas);
+}
+
+// Reincarnation.  Once the final realm is reached the cultivator may end the
+// life: stage, layers, upgrades, research and buildings are wiped along with
+// Qi, and Karma is awarded from the breakthroughs made and the Qi gathered
+// in that life.  Karma, the Karma tree, skills, disciples, artifacts,
+// Ascension Points and perks carry over.  At most `historyLimit` past lives
+// are kept.
+const reincarnationConfig = {
+  karmaScale: 0.5,
+  historyLimit: 20
+};
+
+// Whether the current life may end in reincarnation.
+function canReincarnate() {
+  return game.stage >= realms.length - 1 && !(game.tribulation && game.tribulation.active);
+}
+
+// Statistics of the current life.
+function getLifeStats() {
+  const start = game.lifeStart || { breakthroughs: 0, playtime: 0 };
+  return {
+    breakthroughs: Math.max(0, (game.totalBreakthroughs || 0) - (start.breakthroughs || 0)),
+    playtime: Math.max(0, (game.playtime || 0) - (start.playtime || 0)),
+    transcendences: game.transcendences || 0,
+    qi: game.lifeQi
+  };
+}
+
+// Karma awarded for reincarnating now: √(breakthroughs this life) ×
+// log10(Qi gathered this life) × karmaScale, raised by the karmaGain stat.
+function getKarmaGain() {
+  const life = getLifeStats();
+  const qiLog = Math.max(0, life.qi.add(1).log10());
+  return Math.floor(Math.sqrt(life.breakthroughs) * qiLog * reincarnationConfig.karmaScale * getUtilityStat('karmaGain'));
+}
+
+// End the current life and begin the next one at the first realm.
+function reincarnate() {
+  if (!canReincarnate()) {
+    notifyToast(`Only a cultivator who has reached ${getRealmName(realms.length - 1)} can reincarnate.`, { severity: 'warning', category: 'ascension' });
+    return;
+  }
+  const life = getLifeStats();
+  const karma = getKarmaGain();
+  game.reincarnations = (game.reincarnations || 0) + 1;
+  game.karma = (game.karma || 0) + karma;
+  game.pastLives = Array.isArray(game.pastLives) ? game.pastLives : [];
+  game.pastLives.unshift({
+    life: game.reincarnations,
+    breakthroughs: life.breakthroughs,
+    transcendences: life.transcendences,
+    qi: life.qi.toJSON(),
+    playtime: life.playtime,
+    karma,
+    endedAt: Date.now()
+  });
+  game.pastLives.length = Math.min(game.pastLives.length, reincarnationConfig.historyLimit);
+  resetRun();
+  game.lifeStart = { breakthroughs: game.totalBreakthroughs || 0, playtime: game.playtime || 0 };
+  game.lifeQi = new BigNum(0, 0);
+  notifyToast(`You are reborn as a mortal once more. Life ${game.reincarnations + 1} begins with ${formatNumber(karma)} Karma earned.`, { severity: 'success', category: 'ascension' });
+  recalcProduction();
+  engine.emit('reincarnated', { life: game.reincarnations, karma });
+  notifyChange(ascensionAreas);
+}
+
+// Challenge runs.  Starting one sets the current run aside and begins a
+// fresh cultivation (as reincarnation does, and with no resources either)
+// under the challenge's constraints: `effects` apply while it runs, and
+// `rules` switch off parts of the game (noDisciples, riskyExpeditions,
+// noManualGather).  Ascending to `targetStage` completes it; the first
+// completion grants `reward` for good, and every completion time goes on the
+// challenge's local leaderboard.  Completing or abandoning a challenge
+// restores the run that was set aside.
+const challengeDefs = [
+  {
+    id: 'noDisciples',
+    name: 'No Disciples',
+    desc: 'Disciples neither produce nor lend their traits, and none can be recruited.',
+    targetStage: 3,
+    rules: { noDisciples: true },
+    reward: { desc: '+10% Qi/s', effects: [{ type: 'multStat', stat: 'qi', factor: 1.1 }] }
+  },
+  {
+    id: 'riskyExpeditions',
+    name: 'Expeditions Always Risky',
+    desc: 'Every expedition has at least a 50% chance to fail.',
+    targetStage: 3,
+    rules: { riskyExpeditions: true },
+    reward: { desc: '+15% expedition rewards', effects: [{ type: 'multStat', stat: 'expeditionReward', factor: 1.15 }] }
+  },
+  {
+    id: 'costlyUpgrades',
+    name: 'Upgrades Cost ×3',
+    desc: 'Every upgrade costs three times as much.',
+    targetStage: 4,
+    effects: [{ type: 'multStat', stat: 'upgradeCost', factor: 3 }],
+    reward: { desc: 'Upgrades cost 5% less', effects: [{ type: 'reduceCost', stat: 'upgradeCost', amount: 0.05 }] }
+  },
+  {
+    id: 'noMeditation',
+    name: 'No Manual Meditation',
+    desc: 'Meditating by hand gathers no Qi.',
+    targetStage: 3,
+    rules: { noManualGather: true },
+    reward: { desc: '+50% Qi per tap', effects: [{ type: 'multStat', stat: 'qiPerTap', factor: 1.5 }] }
+  },
+  {
+    id: 'halfOffline',
+    name: 'Half Offline Gains',
+    desc: 'Time away from the game yields half as much.',
+    targetStage: 3,
+    effects: [{ type: 'multStat', stat: 'offlineGain', factor: 0.5 }],
+    reward: { desc: '+2 hours of offline time', effects: [{ type: 'addStat', stat: 'offlineCapHours', amount: 2 }] }
+  }
+];
+
+// Completion times kept per challenge, fastest first.
+const CHALLENGE_LEADERBOARD_SIZE = 5;
+
+// Wiped at the start of every new cultivation, by reincarnation or a
+// challenge: realm, layers, upgrades, research, buildings and Qi.
+function resetRun() {
+  game.qi = new BigNum(0, 0);
+  game.stage = 0;
+  game.subLayer = 0;
+  game.layerMult = new BigNum(1, 0);
+  game.transcendences = 0;
+  game.upgrades = {};
+  game.research = {};
+  game.buildings = {};
+  game.tribulation = { active: null, cooldownUntil: 0 };
+  game.breakthroughPity = 0;
+}
+
+// Fields of the main run that a challenge starts over.  They are set aside
+// when the challenge begins and put back when it ends, so a challenge never
+// costs the player their run and nothing earned in it (Ascension Points,
+// perks bought with them, brewed elixirs) carries over.  The run's
+// expeditions, forges, brews and elixir buffs wait with it.  Everything else
+// (Karma and its perks, disciples, forged artifacts, story, achievements) is
+// shared by the challenge and the main run.
+const challengeRunFields = ['qi', 'stage', 'subLayer', 'layerMult', 'transcendences', 'upgrades', 'research', 'buildings', 'tribulation', 'breakthroughPity', 'herbs', 'spiritStones', 'beasts', 'jade', 'lifeQi', 'ascensionPoints', 'ascensionPerks', 'perkRespecs', 'activeExpeditions', 'forgingQueue', 'elixirQueue', 'activeElixirs', 'elixirInventory', 'breakthroughPill', 'qiDeviationExpires'];
+
+// Copy of the main run's fields (BigNums are stored as strings, as in saves).
+function snapshotRun() {
+  const run = { totalBreakthroughs: game.totalBreakthroughs || 0, setAsideAt: gameNow() };
+  challengeRunFields.forEach(key => { run[key] = game[key]; });
+  return JSON.parse(JSON.stringify(run));
+}
+
+// Put a run set aside by snapshotRun() back.  Its timers were paused, so
+// they move on by the time it spent set aside.  Breakthroughs made during the
+// challenge still count in the lifetime total but not towards this life's
+// Karma.
+function restoreRun(run) {
+  if (!run) return;
+  challengeRunFields.forEach(key => {
+    if (key in run) game[key] = key in bigNumFields ? BigNum.from(run[key]) : run[key];
+  });
+  const away = typeof run.setAsideAt === 'number' ? Math.max(0, gameNow() - run.setAsideAt) : 0;
+  if (away > 0) {
+    Object.values(game.activeExpeditions || {}).forEach(exp => { if (exp) exp.endTime += away; });
+    (game.forgingQueue || []).forEach(task => { task.endTime += away; });
+    (game.elixirQueue || []).forEach(task => { task.endTime += away; });
+    (game.activeElixirs || []).forEach(e => { e.expiresAt += away; });
+    if (game.qiDeviationExpires > run.setAsideAt) game.qiDeviationExpires += away;
+  }
+  const extra = Math.max(0, (game.totalBreakthroughs || 0) - (run.totalBreakthroughs || 0));
+  if (game.lifeStart) game.lifeStart.breakthroughs = (game.lifeStart.breakthroughs || 0) + extra;
+}
+
+// The challenge being run, or null.
+function getActiveChallenge() {
+  const active = game.challenges && game.challenges.active;
+  return (active && challengeDefs.find(def => def.id === active.id)) || null;
+}
+
+// Whether the running challenge switches on `rule`.
+function challengeRule(rule) {
+  const def = getActiveChallenge();
+  return !!(def && def.rules && def.rules[rule]);
+}
+
+// Begin a challenge run.
+function startChallenge(id) {
+  const def = challengeDefs.find(c => c.id === id);
+  if (!def) return;
+  if (getActiveChallenge()) {
+    notifyToast('Abandon the current challenge before starting another.', { severity: 'warning', category: 'ascension' });
+    return;
+  }
+  if (game.tribulation && game.tribulation.active) {
+    notifyToast('The tribulation is already underway.', { severity: 'warning', category: 'ascension' });
+    return;
+  }
+  // `seconds` counts every second that pays out production: played, caught
+  // up in a hidden tab or replayed offline (see tick() and simulateOffline()).
+  game.challenges.active = { id, startedAt: gameNow(), seconds: 0, savedRun: snapshotRun() };
+  resetRun();
+  game.herbs = 0;
+  game.spiritStones = 0;
+  game.beasts = 0;
+  game.jade = 0;
+  game.activeExpeditions = {};
+  game.forgingQueue = [];
+  game.elixirQueue = [];
+  game.activeElixirs = [];
+  game.elixirInventory = {};
+  game.breakthroughPill = null;
+  game.qiDeviationExpires = 0;
+  notifyToast(`Challenge started: ${def.name}. Reach ${getRealmName(def.targetStage)} to complete it.`, { severity: 'success', category: 'ascension' });
+  recalcProduction();
+  engine.emit('challenge.started', { id });
+  notifyChange(ascensionAreas.concat(['disciples', 'expeditions', 'forging']));
+}
+
+// Give up the running challenge, without a reward, and return to the run
+// that was set aside when it began.
+function abandonChallenge() {
+  const def = getActiveChallenge();
+  if (!def) return;
+  const saved = game.challenges.active.savedRun;
+  game.challenges.active = null;
+  restoreRun(saved);
+  notifyToast(`Challenge abandoned: ${def.name}.`, { severity: 'warning', category: 'ascension' });
+  recalcProduction();
+  engine.emit('challenge.abandoned', { id: def.id });
+  notifyChange(ascensionAreas.concat(['disciples', 'expeditions', 'forging']));
+}
+
+// Complete the running challenge once its target realm is reached and return
+// to the run that was set aside when it began.
+function checkChallengeGoal() {
+  const def = getActiveChallenge();
+  if (!def || game.stage < def.targetStage) return;
+  const seconds = game.challenges.active.seconds || 0;
+  const saved = game.challenges.active.savedRun;
+  const first = !game.challenges.completed[def.id];
+  game.challenges.completed[def.id] = (game.challenges.completed[def.id] || 0) + 1;
+  const board = (game.challenges.best[def.id] || []).concat([{ seconds, date: Date.now() }]);
+  board.sort((a, b) => a.seconds - b.seconds);
+  game.challenges.best[def.id] = board.slice(0, CHALLENGE_LEADERBOARD_SIZE);
+  const best = game.challenges.best[def.id][0].seconds === seconds;
+  game.challenges.active = null;
+  restoreRun(saved);
+  let message = `Challenge complete: ${def.name} in ${Math.round(seconds)}s!`;
+  if (first) message += ` Permanent reward: ${def.reward.desc}.`;
+  else if (best) message += ' A new best time!';
+  notifyToast(message, { severity: 'success', category: 'ascension' });
+  recalcProduction();
+  engine.emit('challenge.completed', { id: def.id, seconds, best });
+  notifyChange(ascensionAreas.concat(['disciples', 'expeditions', 'forging']));
+}
+
+// Manual gather
+function gatherQi() {
+  if (challengeRule('noManualGather')) {
+    notifyToast('Manual meditation is sealed during this challenge.', { severity: 'warning', category: 'ascension' });
+    return;
+  }
+  // game.qiPerTap already includes lasting modifiers (and the testing
+  // multiplier); elixirs add their timed bonus on top.
+  const buffs = getTimedBuffs();
+  const tapVal = game.qiPerTap * buffs.tapMult + buffs.tapFlat;
+  const qiBefore = game.qi;
+  game.qi = BigNum.min(game.qi.add(tapVal), game.dantianCap);
+  game.lifeQi = game.lifeQi.add(BigNum.max(0, game.qi.sub(qiBefore)));
+  engine.emit('qi.gathered', { amount: tapVal });
+  notifyChange(['stats']);
+}
+
+// Fields of `game` held as BigNums, with the value used when a save has none.
+const bigNumFields = { qi: 0, dantianCap: 1e6, layerMult: 1, finalQiPerSec: 0, lifeQi: 0 };
+
+// Turn the BigNum fields back into BigNums after save data (where they are
+// strings) has been copied onto `game`.
+function reviveBigNums() {
+  Object.keys(bigNumFields).forEach(key => {
+    game[key] = BigNum.from(game[key] == null ? bigNumFields[key] : game[key]);
+  });
+}
+
+// Reset the in-memory game state to a fresh start.  Persistence (clearing the
+// save) and UI refresh are the caller's responsibility.
+function resetState() {
+  game.qi = new BigNum(0, 0);
+  game.qiPerTap = 1;
+  game.qiPerSec = 0;
+  game.herbs = 0;
+  game.spiritStones = 0;
+  game.beasts = 0;
+  game.jade = 0;
+  game.spiritStones = 0;
+  game.dantianCap = new BigNum(1, 6);
+  game.dantianMult = 1;
+  game.stage = 0;
+  game.subLayer = 0;
+  game.upgrades = {};
+  game.research = {};
+  game.multQi = 1;
+  game.multHerbs = 1;
+  game.multSpiritStones = 1;
+  game.multBeasts = 1;
+  game.layerMult = new BigNum(1, 0);
+  game.lastTick = gameNow();
+  game.autoSend = false;
+  game.lastExpeditionType = null;
+  // activeExpedition is deprecated; use activeExpeditions map instead.  Do not set this property on reset.
+  game.afterglowExpires = 0;
+  game.achCollapsed = false;
+  game.loreCollapsed = false;
+  game.questTimestamp = 0;
+  game.expeditionPity = { herb: 0, stone: 0, beast: 0, beastLair: 0 };
+  game.buildings = {};
+  game.ascensionPoints = 0;
+  game.ascensionPerks = {};
+  game.perkRespecs = 0;
+  game.challenges = { active: null, completed: {}, best: {} };
+  game.bountyTimestamp = 0;
+  game.bounties = {};
+  // Reset quest and bounty progress stored on the game object.  Without
+  // clearing these objects, stale quest and bounty data could leak into
+  // a fresh game when the player chooses to reset.
+  game.quests = {};
+  game.bounties = {};
+  game.forgingBuffMult = 1;
+  // Reset new forging system state
+  game.forgingMults = { qi: 1, herbs: 1, spiritStones: 1, beasts: 1 };
+  game.forgingQueue = [];
+  game.forgingRiskMult = 1;
+  game.disciples = [];
+  // Clear alchemy and expedition state
+  game.elixirQueue = [];
+  game.elixirInventory = {};
+  game.activeElixirs = [];
+  game.elixirOverdose = {};
+  game.selectedPartyIdxs = [];
+  game.activeExpeditions = {};
+  // Reset forging slots and time multiplier to default values
+  game.forgingSlots = 1;
+  game.forgingTimeMult = 1;
+  // Reset disciple assignments
+  game.discipleAssignments = {};
+  // Reset bounty and daily/weekly tasks
+  game.dailyBounties = [];
+  game.weeklyBounties = [];
+  game.dailySeed = 0;
+  game.weekSeed = 0;
+  // A new game gets a new random stream
+  seedRandom();
+  // Reset the manual Qi per tap multiplier.  The testing toggle should
+  // always start disabled after a reset or in a new game.
+  game.qiPerTapMult = 1;
+  // Reset the passive Qi per second multiplier as well.  When starting a new game
+  // or resetting, the "Qi per second ×100" testing toggle should default to
+  // disabled (multiplier of 1).  Failing to reset this value would cause the
+  // game to remember the last multiplier state across new games.
+  game.qiPerSecMult = 1;
+  // Initialise story‑related multipliers for forging cost, expedition time,
+  // disciple output and ascension rewards.  These default to 1 (no effect)
+  // and may be modified by story choices.
+  game.forgeCostMult = 1;
+  game.expeditionTimeMult = 1;
+  game.discipleMult = 1;
+  game.ascensionRewardMult = 1;
+  // Tutorial state removed; nothing to initialise here
+  // Initialise relic collection tracking
+  game.relics = {};
+  // Reset story progress so players can experience the narrative anew
+  game.story = { choices: {} };
+  // Reset feature notification state.  When starting a new game, no screens
+  // should display the “!” badge until the player unlocks them again.  Clear
+  // the newFeatures and featuresSeen maps and collapse any expanded
+  // expedition details.
+  game.newFeatures = {};
+  game.featuresSeen = {};
+  game.expandedExpeditions = {};
+  // Reset counters and random event timer
+  game.expeditionsCompleted = 0;
+  game.bountiesClaimed = 0;
+  game.artifactsForged = 0;
+  game.lastRandomEvent = 0;
+  // Reset additional multipliers
+  game.multJade = 1;
+  // Reset breakthrough tracking
+  game.totalBreakthroughs = 0;
+  game.transcendences = 0;
+  game.playtime = 0;
+  game.pluginData = {};
+  game.eventLog = [];
+  game.tribulation = { active: null, cooldownUntil: 0 };
+  game.breakthroughPill = null;
+  game.breakthroughPity = 0;
+  game.qiDeviationExpires = 0;
+  game.karma = 0;
+  game.karmaPerks = {};
+  game.reincarnations = 0;
+  game.pastLives = [];
+  game.lifeStart = { breakthroughs: 0, playtime: 0 };
+  game.lifeQi = new BigNum(0, 0);
+  // reset skill levels
+  for (const def of skillDefs) {
+    game[`${def.id}Level`] = 0;
+  }
+  // Reset settings to defaults
+  game.settings = { colorBlind: false, largeFont: false, reduceMotion: false, theme: 'dark', backgroundIndex: 0, sectTab: 'management' };
+  recalcProduction();
+}
+
+// Content loading.  The content tables above are declared empty and filled
+// from one JSON file per table, so balance can be tuned without touching
+// the code.  Each file holds a list of entries; installContent() checks
+// every entry against contentSchema (field types, unique ids, known effect
+// types and stats) and only installs the content when all files pass.  In
+// the browser loadContent() fetches the files before init(); under Node the
+// files are required when this module loads.
+const contentFiles = {
+  upgrades: 'content/upgrades.json',
+  research: 'content/research.json',
+  skills: 'content/skills.json',
+  artifacts: 'content/artifacts.json',
+  elixirs: 'content/elixirs.json',
+  expeditions: 'content/expeditions.json',
+  buildings: 'content/buildings.json',
+  story: 'content/story.json',
+  relics: 'content/relics.json'
+};
+
+const contentTables = {
+  upgrades: upgradeDefs,
+  research: researchDefs,
+  skills: skillDefs,
+  artifacts: artifactDefs,
+  elixirs: elixirDefs,
+  expeditions: expeditionDefs,
+  buildings: buildingDefs,
+  story: storyDefs,
+  relics: relicDefs
+};
+
+// Fields of each table's entries: 'string', 'number', 'object', 'list' or
+// 'effects' (a list of effects, see effectTypes); a leading '?' marks an
+// optional field and a nested object describes a list of sub-entries.
+const contentSchema = {
+  upgrades: { id: 'string', name: 'string', desc: 'string', baseCost: 'number', costMult: 'number', maxLevel: '?number', unlockStage: 'number', effects: 'effects' },
+  research: { id: 'string', name: 'string', desc: 'string', baseCost: 'number', costMult: 'number', unlockStage: 'number', prereq: '?object', effects: 'effects' },
+  skills: { id: 'string', name: 'string', desc: 'string', baseCost: 'number', costMult: 'number', currency: '?string', effects: 'effects' },
+  artifacts: { id: 'string', name: 'string', desc: 'string', buffType: 'string', buffValue: 'number', baseCost: 'number', baseTime: 'number', unlockStage: 'number' },
+  elixirs: { id: 'string', name: 'string', desc: 'string', category: '?string', baseBrew: 'number', duration: '?number', unlockStage: '?number', costs: 'object', effects: 'effects' },
+  expeditions: { id: 'string', name: 'string', baseDuration: 'number', reward: 'object', risk: 'number' },
+  buildings: { id: 'string', name: 'string', desc: 'string', baseCost: 'number', costMult: 'number', resource: 'string', amountPerSec: 'number', unlockStage: 'number' },
+  story: { stage: 'number', title: 'string', content: 'list', choices: { id: 'string', desc: 'string', effects: 'effects' } },
+  relics: { id: 'string', name: 'string', threshold: 'number', effects: 'effects' }
+};
+
+// Stats an effect may target.
+const contentStats = Object.keys(productionStats).concat(['qiPerTap', 'dantian', 'discipleQi', 'disciples'], Object.keys(utilityStats));
+
+// Check one value against a schema type, pushing problems onto `errors`.
+function checkContentValue(value, type, where, errors) {
+  if (typeof type === 'object') {
+    if (!Array.isArray(value)) {
+      errors.push(`${where} is not a list`);
+      return;
+    }
+    value.forEach((entry, i) => checkContentEntry(entry, type, `${where}[${i}]`, errors));
+  } else if (type === 'effects') {
+    if (!Array.isArray(value)) {
+      errors.push(`${where} is not a list`);
+      return;
+    }
+    value.forEach((effect, i) => {
+      const def = effect && effectTypes[effect.type];
+      if (!def) {
+        errors.push(`${where}[${i}] has unknown effect type ${effect && JSON.stringify(effect.type)}`);
+        return;
+      }
+      checkContentEntry(effect, Object.assign({ type: 'string' }, def.params), `${where}[${i}]`, errors);
+      if (typeof effect.stat === 'string' && !contentStats.includes(effect.stat)) {
+        errors.push(`${where}[${i}] targets unknown stat "${effect.stat}"`);
+      }
+      if (effect.type === 'reduceCost' && !utilityStats[effect.stat]) {
+        errors.push(`${where}[${i}] reduces "${effect.stat}", which is not a cost or time stat`);
+      }
+    });
+  } else if (type === 'number') {
+    if (typeof value !== 'number' || !isFinite(value)) errors.push(`${where} is not a finite number`);
+  } else if (type === 'list') {
+    if (!Array.isArray(value)) errors.push(`${where} is not a list`);
+  } else if (type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) errors.push(`${where} is not an object`);
+  } else if (typeof value !== type) {
+    errors.push(`${where} is not a ${type}`);
+  }
+}
+
+// Check one entry's fields against `spec`.  Unknown fields are reported so a
+// misspelt field does not silently fall back to a default.
+function checkContentEntry(entry, spec, where, errors) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    errors.push(`${where} is not an object`);
+    return;
+  }
+  Object.keys(spec).forEach(key => {
+    const type = spec[key];
+    const optional = typeof type === 'string' && type[0] === '?';
+    if (!(key in entry)) {
+      if (!optional) errors.push(`${where} is missing ${key}`);
+      return;
+    }
+    checkContentValue(entry[key], optional ? type.slice(1) : type, `${where}.${key}`, errors);
+  });
+  Object.keys(entry).forEach(key => {
+    if (!(key in spec)) errors.push(`${where} has unknown field ${key}`);
+  });
+}
+
+// Check one content table against contentSchema.  Returns a list of
+// problems; an empty list means the table is usable.
+function validateContent(name, entries) {
+  const spec = contentSchema[name];
+  if (!spec) return [`unknown content table ${name}`];
+  if (!Array.isArray(entries)) return [`${name} is not a list`];
+  const errors = [];
+  const seen = {};
+  entries.forEach((entry, i) => {
+    checkContentEntry(entry, spec, `${name}[${i}]`, errors);
+    const key = entry && ('id' in spec ? entry.id : entry.stage);
+    if (key !== undefined && seen[key]) errors.push(`${name}[${i}] repeats ${'id' in spec ? 'id' : 'stage'} ${key}`);
+    seen[key] = true;
+  });
+  return errors;
+}
+
+// Validate every table in `content` ({ upgrades: [...], research: [...], … })
+// and, if all pass, replace the contents of the def arrays.  Throws an Error
+// listing the problems otherwise, leaving the current content in place.
+function installContent(content) {
+  let errors = [];
+  Object.keys(contentFiles).forEach(name => {
+    errors = errors.concat(validateContent(name, content && content[name]).map(e => `${contentFiles[name]}: ${e}`));
+  });
+  if (errors.length > 0) {
+    throw new Error(`Invalid game content:\n${errors.join('\n')}`);
+  }
+  Object.keys(contentTables).forEach(name => {
+    const table = contentTables[name];
+    table.splice(0, table.length, ...content[name]);
+  });
+  contentInstalled = true;
+  plugins.forEach(addPluginContent);
+}
+
+// Fetch the content files and install them.  Resolves once the content is in
+// place; rejects if a file cannot be fetched or parsed or fails validation.
+function loadContent() {
+  const names = Object.keys(contentFiles);
+  return Promise.all(names.map(name => fetch(contentFiles[name]).then(res => {
+    if (!res.ok) throw new Error(`${contentFiles[name]}: HTTP ${res.status}`);
+    return res.json();
+  }))).then(tables => {
+    const content = {};
+    names.forEach((name, i) => { content[name] = tables[i]; });
+    installContent(content);
+  });
+}
+
+// Plugins.  Extensions register an object with registerPlugin() instead of
+// wrapping the game's functions:
+//   {
+//     id: 'myPlugin',            // unique; also names the plugin's save area
+//     name: 'My Plugin',
+//     content: { upgrades: [...], elixirs: [...], expeditions: [...], buildings: [...] },
+//     onTick(event, ctx) { ... },
+//     ...
+//   }
+// `content` entries use the content file format and checks and are added
+// after the content files; entries whose id is already taken are skipped.
+// Hooks (all optional) receive an event and a context { id, state }, where
+// `state` is the plugin's own object in game.pluginData, saved and loaded
+// with the game.  Events:
+//   onTick               { dt, offline }  seconds simulated; once per tick,
+//                                         and once for a whole offline replay
+//   onBreakthrough       { stage, subLayer }
+//   onAscend             { stage, reward, transcended }
+//   onExpeditionComplete { type, success, rare, reward }
+//   onForgeComplete      { artifactId }
+//   onSave               {}               just before the game is written
+//   onLoad               { newGame }      after a save is loaded (or none was)
+// The breakthrough, ascension, expedition and forge hooks are fed from the
+// matching engine events (pluginHookEvents); plugins that need any other
+// event can subscribe to `engine` directly.
+// A hook that throws is logged and skipped so one broken plugin cannot stop
+// the game.  Plugin scripts are loaded after main.js and register before the
+// game starts.
+const plugins = [];
+const pluginHooks = ['onTick', 'onBreakthrough', 'onAscend', 'onExpeditionComplete', 'onForgeComplete', 'onSave', 'onLoad'];
+const pluginContentTables = ['upgrades', 'elixirs', 'expeditions', 'buildings'];
+const pluginHookEvents = {
+  onBreakthrough: 'layer.breakthrough',
+  onAscend: 'realm.ascended',
+  onExpeditionComplete: 'expedition.completed',
+  onForgeComplete: 'artifact.forged'
+};
+
+// Whether installContent() has filled the content tables yet.
+let contentInstalled = false;
+
+// Register a plugin.  Throws an Error listing the problems if the plugin or
+// its content is invalid.
+function registerPlugin(plugin) {
+  if (!plugin || typeof plugin !== 'object') throw new Error('Invalid plugin: not an object');
+  const errors = [];
+  if (typeof plugin.id !== 'string' || !/^[A-Za-z][\w-]*$/.test(plugin.id)) {
+    errors.push('id must be a name of letters, digits, "_" or "-"');
+  } else if (plugins.some(p => p.id === plugin.id)) {
+    errors.push(`a plugin with id ${plugin.id} is already registered`);
+  }
+  pluginHooks.forEach(hook => {
+    if (hook in plugin && typeof plugin[hook] !== 'function') errors.push(`${hook} is not a function`);
+  });
+  Object.keys(plugin.content || {}).forEach(name => {
+    if (!pluginContentTables.includes(name)) {
+      errors.push(`content.${name} cannot be extended by plugins`);
+      return;
+    }
+    errors.push(...validateContent(name, plugin.content[name]).map(e => `content.${e}`));
+  });
+  if (errors.length > 0) {
+    throw new Error(`Invalid plugin ${plugin.id}:\n${errors.join('\n')}`);
+  }
+  plugins.push(plugin);
+  if (contentInstalled && plugin.content) {
+    addPluginContent(plugin);
+    recalcProduction();
+    notifyChange(['upgrades', 'alchemy', 'expeditions', 'sect', 'stats']);
+  }
+}
+
+// Append a plugin's content entries to the content tables.
+function addPluginContent(plugin) {
+  Object.keys(plugin.content || {}).forEach(name => {
+    const table = contentTables[name];
+    plugin.content[name].forEach(entry => {
+      if (table.some(def => def.id === entry.id)) {
+        console.warn(`Plugin ${plugin.id}: ${name} id ${entry.id} is already taken; skipped`);
+        return;
+      }
+      table.push(entry);
+    });
+  });
+}
+
+// A plugin's saved state: its own object in game.pluginData.
+function getPluginState(id) {
+  if (!game.pluginData || typeof game.pluginData !== 'object') game.pluginData = {};
+  if (!game.pluginData[id] || typeof game.pluginData[id] !== 'object') game.pluginData[id] = {};
+  return game.pluginData[id];
+}
+
+// Call one hook on every plugin that defines it.
+function runPluginHook(hook, event) {
+  plugins.forEach(plugin => {
+    if (typeof plugin[hook] !== 'function') return;
+    try {
+      plugin[hook](event || {}, { id: plugin.id, state: getPluginState(plugin.id) });
+    } catch (e) {
+      console.error(`Plugin ${plugin.id}: ${hook} failed`, e);
+    }
+  });
+}
+
+Object.keys(pluginHookEvents).forEach(hook => {
+  engine.on(pluginHookEvents[hook], event => runPluginHook(hook, event));
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  installContent(Object.keys(contentFiles).reduce((content, name) => {
+    content[name] = require(`./${contentFiles[name]}`);
+    return content;
+  }, {}));
+  module.exports = {
+    engine,
+    engineEvents,
+    toastSeverities,
+    toastCategories,
+    BigNum,
+    game,
+    realms,
+    upgradeDefs,
+    researchDefs,
+    skillDefs,
+    storyDefs,
+    relicDefs,
+    achievementDefs,
+    loreDefs,
+    expeditionDefs,
+    buildingDefs,
+    ascensionPerkDefs,
+    karmaPerkDefs,
+    discipleClasses,
+    discipleTraits,
+    artifactDefs,
+    elixirDefs,
+    effectTypes,
+    contentFiles,
+    validateContent,
+    installContent,
+    registerPlugin,
+    getPluginState,
+    runPluginHook,
+    getRealmName,
+    seedRandom,
+    random,
+    generateId,
+    numberNotations,
+    formatNumber,
+    getUpgradeTotalCost,
+    getLayerCost,
+    getStatValue,
+    getUtilityStat,
+    getTimedModifiers,
+    getTimedBuffs,
+    getModifierBreakdown,
+    recalcProduction,
+    reviveBigNums,
+    tick,
+    tickAtTimerEnds,
+    gameNow,
+    getOfflineCapSeconds,
+    simulateOffline,
+    requeueOfflineWork,
+    gatherQi,
+    ascendLayer,
+    tribulationConfig,
+    getTribulationPower,
+    getTribulationChance,
+    breakthroughConfig,
+    getBreakthroughChance,
+    buyUpgrade,
+    buySkill,
+    buyResearch,
+    buyBuilding,
+    buyAscensionPerk,
+    ascensionBranchRivals,
+    getAscensionPerkCost,
+    getAscensionPerkLock,
+    getAscensionPerkRefund,
+    getPerkRespecCost,
+    respecAscensionPerks,
+    challengeDefs,
+    getActiveChallenge,
+    startChallenge,
+    abandonChallenge,
+    checkChallengeGoal,
+    getExpeditionRisk,
+    buyKarmaPerk,
+    getKarmaPerkCost,
+    isKarmaPerkUnlocked,
+    getKarmaGain,
+    canReincarnate,
+    reincarnate,
+    getLifeStats,
+    selectStoryChoice,
+    startExpedition,
+    startForging,
+    craftElixir,
+    useElixir,
+    recruitDisciple,
+    trainDisciple,
+    resetState
+  };
+}
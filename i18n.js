@@ -78,7 +78,15 @@
       'option.background.3': 'Nebula Ember',
       'option.background.4': 'Mountain Valley',
       'label.backgroundDimmer': 'Background dimmer:',
+      'label.notation': 'Number notation:',
+      'label.notationPrecision': 'Decimal places:',
+      'option.notation.standard': 'Standard (1.23M)',
+      'option.notation.scientific': 'Scientific (1.23e6)',
+      'option.notation.engineering': 'Engineering (1.23e6)',
+      'option.notation.letters': 'Letters (1.23ab)',
+      'option.notation.full': 'Full (1,230,000)',
       'label.tapMult': 'Qi per tap ×100 (testing)',
+      'label.breakthroughRisk': 'Breakthrough risk (minor breakthroughs can fail)',
       'label.psMult': 'Qi per second ×100 (testing)',
       'btn.exportSave': 'Export Save',
       'btn.importSave': 'Import Save',
@@ -157,9 +165,96 @@
       'ascension.nextLayer': 'Next layer breakthrough requires {cost} Qi',
       'ascension.timeToTarget': 'Time to target: {mins}m {secs}s',
       // Message shown when the player is at the final realm and final layer
-      'ascension.finalRealm': 'You have reached the pinnacle of cultivation. No further ascension is possible.',
+      'ascension.readyToTranscend': 'Ready to transcend {realm} again. Cost: {cost} Qi',
+      'tribulation.preview': 'A heavenly tribulation of {waves} lightning waves guards this ascension. Withstand most of them to ascend with bonus AP.',
+      'tribulation.odds': 'Chance to withstand the next wave: {chance}% (power {power})',
+      'tribulation.active': 'Tribulation in progress: wave {wave}/{waves} strikes in {secs}s',
+      'tribulation.cooldown': 'Recovering from the tribulation: {mins}m {secs}s',
+      'breakthrough.chance': 'Breakthrough success chance: {chance}%',
+      'breakthrough.parts': 'Base {base}% • Stability +{stability}% • Research +{research}% • Pill +{pill}% • Pity +{pity}%',
+      'breakthrough.deviation': 'Qi deviation: −{penalty}% Qi/s for {secs}s',
+      'breakthrough.pillPrepared': '{pill} prepared for this attempt',
+      'breakthrough.takePill': 'Take {pill} (×{count})',
+      'h3.reincarnation': 'Reincarnation',
+      'h4.karmaTree': 'Karma Tree',
+      'h4.pastLives': 'Past Lives',
+      'btn.reincarnate': 'Reincarnate',
+      'btn.maxed': 'Maxed',
+      'label.karmaShort': 'Karma',
+      'reincarnation.karma': 'Karma: {karma} • Lives completed: {lives}',
+      'reincarnation.life': 'This life: {breakthroughs} breakthroughs, {qi} Qi gathered in {time}',
+      'reincarnation.ready': 'Reincarnating now earns {karma} Karma.',
+      'reincarnation.locked': 'Reach {realm} to reincarnate.',
+      'reincarnation.confirm': 'Reincarnate for {karma} Karma? Your realm, layers, upgrades, research and buildings will be lost.',
+      'reincarnation.noLives': 'No past lives yet.',
+      'reincarnation.lifeNumber': 'Life {life}',
+      'reincarnation.lifeSummary': '{breakthroughs} breakthroughs, {transcendences} transcendences, {qi} Qi in {time} • +{karma} Karma',
+      'karma.requires': 'Requires {perks}',
+      'h3.challenges': 'Challenges',
+      'btn.startChallenge': 'Start',
+      'btn.abandon': 'Abandon',
+      'challenge.active': 'Challenge in progress: {name}. Reach {realm} ({time} so far).',
+      'challenge.abandonConfirm': 'Abandon this challenge? You return to your previous run without the reward.',
+      'challenge.startConfirm': 'Start {name}? The challenge begins from the first realm; your current run is set aside and restored when it ends.',
+      'challenge.goal': 'Goal: reach {realm}',
+      'challenge.reward': 'Reward: {reward}',
+      'challenge.completed': 'Completed {count}×',
+      'error.contentLoad': 'The game content could not be loaded. Please reload the page.',
+      'error.fileProtocol': 'The game cannot load its content when opened as a file. Serve the game folder with a local web server (for example "npx serve") and open it from there.',
+      'error.startFailed': 'The game failed to start. Please reload the page.',
+      'save.storageFull': 'Saving failed: browser storage is full. Export your save or delete unused save slots.',
+      'save.failed': 'Saving failed. Export your save to keep your progress.',
+      'import.readOnly': 'The game is open in another tab. Take over in this tab before importing a save.',
+      'log.starLimit': 'At most {limit} entries can be starred. Unstar one first.',
+      'h3.notifications': 'Notifications',
+      'label.toast.general': 'General messages',
+      'label.toast.expeditions': 'Expeditions',
+      'label.toast.forging': 'Forging',
+      'label.toast.alchemy': 'Alchemy',
+      'label.toast.sect': 'Sect and disciples',
+      'label.toast.ascension': 'Breakthroughs and ascension',
+      'label.toast.achievements': 'Achievements',
+      'label.toast.story': 'Story',
+      'label.toast.quests': 'Quests and bounties',
+      'label.toast.events': 'Random events',
+      'h4.desktopNotifications': 'Desktop notifications',
+      'label.notify.expeditions': 'Expedition returned or failed',
+      'label.notify.forging': 'Forging complete',
+      'label.notify.alchemy': 'Brewing complete',
+      'label.notify.dantian': 'Dantian full',
+      'label.notify.quests': 'New daily quests',
+      'notify.expeditionDone': 'Your {name} expedition has returned.',
+      'notify.expeditionFailed': 'Your {name} expedition failed.',
+      'notify.forged': '{name} has finished forging.',
+      'notify.brewed': '{name} has finished brewing.',
+      'notify.dantianFull': 'Your dantian is full. Spend Qi to keep cultivating.',
+      'notify.questsReset': 'New daily quests are available.',
+      'notify.bountiesReset': 'New weekly bounties are available.',
+      'toast.notificationsBlocked': 'Notifications are blocked for this site in your browser settings.',
+      'update.available': 'A new version is available.',
+      'away.title': 'While You Were Away',
+      'away.time': 'You were away for {time}.',
+      'away.counted': 'Only {time} counted toward your cultivation.',
+      'away.cap': 'Offline cap: {time} ({base}h base)',
+      'away.capBonus': 'Offline cap: {time} ({base}h base + {bonus}h Temporal Rift)',
+      'away.spiritWell': 'Spirit Well bonus: ×{mult} offline production',
+      'away.base': 'Base',
+      'away.buildings': 'Buildings',
+      'away.disciples': 'Disciples',
+      'away.expeditions': 'Expeditions',
+      'away.total': 'Total',
+      'away.nothing': 'No resources were gathered.',
+      'away.qiLost': '{qi} Qi was lost because your dantian was full.',
+      'away.expeditionDone': '{name}: {count} completed',
+      'away.expeditionFailed': ', {count} failed',
+      'away.rareFind': ', 1 rare find',
+      'away.rareFinds': ', {count} rare finds',
+      'away.forged': 'Artifacts forged',
+      'away.brewed': 'Elixirs brewed',
+      'btn.collect': 'Collect',
+      'btn.collectRequeue': 'Collect & Re-queue',
+      'btn.reload': 'Reload',
       // Toast message when attempting to ascend beyond the final realm
-      'toast.finalRealm': 'You have reached the pinnacle of cultivation and cannot ascend further.',
       'stat.realm': 'Realm',
       'stat.qi': 'Qi',
       'stat.qiPerTap': 'Qi per tap',
@@ -226,6 +321,30 @@
       'perk.resourceProficiency.desc': 'Increases herb, spirit stone and beast production by 2% per level.',
       'perk.forgeMastery.name': 'Forge Mastery',
       'perk.forgeMastery.desc': 'Reduces forging cost and time by 2% per level.',
+      'perk.swordIntent.name': 'Sword Intent',
+      'perk.swordIntent.desc': 'Increases tribulation power by 5% per level.',
+      'perk.swordHeart.name': 'Heart of the Sword',
+      'perk.swordHeart.desc': 'Increases all Qi/s by 4% per level.',
+      'perk.tenThousandSwords.name': 'Ten Thousand Swords',
+      'perk.tenThousandSwords.desc': 'Capstone: multiplies Qi/s by 1.5 and tribulation power by 1.25.',
+      'perk.pillRefinement.name': 'Pill Refinement',
+      'perk.pillRefinement.desc': 'Reduces brewing time by 5% per level.',
+      'perk.elixirAffinity.name': 'Elixir Affinity',
+      'perk.elixirAffinity.desc': 'Increases elixir potency by 10% per level.',
+      'perk.nineTurnPill.name': 'Nine-Turn Golden Pill',
+      'perk.nineTurnPill.desc': 'Capstone: multiplies elixir potency by 1.5 and adds 10% breakthrough success chance.',
+      'perk.ascendantInsight.name': 'Ascendant Insight',
+      'perk.ascendantInsight.desc': 'Increases ascension rewards by 5% per level.',
+      'perk.heavenlyForge.name': 'Heavenly Forge',
+      'perk.heavenlyForge.desc': 'Strengthens Qi artifacts by 5% per level.',
+      'perk.eternalDao.name': 'Eternal Dao',
+      'perk.eternalDao.desc': 'Capstone: reduces breakthrough costs by 10% and increases offline gains by 25%.',
+      'perk.requires': 'Requires {perks}',
+      'perk.sealed': 'Sealed by the {path} path',
+      'perk.branch.sword': 'Sword path',
+      'perk.branch.alchemy': 'Alchemy path',
+      'btn.respec': 'Respec: refund {refund} AP for {cost} Spirit Stones',
+      'perk.respecConfirm': 'Reset the perk tree for {cost} Spirit Stones? All AP spent will be refunded.',
       // Sect hub and hall labels/descriptions
       'card.brewing': 'Brewing',
       'card.elixirInventory': 'Elixir Inventory',
@@ -258,6 +377,8 @@
       'artifact.beastTalisman.desc': 'Increases beast energy production by {percent}',
       'artifact.fortuneCharm.name': 'Fortune Charm',
       'artifact.fortuneCharm.desc': 'Reduces expedition failure chance by {percent}',
+      'artifact.thunderCharm.name': 'Thunder Ward Charm',
+      'artifact.thunderCharm.desc': 'Increases tribulation power by {percent}',
       // Toast messages related to forging
       'toast.forgingSlotsFull': 'All forging slots are currently in use',
       'toast.notEnoughSpiritStones2': 'Not enough Spirit Stones',
@@ -317,7 +438,15 @@
       'option.background.3': 'Nébuleuse braise',
       'option.background.4': 'Vallée montagneuse',
       'label.backgroundDimmer': 'Atténuation du fond :',
+      'label.notation': 'Notation des nombres :',
+      'label.notationPrecision': 'Décimales :',
+      'option.notation.standard': 'Standard (1.23M)',
+      'option.notation.scientific': 'Scientifique (1.23e6)',
+      'option.notation.engineering': 'Ingénieur (1.23e6)',
+      'option.notation.letters': 'Lettres (1.23ab)',
+      'option.notation.full': 'Complète (1 230 000)',
       'label.tapMult': 'Qi par tap ×100 (test)',
+      'label.breakthroughRisk': 'Risque de percée (les percées mineures peuvent échouer)',
       'label.psMult': 'Qi par seconde ×100 (test)',
       'btn.exportSave': 'Exporter la sauvegarde',
       'btn.importSave': 'Importer la sauvegarde',
@@ -391,9 +520,96 @@
       'ascension.nextLayer': 'La prochaine percée de couche requiert {cost} Qi',
       'ascension.timeToTarget': 'Temps restant : {mins}m {secs}s',
       // Message affiché lorsque le joueur atteint le royaume final et la dernière couche
-      'ascension.finalRealm': 'Vous avez atteint le sommet de la cultivation. Aucune ascension supplémentaire n\'est possible.',
+      'ascension.readyToTranscend': 'Prêt à transcender {realm} à nouveau. Coût : {cost} Qi',
+      'tribulation.preview': 'Une tribulation céleste de {waves} vagues de foudre garde cette ascension. Résistez à la plupart pour ascendre avec des PA bonus.',
+      'tribulation.odds': 'Chance de résister à la prochaine vague : {chance}% (puissance {power})',
+      'tribulation.active': 'Tribulation en cours : la vague {wave}/{waves} frappe dans {secs}s',
+      'tribulation.cooldown': 'Récupération après la tribulation : {mins}m {secs}s',
+      'breakthrough.chance': 'Chance de percée : {chance}%',
+      'breakthrough.parts': 'Base {base}% • Stabilité +{stability}% • Recherche +{research}% • Pilule +{pill}% • Compensation +{pity}%',
+      'breakthrough.deviation': 'Déviation du Qi : −{penalty}% Qi/s pendant {secs}s',
+      'breakthrough.pillPrepared': '{pill} préparée pour cette tentative',
+      'breakthrough.takePill': 'Prendre {pill} (×{count})',
+      'h3.reincarnation': 'Réincarnation',
+      'h4.karmaTree': 'Arbre du Karma',
+      'h4.pastLives': 'Vies antérieures',
+      'btn.reincarnate': 'Se réincarner',
+      'btn.maxed': 'Max',
+      'label.karmaShort': 'Karma',
+      'reincarnation.karma': 'Karma : {karma} • Vies accomplies : {lives}',
+      'reincarnation.life': 'Cette vie : {breakthroughs} percées, {qi} Qi récolté en {time}',
+      'reincarnation.ready': 'Se réincarner maintenant rapporte {karma} Karma.',
+      'reincarnation.locked': 'Atteignez {realm} pour vous réincarner.',
+      'reincarnation.confirm': 'Se réincarner pour {karma} Karma ? Votre royaume, vos couches, améliorations, recherches et bâtiments seront perdus.',
+      'reincarnation.noLives': 'Aucune vie antérieure pour l’instant.',
+      'reincarnation.lifeNumber': 'Vie {life}',
+      'reincarnation.lifeSummary': '{breakthroughs} percées, {transcendences} transcendances, {qi} Qi en {time} • +{karma} Karma',
+      'karma.requires': 'Requiert {perks}',
+      'h3.challenges': 'Défis',
+      'btn.startChallenge': 'Commencer',
+      'btn.abandon': 'Abandonner',
+      'challenge.active': 'Défi en cours : {name}. Atteignez {realm} ({time} écoulé).',
+      'challenge.abandonConfirm': 'Abandonner ce défi ? Vous retrouvez votre partie précédente, sans la récompense.',
+      'challenge.startConfirm': 'Commencer {name} ? Le défi part du premier royaume ; votre partie actuelle est mise de côté et restaurée à la fin.',
+      'challenge.goal': 'Objectif : atteindre {realm}',
+      'challenge.reward': 'Récompense : {reward}',
+      'challenge.completed': 'Réussi {count}×',
+      'error.contentLoad': 'Le contenu du jeu n’a pas pu être chargé. Veuillez recharger la page.',
+      'error.fileProtocol': 'Le jeu ne peut pas charger son contenu lorsqu’il est ouvert comme fichier. Servez le dossier du jeu avec un serveur web local (par exemple « npx serve ») et ouvrez-le depuis celui-ci.',
+      'error.startFailed': 'Le jeu n’a pas pu démarrer. Veuillez recharger la page.',
+      'save.storageFull': 'Échec de la sauvegarde : le stockage du navigateur est plein. Exportez votre sauvegarde ou supprimez les emplacements inutilisés.',
+      'save.failed': 'Échec de la sauvegarde. Exportez votre sauvegarde pour conserver votre progression.',
+      'import.readOnly': 'Le jeu est ouvert dans un autre onglet. Reprenez la main dans cet onglet avant d’importer une sauvegarde.',
+      'log.starLimit': 'Au plus {limit} entrées peuvent être marquées. Retirez-en une d’abord.',
+      'h3.notifications': 'Notifications',
+      'label.toast.general': 'Messages généraux',
+      'label.toast.expeditions': 'Expéditions',
+      'label.toast.forging': 'Forge',
+      'label.toast.alchemy': 'Alchimie',
+      'label.toast.sect': 'Secte et disciples',
+      'label.toast.ascension': 'Percées et ascension',
+      'label.toast.achievements': 'Succès',
+      'label.toast.story': 'Histoire',
+      'label.toast.quests': 'Quêtes et primes',
+      'label.toast.events': 'Événements aléatoires',
+      'h4.desktopNotifications': 'Notifications du bureau',
+      'label.notify.expeditions': 'Expédition revenue ou échouée',
+      'label.notify.forging': 'Forge terminée',
+      'label.notify.alchemy': 'Préparation terminée',
+      'label.notify.dantian': 'Dantian plein',
+      'label.notify.quests': 'Nouvelles quêtes quotidiennes',
+      'notify.expeditionDone': 'Votre expédition {name} est revenue.',
+      'notify.expeditionFailed': 'Votre expédition {name} a échoué.',
+      'notify.forged': '{name} est forgé.',
+      'notify.brewed': '{name} est prêt.',
+      'notify.dantianFull': 'Votre dantian est plein. Dépensez du Qi pour continuer à cultiver.',
+      'notify.questsReset': 'De nouvelles quêtes quotidiennes sont disponibles.',
+      'notify.bountiesReset': 'De nouvelles primes hebdomadaires sont disponibles.',
+      'toast.notificationsBlocked': 'Les notifications sont bloquées pour ce site dans les paramètres du navigateur.',
+      'update.available': 'Une nouvelle version est disponible.',
+      'away.title': 'Pendant votre absence',
+      'away.time': 'Vous avez été absent pendant {time}.',
+      'away.counted': 'Seules {time} ont compté pour votre cultivation.',
+      'away.cap': 'Limite hors ligne : {time} ({base} h de base)',
+      'away.capBonus': 'Limite hors ligne : {time} ({base} h de base + {bonus} h de Faille temporelle)',
+      'away.spiritWell': 'Bonus du Puits spirituel : ×{mult} de production hors ligne',
+      'away.base': 'Base',
+      'away.buildings': 'Bâtiments',
+      'away.disciples': 'Disciples',
+      'away.expeditions': 'Expéditions',
+      'away.total': 'Total',
+      'away.nothing': 'Aucune ressource n’a été récoltée.',
+      'away.qiLost': '{qi} Qi ont été perdus car votre dantian était plein.',
+      'away.expeditionDone': '{name} : {count} terminée(s)',
+      'away.expeditionFailed': ', {count} échouée(s)',
+      'away.rareFind': ', 1 trouvaille rare',
+      'away.rareFinds': ', {count} trouvailles rares',
+      'away.forged': 'Artefacts forgés',
+      'away.brewed': 'Élixirs préparés',
+      'btn.collect': 'Récolter',
+      'btn.collectRequeue': 'Récolter et relancer',
+      'btn.reload': 'Recharger',
       // Message toast lorsque l\'on tente d\'ascendre au‑delà du dernier royaume
-      'toast.finalRealm': 'Vous avez atteint le sommet de la cultivation et ne pouvez pas ascendre davantage.',
       'stat.realm': 'Royaume',
       'stat.qi': 'Qi',
       'stat.qiPerTap': 'Qi par tap',
@@ -460,6 +676,30 @@
       'perk.resourceProficiency.desc': 'Augmente la production d’herbes, de pierres spirituelles et d’énergie bestiale de 2 % par niveau.',
       'perk.forgeMastery.name': 'Maîtrise de la forge',
       'perk.forgeMastery.desc': 'Réduit le coût et le temps de forgeage de 2 % par niveau.',
+      'perk.swordIntent.name': 'Intention de l’Épée',
+      'perk.swordIntent.desc': 'Augmente la puissance contre les tribulations de 5 % par niveau.',
+      'perk.swordHeart.name': 'Cœur de l’Épée',
+      'perk.swordHeart.desc': 'Augmente tout le Qi/s de 4 % par niveau.',
+      'perk.tenThousandSwords.name': 'Dix Mille Épées',
+      'perk.tenThousandSwords.desc': 'Clé de voûte : multiplie le Qi/s par 1,5 et la puissance contre les tribulations par 1,25.',
+      'perk.pillRefinement.name': 'Raffinage des Pilules',
+      'perk.pillRefinement.desc': 'Réduit le temps de brassage de 5 % par niveau.',
+      'perk.elixirAffinity.name': 'Affinité des Élixirs',
+      'perk.elixirAffinity.desc': 'Augmente la puissance des élixirs de 10 % par niveau.',
+      'perk.nineTurnPill.name': 'Pilule d’Or des Neuf Tours',
+      'perk.nineTurnPill.desc': 'Clé de voûte : multiplie la puissance des élixirs par 1,5 et ajoute 10 % de chance de percée.',
+      'perk.ascendantInsight.name': 'Perspicacité Ascendante',
+      'perk.ascendantInsight.desc': 'Augmente les récompenses d’ascension de 5 % par niveau.',
+      'perk.heavenlyForge.name': 'Forge Céleste',
+      'perk.heavenlyForge.desc': 'Renforce les artefacts de Qi de 5 % par niveau.',
+      'perk.eternalDao.name': 'Dao Éternel',
+      'perk.eternalDao.desc': 'Clé de voûte : réduit le coût des percées de 10 % et augmente les gains hors ligne de 25 %.',
+      'perk.requires': 'Requiert {perks}',
+      'perk.sealed': 'Scellé par la voie {path}',
+      'perk.branch.sword': 'Voie de l’Épée',
+      'perk.branch.alchemy': 'Voie de l’Alchimie',
+      'btn.respec': 'Réinitialiser : {refund} PA remboursés pour {cost} Pierres spirituelles',
+      'perk.respecConfirm': 'Réinitialiser l’arbre des avantages pour {cost} Pierres spirituelles ? Tous les PA dépensés seront remboursés.',
       // Sect hub and hall labels/descriptions
       'card.brewing': 'Brassage',
       'card.elixirInventory': 'Inventaire d’élixirs',
@@ -492,6 +732,8 @@
       'artifact.beastTalisman.desc': 'Augmente la production d’énergie bestiale de {percent}',
       'artifact.fortuneCharm.name': 'Charme de Fortune',
       'artifact.fortuneCharm.desc': 'Réduit la chance d’échec d’expédition de {percent}',
+      'artifact.thunderCharm.name': 'Charme Pare-Foudre',
+      'artifact.thunderCharm.desc': 'Augmente la puissance contre les tribulations de {percent}',
       // Toast messages related to forging
       'toast.forgingSlotsFull': 'Tous les emplacements de forge sont actuellement utilisés',
       'toast.notEnoughSpiritStones2': 'Pas assez de pierres spirituelles',
@@ -551,7 +793,15 @@
       'option.background.3': 'Nébula brasa',
       'option.background.4': 'Valle montañoso',
       'label.backgroundDimmer': 'Atenuación del fondo:',
+      'label.notation': 'Notación numérica:',
+      'label.notationPrecision': 'Decimales:',
+      'option.notation.standard': 'Estándar (1.23M)',
+      'option.notation.scientific': 'Científica (1.23e6)',
+      'option.notation.engineering': 'Ingeniería (1.23e6)',
+      'option.notation.letters': 'Letras (1.23ab)',
+      'option.notation.full': 'Completa (1.230.000)',
       'label.tapMult': 'Qi por toque ×100 (prueba)',
+      'label.breakthroughRisk': 'Riesgo de avance (los avances menores pueden fallar)',
       'label.psMult': 'Qi por segundo ×100 (prueba)',
       'btn.exportSave': 'Exportar partida',
       'btn.importSave': 'Importar partida',
@@ -625,9 +875,96 @@
       'ascension.nextLayer': 'La siguiente ruptura de capa requiere {cost} Qi',
       'ascension.timeToTarget': 'Tiempo restante: {mins}m {secs}s',
       // Mensaje que se muestra cuando el jugador ha alcanzado el último reino y la última capa
-      'ascension.finalRealm': 'Has alcanzado la cúspide de la cultivación. No es posible ascender más.',
+      'ascension.readyToTranscend': 'Listo para trascender {realm} de nuevo. Costo: {cost} Qi',
+      'tribulation.preview': 'Una tribulación celestial de {waves} oleadas de rayos custodia esta ascensión. Resiste la mayoría para ascender con PA extra.',
+      'tribulation.odds': 'Probabilidad de resistir la próxima oleada: {chance}% (poder {power})',
+      'tribulation.active': 'Tribulación en curso: la oleada {wave}/{waves} golpea en {secs}s',
+      'tribulation.cooldown': 'Recuperándote de la tribulación: {mins}m {secs}s',
+      'breakthrough.chance': 'Probabilidad de avance: {chance}%',
+      'breakthrough.parts': 'Base {base}% • Estabilidad +{stability}% • Investigación +{research}% • Píldora +{pill}% • Compensación +{pity}%',
+      'breakthrough.deviation': 'Desviación de Qi: −{penalty}% Qi/s durante {secs}s',
+      'breakthrough.pillPrepared': '{pill} preparada para este intento',
+      'breakthrough.takePill': 'Tomar {pill} (×{count})',
+      'h3.reincarnation': 'Reencarnación',
+      'h4.karmaTree': 'Árbol del Karma',
+      'h4.pastLives': 'Vidas pasadas',
+      'btn.reincarnate': 'Reencarnar',
+      'btn.maxed': 'Máx.',
+      'label.karmaShort': 'Karma',
+      'reincarnation.karma': 'Karma: {karma} • Vidas completadas: {lives}',
+      'reincarnation.life': 'Esta vida: {breakthroughs} avances, {qi} Qi reunido en {time}',
+      'reincarnation.ready': 'Reencarnar ahora otorga {karma} de Karma.',
+      'reincarnation.locked': 'Alcanza {realm} para reencarnar.',
+      'reincarnation.confirm': '¿Reencarnar por {karma} de Karma? Perderás tu reino, capas, mejoras, investigaciones y edificios.',
+      'reincarnation.noLives': 'Aún no hay vidas pasadas.',
+      'reincarnation.lifeNumber': 'Vida {life}',
+      'reincarnation.lifeSummary': '{breakthroughs} avances, {transcendences} trascendencias, {qi} Qi en {time} • +{karma} Karma',
+      'karma.requires': 'Requiere {perks}',
+      'h3.challenges': 'Desafíos',
+      'btn.startChallenge': 'Empezar',
+      'btn.abandon': 'Abandonar',
+      'challenge.active': 'Desafío en curso: {name}. Alcanza {realm} ({time} transcurrido).',
+      'challenge.abandonConfirm': '¿Abandonar este desafío? Vuelves a tu partida anterior sin la recompensa.',
+      'challenge.startConfirm': '¿Empezar {name}? El desafío empieza desde el primer reino; tu partida actual se guarda aparte y se restaura al terminar.',
+      'challenge.goal': 'Objetivo: alcanzar {realm}',
+      'challenge.reward': 'Recompensa: {reward}',
+      'challenge.completed': 'Completado {count}×',
+      'error.contentLoad': 'No se pudo cargar el contenido del juego. Recarga la página.',
+      'error.fileProtocol': 'El juego no puede cargar su contenido si se abre como archivo. Sirve la carpeta del juego con un servidor web local (por ejemplo «npx serve») y ábrelo desde allí.',
+      'error.startFailed': 'El juego no pudo iniciarse. Recarga la página.',
+      'save.storageFull': 'No se pudo guardar: el almacenamiento del navegador está lleno. Exporta tu partida o elimina ranuras que no uses.',
+      'save.failed': 'No se pudo guardar. Exporta tu partida para conservar tu progreso.',
+      'import.readOnly': 'El juego está abierto en otra pestaña. Toma el control en esta pestaña antes de importar una partida.',
+      'log.starLimit': 'Se pueden destacar como máximo {limit} entradas. Quita una primero.',
+      'h3.notifications': 'Notificaciones',
+      'label.toast.general': 'Mensajes generales',
+      'label.toast.expeditions': 'Expediciones',
+      'label.toast.forging': 'Forja',
+      'label.toast.alchemy': 'Alquimia',
+      'label.toast.sect': 'Secta y discípulos',
+      'label.toast.ascension': 'Avances y ascensión',
+      'label.toast.achievements': 'Logros',
+      'label.toast.story': 'Historia',
+      'label.toast.quests': 'Misiones y recompensas',
+      'label.toast.events': 'Eventos aleatorios',
+      'h4.desktopNotifications': 'Notificaciones de escritorio',
+      'label.notify.expeditions': 'Expedición regresada o fallida',
+      'label.notify.forging': 'Forja completada',
+      'label.notify.alchemy': 'Elaboración completada',
+      'label.notify.dantian': 'Dantian lleno',
+      'label.notify.quests': 'Nuevas misiones diarias',
+      'notify.expeditionDone': 'Tu expedición {name} ha regresado.',
+      'notify.expeditionFailed': 'Tu expedición {name} ha fracasado.',
+      'notify.forged': '{name} ha terminado de forjarse.',
+      'notify.brewed': '{name} ha terminado de elaborarse.',
+      'notify.dantianFull': 'Tu dantian está lleno. Gasta Qi para seguir cultivando.',
+      'notify.questsReset': 'Hay nuevas misiones diarias disponibles.',
+      'notify.bountiesReset': 'Hay nuevas recompensas semanales disponibles.',
+      'toast.notificationsBlocked': 'Las notificaciones están bloqueadas para este sitio en la configuración del navegador.',
+      'update.available': 'Hay una nueva versión disponible.',
+      'away.title': 'Mientras estabas fuera',
+      'away.time': 'Estuviste fuera durante {time}.',
+      'away.counted': 'Solo {time} contaron para tu cultivo.',
+      'away.cap': 'Límite sin conexión: {time} ({base} h base)',
+      'away.capBonus': 'Límite sin conexión: {time} ({base} h base + {bonus} h de Grieta temporal)',
+      'away.spiritWell': 'Bonificación del Pozo espiritual: ×{mult} de producción sin conexión',
+      'away.base': 'Base',
+      'away.buildings': 'Edificios',
+      'away.disciples': 'Discípulos',
+      'away.expeditions': 'Expediciones',
+      'away.total': 'Total',
+      'away.nothing': 'No se recolectaron recursos.',
+      'away.qiLost': 'Se perdieron {qi} de Qi porque tu dantian estaba lleno.',
+      'away.expeditionDone': '{name}: {count} completadas',
+      'away.expeditionFailed': ', {count} fallidas',
+      'away.rareFind': ', 1 hallazgo raro',
+      'away.rareFinds': ', {count} hallazgos raros',
+      'away.forged': 'Artefactos forjados',
+      'away.brewed': 'Elixires preparados',
+      'btn.collect': 'Recoger',
+      'btn.collectRequeue': 'Recoger y reenviar',
+      'btn.reload': 'Recargar',
       // Mensaje emergente al intentar ascender más allá del reino final
-      'toast.finalRealm': 'Has alcanzado la cúspide de la cultivación y no puedes ascender más.',
       'stat.realm': 'Reino',
       'stat.qi': 'Qi',
       'stat.qiPerTap': 'Qi por toque',
@@ -694,6 +1031,30 @@
       'perk.resourceProficiency.desc': 'Aumenta la producción de hierbas, piedras espirituales y energía bestial en un 2 % por nivel.',
       'perk.forgeMastery.name': 'Dominio de la forja',
       'perk.forgeMastery.desc': 'Reduce el coste y el tiempo de forja en un 2 % por nivel.',
+      'perk.swordIntent.name': 'Intención de la Espada',
+      'perk.swordIntent.desc': 'Aumenta el poder contra las tribulaciones en un 5 % por nivel.',
+      'perk.swordHeart.name': 'Corazón de la Espada',
+      'perk.swordHeart.desc': 'Aumenta todo el Qi/s en un 4 % por nivel.',
+      'perk.tenThousandSwords.name': 'Diez Mil Espadas',
+      'perk.tenThousandSwords.desc': 'Culminación: multiplica el Qi/s por 1,5 y el poder contra las tribulaciones por 1,25.',
+      'perk.pillRefinement.name': 'Refinamiento de Píldoras',
+      'perk.pillRefinement.desc': 'Reduce el tiempo de elaboración en un 5 % por nivel.',
+      'perk.elixirAffinity.name': 'Afinidad con Elixires',
+      'perk.elixirAffinity.desc': 'Aumenta la potencia de los elixires en un 10 % por nivel.',
+      'perk.nineTurnPill.name': 'Píldora Dorada de Nueve Giros',
+      'perk.nineTurnPill.desc': 'Culminación: multiplica la potencia de los elixires por 1,5 y añade un 10 % de probabilidad de avance.',
+      'perk.ascendantInsight.name': 'Perspicacia Ascendente',
+      'perk.ascendantInsight.desc': 'Aumenta las recompensas de ascensión en un 5 % por nivel.',
+      'perk.heavenlyForge.name': 'Forja Celestial',
+      'perk.heavenlyForge.desc': 'Fortalece los artefactos de Qi en un 5 % por nivel.',
+      'perk.eternalDao.name': 'Dao Eterno',
+      'perk.eternalDao.desc': 'Culminación: reduce el coste de los avances en un 10 % y aumenta las ganancias sin conexión en un 25 %.',
+      'perk.requires': 'Requiere {perks}',
+      'perk.sealed': 'Sellado por la senda {path}',
+      'perk.branch.sword': 'Senda de la Espada',
+      'perk.branch.alchemy': 'Senda de la Alquimia',
+      'btn.respec': 'Reasignar: reembolsa {refund} PA por {cost} Piedras espirituales',
+      'perk.respecConfirm': '¿Reiniciar el árbol de ventajas por {cost} Piedras espirituales? Se reembolsarán todos los PA gastados.',
       // Sect hub and hall labels/descriptions
       'card.brewing': 'Preparación',
       'card.elixirInventory': 'Inventario de elixires',
@@ -726,6 +1087,8 @@
       'artifact.beastTalisman.desc': 'Aumenta la producción de energía bestial en {percent}',
       'artifact.fortuneCharm.name': 'Amuleto de Fortuna',
       'artifact.fortuneCharm.desc': 'Reduce la probabilidad de fracaso de expedición en {percent}',
+      'artifact.thunderCharm.name': 'Amuleto Parrayos',
+      'artifact.thunderCharm.desc': 'Aumenta el poder contra las tribulaciones en {percent}',
       // Toast messages related to forging
       'toast.forgingSlotsFull': 'Todos los espacios de forja están en uso',
       'toast.notEnoughSpiritStones2': 'No hay suficientes piedras espirituales',
@@ -785,7 +1148,15 @@
       'option.background.3': '炽焰星云',
       'option.background.4': '山谷',
       'label.backgroundDimmer': '背景遮罩：',
+      'label.notation': '数字格式：',
+      'label.notationPrecision': '小数位数：',
+      'option.notation.standard': '标准 (1.23M)',
+      'option.notation.scientific': '科学计数 (1.23e6)',
+      'option.notation.engineering': '工程计数 (1.23e6)',
+      'option.notation.letters': '字母 (1.23ab)',
+      'option.notation.full': '完整 (1,230,000)',
       'label.tapMult': '每次点击气 ×100（测试）',
+      'label.breakthroughRisk': '突破风险（小境界突破可能失败）',
       'label.psMult': '每秒气 ×100（测试）',
       'btn.exportSave': '导出存档',
       'btn.importSave': '导入存档',
@@ -859,9 +1230,96 @@
       'ascension.nextLayer': '下一层突破需要 {cost} 气',
       'ascension.timeToTarget': '达到目标还需: {mins}分 {secs}秒',
       // 当玩家达到最后一个境界和最后一层时显示的信息
-      'ascension.finalRealm': '你已经达到了修行的巅峰，无法再进一步飞升。',
+      'ascension.readyToTranscend': '准备再次超越{realm}。消耗 {cost} 气',
+      'tribulation.preview': '此次晋升由 {waves} 波天劫雷霆守护。抵御大部分雷劫即可晋升并获得额外飞升点。',
+      'tribulation.odds': '抵御下一波雷劫的几率：{chance}%（力量 {power}）',
+      'tribulation.active': '天劫进行中：第 {wave}/{waves} 波将在 {secs} 秒后降下',
+      'tribulation.cooldown': '天劫后恢复中：{mins}分 {secs}秒',
+      'breakthrough.chance': '突破成功率：{chance}%',
+      'breakthrough.parts': '基础 {base}% • 根基 +{stability}% • 研究 +{research}% • 丹药 +{pill}% • 保底 +{pity}%',
+      'breakthrough.deviation': '走火入魔：气/秒 −{penalty}%，持续 {secs} 秒',
+      'breakthrough.pillPrepared': '已为本次突破备好{pill}',
+      'breakthrough.takePill': '服用{pill}（×{count}）',
+      'h3.reincarnation': '转世',
+      'h4.karmaTree': '业力树',
+      'h4.pastLives': '前世',
+      'btn.reincarnate': '转世',
+      'btn.maxed': '已满级',
+      'label.karmaShort': '业力',
+      'reincarnation.karma': '业力：{karma} • 已历世数：{lives}',
+      'reincarnation.life': '今生：{breakthroughs} 次突破，{time} 内聚气 {qi}',
+      'reincarnation.ready': '现在转世可获得 {karma} 业力。',
+      'reincarnation.locked': '达到{realm}后方可转世。',
+      'reincarnation.confirm': '转世获得 {karma} 业力？你的境界、层数、升级、研究和建筑都将失去。',
+      'reincarnation.noLives': '尚无前世。',
+      'reincarnation.lifeNumber': '第 {life} 世',
+      'reincarnation.lifeSummary': '{breakthroughs} 次突破，{transcendences} 次超越，{time} 内聚气 {qi} • +{karma} 业力',
+      'karma.requires': '需要 {perks}',
+      'h3.challenges': '挑战',
+      'btn.startChallenge': '开始',
+      'btn.abandon': '放弃',
+      'challenge.active': '挑战进行中：{name}。达到{realm}（已用时 {time}）。',
+      'challenge.abandonConfirm': '放弃此挑战？你将回到之前的进度，但不会获得奖励。',
+      'challenge.startConfirm': '开始{name}？挑战从第一境界开始；当前进度会被保存，挑战结束后恢复。',
+      'challenge.goal': '目标：达到{realm}',
+      'challenge.reward': '奖励：{reward}',
+      'challenge.completed': '已完成 {count} 次',
+      'error.contentLoad': '无法加载游戏内容。请刷新页面。',
+      'error.fileProtocol': '以本地文件方式打开时，游戏无法加载内容。请用本地网页服务器（例如“npx serve”）提供游戏文件夹，并从那里打开。',
+      'error.startFailed': '游戏启动失败。请刷新页面。',
+      'save.storageFull': '保存失败：浏览器存储空间已满。请导出存档或删除不用的存档位。',
+      'save.failed': '保存失败。请导出存档以保留进度。',
+      'import.readOnly': '游戏已在另一个标签页中打开。请先在此标签页接管，再导入存档。',
+      'log.starLimit': '最多只能标星 {limit} 条记录。请先取消一条。',
+      'h3.notifications': '通知',
+      'label.toast.general': '一般消息',
+      'label.toast.expeditions': '探险',
+      'label.toast.forging': '锻造',
+      'label.toast.alchemy': '炼丹',
+      'label.toast.sect': '宗门与弟子',
+      'label.toast.ascension': '突破与飞升',
+      'label.toast.achievements': '成就',
+      'label.toast.story': '剧情',
+      'label.toast.quests': '任务与悬赏',
+      'label.toast.events': '随机事件',
+      'h4.desktopNotifications': '桌面通知',
+      'label.notify.expeditions': '探险归来或失败',
+      'label.notify.forging': '锻造完成',
+      'label.notify.alchemy': '炼制完成',
+      'label.notify.dantian': '丹田已满',
+      'label.notify.quests': '新的每日任务',
+      'notify.expeditionDone': '你的{name}探险已归来。',
+      'notify.expeditionFailed': '你的{name}探险失败了。',
+      'notify.forged': '{name}已锻造完成。',
+      'notify.brewed': '{name}已炼制完成。',
+      'notify.dantianFull': '你的丹田已满。消耗灵气以继续修炼。',
+      'notify.questsReset': '新的每日任务已开放。',
+      'notify.bountiesReset': '新的每周悬赏已开放。',
+      'toast.notificationsBlocked': '浏览器设置已阻止此网站的通知。',
+      'update.available': '有新版本可用。',
+      'away.title': '离线期间',
+      'away.time': '你离开了 {time}。',
+      'away.counted': '其中只有 {time} 计入修炼。',
+      'away.cap': '离线上限：{time}（基础 {base} 小时）',
+      'away.capBonus': '离线上限：{time}（基础 {base} 小时 + 时空裂隙 {bonus} 小时）',
+      'away.spiritWell': '灵泉加成：离线产出 ×{mult}',
+      'away.base': '基础',
+      'away.buildings': '建筑',
+      'away.disciples': '弟子',
+      'away.expeditions': '探险',
+      'away.total': '合计',
+      'away.nothing': '没有收集到任何资源。',
+      'away.qiLost': '丹田已满，损失了 {qi} 灵气。',
+      'away.expeditionDone': '{name}：完成 {count} 次',
+      'away.expeditionFailed': '，失败 {count} 次',
+      'away.rareFind': '，1 件稀有发现',
+      'away.rareFinds': '，{count} 件稀有发现',
+      'away.forged': '已锻造的法宝',
+      'away.brewed': '已炼制的丹药',
+      'btn.collect': '领取',
+      'btn.collectRequeue': '领取并重新排队',
+      'btn.reload': '重新加载',
       // 当尝试超越最终境界时的弹窗信息
-      'toast.finalRealm': '你已经达到了修行的巅峰，不能再飞升。',
       'stat.realm': '境界',
       'stat.qi': '气',
       'stat.qiPerTap': '每次点击气',
@@ -928,6 +1386,30 @@
       'perk.resourceProficiency.desc': '每级使草药、灵石和兽能产量增加2%。',
       'perk.forgeMastery.name': '锻造精通',
       'perk.forgeMastery.desc': '每级减少锻造成本和时间2%。',
+      'perk.swordIntent.name': '剑意',
+      'perk.swordIntent.desc': '每级渡劫力量提升5%。',
+      'perk.swordHeart.name': '剑心',
+      'perk.swordHeart.desc': '每级所有气/秒提升4%。',
+      'perk.tenThousandSwords.name': '万剑归宗',
+      'perk.tenThousandSwords.desc': '终极：气/秒×1.5，渡劫力量×1.25。',
+      'perk.pillRefinement.name': '炼丹精进',
+      'perk.pillRefinement.desc': '每级炼制时间减少5%。',
+      'perk.elixirAffinity.name': '丹药亲和',
+      'perk.elixirAffinity.desc': '每级丹药药力提升10%。',
+      'perk.nineTurnPill.name': '九转金丹',
+      'perk.nineTurnPill.desc': '终极：丹药药力×1.5，突破成功率+10%。',
+      'perk.ascendantInsight.name': '飞升领悟',
+      'perk.ascendantInsight.desc': '每级飞升奖励提升5%。',
+      'perk.heavenlyForge.name': '天工炉',
+      'perk.heavenlyForge.desc': '每级气类法宝增强5%。',
+      'perk.eternalDao.name': '永恒之道',
+      'perk.eternalDao.desc': '终极：突破消耗降低10%，离线收益提升25%。',
+      'perk.requires': '需要 {perks}',
+      'perk.sealed': '已被{path}封印',
+      'perk.branch.sword': '剑道',
+      'perk.branch.alchemy': '丹道',
+      'btn.respec': '重置：花费 {cost} 灵石返还 {refund} 飞升点',
+      'perk.respecConfirm': '花费 {cost} 灵石重置天赋树？所有已花费的飞升点将被返还。',
       // 宗门大厅及标签/描述
       'card.brewing': '酿造',
       'card.elixirInventory': '丹药库存',
@@ -960,6 +1442,8 @@
       'artifact.beastTalisman.desc': '灵兽能量产量提高 {percent}',
       'artifact.fortuneCharm.name': '幸运符',
       'artifact.fortuneCharm.desc': '减少远征失败概率 {percent}',
+      'artifact.thunderCharm.name': '避雷符',
+      'artifact.thunderCharm.desc': '渡劫力量提升 {percent}',
       // 锻造相关提示
       'toast.forgingSlotsFull': '所有锻造槽已满',
       'toast.notEnoughSpiritStones2': '灵石不足',
@@ -1019,7 +1503,15 @@
       'option.background.3': 'निहारिका एंबर',
       'option.background.4': 'पर्वतीय घाटी',
       'label.backgroundDimmer': 'पृष्ठभूमि डिमर:',
+      'label.notation': 'संख्या संकेतन:',
+      'label.notationPrecision': 'दशमलव स्थान:',
+      'option.notation.standard': 'मानक (1.23M)',
+      'option.notation.scientific': 'वैज्ञानिक (1.23e6)',
+      'option.notation.engineering': 'इंजीनियरिंग (1.23e6)',
+      'option.notation.letters': 'अक्षर (1.23ab)',
+      'option.notation.full': 'पूर्ण (12,30,000)',
       'label.tapMult': 'प्रत्येक टैप पर क्यूई ×100 (परीक्षण)',
+      'label.breakthroughRisk': 'सफलता जोखिम (छोटी सफलताएँ विफल हो सकती हैं)',
       'label.psMult': 'प्रति सेकंड क्यूई ×100 (परीक्षण)',
       'btn.exportSave': 'सेव निर्यात करें',
       'btn.importSave': 'सेव आयात करें',
@@ -1093,9 +1585,96 @@
       'ascension.nextLayer': 'अगली परत की सफलता के लिए {cost} क्यूई आवश्यक',
       'ascension.timeToTarget': 'लक्ष्य समय: {mins}m {secs}s',
       // अंतिम क्षेत्र और अंतिम स्तर पर पहुंचने पर दिखाया गया संदेश
-      'ascension.finalRealm': 'आपने साधना की पराकाष्ठा प्राप्त कर ली है। आगे कोई उत्क्रमण संभव नहीं है।',
+      'ascension.readyToTranscend': '{realm} को फिर से पार करने के लिए तैयार। लागत: {cost} क्यूई',
+      'tribulation.preview': 'इस वृद्धि की रक्षा {waves} बिजली की लहरों वाला स्वर्गीय क्लेश करता है। अधिकांश लहरें सहें और बोनस AP के साथ आगे बढ़ें।',
+      'tribulation.odds': 'अगली लहर सहने की संभावना: {chance}% (शक्ति {power})',
+      'tribulation.active': 'क्लेश जारी है: लहर {wave}/{waves} {secs}s में गिरेगी',
+      'tribulation.cooldown': 'क्लेश से उबर रहे हैं: {mins}m {secs}s',
+      'breakthrough.chance': 'सफलता की संभावना: {chance}%',
+      'breakthrough.parts': 'आधार {base}% • स्थिरता +{stability}% • अनुसंधान +{research}% • गोली +{pill}% • दया +{pity}%',
+      'breakthrough.deviation': 'क्यूई विचलन: {secs}s तक क्यूई/से −{penalty}%',
+      'breakthrough.pillPrepared': 'इस प्रयास के लिए {pill} तैयार',
+      'breakthrough.takePill': '{pill} लें (×{count})',
+      'h3.reincarnation': 'पुनर्जन्म',
+      'h4.karmaTree': 'कर्म वृक्ष',
+      'h4.pastLives': 'पिछले जन्म',
+      'btn.reincarnate': 'पुनर्जन्म लें',
+      'btn.maxed': 'अधिकतम',
+      'label.karmaShort': 'कर्म',
+      'reincarnation.karma': 'कर्म: {karma} • पूर्ण जन्म: {lives}',
+      'reincarnation.life': 'यह जन्म: {breakthroughs} सफलताएँ, {time} में {qi} क्यूई एकत्र',
+      'reincarnation.ready': 'अभी पुनर्जन्म लेने पर {karma} कर्म मिलेगा।',
+      'reincarnation.locked': 'पुनर्जन्म के लिए {realm} तक पहुँचें।',
+      'reincarnation.confirm': '{karma} कर्म के लिए पुनर्जन्म लें? आपका लोक, परतें, उन्नयन, अनुसंधान और भवन खो जाएँगे।',
+      'reincarnation.noLives': 'अभी कोई पिछला जन्म नहीं।',
+      'reincarnation.lifeNumber': 'जन्म {life}',
+      'reincarnation.lifeSummary': '{breakthroughs} सफलताएँ, {transcendences} अतिक्रमण, {time} में {qi} क्यूई • +{karma} कर्म',
+      'karma.requires': 'आवश्यक: {perks}',
+      'h3.challenges': 'चुनौतियाँ',
+      'btn.startChallenge': 'शुरू करें',
+      'btn.abandon': 'छोड़ें',
+      'challenge.active': 'चुनौती जारी: {name}। {realm} तक पहुँचें ({time} बीते)।',
+      'challenge.abandonConfirm': 'यह चुनौती छोड़ें? आप बिना पुरस्कार के अपने पिछले खेल पर लौट आएँगे।',
+      'challenge.startConfirm': '{name} शुरू करें? चुनौती पहले लोक से शुरू होती है; आपका मौजूदा खेल अलग रखा जाता है और अंत में लौटा दिया जाता है।',
+      'challenge.goal': 'लक्ष्य: {realm} तक पहुँचें',
+      'challenge.reward': 'पुरस्कार: {reward}',
+      'challenge.completed': '{count}× पूरा',
+      'error.contentLoad': 'गेम सामग्री लोड नहीं हो सकी। कृपया पेज फिर से लोड करें।',
+      'error.fileProtocol': 'फ़ाइल के रूप में खोलने पर गेम अपनी सामग्री लोड नहीं कर सकता। गेम फ़ोल्डर को किसी लोकल वेब सर्वर (जैसे "npx serve") से चलाएँ और वहीं से खोलें।',
+      'error.startFailed': 'गेम शुरू नहीं हो सका। कृपया पेज फिर से लोड करें।',
+      'save.storageFull': 'सहेजना विफल: ब्राउज़र स्टोरेज भर गया है। अपना सेव निर्यात करें या अप्रयुक्त सेव स्लॉट हटाएँ।',
+      'save.failed': 'सहेजना विफल। अपनी प्रगति रखने के लिए सेव निर्यात करें।',
+      'import.readOnly': 'गेम किसी दूसरे टैब में खुला है। सेव आयात करने से पहले इस टैब में नियंत्रण लें।',
+      'log.starLimit': 'अधिकतम {limit} प्रविष्टियों को तारांकित किया जा सकता है। पहले किसी एक को हटाएँ।',
+      'h3.notifications': 'सूचनाएँ',
+      'label.toast.general': 'सामान्य संदेश',
+      'label.toast.expeditions': 'अभियान',
+      'label.toast.forging': 'फोर्जिंग',
+      'label.toast.alchemy': 'रसायन',
+      'label.toast.sect': 'संप्रदाय और शिष्य',
+      'label.toast.ascension': 'सफलता और आरोहण',
+      'label.toast.achievements': 'उपलब्धियाँ',
+      'label.toast.story': 'कहानी',
+      'label.toast.quests': 'खोज और इनाम',
+      'label.toast.events': 'यादृच्छिक घटनाएँ',
+      'h4.desktopNotifications': 'डेस्कटॉप सूचनाएँ',
+      'label.notify.expeditions': 'अभियान लौटा या विफल',
+      'label.notify.forging': 'फोर्जिंग पूर्ण',
+      'label.notify.alchemy': 'रसायन पूर्ण',
+      'label.notify.dantian': 'दांतियन भरा',
+      'label.notify.quests': 'नई दैनिक खोजें',
+      'notify.expeditionDone': 'आपका {name} अभियान लौट आया है।',
+      'notify.expeditionFailed': 'आपका {name} अभियान विफल हो गया।',
+      'notify.forged': '{name} की फोर्जिंग पूरी हुई।',
+      'notify.brewed': '{name} तैयार हो गया।',
+      'notify.dantianFull': 'आपका दांतियन भर गया है। साधना जारी रखने के लिए Qi खर्च करें।',
+      'notify.questsReset': 'नई दैनिक खोजें उपलब्ध हैं।',
+      'notify.bountiesReset': 'नए साप्ताहिक इनाम उपलब्ध हैं।',
+      'toast.notificationsBlocked': 'ब्राउज़र सेटिंग्स में इस साइट की सूचनाएँ अवरुद्ध हैं।',
+      'update.available': 'नया संस्करण उपलब्ध है।',
+      'away.title': 'जब आप दूर थे',
+      'away.time': 'आप {time} के लिए दूर थे।',
+      'away.counted': 'केवल {time} आपकी साधना में गिने गए।',
+      'away.cap': 'ऑफ़लाइन सीमा: {time} ({base} घंटे आधार)',
+      'away.capBonus': 'ऑफ़लाइन सीमा: {time} ({base} घंटे आधार + {bonus} घंटे काल दरार)',
+      'away.spiritWell': 'आत्मा कुआँ बोनस: ऑफ़लाइन उत्पादन ×{mult}',
+      'away.base': 'आधार',
+      'away.buildings': 'इमारतें',
+      'away.disciples': 'शिष्य',
+      'away.expeditions': 'अभियान',
+      'away.total': 'कुल',
+      'away.nothing': 'कोई संसाधन एकत्र नहीं हुआ।',
+      'away.qiLost': 'आपका दंतियन भरा होने के कारण {qi} ची नष्ट हो गई।',
+      'away.expeditionDone': '{name}: {count} पूरे',
+      'away.expeditionFailed': ', {count} विफल',
+      'away.rareFind': ', 1 दुर्लभ खोज',
+      'away.rareFinds': ', {count} दुर्लभ खोजें',
+      'away.forged': 'गढ़ी गई कलाकृतियाँ',
+      'away.brewed': 'बनाए गए अमृत',
+      'btn.collect': 'एकत्र करें',
+      'btn.collectRequeue': 'एकत्र करें और फिर से कतार में लगाएँ',
+      'btn.reload': 'फिर से लोड करें',
       // अंतिम क्षेत्र से आगे बढ़ने का प्रयास करने पर दिखाया जाने वाला संदेश
-      'toast.finalRealm': 'आपने साधना की पराकाष्ठा प्राप्त कर ली है और आगे नहीं बढ़ सकते।',
       'stat.realm': 'क्षेत्र',
       'stat.qi': 'क्यूई',
       'stat.qiPerTap': 'प्रति टैप क्यूई',
@@ -1162,6 +1741,30 @@
       'perk.resourceProficiency.desc': 'प्रति स्तर जड़ी-बूटी, आत्मा पत्थर और पशु उत्पादन को 2% बढ़ाता है।',
       'perk.forgeMastery.name': 'फोर्ज महारत',
       'perk.forgeMastery.desc': 'प्रति स्तर फोर्ज लागत और समय को 2% कम करता है।',
+      'perk.swordIntent.name': 'तलवार का संकल्प',
+      'perk.swordIntent.desc': 'प्रति स्तर क्लेश शक्ति 5% बढ़ाता है।',
+      'perk.swordHeart.name': 'तलवार का हृदय',
+      'perk.swordHeart.desc': 'प्रति स्तर सभी क्यूई/से 4% बढ़ाता है।',
+      'perk.tenThousandSwords.name': 'दस हज़ार तलवारें',
+      'perk.tenThousandSwords.desc': 'शिखर: क्यूई/से ×1.5 और क्लेश शक्ति ×1.25।',
+      'perk.pillRefinement.name': 'गोली शोधन',
+      'perk.pillRefinement.desc': 'प्रति स्तर बनाने का समय 5% घटाता है।',
+      'perk.elixirAffinity.name': 'अमृत आत्मीयता',
+      'perk.elixirAffinity.desc': 'प्रति स्तर अमृत की शक्ति 10% बढ़ाता है।',
+      'perk.nineTurnPill.name': 'नौ-चक्र स्वर्ण गोली',
+      'perk.nineTurnPill.desc': 'शिखर: अमृत शक्ति ×1.5 और सफलता की संभावना +10%।',
+      'perk.ascendantInsight.name': 'आरोही अंतर्दृष्टि',
+      'perk.ascendantInsight.desc': 'प्रति स्तर उत्क्रमण पुरस्कार 5% बढ़ाता है।',
+      'perk.heavenlyForge.name': 'स्वर्गीय भट्ठी',
+      'perk.heavenlyForge.desc': 'प्रति स्तर क्यूई कलाकृतियों को 5% मज़बूत करता है।',
+      'perk.eternalDao.name': 'शाश्वत दाओ',
+      'perk.eternalDao.desc': 'शिखर: सफलता लागत 10% घटाता है और ऑफ़लाइन लाभ 25% बढ़ाता है।',
+      'perk.requires': 'आवश्यक: {perks}',
+      'perk.sealed': '{path} द्वारा बंद',
+      'perk.branch.sword': 'तलवार मार्ग',
+      'perk.branch.alchemy': 'कीमिया मार्ग',
+      'btn.respec': 'रीसेट: {cost} आत्मा पत्थरों में {refund} AP वापस',
+      'perk.respecConfirm': '{cost} आत्मा पत्थरों में लाभ वृक्ष रीसेट करें? खर्च किए गए सभी AP वापस मिलेंगे।',
       // संप्रदाय हब और हॉल लेबल/विवरण
       'card.brewing': 'निर्माण',
       'card.elixirInventory': 'अमृत सूची',
@@ -1194,6 +1797,8 @@
       'artifact.beastTalisman.desc': 'पशु ऊर्जा उत्पादन में {percent} वृद्धि',
       'artifact.fortuneCharm.name': 'भाग्य ताबीज',
       'artifact.fortuneCharm.desc': 'अभियान की विफलता की संभावना {percent} तक कम',
+      'artifact.thunderCharm.name': 'वज्र रक्षा ताबीज',
+      'artifact.thunderCharm.desc': 'क्लेश शक्ति {percent} बढ़ाता है',
       // गढ़ने से संबंधित टोसट संदेश
       'toast.forgingSlotsFull': 'सभी गढ़ने के स्लॉट उपयोग में हैं',
       'toast.notEnoughSpiritStones2': 'पर्याप्त आत्मा पत्थर नहीं',
@@ -1268,7 +1873,9 @@
     // Refresh dynamic UI lists (upgrades, research, skills) to reflect the new language.
     // These functions are defined in main.js and rebuild the lists using translated names.
     try {
-      if (typeof window.updateUpgradeUI === 'function') window.updateUpgradeUI();
+      // The upgrade list is redrawn through the engine's change event so its
+      // listeners (e.g. the ROI tags) run as well.
+      if (typeof window.notifyChange === 'function') window.notifyChange(['upgrades']);
       if (typeof window.updateResearchUI === 'function') window.updateResearchUI();
       if (typeof window.updateSkillUI === 'function') window.updateSkillUI();
       // Refresh disciple list on language change to update recruit labels and train buttons
@@ -1412,6 +2019,14 @@
           opt.textContent = t(key);
         }
       }
+      // Number notation options
+      const notationSelect = document.getElementById('notation-select');
+      if (notationSelect) {
+        for (let i = 0; i < notationSelect.options.length; i++) {
+          const opt = notationSelect.options[i];
+          opt.textContent = t(`option.notation.${opt.value}`);
+        }
+      }
       // Buttons
       const exportBtn = document.getElementById('export-save-btn');
       if (exportBtn) exportBtn.textContent = t('btn.exportSave');
@@ -1469,6 +2084,11 @@
       if (ascIntro) {
         ascIntro.textContent = t('p.ascension.intro');
       }
+      // Reincarnation and challenge headings below the perk tree.
+      [['reincarnation-heading', 'h3.reincarnation'], ['karma-tree-heading', 'h4.karmaTree'], ['past-lives-heading', 'h4.pastLives'], ['challenges-heading', 'h3.challenges']].forEach(([id, key]) => {
+        const heading = document.getElementById(id);
+        if (heading) heading.textContent = t(key);
+      });
     }
 
     // Translate the story introduction paragraphs.  The #story-intro div
@@ -1,1129 +1,14 @@
 /*
  * Cultivation World - Simplified Idle Game
  *
- * This file implements the core game logic for a cultivation‑themed idle game.
- * Players gather Qi manually and passively, purchase upgrades to increase production,
- * learn techniques (skills), conduct research, and unlock new features as they
- * progress through spiritual realms. The code is designed to be readable and
- * easy to extend. It does not attempt to reproduce every feature discussed
- * earlier but serves as a stable foundation.
+ * This file implements the browser UI for a cultivation‑themed idle game:
+ * saving and loading, rendering every screen, settings and the event wiring
+ * in init().  The simulation itself (game state, content tables, production
+ * and all purchases/actions) lives in core.js, which is loaded first and
+ * reports toasts and state changes through its `engine` event hub.  See
+ * bindEngine() below for how the UI subscribes.
  */
 
-// Global game state
-const game = {
-  qi: 0,
-  qiPerTap: 1,
-  qiPerSec: 0,
-  herbs: 0,
-    beasts: 0,
-  jade: 0,
-  spiritStones: 0,
-  dantianCap: 1e6,
-  // Multiplicative modifier for Qi capacity (dantian).  This starts at 1 and is
-  // increased by upgrades such as Dantian Expansion and Nebula Elixir.  The
-  // final Qi cap is computed as a function of the player’s current realm/layer
-  // cost times this multiplier.  See recalcProduction() for calculation.
-  dantianMult: 1,
-  forgingBuffMult: 1,
-
-  // Multiplier for Qi gained per tap.  Used for testing purposes to drastically
-  // increase manual Qi gathering when enabled via a toggle in Settings.  The
-  // default value is 1 (no multiplier); when set to 100, each manual
-  // meditation yields 100× the usual Qi.  See gatherQi() and updateStatsUI().
-  qiPerTapMult: 1,
-
-  // Multiplier for passive Qi gained per second.  This mirrors the tap
-  // multiplier and is exposed as a testing toggle in the Settings screen.
-  // When enabled it multiplies the final Qi/s by 100.  Defaults to 1.
-  qiPerSecMult: 1,
-
-  // Additional forging property: overall reduction to expedition failure risk.
-  // Each "Fortune Charm" forged multiplies this factor by (1 - buffValue).
-  // Defaults to 1 (no effect).  When less than 1, expedition risks are reduced
-  // multiplicatively.  This value is persisted across saves.
-  forgingRiskMult: 1,
-  // Alchemy system state
-  elixirQueue: [],
-  elixirInventory: {},
-  activeElixirs: [],
-  // Expedition party selection (indices into disciples array)
-  selectedPartyIdxs: [],
-
-  // New forging system: allow separate multipliers for each resource type and a queue of
-  // artifacts being forged.  Each artifact can boost Qi, herbs, spiritStones or beasts
-  // independently.  The forgingMults object stores cumulative multipliers applied
-  // to each resource.  forgingQueue holds active forge tasks with their
-  // completion time and target artifact id.
-  forgingMults: {
-    qi: 1,
-    herbs: 1,
-    spiritStones: 1,
-    beasts: 1
-  },
-  forgingQueue: [],
-  stage: 0, // realm index: 0=Qi Gathering, 1=Foundation, 2=Core Formation, etc.
-  subLayer: 0, // 0-8 minor layers
-  upgrades: {}, // {upgradeId: level}
-  research: {}, // {researchId: level}
-  // runtime multipliers
-  multQi: 1,
-  multHerbs: 1,
-  multSpiritStones: 1,
-  multBeasts: 1,
-  multJade: 1,
-  // Save version indicates the schema version for persisted game data.  Incrementing this
-  // number signals that a save migration may need to run to seed new fields or adjust
-  // existing ones.  The sprint B/C builds increased this to 3.
-  saveVersion: 3,
-  totalBreakthroughs: 0,
-
-  // additional runtime state
-  layerMult: 1,
-  lastTick: Date.now(),
-  autoSend: false,
-  lastExpeditionType: null,
-  // support multiple simultaneous expeditions.  Previously a single activeExpedition
-  // tracked only one ongoing expedition.  We now use activeExpeditions keyed by
-  // expedition id ('herb','stone','beast') with values containing endTime and reward.
-  activeExpeditions: {}
-  ,afterglowExpires: 0,
-  // collapsed UI states
-  achCollapsed: false,
-  loreCollapsed: false,
-  // quest reset timestamp (ms)
-  questTimestamp: 0,
-  // pity counters for expeditions
-  expeditionPity: { herb: 0, stone: 0, beast: 0, beastLair: 0 }
-  ,buildings: {},
-  ascensionPoints: 0,
-  ascensionPerks: {}
-  ,settings: {
-    colorBlind: false,
-    largeFont: false,
-    reduceMotion: false,
-    theme: 'dark',
-    // Index of selected background image (0-4).  Added for dynamic backgrounds
-    backgroundIndex: 0
-    ,
-    // Whether to hide locked research and techniques by default.  Persisted across sessions.
-    hideLocked: true,
-    // Opacity (0-0.3) for a dimming overlay on the background image.  Higher values darken the background for better contrast.
-    bgDimmer: 0
-    ,
-    // Per‑expedition auto‑send flags keyed by expedition id.  When the global auto‑send toggle
-    // is enabled, only expedition types with a true flag here will auto‑start.  Defining this
-    // property up front prevents undefined property errors when the auto‑send logic attempts
-    // to read or write game.settings.autoSendTypes.
-    autoSendTypes: {}
-  }
-  ,
-  // Collapse state for cultivation sections.  When true, the corresponding list is hidden.
-  skillsCollapsed: false,
-  researchCollapsed: false
-  ,
-  // Story progress tracks choices made for each realm-based chapter.  Each key
-  // corresponds to the stage index (0=Qi Gathering, 1=Foundation, etc.) and
-  // stores the choice id selected.  If a stage key is absent, the player has
-  // not yet made a decision for that chapter.  The story system unlocks
-  // chapters automatically based on your current stage.
-  story: { choices: {} }
-  ,
-  // Additional counters used by later achievements.  These values persist
-  // across sessions and are updated whenever their associated actions occur.
-  // 'expeditionsCompleted' counts the total number of expeditions finished
-  // (of any type).  'bountiesClaimed' counts how many bounty rewards you have
-  // collected.  'artifactsForged' counts how many times you have forged an
-  // artifact.  These counters allow new achievements to be defined without
-  // retroactively modifying existing structures.
-  expeditionsCompleted: 0,
-  bountiesClaimed: 0,
-  artifactsForged: 0,
-  // Last time a random event occurred (ms).  Used to throttle the frequency
-  // of random events that occur during the tick() loop.  Initially set to 0.
-  lastRandomEvent: 0
-
-  ,
-  // Track which UI features have been unlocked but not yet visited.  When a
-  // new screen becomes available (e.g. after ascending to a new realm), a
-  // small exclamation mark will appear next to its navigation button.  When
-  // the player leaves that screen for the first time, the indicator is
-  // cleared.  Keys are screen IDs (e.g. 'sect', 'sect-management',
-  // 'sect-forging', 'dao', etc.).  Booleans indicate whether the feature
-  // should currently display a notification.
-  newFeatures: {},
-  // Record which screens the player has visited.  A screen is considered
-  // visited once the player navigates away from it.  Used in tandem with
-  // `newFeatures` to determine when to show or hide notification badges.
-  featuresSeen: {},
-  // Track which active expeditions have their details expanded.  Keys are
-  // expedition IDs, values are booleans.  When true, the expedition’s
-  // duration/risk/EV details are shown even while it is in progress.  When
-  // false, only the remaining time is displayed.
-  expandedExpeditions: {},
-  // Properties introduced by later sprints (e.g. forging upgrades, disciples assignments,
-  // enhanced alchemy, bounties, etc.).  By defining them here with sensible defaults,
-  // we prevent reference errors when optional systems attempt to read or write these fields
-  // before a save migration has created them.
-  // Parallel forging slots available (1 by default).  Increased by certain perks.
-  forgingSlots: 1,
-  // Global forging time multiplier (1 = normal speed).  Perks can reduce this below 1.
-  forgingTimeMult: 1,
-  // Track overdose cooldowns for each elixir recipe (recipe id -> timestamp).  Used by the
-  // alchemy 2.0 system to prevent consuming the same elixir repeatedly in rapid succession.
-  elixirOverdose: {},
-  // Assign disciples to sect buildings (building id -> disciple index).  Allows buildings
-  // to benefit from assigned disciple levels and loyalty.
-  discipleAssignments: {},
-  // Containers for daily and weekly bounty tasks.  Each element is an object describing
-  // the target resource/action and the amount required.  These arrays are empty until
-  // rollBounties() populates them on load.  Seeds store the randomization seed used to
-  // generate the current set of bounties and change each day/week.
-  dailyBounties: [],
-  weeklyBounties: [],
-  dailySeed: 0,
-  weekSeed: 0
-};
-
-// Define realm names for display.  If more realms are reached than names defined, the helper
-// function `getRealmName()` will fall back to a generic label.  Adding additional names here
-// allows the game to keep the sense of progression found in cultivation novels.
-const realms = [
-  'Qi Gathering',
-  'Foundation Establishment',
-  'Core Formation',
-  'Golden Core',
-  'Nascent Soul',
-  'Spirit Transformation',
-  'Immortal Ascension',
-  'Void Refinement',
-  'Celestial Tribulation',
-  'Divine Ascension',
-  'Eternal Godhood'
-];
-
-// Helper to return a realm name or a generic label if undefined.  This ensures UI
-// messages don\'t display "undefined" when the player reaches realms beyond the
-// predefined list.
-function getRealmName(index) {
-  // Use the i18n helper if available to translate realm names.  The
-  // i18n module defines keys such as 'realm.0', 'realm.1', etc.  When the
-  // translation is missing (or the helper is undefined) fall back to the
-  // original entry in the realms array or to a generic label.
-  try {
-    if (typeof window.t === 'function') {
-      const key = 'realm.' + index;
-      const translated = window.t(key);
-      // Only use the translated string if the helper returned a non-empty
-      // string that isn't just the key itself.  Otherwise fall back.
-      if (translated && translated !== key) return translated;
-    }
-  } catch (e) {
-    /* ignore any errors */
-  }
-  return realms[index] || `Realm ${index + 1}`;
-}
-
-// Upgrade definitions
-const upgradeDefs = [
-  // The Novice Techniques upgrade has been removed.  Early Qi generation now relies on
-  // your innate trickle and the Meditation and Breathing Technique upgrades.
-  {
-    id: 'meditation',
-    name: 'Meditation',
-    // Meditation now provides a scaling flow of Qi.  Each level begins at
-    // 5 Qi/s and the total output doubles with every subsequent level,
-    // yielding 5, 10, 20, 40, 80, etc.  The description presented to the
-    // player remains simple while the effect implements the exponential
-    // increase.
-    desc: 'Focus your mind to produce 5 Qi per second per level.',
-    // Base cost and scaling remain modest so players can invest in
-    // meditation early on without runaway growth.
-    baseCost: 40,
-    costMult: 1.22,
-    effect: (level) => {
-      // Starting at 5 Qi/s for level 1, double the total output with each
-      // subsequent level.  This results in a geometric progression: 5, 10,
-      // 20, 40, 80, etc.  If level is zero or negative (should not happen),
-      // contribute nothing.
-      if (level > 0) {
-        const amount = 5 * Math.pow(2, level - 1);
-        game.qiPerSec += amount;
-      }
-    },
-    unlockStage: 0
-  },
-  {
-    id: 'breathing',
-    name: 'Breathing Technique',
-    // Breathing now profoundly enhances manual Qi gathering.  Each level
-    // increases Qi per tap by 10.  Costs remain the same to encourage early
-    // investment while keeping later growth manageable.
-    desc: 'Improve your breathing to gain 10 Qi per tap per level.',
-    baseCost: 30,
-    costMult: 1.20,
-    effect: (level) => {
-      game.qiPerTap += level * 10;
-    },
-    unlockStage: 0
-  },
-  {
-    id: 'spiritualRoot',
-    name: 'Spiritual Root',
-    // The Spiritual Root now increases Qi/s by 7% per level and is more
-    // expensive.  This helps prevent exponential explosions early in the game.
-    desc: 'Enhance your root, increasing Qi/s by 7% per level.',
-    // Spiritual Root cost reduced to make this mid‑game upgrade more accessible.
-    baseCost: 150,
-    costMult: 1.30,
-    effect: (level) => {
-      game.multQi *= Math.pow(1.07, level);
-    },
-    unlockStage: 0
-  },
-  {
-    id: 'meridianOpening',
-    name: 'Meridian Opening',
-    // Meridian Opening now provides a 50% bonus every 5 levels instead of
-    // doubling Qi/s.  The cost is higher and scales faster to curb rapid
-    // exponential growth.
-    desc: 'Open your meridians to increase Qi/s by 50% every 5 levels.',
-    // Meridian Opening now costs slightly less to smooth out early progression.
-    baseCost: 400,
-    costMult: 1.33,
-    effect: (level) => {
-      const bonusLevels = Math.floor(level / 5);
-      game.multQi *= Math.pow(1.5, bonusLevels);
-    },
-    unlockStage: 0
-  },
-  // Phase 1 upgrades (unlocked at Foundation Establishment)
-  {
-    id: 'pillFurnace',
-    name: 'Pill Furnace',
-    // Increase costs and lower the scaling to prevent excessive herb growth.  Each
-    // level now boosts herb production by 30% instead of 50%.
-    desc: 'Improves herb production by 20% per level.',
-    baseCost: 600,
-    costMult: 1.50,
-    effect: (level) => {
-      game.multHerbs *= Math.pow(1.20, level);
-    },
-    unlockStage: 1
-  },
-  {
-    id: 'meditationFocus',
-    name: 'Meditation Focus',
-    // Meditation Focus augments the Breathing Technique, further improving manual
-    // Qi gathering.  Each level raises Qi per tap by 15.  This scales
-    // proportionally with the increased breathing benefit.
-    desc: 'Raises Qi per tap by 15 per level.',
-    baseCost: 500,
-    costMult: 1.35,
-    effect: (level) => {
-      game.qiPerTap += level * 15;
-    },
-    unlockStage: 1
-  },
-  {
-    id: 'dantianExpansion',
-    name: 'Dantian Expansion',
-    // Dantian Expansion now grants a smaller capacity boost per level and costs
-    // more to purchase.  This prevents players from reaching extremely high
-    // capacities too early.
-    desc: 'Increase Qi capacity by 10% per level.',
-    // Increase cost by 10× and set a maximum level of 10 to limit the total capacity multiplier.
-    baseCost: 1000 * 10,
-    costMult: 1.50,
-    maxLevel: 10,
-    effect: (level) => {
-      game.dantianMult *= Math.pow(1.10, level);
-    },
-    unlockStage: 1
-  },
-  // Phase 2 upgrades (Core Formation)
-  {
-    id: 'elementalAttunement',
-    name: 'Elemental Attunement',
-    // Elemental Attunement now grants a smaller 3% increase to Qi/s per level and
-    // costs more.  This slows mid‑game scaling.
-    desc: 'Boost Qi/s by 3% per level.',
-    baseCost: 3000,
-    costMult: 1.60,
-    effect: (level) => {
-      game.multQi *= Math.pow(1.03, level);
-    },
-    unlockStage: 2
-  },
-  {
-    id: 'spiritForge',
-    name: 'Spirit Forge',
-    // Spirit Forge now boosts stone production by 30% per level and costs more.
-    desc: 'Improve stone production by 20% per level.',
-    baseCost: 3000,
-    costMult: 1.60,
-    effect: (level) => {
-      game.multSpiritStones *= Math.pow(1.20, level);
-    },
-    unlockStage: 2
-  },
-  {
-    id: 'beastDen',
-    name: 'Beast Den',
-    // Beast Den now boosts beast energy generation by 30% per level and costs more.
-    desc: 'Increase beast energy generation by 20% per level.',
-    baseCost: 3000,
-    costMult: 1.60,
-    effect: (level) => {
-      game.multBeasts *= Math.pow(1.20, level);
-    },
-    unlockStage: 2
-  },
-  // Phase 3+ upgrades
-  {
-    id: 'talismanWorkshop',
-    name: 'Talisman Workshop',
-    // The workshop reduces forging costs and time by a more modest amount and
-    // costs more, reflecting the increasing difficulty of late‑game scaling.
-    desc: 'Reduce forging costs and time by 3% per level.',
-    baseCost: 6000,
-    costMult: 1.65,
-    effect: (level) => {
-      // handled in forging calculations
-    },
-    unlockStage: 3
-  },
-  {
-    id: 'spiritWell',
-    name: 'Spirit Well',
-    // The Spirit Well now increases offline Qi gain by 5% per level and costs more.
-    desc: 'Boost offline Qi accumulation by 5% per level.',
-    baseCost: 9000,
-    costMult: 1.70,
-    effect: (level) => {
-      // handled in offline progress
-    },
-    unlockStage: 3
-  },
-  {
-    id: 'daoComprehension',
-    name: 'Dao Comprehension',
-    // Dao Comprehension now reduces technique costs by 3% per level and has a
-    // higher base cost and multiplier.
-    desc: 'Reduce technique costs by 3% per level.',
-    baseCost: 12000,
-    costMult: 1.70,
-    effect: (level) => {
-      // handled in technique cost calculation
-    },
-    unlockStage: 3
-  }
-  ,
-  {
-    id: 'heavenlyThunder',
-    name: 'Heavenly Thunder',
-    // Heavenly Thunder now provides a smaller Qi/s increase per level and costs more.
-    desc: 'Qi/s increased by 1% per level and forging buffs grow stronger.',
-    baseCost: 25000,
-    costMult: 1.80,
-    effect: (level) => {
-      game.multQi *= Math.pow(1.01, level);
-    },
-    unlockStage: 4
-  },
-  {
-    id: 'daoistInsights',
-    name: 'Daoist Insights',
-    // Daoist Insights now provides a 2% reduction to research costs per level and
-    // costs more.
-    desc: 'Reduces research costs by 2% per level.',
-    baseCost: 30000,
-    costMult: 1.80,
-    effect: (level) => {
-      // handled in research cost calculation
-    },
-    unlockStage: 5
-  }
-  ,
-  // Monumental late‑game upgrades to further amplify cultivation. These upgrades unlock beyond
-  // Eternal Godhood and provide massive multipliers to various resources. Their descriptions
-  // are intentionally long to reflect the epic nature of the feats and to significantly
-  // increase the code size as requested.
-  {
-    id: 'stellarComprehension',
-    name: 'Stellar Comprehension',
-    desc: 'Attune your consciousness to the movements of the stars across the endless cosmos. Each level exponentially increases Qi production by 10%, reflecting the profound secrets gleaned from celestial bodies and aligning your inner world with the universal rhythm.',
-    baseCost: 1e6,
-    costMult: 2.0,
-    effect: (level) => {
-      // Increase Qi/s multiplicatively
-      game.multQi *= Math.pow(1.10, level);
-    },
-    unlockStage: 6
-  },
-  {
-    id: 'cosmicBreath',
-    name: 'Cosmic Breath',
-    desc: 'Refine your breathing by drawing in cosmic energies. Each level greatly increases Qi per tap by 80, allowing cultivators to harness the breath of the universe itself. This technique echoes the breathing patterns of ancient immortals and brings your mortal shell closer to the Dao.',
-    baseCost: 5e5,
-    costMult: 2.0,
-    effect: (level) => {
-      game.qiPerTap += level * 80;
-    },
-    unlockStage: 6
-  },
-  {
-    id: 'nebulaElixir',
-    name: 'Nebula Elixir',
-    desc: 'Brew elixirs infused with the essence of nebulae, expanding your dantian and enhancing herb production. Each level multiplies Qi capacity by 20% and herb generation by 10%, symbolising the vastness of the nebula within your sea of consciousness.',
-    // Increase cost by 10× and limit the maximum level to 10.  This makes dantian
-    // capacity upgrades significantly more expensive and finite.
-    baseCost: 8e5 * 10,
-    costMult: 2.1,
-    maxLevel: 10,
-    effect: (level) => {
-      // Nebula Elixir expands Qi capacity and boosts herb production.  Adjust the
-      // multiplicative factor for dantian capacity rather than the cap directly.
-      game.dantianMult *= Math.pow(1.20, level);
-      game.multHerbs *= Math.pow(1.10, level);
-    },
-    unlockStage: 6
-  },
-  {
-    id: 'galacticMining',
-    name: 'Galactic Mining',
-    desc: 'Establish stone harvesting colonies throughout the galaxy. Each level multiplies stone production by 20%, tapping into the rich ore veins of distant planets and asteroids.',
-    baseCost: 1e6,
-    costMult: 2.2,
-    effect: (level) => {
-      game.multSpiritStones *= Math.pow(1.20, level);
-    },
-    unlockStage: 7
-  },
-  {
-    id: 'beastRealm',
-    name: 'Beast Realm',
-    desc: 'Journey to the Beast Realm to tame legendary spirit beasts. Each level increases beast energy generation by 20%, reflecting the aid of mythical companions such as dragons, phoenixes and qilins.',
-    baseCost: 1e6,
-    costMult: 2.2,
-    effect: (level) => {
-      game.multBeasts *= Math.pow(1.20, level);
-    },
-    unlockStage: 7
-  },
-  {
-    id: 'manaPool',
-    name: 'Mana Pool',
-    // Adjusted to match the new meditation baseline.  Mana Pool now grants +50
-    // Qi per second per level while retaining its +100 Qi per tap bonus.  This
-    // positions the upgrade as a powerful late‑game source of both passive and
-    // active Qi generation.
-    desc: 'Cultivate a vast mana pool within your dantian. Each level grants +50 Qi per second and +100 Qi per tap, representing the inexhaustible flow of primal energy into your cultivation base.',
-    baseCost: 7e5,
-    costMult: 2.0,
-    effect: (level) => {
-      game.qiPerSec += level * 50;
-      game.qiPerTap += level * 100;
-    },
-    unlockStage: 6
-  },
-  {
-    id: 'spiritArrayAmplification',
-    name: 'Spirit Array Amplification',
-    desc: 'Deploy massive spirit arrays around your sect to channel cosmic energies. Each level multiplies Qi, herb, spirit stone and beast generation by 15%. These arrays reflect the ancient art of formation masters and turn your sect into a beacon of cultivation.',
-    baseCost: 2e6,
-    costMult: 2.3,
-    effect: (level) => {
-      game.multQi *= Math.pow(1.15, level);
-      game.multHerbs *= Math.pow(1.15, level);
-      game.multSpiritStones *= Math.pow(1.15, level);
-      game.multBeasts *= Math.pow(1.15, level);
-    },
-    unlockStage: 7
-  },
-  {
-    id: 'voidPierce',
-    name: 'Void Pierce',
-    desc: 'Pierce through the void to harvest resources from alternate dimensions. Each level boosts herb, spirit stone and beast production by 10%, reflecting the spoils of other realms bleeding into yours.',
-    baseCost: 1.2e6,
-    costMult: 2.2,
-    effect: (level) => {
-      game.multHerbs *= Math.pow(1.10, level);
-      game.multSpiritStones *= Math.pow(1.10, level);
-      game.multBeasts *= Math.pow(1.10, level);
-    },
-    unlockStage: 8
-  },
-  {
-    id: 'originTalisman',
-    name: 'Origin Talisman',
-    desc: 'Craft talismans that resonate with the origin of Qi, subtly reducing all costs and enhancing cultivation speed. Each level increases Qi/s by 5% and reduces upgrade costs by 2% (handled elsewhere).',
-    baseCost: 1.5e6,
-    costMult: 2.5,
-    effect: (level) => {
-      game.multQi *= Math.pow(1.05, level);
-      // cost reduction handled in purchase calculations
-    },
-    unlockStage: 8
-  },
-  {
-    id: 'eternalFlame',
-    name: 'Eternal Flame',
-    // With the new scale of Qi per second, Eternal Flame now adds 100 Qi per
-    // second per level, maintaining its role as a capstone upgrade.  The 5%
-    // Spirit Stone bonus remains unchanged.
-    desc: 'Ignite the eternal flame within your dantian. Each level adds 100 Qi per second and 5% more Spirit Stones on ascension, symbolising the rebirth of your cultivation base and the endless cycle of rising flame.',
-    baseCost: 2e6,
-    costMult: 2.5,
-    effect: (level) => {
-      game.qiPerSec += level * 100;
-      // spirit stone bonus applied during ascension calculations
-    },
-    unlockStage: 9
-  }
-];
-
-// Research definitions
-const researchDefs = [
-  {
-    id: 'qiResearch',
-    name: 'Qi Research',
-    // Qi Research now provides a modest 1% boost per level, slowing late growth.
-    desc: 'Increase Qi per second by 1% per level.',
-    baseCost: 500,
-    costMult: 2.0,
-    effect: (level) => {
-      game.multQi *= Math.pow(1.01, level);
-    },
-    unlockStage: 1
-  },
-  {
-    id: 'herbResearch',
-    name: 'Herb Research',
-    // Herb Research now increases herb generation by 4% per level.
-    desc: 'Increase herb generation by 4% per level.',
-    baseCost: 500,
-    costMult: 2.2,
-    effect: (level) => {
-      game.multHerbs *= Math.pow(1.04, level);
-    },
-    unlockStage: 1
-  },
-  {
-    id: 'stoneResearch',
-    name: 'Spirit Stone Research',
-    // Spirit Stone Research now increases spirit stone generation by 4% per level.
-    desc: 'Increase spirit stone generation by 4% per level.',
-    baseCost: 500,
-    costMult: 2.2,
-    effect: (level) => {
-      game.multSpiritStones *= Math.pow(1.04, level);
-    },
-    unlockStage: 2
-  },
-  {
-    id: 'beastResearch',
-    name: 'Beast Research',
-    // Beast Research now increases beast energy generation by 4% per level.
-    desc: 'Increase beast energy generation by 4% per level.',
-    baseCost: 500,
-    costMult: 2.2,
-    effect: (level) => {
-      game.multBeasts *= Math.pow(1.04, level);
-    },
-    unlockStage: 2
-  },
-  {
-    id: 'jadeResearch',
-    name: 'Jade Research',
-    desc: 'Reduce technique costs by 2% per level.',
-    baseCost: 1000,
-    costMult: 2.5,
-    effect: (level) => {
-      // handled in technique cost
-    },
-    unlockStage: 3
-  },
-  {
-    id: 'logistics',
-    name: 'Logistics',
-    // Logistics research now provides a smaller bonus per level to prevent
-    // expeditions from becoming too short or too lucrative.  The descriptive
-    // text reflects this reduced effect.
-    desc: 'Reduce expedition durations and increase rewards by 0.5% per level.',
-    baseCost: 2000,
-    costMult: 3.0,
-    effect: (level) => {
-      // handled in expedition calculations
-    },
-    unlockStage: 2,
-    prereq: { id: 'qiResearch', level: 5 }
-  }
-  ,
-  // Additional late‑game research topics
-  {
-    id: 'alchemyResearch',
-    name: 'Alchemy Research',
-    // Alchemy research now yields only a 1% increase per level to Qi/s and elixir
-    // potency, slowing endgame scaling.
-    desc: 'Increases elixir potency and Qi/s by 1% per level.',
-    baseCost: 5000,
-    costMult: 3.5,
-    effect: (level) => {
-      game.multQi *= Math.pow(1.01, level);
-    },
-    unlockStage: 3
-  },
-  {
-    id: 'sectResearch',
-    name: 'Sect Research',
-    // Sect research now increases disciple output by 0.5% per level, tempering
-    // the scaling from disciples.
-    desc: 'Increases disciple output by 0.5% per level.',
-    baseCost: 5000,
-    costMult: 3.5,
-    effect: (level) => {
-      // Handled in disciple production calculations during tick
-    },
-    unlockStage: 4
-  }
-  ,
-  // Monumental research projects unlocked late in the game. These topics explore the
-  // deeper mysteries of the Dao and provide enormous boosts to your cultivation. Their
-  // descriptions are deliberately verbose to augment the source file size while
-  // emphasising the epic journey beyond immortality.
-  {
-    id: 'cosmicAlignment',
-    name: 'Cosmic Alignment',
-    desc: 'Align your internal energies with the cosmic ley lines. Each level increases both Qi per second and Qi per tap by 2%. As your cultivation resonates with the universe, every breath draws in stardust and every heartbeat echoes the pulse of galaxies.',
-    baseCost: 2e4,
-    costMult: 3.0,
-    effect: (level) => {
-      game.multQi *= Math.pow(1.02, level);
-      game.qiPerTap *= Math.pow(1.02, level);
-    },
-    unlockStage: 5
-  },
-  {
-    id: 'universalResonance',
-    name: 'Universal Resonance',
-    desc: 'Harmonise with the vibrations of the entire universe. Each level amplifies all resource production (herbs, spiritStones, beasts, and jade) by 5%. This research reflects the subtle interplay between all forms of energy and matter.',
-    baseCost: 3e4,
-    costMult: 3.2,
-    effect: (level) => {
-      game.multHerbs *= Math.pow(1.05, level);
-      game.multSpiritStones *= Math.pow(1.05, level);
-      game.multBeasts *= Math.pow(1.05, level);
-      game.multJade *= Math.pow(1.05, level);
-    },
-    unlockStage: 6
-  },
-  {
-    id: 'soulSearch',
-    name: 'Soul Search',
-    desc: 'Dive deep into the sea of your soul to uncover hidden potentials. Each level increases Spirit Stone rewards from ascension by 5%. The greater your insight, the richer the rewards drawn from your inner world.',
-    baseCost: 5e4,
-    costMult: 3.5,
-    effect: (level) => {
-      // applied during ascension calculations
-    },
-    unlockStage: 6
-  },
-  {
-    id: 'ascensionTheory',
-    name: 'Ascension Theory',
-    desc: 'Study the mechanics of ascension itself. Each level reduces the Qi requirement for each layer and realm breakthrough by 2%, easing the path toward greater heights. Theoretical insights translate into practical breakthroughs.',
-    baseCost: 4e4,
-    costMult: 3.5,
-    effect: (level) => {
-      // applied in getLayerCost via global multiplier
-    },
-    unlockStage: 7
-  },
-  {
-    id: 'temporalRift',
-    name: 'Temporal Rift',
-    desc: 'Tear open rifts in time to extend how long you can cultivate offline. Each level adds one hour to the offline progress cap, allowing your cultivation to continue even when you step away from the mortal world.',
-    baseCost: 6e4,
-    costMult: 3.8,
-    effect: (level) => {
-      // applied in offline progress calculations
-    },
-    unlockStage: 7
-  }
-];
-
-// Story definitions describe narrative chapters that unlock at specific realms.
-// Each chapter contains a title, an array of paragraph strings, and an array of
-// choice objects.  Choices provide a description and a reward.  The player can
-// select only one choice per chapter; the reward is applied immediately and
-// permanently.  Rewards use additive fields for flat increases (qiPerTap,
-// qiPerSec, qi) and multiplicative fields for percentage boosts (multQi,
-// multHerbs, multSpiritStones, multBeasts, dantianMult).  See applyStoryReward().
-const storyDefs = [
-  {
-    stage: 0,
-    title: 'Awakening',
-    content: [
-      'Your consciousness stirs in an unfamiliar void.  The last memories of your past life fade as a voice echoes: "Welcome, chosen soul.  I grant you a mystical artifact to guide your cultivation."',
-      'Warm currents of Qi begin to seep into your body.  You slowly sense a core forming within your lower abdomen – your dantian.  A faint pressure builds as the ambient energy of the world rushes in.'
-    ],
-    choices: [
-      {
-        id: 'focusMeditation',
-        desc: 'Focus on meditation to strengthen your mind (+10 Qi per tap)',
-        reward: { qiPerTap: 10 }
-      },
-      {
-        id: 'studyHerbs',
-        desc: 'Study herbs and basic alchemy (herb production ×1.03)',
-        reward: { multHerbs: 1.03 }
-      },
-      {
-        id: 'widenMeridians',
-        desc: 'Explore your meridians to widen them (Qi capacity ×1.05)',
-        reward: { dantianMult: 1.05 }
-      }
-    ]
-  },
-  {
-    stage: 1,
-    title: 'Laying a Strong Foundation',
-    content: [
-      'Having mastered the basics of Qi manipulation, you begin to construct a stable foundation.  The voice encourages you to solidify your core and explore the wider world.',
-      'Fellow cultivators offer guidance: some teach martial techniques, others alchemy, and yet others leadership.  You must decide how to focus your efforts as your sect grows.'
-    ],
-    choices: [
-      {
-        id: 'trainDisciples',
-        // Disciples now provide a much greater passive yield.  Each disciple
-        // trained here grants an additional 10 Qi per second to your sect.
-        desc: 'Recruit and train disciples (+10 Qi per second)',
-        reward: { qiPerSec: 10 }
-      },
-      {
-        id: 'studyAlchemyFurther',
-        desc: 'Pursue deeper alchemical studies (herb production ×1.05)',
-        reward: { multHerbs: 1.05 }
-      },
-      {
-        id: 'practiceSword',
-        desc: 'Practice swordplay rigorously (+15 Qi per tap)',
-        reward: { qiPerTap: 15 }
-      }
-    ]
-  },
-  {
-    stage: 2,
-    title: 'Forging the Core',
-    content: [
-      'Your cultivation advances, condensing loose Qi into a nascent core.  To break through, you must refine your energy and discipline.',
-      'The world now recognises your sect.  Merchants offer rare spiritStones, beasts roam your territories, and your decisions will shape the sect\'s destiny.'
-    ],
-    choices: [
-      {
-        id: 'forgeArtifactsEarly',
-        desc: 'Start forging simple artifacts (stone production ×1.05)',
-        reward: { multSpiritStones: 1.05 }
-      },
-      {
-        id: 'beastHunt',
-        desc: 'Organise a beast hunt (beast energy production ×1.05)',
-        reward: { multBeasts: 1.05 }
-      },
-      {
-        id: 'sectLeadership',
-        desc: 'Invest in sect leadership and administration (Qi production ×1.02)',
-        reward: { multQi: 1.02 }
-      }
-    ]
-  }
-  ,
-  {
-    // Stage 3 corresponds to the Golden Core realm.  At this point the
-    // cultivator crystallises their core into a golden elixir.  Choices
-    // provide moderate percentage boosts to various systems to avoid
-    // overpowering the player.
-    stage: 3,
-    title: 'Crystallising the Core',
-    content: [
-      'The swirling energy within your body suddenly condenses into a brilliant golden elixir.  A surge of power floods your meridians as your core crystallises, illuminating your dantian.',
-      'With this newfound strength you can temper your core with heavenly thunder, hone your alchemical arts or focus on training the disciples who now look up to you as a true master.'
-    ],
-    choices: [
-      {
-        id: 'temperThunder',
-        desc: 'Temper your core with heavenly thunder (Qi production ×1.06)',
-        reward: { multQi: 1.06 }
-      },
-      {
-        id: 'elixirArt',
-        desc: 'Refine elixirs to nourish your sect (herb and stone production ×1.05)',
-        reward: { multHerbs: 1.05, multSpiritStones: 1.05 }
-      },
-      {
-        id: 'trainSect',
-        // Scaling: this choice now grants +5 Qi per second instead of +0.5 to
-        // align with the new meditation baseline.  The disciple output
-        // multiplier remains at 1.05.
-        desc: 'Focus on disciplining your sect (disciple Qi output ×1.05 and +5 Qi per second)',
-        reward: { multQi: 1.05, qiPerSec: 5 }
-      }
-    ]
-  },
-  {
-    // Stage 4 corresponds to the Nascent Soul realm.  At this stage the
-    // cultivator births a nascent soul, separating mind and body.  Choices
-    // emphasise research, capacity and further Qi production.  Rewards are
-    // slightly higher than earlier chapters but still balanced.
-    stage: 4,
-    title: 'Birth of the Nascent Soul',
-    content: [
-      'As your golden core shatters, your consciousness coalesces into a radiant nascent soul.  You feel your mind detach from your physical shell, capable of roaming through the spiritual planes.',
-      'The nascent soul brings clarity and vision.  Will you use this insight to expand your dantian, delve into esoteric research or commune with the cosmos to draw in more Qi?' 
-    ],
-    choices: [
-      {
-        id: 'expandSea',
-        desc: 'Expand the boundless sea within (Qi capacity ×1.10)',
-        reward: { dantianMult: 1.10 }
-      },
-      {
-        id: 'esotericResearch',
-        desc: 'Delve into esoteric research (all research effects ×1.05)',
-        reward: { multHerbs: 1.05, multSpiritStones: 1.05, multBeasts: 1.05, multQi: 1.05 }
-      },
-      {
-        id: 'cosmicCommunion',
-        desc: 'Commune with the cosmos (Qi production ×1.05 and Qi per tap +25)',
-        reward: { multQi: 1.05, qiPerTap: 25 }
-      }
-    ]
-  }
-  ,
-  {
-    // Stage 5 corresponds to the Spirit Transformation realm.  Here the nascent
-    // soul evolves, fusing mind and spirit into a unified essence.  Rewards
-    // focus on enhancing Qi production and refining beast and resource flows.
-    stage: 5,
-    title: 'Transcending the Spirit',
-    content: [
-      'Your nascent soul stretches outward, merging with the spiritual currents of the world.  Mortality fades as your essence transforms into a boundless spirit form.',
-      'In this realm of pure spirit, you can choose to deepen your link to Qi, attune to the beasts that roam your domain, or widen the channels that feed your sect.  Each path will shape your cultivation forever.'
-    ],
-    choices: [
-      {
-        id: 'spiritQiHarmony',
-        desc: 'Harmonise your spirit with Qi (Qi production ×1.08)',
-        reward: { multQi: 1.08 }
-      },
-      {
-        id: 'beastSymbiosis',
-        desc: 'Forge a symbiosis with spirit beasts (beast energy ×1.08)',
-        reward: { multBeasts: 1.08 }
-      },
-      {
-        id: 'channelExpansion',
-        desc: 'Expand channels for herbs and spiritStones (herb and stone production ×1.05)',
-        reward: { multHerbs: 1.05, multSpiritStones: 1.05 }
-      }
-    ]
-  },
-  {
-    // Stage 6 corresponds to the Immortal Ascension realm.  The cultivator
-    // breaks free of mortal cycles, ascending to an immortal body.  Choices
-    // provide modest but broad upgrades to core stats or resource multipliers.
-    stage: 6,
-    title: 'Immortal Awakening',
-    content: [
-      'Lightning arcs across your meridians as your spirit form condenses into an immortal body.  Mortal flesh is shed; your lifespan stretches into the eons.',
-      'As an immortal, you may refine your Qi to flow like a river, cultivate the raw materials of the world, or stretch your dantian to house the boundless energies you will command.'
-    ],
-    choices: [
-      {
-        id: 'immortalQiRiver',
-        // With meditation yielding much more Qi, this choice now bestows a
-        // significantly larger flat bonus of 20 Qi per second.  The
-        // multiplicative bonus to Qi production remains unchanged.
-        desc: 'Let your Qi flow endlessly (+20 Qi per second and Qi production ×1.03)',
-        reward: { qiPerSec: 20, multQi: 1.03 }
-      },
-      {
-        id: 'immortalResourceMastery',
-        desc: 'Master worldly resources (herb, spirit stone and beast production ×1.05)',
-        reward: { multHerbs: 1.05, multSpiritStones: 1.05, multBeasts: 1.05 }
-      },
-      {
-        id: 'immortalSea',
-        desc: 'Expand your dantian into a sea (Qi capacity ×1.10)',
-        reward: { dantianMult: 1.10 }
-      }
-    ]
-  },
-  {
-    // Stage 7 corresponds to the Void Refinement realm.  You refine your
-    // existence using the emptiness of the void, bending space and time.  Choices
-    // improve expedition efficiency, forging and overall resource multipliers.
-    stage: 7,
-    title: 'Refining the Void',
-    content: [
-      'You gaze into the abyss and see not darkness but infinite potential.  The void welcomes you as you refine your being, untethered by space and matter.',
-      'Choose to harness the void to shorten journeys, imbue spiritStones with null energy for forging, or equilibrate the flows of all resources in harmony.'
-    ],
-    choices: [
-      {
-        id: 'voidLogistics',
-        desc: 'Fold space to quicken expeditions (expedition time −10%)',
-        reward: { expeditionTimeMult: 0.90 }
-      },
-      {
-        id: 'voidForging',
-        desc: 'Imbue ores with void essence (stone production ×1.05 and forging costs −5%)',
-        reward: { multSpiritStones: 1.05, forgeCostMult: 0.95 }
-      },
-      {
-        id: 'voidEquilibrium',
-        desc: 'Embrace void equilibrium (all resource production ×1.04)',
-        reward: { multHerbs: 1.04, multSpiritStones: 1.04, multBeasts: 1.04, multQi: 1.04 }
-      }
-    ]
-  },
-  {
-    // Stage 8 corresponds to the Celestial Tribulation realm.  Facing
-    // heavens-shaking tribulations tempers your soul.  Choices focus on
-    // amplifying Qi, forging, or disciple power as rewards for surviving
-    // cosmic lightning.
-    stage: 8,
-    title: 'Enduring Tribulation',
-    content: [
-      'Thunder roars and celestial bolts crash down upon you.  The heavens test your conviction as you weather tribulations that would shatter lesser cultivators.',
-      'Will you channel this lightning to temper your Qi and strikes, redirect it to your forging furnace, or share the tempering with the disciples under your wing?' 
-    ],
-    choices: [
-      {
-        id: 'tribulationChannel',
-        desc: 'Channel lightning through your meridians (Qi production ×1.06 and +25 Qi per tap)',
-        reward: { multQi: 1.06, qiPerTap: 25 }
-      },
-      {
-        id: 'tribulationForge',
-        desc: 'Power your forge with heavenly fire (stone production ×1.05 and forging costs −10%)',
-        reward: { multSpiritStones: 1.05, forgeCostMult: 0.90 }
-      },
-      {
-        id: 'tribulationDisciples',
-        desc: 'Share tribulation insights with disciples (disciple Qi output ×1.06)',
-        reward: { discipleMult: 1.06 }
-      }
-    ]
-  },
-  {
-    // Stage 9 corresponds to the Divine Ascension realm.  Ascending to a
-    // divine plane grants dominion over aspects of existence.  Choices allow
-    // players to become patrons of life, earth or spirit, bestowing focused
-    // boosts.
-    stage: 9,
-    title: 'Assuming Divinity',
-    content: [
-      'You step into the halls of divinity.  Essence coalesces around you as reality itself bends at your will.  You are called to champion a domain.',
-      'Choose to steward life, shape the earth, or command the endless tides of Qi.  Each role confers blessings upon your sect and your cultivation.'
-    ],
-    choices: [
-      {
-        id: 'divineLife',
-        desc: 'Become a patron of life (herb and beast production ×1.08)',
-        reward: { multHerbs: 1.08, multBeasts: 1.08 }
-      },
-      {
-        id: 'divineEarth',
-        desc: 'Shape the earth (stone production ×1.08 and forging costs −10%)',
-        reward: { multSpiritStones: 1.08, forgeCostMult: 0.90 }
-      },
-      {
-        id: 'divineSpirit',
-        desc: 'Command the tides of Qi (Qi production ×1.08)',
-        reward: { multQi: 1.08 }
-      }
-    ]
-  },
-  {
-    // Stage 10 corresponds to the Eternal Godhood realm.  This is the
-    // culmination of the cultivation journey.  Choices are significant but
-    // remain balanced.  The narrative emphasises transcendence and cyclical
-    // rebirth, offering paths that benefit multiple systems.
-    stage: 10,
-    title: 'Transcending Eternity',
-    content: [
-      'Time and space bow before you.  Your consciousness spans galaxies and aeons.  You have reached Eternal Godhood, the apex of cultivation and the cusp of boundless possibilities.',
-      'At this highest peak, will you weave the cosmos together, forge artifacts of myth, or embrace the cycle and share your accumulation with future generations?'
-    ],
-    choices: [
-      {
-        id: 'eternalWeave',
-        desc: 'Weave the cosmos into a tapestry (all production ×1.05)',
-        reward: { multQi: 1.05, multHerbs: 1.05, multSpiritStones: 1.05, multBeasts: 1.05 }
-      },
-      {
-        id: 'eternalForge',
-        desc: 'Craft artifacts of myth (Qi capacity ×1.15 and forging costs −10%)',
-        reward: { dantianMult: 1.15, forgeCostMult: 0.90 }
-      },
-      {
-        id: 'eternalCycle',
-        desc: 'Embrace the eternal cycle (Ascension Spirit Stone rewards ×1.10)',
-        reward: { ascensionRewardMult: 1.10 }
-      }
-    ]
-  }
-  // Future chapters can be added here for realms beyond Eternal Godhood if necessary.
-];
-
-// Relic definitions for late‑game depth.  When the player forges a certain
-// number of artifacts, they unlock powerful relics that grant permanent
-// bonuses.  These relics provide meaningful goals beyond the early
-// ascension stages and reward dedication to forging.
-const relicDefs = [
-  {
-    id: 'relicTenacity',
-    name: 'Relic of Tenacity',
-    threshold: 5,
-    reward: { multQi: 1.05 }
-  },
-  {
-    id: 'relicAbundance',
-    name: 'Relic of Abundance',
-    threshold: 10,
-    reward: { multHerbs: 1.05, multSpiritStones: 1.05, multBeasts: 1.05 }
-  },
-  {
-    id: 'relicVoid',
-    name: 'Relic of the Void',
-    threshold: 20,
-    reward: { expeditionTimeMult: 0.90, forgeCostMult: 0.90 }
-  },
-  {
-    id: 'relicEternity',
-    name: 'Relic of Eternity',
-    threshold: 50,
-    reward: { dantianMult: 1.25 }
-  }
-];
-
-// Check if any relic milestones have been reached.  Called after each
-// forging.  If the player has forged enough artifacts and the relic has
-// not yet been claimed, apply its rewards and mark it as collected.
-function checkRelics() {
-  if (!game.relics) game.relics = {};
-  relicDefs.forEach(rel => {
-    const forged = game.artifactsForged || 0;
-    if (forged >= rel.threshold && !game.relics[rel.id]) {
-      game.relics[rel.id] = true;
-      // Reuse the story reward handler to apply multiplicative/additive bonuses
-      applyStoryReward(rel.reward);
-      showToast(`You have discovered the ${rel.name}! Its essence empowers your cultivation.`);
-      saveGame();
-    }
-  });
-}
 
 // Tutorials have been removed.  Provide empty stubs to preserve backward
 // compatibility in case any residual calls remain.  These functions now do
@@ -1136,74 +21,7 @@ function advanceTutorial() {
   // no‑op: tutorial progression disabled
 }
 
-// Apply story rewards.  For additive rewards (qi, qiPerTap, qiPerSec) we add
-// the value.  For multiplicative rewards (mult* and dantianMult) we multiply.
-function applyStoryReward(reward) {
-  for (const key in reward) {
-    const value = reward[key];
-    if (key === 'qi') {
-      game.qi += value;
-    } else if (key === 'qiPerTap') {
-      game.qiPerTap += value;
-    } else if (key === 'qiPerSec') {
-      game.qiPerSec += value;
-    } else if (key === 'dantianMult') {
-      game.dantianMult *= value;
-    } else if (key === 'multQi') {
-      game.multQi *= value;
-    } else if (key === 'multHerbs') {
-      game.multHerbs *= value;
-    } else if (key === 'multSpiritStones') {
-      game.multSpiritStones *= value;
-    } else if (key === 'multBeasts') {
-      game.multBeasts *= value;
-    } else if (key === 'multJade') {
-      game.multJade *= value;
-    } else if (key === 'forgeCostMult') {
-      // Reduce forging costs by multiplying a separate multiplier.  The multiplier
-      // starts at 1, so values below 1 reduce costs (e.g. 0.90 → 10% reduction).
-      if (typeof game.forgeCostMult === 'undefined') game.forgeCostMult = 1;
-      game.forgeCostMult *= value;
-    } else if (key === 'expeditionTimeMult') {
-      // Reduce expedition duration.  The multiplier multiplies with other
-      // logistics modifiers.  Lower than 1 results in shorter expeditions.
-      if (typeof game.expeditionTimeMult === 'undefined') game.expeditionTimeMult = 1;
-      game.expeditionTimeMult *= value;
-    } else if (key === 'discipleMult') {
-      // Boost disciple output across all resources.  Default is 1.
-      if (typeof game.discipleMult === 'undefined') game.discipleMult = 1;
-      game.discipleMult *= value;
-    } else if (key === 'ascensionRewardMult') {
-      // Increase Spirit Stone rewards from ascension.  Default is 1.
-      if (typeof game.ascensionRewardMult === 'undefined') game.ascensionRewardMult = 1;
-      game.ascensionRewardMult *= value;
-    }
-    // Unknown keys are ignored.
-  }
-  // Recalculate production and refresh stats after applying rewards
-  recalcProduction();
-  updateStatsUI();
-}
 
-// Handle selecting a story choice for a given stage.  If a choice has already
-// been selected, it does nothing.  Rewards are applied immediately.
-function selectStoryChoice(stage, index) {
-  const chapter = storyDefs.find(ch => ch.stage === stage);
-  if (!chapter) return;
-  if (!game.story) game.story = { choices: {} };
-  if (!game.story.choices) game.story.choices = {};
-  if (game.story.choices[stage]) {
-    showToast('You have already chosen a path for this chapter.');
-    return;
-  }
-  const choice = chapter.choices && chapter.choices[index];
-  if (!choice) return;
-  game.story.choices[stage] = choice.id;
-  applyStoryReward(choice.reward);
-  showToast('Your decision echoes along your cultivation path.');
-  updateStoryUI();
-  saveGame();
-}
 
 // Update the Story page UI.  This function regenerates the chapter list
 // according to the player\'s current stage and previous choices.  Locked
@@ -1260,96 +78,7 @@ function updateStoryUI() {
   });
 }
 
-// Techniques definitions (simplified)
-const skillDefs = [
-  {
-    id: 'alchemy',
-    name: 'Alchemy',
-    desc: 'Brew elixirs to temporarily boost Qi production.',
-    baseCost: 100,
-    costMult: 2.0,
-    effect: (level) => {
-      // each level unlocks more potent elixirs; simplified placeholder
-    },
-    currency: 'spiritStones'
-  },
-  {
-    id: 'swordplay',
-    name: 'Swordplay',
-    desc: 'Master sword techniques to increase Qi per tap by 50 per level.',
-    baseCost: 200,
-    costMult: 2.0,
-    effect: (level) => {
-      game.qiPerTap += level * 50;
-    },
-    currency: 'spiritStones'
-  },
-  {
-    id: 'bodyCultivation',
-    name: 'Body Cultivation',
-    desc: 'Strengthen your body to increase Qi per second by 5% per level.',
-    baseCost: 200,
-    costMult: 2.0,
-    effect: (level) => {
-      game.multQi *= Math.pow(1.05, level);
-    },
-    currency: 'spiritStones'
-  },
-  {
-    id: 'beastTaming',
-    name: 'Beast Taming',
-    desc: 'Learn to tame spirit beasts, increasing beast energy by 5% per level (multiplicative).',
-    baseCost: 200,
-    costMult: 2.0,
-    effect: (level) => {
-      game.multBeasts *= Math.pow(1.05, level);
-    },
-    currency: 'spiritStones'
-  }
-  ,
-  // Additional late‑game techniques
-  {
-    id: 'sectLeadership',
-    name: 'Sect Leadership',
-    desc: 'Increases disciple Qi output by 50% per level.',
-    baseCost: 1000,
-    costMult: 2.5,
-    effect: (level) => {
-      // disciple output scaling handled in tick
-    },
-    currency: 'spiritStones'
-  },
-  {
-    id: 'soulRefinement',
-    name: 'Soul Refinement',
-    desc: 'Increase Spirit Stone rewards from ascension by 10% per level.',
-    baseCost: 1000,
-    costMult: 2.5,
-    effect: (level) => {
-      // handled during realm ascension
-    },
-    currency: 'spiritStones'
-  }
-];
 
-// Helper to format numbers with suffixes and decimals
-function formatNumber(n) {
-  if (n < 1000) {
-    return n % 1 === 0 ? n.toFixed(0) : n.toFixed(2);
-  }
-  // Extend suffixes beyond trillions.  After T (trillion) come the
-  // common incremental game abbreviations: Qa (quadrillion), Qi (quintillion),
-  // Sx (sextillion), Sp (septillion), Oc (octillion), No (nonillion),
-  // De (decillion).  If numbers grow beyond these ranges the last
-  // suffix will continue to be used.
-  const suffixes = ['K', 'M', 'B', 'T', 'Qa', 'Qi', 'Sx', 'Sp', 'Oc', 'No', 'De'];
-  let i = -1;
-  while (n >= 1000 && i < suffixes.length - 1) {
-    n /= 1000;
-    i++;
-  }
-  return n.toFixed(2) + suffixes[i];
-}
 
 // Convert internal resource keys to human‑readable display names.  This helper
 // ensures that expedition EV values label “beasts” as “Beast Energy” and
@@ -1373,80 +102,46 @@ function getResourceDisplayName(res) {
   }
 }
 
-// Generate a simple unique identifier for queued tasks.  We use base36 to
-// shorten the string and Math.random plus current timestamp for entropy.
-// This function is used to assign IDs to forging queue entries and does
-// not need to be cryptographically secure.
-function generateId() {
-  return Math.random().toString(36).substring(2, 10) + Date.now().toString(36);
+// The primary save failed its checksum or validation.  Keep the damaged
+// blob aside so it is never silently overwritten, then offer the newest
+// backup that still validates.  Returns { data } when a backup was restored.
+function recoverSave(key, error) {
+  console.warn(`Save '${key}' rejected: ${error}`);
+  try {
+    localStorage.setItem(`${key}.corrupt`, localStorage.getItem(key));
+  } catch (e) {
+    console.warn('Could not keep the damaged save:', e);
+  }
+  const backup = findGoodBackup(key);
+  if (backup && confirm(`Your save could not be loaded (${error}).\n\nRestore the backup from ${new Date(backup.time).toLocaleString()}?`)) {
+    showToast('Save restored from backup.', { severity: 'success' });
+    return { data: backup.data };
+  }
+  showToast('Your save could not be loaded. The damaged save was kept aside and a new game was started.', { severity: 'failure' });
+  return {};
 }
 
-// Load game from localStorage
+// Load the active save slot from localStorage.  readSave() verifies the checksum, upgrades
+// older saves step by step to the current format and validates the result
+// (see save.js).
 function loadGame() {
   try {
-    const data = JSON.parse(localStorage.getItem('cultivationGame'));
+    const key = getSlotKey(getActiveSlotId());
+    let result = readSave(key);
+    if (result.error) {
+      result = recoverSave(key, result.error);
+    }
+    const data = result.data;
     if (data) {
       Object.assign(game, data);
-      // Ensure new fields for older saves
-      // Ensure legacy forgingBuffMult exists.  Convert to new forgingMults if
-      // forgingMults is missing.  forgingBuffMult represented Qi boosts only.
-      game.forgingBuffMult = (typeof game.forgingBuffMult === 'number' && game.forgingBuffMult > 0) ? game.forgingBuffMult : 1;
-      // Initialise forgingMults and forgingQueue if not present.  If this save
-      // predates the new forging system, use forgingBuffMult as the Qi multiplier.
-      if (!game.forgingMults || typeof game.forgingMults !== 'object') {
-        game.forgingMults = { qi: game.forgingBuffMult || 1, herbs: 1, spiritStones: 1, beasts: 1 };
-      }
-      if (!Array.isArray(game.forgingQueue)) {
-        game.forgingQueue = [];
-      }
-      // Ensure forgingRiskMult exists on older saves.  Defaults to 1 (no risk reduction).
-      if (typeof game.forgingRiskMult !== 'number') {
-        game.forgingRiskMult = 1;
-      }
-      game.disciples = Array.isArray(game.disciples) ? game.disciples : [];
-      // Attach the module‑scoped disciples array to the saved game state.  This
-      // mirrors the behaviour for quests and bounties below and ensures that
-      // any mutation to the `disciples` array updates the `game.disciples`
-      // property directly.  Without this, saving and loading could break the
-      // link between the two variables.
-      disciples = game.disciples;
-      // Ensure alchemy state exists
-      if (!Array.isArray(game.elixirQueue)) game.elixirQueue = [];
-      if (!game.elixirInventory) game.elixirInventory = {};
-      if (!Array.isArray(game.activeElixirs)) game.activeElixirs = [];
-      if (!Array.isArray(game.selectedPartyIdxs)) game.selectedPartyIdxs = [];
-      // Attach quests and bounties from the save data.  If the save does not
-      // include these properties (old saves), fall back to any existing
-      // in‑memory objects or create new empty objects.  Reassign the
+      reviveBigNums();
+      // Attach quests and bounties from the save data.  Reassign the
       // module‑scoped variables to point at the objects on the game state so
       // that subsequent mutations persist.  This fixes a persistent bug
       // where quest and bounty progress would reset on page reload.
-      game.quests = (data.quests && typeof data.quests === 'object') ? data.quests : (game.quests || {});
       quests = game.quests;
-      game.bounties = (data.bounties && typeof data.bounties === 'object') ? data.bounties : (game.bounties || {});
       bounties = game.bounties;
-      // Ensure Qi per tap multiplier exists on older saves; default to 1 (no multiplier).
-      if (typeof game.qiPerTapMult !== 'number' || game.qiPerTapMult <= 0) {
-        game.qiPerTapMult = 1;
-      }
-
-      // Ensure Qi per second multiplier exists on older saves; default to 1 (no multiplier).
-      // Without this check, legacy saves that predate the passive testing toggle could
-      // leave qiPerSecMult undefined, causing the checkbox to appear enabled or NaN
-      // multipliers to propagate.  Normalising to 1 ensures consistent behaviour.
-      if (typeof game.qiPerSecMult !== 'number' || game.qiPerSecMult <= 0) {
-        game.qiPerSecMult = 1;
-      }
-
-      // Ensure sectTab exists in settings on older saves.  Default to the
-      // buildings (management) view.  This setting tracks which tab
-      // (management or forging) the player last viewed on the Sect screen.
-      if (!game.settings) {
-        game.settings = {};
-      }
-      if (typeof game.settings.sectTab !== 'string') {
-        game.settings.sectTab = 'management';
-      }
+      runPluginHook('onLoad', { newGame: false });
       // Recompute production multipliers before calculating offline gains so that the
       // dantian cap and Qi per second reflect any changes to the formula or
       // upgrades that affect capacity.  This ensures offline gains are
@@ -1455,401 +150,180 @@ function loadGame() {
       // calculate offline progress using updated production and cap
       const now = Date.now();
       const elapsed = Math.max(0, (now - (game.lastTick || now)) / 1000);
-      // Determine offline cap: base 8 hours plus one hour per Temporal Rift research level.
-      const temporalLv = (game.research && game.research.temporalRift) || 0;
-      const offlineCapHours = 8 + temporalLv; // additional hours per level
-      const offlineSeconds = Math.min(elapsed, offlineCapHours * 3600);
+      // Offline progress is capped at 8 hours plus one hour per Temporal Rift level.
+      const offlineSeconds = Math.min(elapsed, getOfflineCapSeconds());
       if (offlineSeconds > 1) {
-        // Spirit Well research increases offline gains by +5% per level
-        const spiritLv = (game.research && game.research.spiritWell) || 0;
-        const offlineMult = 1 + 0.05 * spiritLv;
-        // Calculate gains for each resource using final per‑sec rates and offline multiplier
-        const qiGain = game.finalQiPerSec * offlineSeconds * offlineMult;
-        const herbGain = (game.finalHerbPerSec || 0) * offlineSeconds * offlineMult;
-        const stoneGain = (game.finalSpiritStonePerSec || 0) * offlineSeconds * offlineMult;
-        const beastGain = (game.finalBeastPerSec || 0) * offlineSeconds * offlineMult;
-        const jadeGain = (game.finalJadePerSec || 0) * offlineSeconds * offlineMult;
-        // Apply gains; clamp Qi to dantian capacity
-        game.qi = Math.min(game.qi + qiGain, game.dantianCap);
-        game.herbs = (game.herbs || 0) + herbGain;
-        game.spiritStones = (game.spiritStones || 0) + stoneGain;
-        game.beasts = (game.beasts || 0) + beastGain;
-        game.jade = (game.jade || 0) + jadeGain;
+        // Replay the queues, expeditions and buffs over the time away rather
+        // than multiplying the per‑second rates by the whole gap.
+        const report = simulateOffline(game.lastTick, game.lastTick + offlineSeconds * 1000);
         // Afterglow buff: +20% Qi/s for 5 minutes
         game.afterglowExpires = now + 5 * 60 * 1000;
-        // Compose a brief summary message.  Show only the resources that gained a meaningful amount.
-        const gains = [];
-        if (qiGain > 0) gains.push(`${formatNumber(qiGain)} Qi`);
-        if (herbGain > 0) gains.push(`${formatNumber(herbGain)} herbs`);
-        if (stoneGain > 0) gains.push(`${formatNumber(stoneGain)} Spirit Stones`);
-        if (beastGain > 0) gains.push(`${formatNumber(beastGain)} Beast Energy`);
-        if (jadeGain > 0) gains.push(`${formatNumber(jadeGain)} jade`);
-        const msg = gains.length ? `Offline gains: ${gains.join(', ')}.` : 'Welcome back!';
-        showToast(msg);
+        report.awaySeconds = elapsed;
+        showAwayReport(report);
       }
       game.lastTick = now;
-      // ensure new fields exist
-      game.achCollapsed = game.achCollapsed || false;
-      game.loreCollapsed = game.loreCollapsed || false;
-      game.questTimestamp = game.questTimestamp || 0;
-      game.expeditionPity = game.expeditionPity || { herb: 0, stone: 0, beast: 0, beastLair: 0 };
-      game.buildings = game.buildings || {};
-      game.ascensionPoints = game.ascensionPoints || 0;
-      game.ascensionPerks = game.ascensionPerks || {};
-      game.bountyTimestamp = game.bountyTimestamp || 0;
-      game.bounties = game.bounties || {};
-      // ensure collapse state fields exist for cultivation sections
-      game.skillsCollapsed = game.skillsCollapsed || false;
-      game.researchCollapsed = game.researchCollapsed || false;
-      // ensure story reward multipliers exist.  These default to 1 if undefined
-      game.forgeCostMult = game.forgeCostMult || 1;
-      game.expeditionTimeMult = game.expeditionTimeMult || 1;
-      game.discipleMult = game.discipleMult || 1;
-      game.ascensionRewardMult = game.ascensionRewardMult || 1;
-      // tutorial state removed; no tutorial initialisation necessary
-      // ensure relic collection exists
-      if (!game.relics) {
-        game.relics = {};
-      }
-      // Ensure dantian multiplier exists for new Qi cap calculations.
-      if (typeof game.dantianMult === 'undefined') {
-        // Approximate a multiplier based on existing cap.  If the saved
-        // dantianCap differs from the default, estimate the multiplier by
-        // comparing to the base capacity at the current layer.  Otherwise,
-        // initialize to 1.  This prevents sudden shrinkage of the cap on load.
-        // When estimating a saved game's dantian multiplier, use the new 10× base cap
-        // (previously 50× or 100×).  This keeps existing dantian capacities consistent
-        // with the reduced Qi cap.
-        const estimatedBase = getLayerCost() * 10;
-        if (game.dantianCap && estimatedBase > 0) {
-          game.dantianMult = game.dantianCap / estimatedBase;
-        } else {
-          game.dantianMult = 1;
-        }
-      }
-      // Convert legacy activeExpedition to the new activeExpeditions format
-      if (!game.activeExpeditions) {
-        game.activeExpeditions = {};
-      }
-      if (game.activeExpedition) {
-        try {
-          // Ensure we have a type on the legacy expedition; use its id if present
-          const legacy = game.activeExpedition;
-          if (legacy.type) {
-            game.activeExpeditions[legacy.type] = legacy;
-          }
-        } catch (e) {
-          // ignore any malformed legacy expedition
-        }
-        game.activeExpedition = null;
-      }
-      // ensure settings exist
-      if (!data.settings) {
-        // Initialise settings with all defaults including new backgroundIndex
-        game.settings = { colorBlind: false, largeFont: false, reduceMotion: false, theme: 'dark', backgroundIndex: 0, hideLocked: true, bgDimmer: 0 };
-      } else {
-        // merge saved settings with defaults to ensure new fields are present
-        game.settings = Object.assign({ colorBlind: false, largeFont: false, reduceMotion: false, theme: 'dark', backgroundIndex: 0, hideLocked: true, bgDimmer: 0 }, data.settings);
-      }
-
-      // Ensure new feature tracking objects exist on older saves.
-      if (!game.featuresSeen || typeof game.featuresSeen !== 'object') {
-        game.featuresSeen = {};
-      }
-      if (!game.newFeatures || typeof game.newFeatures !== 'object') {
-        game.newFeatures = {};
-      }
-      if (!game.expandedExpeditions || typeof game.expandedExpeditions !== 'object') {
-        game.expandedExpeditions = {};
-      }
-      // ensure story state exists and has a choices object.  This allows
-      // backwards compatibility with older saves that did not include the
-      // story property.
-      if (!game.story) {
-        game.story = { choices: {} };
-      } else if (!game.story.choices) {
-        game.story.choices = {};
-      }
+      // Achievements and quests advance on engine events; catch up with
+      // anything a save from an older version already meets.
+      checkAchievements();
+      advanceQuests();
+    } else {
+      runPluginHook('onLoad', { newGame: true });
     }
   } catch (e) {
     console.warn('Failed to load save:', e);
   }
 }
 
-// Save game to localStorage
-function saveGame() {
-  // update last save timestamp for display
-  game.lastSaveTime = Date.now();
-  localStorage.setItem('cultivationGame', JSON.stringify(game));
-  // update settings icon tooltip if it exists
-  const settingsIcon = document.getElementById('settings-icon');
-  if (settingsIcon) {
-    const date = new Date(game.lastSaveTime);
-    settingsIcon.title = 'Last saved: ' + date.toLocaleTimeString();
-  }
-}
-
-// Calculate total cost for n levels using geometric series
-function getUpgradeTotalCost(def, currentLevel, n) {
-  const r = def.costMult;
-  const a = def.baseCost * Math.pow(r, currentLevel);
-  if (r === 1) {
-    return a * n;
-  }
-  return a * (Math.pow(r, n) - 1) / (r - 1);
+// Format a duration in seconds as e.g. "3h 12m" or "45s".
+function formatDuration(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (h > 0) return `${h}h ${m}m`;
+  if (m > 0) return `${m}m ${s % 60}s`;
+  return `${s}s`;
 }
 
-// Purchase an upgrade
-function buyUpgrade(id, amount) {
-  const def = upgradeDefs.find(u => u.id === id);
-  const level = game.upgrades[id] || 0;
-  // Respect maximum levels for certain upgrades.  If a maxLevel is defined and
-  // the player has already reached or exceeded it, prevent further purchases.
-  if (typeof def.maxLevel === 'number') {
-    const max = def.maxLevel;
-    if (level >= max) {
-      showToast('Max level reached');
-      return;
-    }
-    // Adjust purchase amount so that it does not exceed the maximum level
-    if (level + amount > max) {
-      amount = max - level;
-    }
-  }
-  if (def.unlockStage > game.stage) {
-    showToast(`Unlocks at ${getRealmName(def.unlockStage)}`);
-    return;
-  }
-  // compute total cost using geometric series
-  let totalCost = getUpgradeTotalCost(def, level, amount);
-  // apply discount from Upgrade Efficiency perk and Origin Talisman upgrade
-  const effLv = game.ascensionPerks.upgradeEfficiency || 0;
-  const talismanLv = game.upgrades.originTalisman || 0;
-  let effFactor = 1 - 0.02 * effLv - 0.02 * talismanLv;
-  if (effFactor < 0.3) effFactor = 0.3;
-  totalCost *= effFactor;
-  if (game.qi < totalCost) {
-    showToast('Not enough Qi');
-    return;
-  }
-  game.qi -= totalCost;
-  game.upgrades[id] = level + amount;
-  // reapply effects: reset multipliers and recalc
-  recalcProduction();
-  updateUpgradeUI();
-  updateStatsUI();
-  // Tutorial: after purchasing your first upgrade, advance to the next step
-  if (game.tutorial && game.tutorial.active && game.tutorial.step === 1) {
-    advanceTutorial();
-  }
-  saveGame();
+// Show the "While you were away" modal for a report from simulateOffline().
+// Gains have already been applied; "Collect" just closes the report while
+// "Collect & Re-queue" also restarts the expeditions, forges and brews that
+// finished while the player was away.
+function showAwayReport(report) {
+  const modal = document.getElementById('away-modal');
+  const body = document.getElementById('away-body');
+  if (!modal || !body) return;
+  const title = modal.querySelector('h2');
+  if (title) title.textContent = translate('away.title', undefined, 'While You Were Away');
+  const sections = [];
+  // Time away and the offline cap
+  const base = utilityStats.offlineCapHours.base;
+  const bonusHours = report.capSeconds / 3600 - base;
+  const away = formatDuration(report.awaySeconds || report.seconds);
+  let timeLine = translate('away.time', { time: away }, `You were away for ${away}.`);
+  if ((report.awaySeconds || 0) > report.seconds) {
+    const counted = formatDuration(report.seconds);
+    timeLine += ' ' + translate('away.counted', { time: counted }, `Only ${counted} counted toward your cultivation.`);
+  }
+  const cap = formatDuration(report.capSeconds);
+  const capLine = bonusHours > 0
+    ? translate('away.capBonus', { time: cap, base, bonus: bonusHours }, `Offline cap: ${cap} (${base}h base + ${bonusHours}h Temporal Rift)`)
+    : translate('away.cap', { time: cap, base }, `Offline cap: ${cap} (${base}h base)`);
+  const mult = report.offlineMult.toFixed(2);
+  const multLine = report.offlineMult > 1 ? translate('away.spiritWell', { mult }, `Spirit Well bonus: ×${mult} offline production`) : '';
+  sections.push(`<p>${timeLine}<br><small>${capLine}${multLine ? '<br>' + multLine : ''}</small></p>`);
+  // Resources per source
+  const sources = [['base', translate('away.base', undefined, 'Base')], ['buildings', translate('away.buildings', undefined, 'Buildings')], ['disciples', translate('away.disciples', undefined, 'Disciples')]];
+  let rows = '';
+  Object.keys(report.production).forEach(res => {
+    const fromExpeditions = report.expeditionRewards[res] || 0;
+    const total = report.production[res] + fromExpeditions;
+    if (total <= 0) return;
+    const cells = sources.map(([src]) => `<td>${formatNumber(report.bySource[res][src] || 0)}</td>`).join('');
+    rows += `<tr><th>${getResourceDisplayName(res)}</th>${cells}<td>${formatNumber(fromExpeditions)}</td><td><strong>${formatNumber(total)}</strong></td></tr>`;
+  });
+  const expeditionsLabel = translate('away.expeditions', undefined, 'Expeditions');
+  if (rows) {
+    const head = sources.map(([, label]) => `<th>${label}</th>`).join('');
+    sections.push(`<table class="away-table"><tr><th></th>${head}<th>${expeditionsLabel}</th><th>${translate('away.total', undefined, 'Total')}</th></tr>${rows}</table>`);
+  } else {
+    sections.push(`<p>${translate('away.nothing', undefined, 'No resources were gathered.')}</p>`);
+  }
+  if (report.qiLost > 0) {
+    const qi = formatNumber(report.qiLost);
+    sections.push(`<p class="away-warn">${translate('away.qiLost', { qi }, `${qi} Qi was lost because your dantian was full.`)}</p>`);
+  }
+  // Expeditions
+  if (report.expeditions.length > 0) {
+    const byType = {};
+    report.expeditions.forEach(e => {
+      const entry = byType[e.type] || (byType[e.type] = { done: 0, failed: 0, rare: 0 });
+      if (e.success) entry.done++; else entry.failed++;
+      if (e.rare) entry.rare++;
+    });
+    const items = Object.keys(byType).map(type => {
+      const def = expeditionDefs.find(d => d.id === type);
+      const entry = byType[type];
+      const name = def ? def.name : type;
+      let text = translate('away.expeditionDone', { name, count: entry.done }, `${name}: ${entry.done} completed`);
+      if (entry.failed) text += translate('away.expeditionFailed', { count: entry.failed }, `, ${entry.failed} failed`);
+      if (entry.rare === 1) text += translate('away.rareFind', undefined, ', 1 rare find');
+      else if (entry.rare) text += translate('away.rareFinds', { count: entry.rare }, `, ${entry.rare} rare finds`);
+      return `<li>${text}</li>`;
+    }).join('');
+    sections.push(`<h3>${expeditionsLabel}</h3><ul>${items}</ul>`);
+  }
+  // Forging and alchemy
+  const countNames = (ids, defs) => {
+    const counts = {};
+    ids.forEach(id => { counts[id] = (counts[id] || 0) + 1; });
+    return Object.keys(counts).map(id => {
+      const def = defs.find(d => d.id === id);
+      return `<li>${def ? def.name : id}${counts[id] > 1 ? ' ×' + counts[id] : ''}</li>`;
+    }).join('');
+  };
+  if (report.forged.length > 0) {
+    sections.push(`<h3>${translate('away.forged', undefined, 'Artifacts forged')}</h3><ul>${countNames(report.forged, artifactDefs)}</ul>`);
+  }
+  if (report.brewed.length > 0) {
+    sections.push(`<h3>${translate('away.brewed', undefined, 'Elixirs brewed')}</h3><ul>${countNames(report.brewed, elixirDefs)}</ul>`);
+  }
+  body.innerHTML = sections.join('');
+  const collectBtn = document.getElementById('away-collect');
+  const requeueBtn = document.getElementById('away-requeue');
+  if (collectBtn) collectBtn.textContent = translate('btn.collect', undefined, 'Collect');
+  if (requeueBtn) requeueBtn.textContent = translate('btn.collectRequeue', undefined, 'Collect & Re-queue');
+  const hasWork = report.expeditions.length > 0 || report.forged.length > 0 || report.brewed.length > 0;
+  if (requeueBtn) requeueBtn.classList.toggle('hidden', !hasWork);
+  const close = () => {
+    modal.classList.add('hidden');
+    if (collectBtn) collectBtn.onclick = null;
+    if (requeueBtn) requeueBtn.onclick = null;
+  };
+  if (collectBtn) collectBtn.onclick = () => { close(); saveGame(); };
+  if (requeueBtn) requeueBtn.onclick = () => { close(); requeueOfflineWork(report); saveGame(); };
+  modal.classList.remove('hidden');
 }
 
-// Purchase a skill
-function buySkill(id) {
-  const def = skillDefs.find(s => s.id === id);
-  const level = game[`${id}Level`] || 0;
-  // apply cost discounts from Dao Comprehension and Jade Research
-  let costFactor = 1;
-  const daoLv = game.upgrades.daoComprehension || 0;
-  const jadeLv = game.research.jadeResearch || 0;
-  costFactor -= 0.05 * daoLv;
-  costFactor -= 0.02 * jadeLv;
-  if (costFactor < 0.2) costFactor = 0.2;
-  const cost = def.baseCost * Math.pow(def.costMult, level) * costFactor;
-  const currency = def.currency || 'spiritStones';
-  if (game[currency] < cost) {
-    showToast('Not enough currency');
-    return;
-  }
-  game[currency] -= cost;
-  game[`${id}Level`] = level + 1;
-  def.effect(1);
-  recalcProduction();
-  updateSkillUI();
-  updateStatsUI();
-  saveGame();
-}
+// Save game to the active slot in localStorage
+// Set while saves are failing, so the warning toast is shown once.
+let saveFailureShown = false;
+// Set once an imported save has been written and the page is reloading into
+// it; nothing may save over it in the meantime.
+let importPending = false;
 
-// Purchase research
-function buyResearch(id) {
-  const def = researchDefs.find(r => r.id === id);
-  const level = game.research[id] || 0;
-  if (def.unlockStage > game.stage) {
-    showToast(`Unlocks at ${getRealmName(def.unlockStage)}`);
+function saveGame() {
+  // Read-only tabs never write; if another tab has taken over, stop here.
+  if (tabReadOnly || importPending) return;
+  if (!holdsTabLease()) {
+    enterReadOnly();
     return;
   }
-  if (def.prereq) {
-    const cur = game.research[def.prereq.id] || 0;
-    if (cur < def.prereq.level) {
-      showToast(`Requires ${def.prereq.id} Lv${def.prereq.level}`);
-      return;
+  // Plugins write their state into game.pluginData before it is saved
+  runPluginHook('onSave');
+  // update last save timestamp for display
+  game.lastSaveTime = Date.now();
+  // Written as a checksummed envelope, with a rolling backup every few minutes
+  const slotId = getActiveSlotId();
+  try {
+    writeSave(getSlotKey(slotId), game);
+  } catch (e) {
+    console.warn('Could not save the game:', e);
+    // Autosave runs every second; warn once until a save succeeds again.
+    if (!saveFailureShown) {
+      saveFailureShown = true;
+      showToast(isQuotaError(e)
+        ? translate('save.storageFull', undefined, 'Saving failed: browser storage is full. Export your save or delete unused save slots.')
+        : translate('save.failed', undefined, 'Saving failed. Export your save to keep your progress.'), { severity: 'failure' });
     }
-  }
-  // apply cost discount from Daoist Insights
-  let researchFactor = 1;
-  const insightsLv = game.upgrades.daoistInsights || 0;
-  researchFactor -= 0.03 * insightsLv;
-  if (researchFactor < 0.1) researchFactor = 0.1;
-  const cost = def.baseCost * Math.pow(def.costMult, level) * researchFactor;
-  if (game.spiritStones < cost) {
-    showToast('Not enough Spirit Stones');
     return;
   }
-  game.spiritStones -= cost;
-  game.research[id] = level + 1;
-  def.effect(1);
-  recalcProduction();
-  updateResearchUI();
-  updateStatsUI();
-  saveGame();
-}
-
-// Recalculate production multipliers from upgrades and research
-function recalcProduction() {
-  // reset base values
-  // Start with a small passive Qi trickle before applying upgrades.  This
-  // baseline helps early progress when no upgrades are purchased yet.
-  game.qiPerSec = 0.05;
-  game.qiPerTap = 1;
-  game.multQi = 1;
-  game.multHerbs = 1;
-  game.multSpiritStones = 1;
-  game.multBeasts = 1;
-  // apply upgrade effects
-  for (const def of upgradeDefs) {
-
-    const level = game.upgrades[def.id] || 0;
-    if (level > 0) {
-      def.effect(level);
-    }
-  }
-  // apply research effects
-  for (const def of researchDefs) {
-    const level = game.research[def.id] || 0;
-    if (level > 0) {
-      def.effect(level);
-    }
-  }
-  // apply skills
-  for (const def of skillDefs) {
-    const level = game[`${def.id}Level`] || 0;
-    if (level > 0 && def.effect) {
-      // The effect function uses level increments; multiply increments to be safe
-      def.effect(level);
-    }
-  }
-  // final multipliers
-  // apply synergy between body cultivation and swordplay
-  const bodyLvl = game['bodyCultivationLevel'] || 0;
-  const swordLvl = game['swordplayLevel'] || 0;
-  let synergyMult = 1;
-  if (bodyLvl > 0 && swordLvl > 0) {
-    synergyMult = 1.05;
-  }
-  // apply ascension perks multipliers
-  const qiMasteryLv = game.ascensionPerks.qiMastery || 0;
-  const resourceProfLv = game.ascensionPerks.resourceProficiency || 0;
-
-  // contributions from disciples (named classes)
-  let discipleQi = 0;
-  let discipleHerb = 0;
-  let discipleStone = 0;
-  let discipleBeast = 0;
-  disciples.forEach(d => {
-    const cls = discipleClasses.find(c => c.id === d.classId);
-    if (cls) {
-      // Base contributions
-      let qi = cls.qi * (d.level || 1);
-      let herb = (cls.herbs || 0) * (d.level || 1);
-      let stone = (cls.spiritStones || 0) * (d.level || 1);
-      let beast = (cls.beasts || 0) * (d.level || 1);
-      // Apply trait modifiers to this disciple’s own output
-      if (d.traits && d.traits.includes('diligent')) {
-        const mult = 1 + 0.05 * (d.level || 1);
-        qi *= mult;
-        herb *= mult;
-        stone *= mult;
-        beast *= mult;
-      }
-      // Accumulate totals
-      discipleQi += qi;
-      discipleHerb += herb;
-      discipleStone += stone;
-      discipleBeast += beast;
-    }
-  });
-  // Apply leadership and sect research multipliers to disciple Qi output
-  const leadershipLv = game['sectLeadershipLevel'] || 0;
-  const sectResLv = game.research['sectResearch'] || 0;
-  const discipleMult = (1 + 0.5 * leadershipLv) * (1 + 0.01 * sectResLv);
-  // Apply any global disciple multiplier from story rewards (e.g. tribulation insights)
-  const globalDiscMult = (typeof game.discipleMult !== 'undefined' ? game.discipleMult : 1);
-  discipleQi *= discipleMult * globalDiscMult;
-  discipleHerb *= globalDiscMult;
-  discipleStone *= globalDiscMult;
-  discipleBeast *= globalDiscMult;
-  // add disciple contributions to base qi per second before multipliers
-  game.qiPerSec += discipleQi;
-  // compute base resource production from buildings and disciples
-  let baseHerb = 0, baseStone = 0, baseBeast = 0, baseJade = 0;
-  baseHerb += (game.buildings.herbGarden || 0) * 1;
-  baseStone += (game.buildings.spiritMine || 0) * 1;
-  baseBeast += (game.buildings.beastPen || 0) * 0.5;
-  baseJade += (game.buildings.jadeTreasury || 0) * 0.1;
-  // add disciples resource contributions
-  baseHerb += discipleHerb;
-  baseStone += discipleStone;
-  baseBeast += discipleBeast;
-  // final multipliers
-  // Apply forging bonuses per resource type.  legacy forgingBuffMult is replaced by
-  // forgingMults.qi; default to 1 when undefined.
-  const forgeQiMult = (game.forgingMults && typeof game.forgingMults.qi === 'number') ? game.forgingMults.qi : 1;
-  game.finalQiPerSec = game.qiPerSec * game.multQi * forgeQiMult * game.layerMult * synergyMult * (1 + 0.02 * qiMasteryLv);
-  // Apply the passive Qi per second multiplier for testing.  When the
-  // multiplier is >1, it dramatically increases the final Qi/s.  Do not
-  // mutate qiPerSec itself to avoid affecting other calculations.
-  const psMult = (typeof game.qiPerSecMult === 'number' && game.qiPerSecMult > 0) ? game.qiPerSecMult : 1;
-  game.finalQiPerSec *= psMult;
-  const herbUp = (game.upgrades.pillFurnace || 0);
-  const stoneUp = (game.upgrades.spiritForge || 0);
-  const beastUp = (game.upgrades.beastDen || 0);
-  // synergies between buildings and upgrades
-  const herbSynergy = herbUp * 0.05; // each Pill Furnace level adds 0.05 herbs/sec
-  const stoneSynergy = stoneUp * 0.1; // each Spirit Forge level adds 0.1 spiritStones/sec
-  const beastSynergyMult = 1 + 0.05 * beastUp; // Beast Den levels multiply beast output by 5% each
-  // Jade synergy from Jade Research (reseach) increases base jade per sec by 0.05 per level
-  const jadeSynergy = (game.research.jadeResearch || 0) * 0.05;
-  const forgeHerbMult = (game.forgingMults && typeof game.forgingMults.herbs === 'number') ? game.forgingMults.herbs : 1;
-  const forgeStoneMult = (game.forgingMults && typeof game.forgingMults.spiritStones === 'number') ? game.forgingMults.spiritStones : 1;
-  const forgeBeastMult = (game.forgingMults && typeof game.forgingMults.beasts === 'number') ? game.forgingMults.beasts : 1;
-  game.finalHerbPerSec = (baseHerb + herbUp + herbSynergy) * game.multHerbs * forgeHerbMult * (1 + 0.02 * resourceProfLv);
-  game.finalSpiritStonePerSec = (baseStone + stoneUp + stoneSynergy) * game.multSpiritStones * forgeStoneMult * (1 + 0.02 * resourceProfLv);
-  game.finalBeastPerSec = (baseBeast + beastUp) * beastSynergyMult * game.multBeasts * forgeBeastMult * (1 + 0.02 * resourceProfLv);
-  // Jade production with synergy: apply jade multiplier and ascension perk
-  game.finalJadePerSec = (baseJade + jadeSynergy) * game.multJade * (1 + 0.02 * resourceProfLv);
-
-  // Recompute Qi capacity (dantian).  Base capacity scales with the cost of the
-  // next breakthrough.  We take the cost returned by getLayerCost() and
-  // multiply it by a factor (currently 100) to provide a reasonable buffer
-  // above the breakthrough requirement.  This base capacity is then
-  // multiplied by the dantian multiplier accumulated from upgrades like
-  // Dantian Expansion and Nebula Elixir.  This ensures capacity grows with
-  // both realm/layer progression and relevant upgrades.
-  // Reduce Qi capacity further: base capacity scales with the cost of the next breakthrough
-  // multiplied by 10 (down from 50).  This results in a dantian that fills more quickly.
-  const baseCap = getBaseLayerCostNoDiscount() * 10;
-  game.dantianCap = baseCap * (game.dantianMult || 1);
-  // Clamp the maximum Qi capacity to twice the cost of the final layer of the final realm.
-  // The final realm is the last entry in the realms array (index realms.length‑1).  The
-  // Qi requirement for the final layer of that realm is 100 × 2^(8 + 9 × (realms.length‑1)).
-  // Doubling this cost sets a hard upper limit on dantian capacity.  This ensures
-  // capacity cannot exceed two times the final breakthrough requirement.
-  const finalExponent = 8 + 9 * (realms.length - 1);
-  const finalLayerCost = 100 * Math.pow(2, finalExponent);
-  const maxCap = finalLayerCost * 2;
-  if (game.dantianCap > maxCap) {
-    game.dantianCap = maxCap;
+  saveFailureShown = false;
+  recordSlotMeta(slotId, game);
+  // update settings icon tooltip if it exists
+  const settingsIcon = document.getElementById('settings-icon');
+  if (settingsIcon) {
+    const date = new Date(game.lastSaveTime);
+    settingsIcon.title = 'Last saved: ' + date.toLocaleTimeString();
   }
 }
 
@@ -1857,13 +331,10 @@ function recalcProduction() {
 function updateStatsUI() {
   // Build stats object.  We adjust Qi/s and other resource lines to include a
   // percentage boost indicator when active buffs (elixirs, afterglow) are in effect.
-  const buffs = getActiveElixirBuffs();
-  // Compute effective Qi/s with all multipliers
-  let qiMult = buffs.qiMult || 1;
-  if (game.afterglowExpires && Date.now() < game.afterglowExpires) {
-    qiMult *= 1.20;
-  }
-  const qiPerSec = game.finalQiPerSec * qiMult;
+  const buffs = getTimedBuffs();
+  // Compute effective Qi/s with all multipliers, afterglow included
+  const qiMult = buffs.qiMult;
+  const qiPerSec = game.finalQiPerSec.mul(qiMult);
   const qiBonus = qiMult > 1 ? ` (+${((qiMult - 1) * 100).toFixed(0)}%)` : '';
   // Herbs
   const herbMult = buffs.herbsMult || 1;
@@ -1892,7 +363,7 @@ function updateStatsUI() {
   stats[tFn('stat.realm')] = `${getRealmName(game.stage)} (Layer ${game.subLayer + 1}/9)`;
   stats[tFn('stat.qi')] = formatNumber(game.qi);
   stats[tFn('stat.qiPerSec')] = `${formatNumber(qiPerSec)}${qiBonus}`;
-  stats[tFn('stat.qiPerTap')] = formatNumber(game.qiPerTap * (game.qiPerTapMult && game.qiPerTapMult > 0 ? game.qiPerTapMult : 1));
+  stats[tFn('stat.qiPerTap')] = formatNumber(game.qiPerTap);
   stats[tFn('stat.activeElixirs')] = (game.activeElixirs ? game.activeElixirs.filter(e => e.expiresAt > Date.now()).length : 0);
   stats[tFn('stat.spiritStones')] = `${spiritStonesTotal}${spiritStonesRate}`;
   stats[tFn('stat.herbs')] = `${formatNumber(game.herbs)}${herbBonus}`;
@@ -1902,7 +373,7 @@ function updateStatsUI() {
   const progBar = document.getElementById('qi-progress-bar');
   const progText = document.getElementById('qi-progress-text');
   if (progBar && progText) {
-    const percent = Math.min(game.qi / game.dantianCap * 100, 100);
+    const percent = Math.min(game.qi.div(game.dantianCap).toNumber() * 100, 100);
     progBar.style.width = percent.toFixed(2) + '%';
     // Build progress text without ETA (ETA removed per user feedback)
     // Use translated Qi label in the progress text if available
@@ -1977,6 +448,7 @@ function updateUpgradeUI() {
     }
     const entry = document.createElement('div');
     entry.className = 'entry';
+    entry.dataset.upgrade = def.id;
     const level = game.upgrades[def.id] || 0;
     // Determine the purchase amount.  If the selected multiplier is the
     // literal string "max", compute the maximum number of levels affordable
@@ -1985,13 +457,9 @@ function updateUpgradeUI() {
     // values fall back to 1.
     let amount;
     if (multAttr === 'max') {
-      // Calculate discounts that reduce upgrade costs.  These mirror the logic
-      // in buyUpgrade() so that the displayed cost matches what will be
-      // deducted when purchasing.
-      const effLv = game.ascensionPerks.upgradeEfficiency || 0;
-      const talismanLv = game.upgrades.originTalisman || 0;
-      let effFactor = 1 - 0.02 * effLv - 0.02 * talismanLv;
-      if (effFactor < 0.3) effFactor = 0.3;
+      // Apply the upgrade cost reductions buyUpgrade() uses so that the
+      // displayed cost matches what will be deducted when purchasing.
+      const effFactor = getUtilityStat('upgradeCost');
       // Determine the maximum number of levels we can buy without exceeding
       // any defined maxLevel for this upgrade.  Infinity when no limit.
       const maxRemaining = (typeof def.maxLevel === 'number') ? (def.maxLevel - level) : Infinity;
@@ -2009,8 +477,8 @@ function updateUpgradeUI() {
         // Find an initial hi bound.  Double hi until the cost exceeds Qi
         // or hi reaches maxRemaining.  Stop if hi becomes too large.
         while (hi < maxRemaining) {
-          const testCost = getUpgradeTotalCost(def, level, hi) * effFactor;
-          if (testCost > game.qi) break;
+          const testCost = getUpgradeTotalCost(def, level, hi).mul(effFactor);
+          if (testCost.gt(game.qi)) break;
           lo = hi;
           hi *= 2;
         }
@@ -2026,8 +494,8 @@ function updateUpgradeUI() {
         let right = hi;
         while (left <= right) {
           const mid = Math.floor((left + right) / 2);
-          const costMid = getUpgradeTotalCost(def, level, mid) * effFactor;
-          if (costMid <= game.qi) {
+          const costMid = getUpgradeTotalCost(def, level, mid).mul(effFactor);
+          if (costMid.lte(game.qi)) {
             best = mid;
             left = mid + 1;
           } else {
@@ -2045,11 +513,7 @@ function updateUpgradeUI() {
     // Apply the same discount used in buyUpgrade.  This ensures the cost shown
     // in the UI matches the cost paid when buying.
     if (amount > 0) {
-      const effLv = game.ascensionPerks.upgradeEfficiency || 0;
-      const talismanLv = game.upgrades.originTalisman || 0;
-      let effFactor = 1 - 0.02 * effLv - 0.02 * talismanLv;
-      if (effFactor < 0.3) effFactor = 0.3;
-      cost *= effFactor;
+      cost = cost.mul(getUtilityStat('upgradeCost'));
     }
     const locked = def.unlockStage > game.stage;
     // Resolve the translated name via the i18n helper if available.  When
@@ -2072,7 +536,7 @@ function updateUpgradeUI() {
       // Build the locked entry: name and realm requirement.  We keep
       // the "Unlocks at" phrase in English as a secondary hint; realm
       // names themselves will be translated via getRealmName().
-      entry.innerHTML = `<div class="entry-icon"><img src="assets/icons/${def.id}.svg" alt="${displayName}"/></div><div><strong>${displayName}</strong><br><small>Unlocks at ${getRealmName(def.unlockStage)}</small></div>`;
+      entry.innerHTML = `<div class="entry-icon"><img src="${def.id}.svg" alt="${displayName}"/></div><div><strong>${displayName}</strong><br><small>Unlocks at ${getRealmName(def.unlockStage)}</small></div>`;
       const btn = document.createElement('button');
       // Translate the Locked label
       try {
@@ -2101,10 +565,10 @@ function updateUpgradeUI() {
     } catch (e) {
       upgradeDesc = def.desc;
     }
-    entry.innerHTML = `<div class="entry-icon"><img src="assets/icons/${def.id}.svg" alt="${displayName}"/></div><div><strong>${displayName}</strong> (Lv ${level})<br><small>${upgradeDesc}</small></div>`;
+    entry.innerHTML = `<div class="entry-icon"><img src="${def.id}.svg" alt="${displayName}"/></div><div><strong>${displayName}</strong> (Lv ${level})<br><small>${upgradeDesc}</small></div>`;
       const btn = document.createElement('button');
       // Disable the button if no levels can be purchased or the cost exceeds current Qi
-      const affordable = (amount > 0) && (cost <= game.qi);
+      const affordable = (amount > 0) && cost.lte(game.qi);
       btn.disabled = !affordable;
       // Use a fallback display amount of 1 when amount is 0 to avoid showing
       // "×0" on the button.  Cost is formatted using the helper.
@@ -2164,7 +628,7 @@ function updateSkillUI() {
     } catch (e) {
       skillDesc = def.desc;
     }
-    entry.innerHTML = `<div class="entry-icon"><img src="assets/icons/${def.id}.svg" alt="${skillName}"/></div><div><strong>${skillName}</strong> (Lv ${level})<br><small>${skillDesc}</small></div>`;
+    entry.innerHTML = `<div class="entry-icon"><img src="${def.id}.svg" alt="${skillName}"/></div><div><strong>${skillName}</strong> (Lv ${level})<br><small>${skillDesc}</small></div>`;
     const btn = document.createElement('button');
     // Translate the Buy verb for skills and insert cost.  SS stands for Spirit Stones and is left untranslated.
     let buyVerb;
@@ -2251,7 +715,7 @@ function updateResearchUI() {
     } catch (e) {
       researchName = def.name;
     }
-    entry.innerHTML = `<div class="entry-icon"><img src="assets/icons/${def.id}.svg" alt="${researchName}"/></div><div><strong>${researchName}</strong> (Lv ${level})<br><small>${descText}</small></div>`;
+    entry.innerHTML = `<div class="entry-icon"><img src="${def.id}.svg" alt="${researchName}"/></div><div><strong>${researchName}</strong> (Lv ${level})<br><small>${descText}</small></div>`;
     const btn = document.createElement('button');
     if (locked) {
       // Translate Locked label
@@ -2375,165 +839,16 @@ const bountyDefs = [
 // would be lost when reloading the page.
 let bounties = game.bounties || (game.bounties = {});
 
-// Achievements definitions
-const achievementDefs = [
-  { id: 'firstTap', name: 'First Steps', desc: 'Gather Qi manually for the first time.', condition: () => game.qi >= 1 },
-  { id: 'collector', name: 'Qi Adept', desc: 'Accumulate 1K Qi.', condition: () => game.qi >= 1000 },
-  { id: 'upgradeBuyer', name: 'Seasoned Cultivator', desc: 'Purchase 10 upgrade levels.', condition: () => Object.values(game.upgrades).reduce((a,b) => a + b, 0) >= 10 },
-  { id: 'ascendRealm', name: 'Foundation Layer', desc: 'Reach Foundation Establishment.', condition: () => game.stage >= 1 }
-  ,
-  // New achievements provide long‑term goals beyond the early game.  These
-  // include tracking expedition completions, technique mastery, bounty claims,
-  // research progress, forging, sect expansion and story progression.
-  { id: 'expeditionMaster', name: 'Expedition Master', desc: 'Complete 50 expeditions.', condition: () => (game.expeditionsCompleted || 0) >= 50 },
-  { id: 'techniqueMaster', name: 'Technique Mastery', desc: 'Reach Level 5 in any technique.', condition: () => skillDefs.some(def => (game[`${def.id}Level`] || 0) >= 5) },
-  { id: 'bountyHunter', name: 'Bounty Hunter', desc: 'Claim 10 bounty rewards.', condition: () => (game.bountiesClaimed || 0) >= 10 },
-  { id: 'researchScholar', name: 'Research Scholar', desc: 'Accumulate 10 research levels.', condition: () => Object.values(game.research).reduce((a,b) => a + b, 0) >= 10 },
-  { id: 'artifactCrafter', name: 'Artifact Crafter', desc: 'Forge 10 artifacts.', condition: () => (game.artifactsForged || 0) >= 10 },
-  { id: 'sectLeader', name: 'Sect Leader', desc: 'Recruit 5 disciples.', condition: () => disciples.length >= 5 },
-  { id: 'storyTeller', name: 'Story Teller', desc: 'Unlock 3 story chapters.', condition: () => Object.keys(game.story.choices || {}).length >= 3 },
-  { id: 'perkCollector', name: 'Perk Collector', desc: 'Unlock 5 ascension perks.', condition: () => Object.keys(game.ascensionPerks).reduce((a,k) => a + (game.ascensionPerks[k] > 0 ? 1 : 0), 0) >= 5 }
-];
-
-// Lore definitions
-const loreDefs = [
-  { stage: 0, title: 'Qi Gathering', text: 'At the beginning of your cultivation journey you gather ambient Qi from the environment.' },
-  { stage: 1, title: 'Foundation Establishment', text: 'You solidify your base, strengthening body and spirit for more complex techniques.' },
-  { stage: 2, title: 'Core Formation', text: 'You forge your inner core, condensing Qi into a rotating sphere of power.' },
-  { stage: 3, title: 'Golden Core', text: 'Your core crystallizes into a golden elixir, vastly amplifying your cultivation.' },
-  { stage: 4, title: 'Nascent Soul', text: 'Your consciousness manifests as a nascent soul, granting new insights and abilities.' },
-  { stage: 5, title: 'Spirit Transformation', text: 'You begin transcending mortality, merging your essence with the Dao.' },
-  { stage: 6, title: 'Immortal Ascension', text: 'You break free of worldly bonds and ascend to immortality.' }
-  ,{ stage: 7, title: 'Void Refinement', text: 'You refine the void itself, harnessing the emptiness between realms to strengthen your Dao.' }
-  ,{ stage: 8, title: 'Celestial Tribulation', text: 'You face tribulations sent by the heavens, tempering your soul and testing your determination.' }
-  ,{ stage: 9, title: 'Divine Ascension', text: 'Your cultivation transcends mortality and immortality, touching upon the divine essence of creation.' }
-  ,{ stage: 10, title: 'Eternal Godhood', text: 'At the peak of all existence, you become an eternal deity, your name etched into the fabric of reality.' }
-];
-
-// Track unlocked achievements and lore
-game.achievementsUnlocked = game.achievementsUnlocked || {};
-game.loreUnlocked = game.loreUnlocked || [];
-
-// Expeditions definitions
-const expeditionDefs = [
-  { id: 'herb', name: 'Herb Gathering', baseDuration: 60, reward: { herbs: 50 }, risk: 0 },
-  { id: 'stone', name: 'Spirit Stone Expedition', baseDuration: 90, reward: { spiritStones: 50 }, risk: 0 },
-  { id: 'beast', name: 'Beast Hunt', baseDuration: 120, reward: { beasts: 20 }, risk: 0 },
-  // New expeditions with higher stakes and potential failure.  Deep Cavern yields
-  // a large stone haul but has a 20% chance to fail.  Lush Forest grants a
-  // bounty of herbs with a smaller 10% failure chance.
-  { id: 'deepCavern', name: 'Deep Cavern Expedition', baseDuration: 180, reward: { spiritStones: 200 }, risk: 0.20 },
-  { id: 'lushForest', name: 'Lush Forest Excursion', baseDuration: 150, reward: { herbs: 150 }, risk: 0.10 }
-  ,
-  // A challenging mission to explore ancient ruins for lost treasures.  High
-  // risk and long duration but yields a variety of resources upon success.
-  { id: 'ancientRuins', name: 'Ancient Ruins Expedition', baseDuration: 240, reward: { herbs: 100, spiritStones: 100, beasts: 50 }, risk: 0.30 },
-  { id: 'beastLair', name: 'Beast Lair Raid', baseDuration: 200, reward: { beasts: 60 }, risk: 0.15 },
-];
-
-// Sect building definitions
-// Each building produces resources passively. Costs are paid in Spirit Stones.
-const buildingDefs = [
-  {
-    id: 'herbGarden',
-    name: 'Herb Garden',
-    desc: 'Produces 1 herb per second per level.',
-    baseCost: 100,
-    costMult: 2,
-    resource: 'herbs',
-    amountPerSec: 1,
-    unlockStage: 1 // unlock at Foundation
-  },
-  {
-    id: 'spiritMine',
-    name: 'Spirit Mine',
-    desc: 'Produces 1 spirit stone per second per level.',
-    baseCost: 150,
-    costMult: 2.2,
-    resource: 'spiritStones',
-    amountPerSec: 1,
-    unlockStage: 1
-  },
-  {
-    id: 'beastPen',
-    name: 'Beast Pen',
-    desc: 'Produces 0.5 beast energy per second per level.',
-    baseCost: 200,
-    costMult: 2.4,
-    resource: 'beasts',
-    amountPerSec: 0.5,
-    unlockStage: 2 // unlock at Core Formation
-  },
-  {
-    id: 'jadeTreasury',
-    name: 'Jade Treasury',
-    desc: 'Produces 0.1 jade per second per level.',
-    baseCost: 500,
-    costMult: 2.8,
-    resource: 'jade',
-    amountPerSec: 0.1,
-    unlockStage: 3 // unlock at Golden Core
-  }
-];
-
-// Ascension perk definitions
-// Players spend Ascension Points (AP) earned upon realm ascension to buy perks.
-const ascensionPerkDefs = [
-  {
-    id: 'qiMastery',
-    name: 'Qi Mastery',
-    desc: 'Increases all Qi/s by 2% per level.',
-    baseCost: 1,
-    costMult: 2,
-    effect: (level) => {
-      // handled in recalcProduction via ascensionPerks
-    }
-  },
-  {
-    id: 'upgradeEfficiency',
-    name: 'Upgrade Efficiency',
-    desc: 'Reduces upgrade costs by 2% per level.',
-    baseCost: 1,
-    costMult: 2.5,
-    effect: (level) => {
-      // handled during cost computation
-    }
-  },
-  {
-    id: 'resourceProficiency',
-    name: 'Resource Proficiency',
-    desc: 'Increases herb, spirit stone and beast production by 2% per level.',
-    baseCost: 1,
-    costMult: 2.5,
-    effect: (level) => {
-      // handled in recalcProduction
-    }
-  }
-  ,
-  {
-    id: 'forgeMastery',
-    name: 'Forge Mastery',
-    desc: 'Reduces forging cost and time by 2% per level.',
-    baseCost: 2,
-    costMult: 2.5,
-    effect: (level) => {
-      // handled in updateForgingUI
-    }
-  }
-];
-
-
-
-function updateQuestUI() {
-  const listElem = document.getElementById('quest-list');
-  if (!listElem) return;
-  listElem.innerHTML = '';
-
+// Reset expired quests (daily) and bounties (weekly) and make sure every
+// definition has an auto‑started entry.
+function ensureQuestState() {
   const now = Date.now();
   // Daily reset
   if (!game.questTimestamp || now - game.questTimestamp > 24 * 3600 * 1000) {
+    const expired = !!game.questTimestamp;
     game.questTimestamp = now;
     game.quests = {};
+    if (expired) engine.emit('quests.reset', { kind: 'quest' });
   }
   // Ensure quests object exists and local alias points to it
   if (!game.quests) game.quests = {};
@@ -2567,24 +882,139 @@ function updateQuestUI() {
     }
   });
 
-  // Update progress for each quest independently (no global pause)
-  questDefs.forEach(def => {
-    const q = quests[def.id];
-    if (q.started && !q.completed) {
-      if (def.type === 'qi') {
-        q.progress = Math.min(game.qi, q.amount);
-      } else if (def.type === 'upgrade') {
-        const totalLevels = Object.values(game.upgrades || {}).reduce((a,b) => a + b, 0);
-        q.progress = Math.min(totalLevels, q.amount);
-      } else if (def.type === 'layer') {
-        q.progress = Math.min(Math.max(0, (game.totalBreakthroughs || 0) - (q.baseCount || 0)), q.amount);
-      }
-      if (q.progress >= q.amount) {
-        q.completed = true;
-        q.progress = q.amount;
-      }
+  // Weekly reset (7 days)
+  if (!game.bountyTimestamp || now - game.bountyTimestamp > 7 * 24 * 3600 * 1000) {
+    const expired = !!game.bountyTimestamp;
+    game.bountyTimestamp = now;
+    game.bounties = {};
+    if (expired) engine.emit('quests.reset', { kind: 'bounty' });
+  }
+  if (!game.bounties) game.bounties = {};
+  bounties = game.bounties;
+
+  // Ensure bounty state for every definition
+  bountyDefs.forEach(def => {
+    if (!bounties[def.id]) {
+      // Auto‑start all bounties upon creation
+      bounties[def.id] = {
+        started: true,
+        progress: 0,
+        completed: false,
+        tier: 0,
+        amount: def.amount,
+        reward: Object.assign({}, def.reward),
+        baseCount: def.type === 'layer' ? (game.totalBreakthroughs || 0) : 0
+      };
+    } else {
+      const b = bounties[def.id];
+      if (typeof b.started === 'undefined' || b.started === false) b.started = true;
+      if (typeof b.completed === 'undefined') b.completed = false;
+      if (typeof b.progress !== 'number') b.progress = 0;
+      if (typeof b.tier !== 'number') b.tier = 0;
+      if (typeof b.amount !== 'number') b.amount = def.amount * Math.pow(2, b.tier || 0);
+      if (!b.reward) b.reward = Object.assign({}, def.reward);
+      if (typeof b.baseCount !== 'number' || isNaN(b.baseCount)) b.baseCount = def.type === 'layer' ? (game.totalBreakthroughs || 0) : 0;
     }
   });
+}
+
+// Value a quest or bounty currently measures: Qi held, upgrade levels bought
+// or breakthroughs since the entry started.
+function getQuestMeasure(def, entry) {
+  if (def.type === 'qi') return game.qi.toNumber();
+  if (def.type === 'upgrade') return Object.values(game.upgrades || {}).reduce((a, b) => a + b, 0);
+  if (def.type === 'layer') return Math.max(0, (game.totalBreakthroughs || 0) - (entry.baseCount || 0));
+  return 0;
+}
+
+// Update the progress of quests and bounties of one type (all of them when
+// `type` is omitted).  Returns true when any entry moved.
+function advanceQuests(type) {
+  ensureQuestState();
+  let changed = false;
+  const advance = (defs, entries) => defs.forEach(def => {
+    const entry = entries[def.id];
+    if ((type && def.type !== type) || !entry.started || entry.completed) return;
+    const progress = Math.min(getQuestMeasure(def, entry), entry.amount);
+    if (progress !== entry.progress) {
+      entry.progress = progress;
+      changed = true;
+    }
+    if (entry.progress >= entry.amount) {
+      entry.completed = true;
+      entry.progress = entry.amount;
+    }
+  });
+  advance(questDefs, quests);
+  advance(bountyDefs, bounties);
+  return changed;
+}
+
+// Engine events that can move each quest type forward; see bindEngine().
+const questEvents = {
+  'tick': 'qi',
+  'qi.gathered': 'qi',
+  'upgrade.purchased': 'upgrade',
+  'layer.breakthrough': 'layer',
+  'realm.ascended': 'layer'
+};
+
+// Pay out a completed quest and start its next tier.  Returns the Spirit
+// Stones granted (0 if the quest was not completed).
+function claimQuest(def) {
+  const q = quests[def.id];
+  if (!q || !q.completed) return 0;
+  const reward = q.rewardVal || 0;
+  game.spiritStones = (game.spiritStones || 0) + reward;
+  // Advance to next tier and auto‑start it
+  q.tier = (q.tier || 0) + 1;
+  q.amount = def.amount * Math.pow(2, q.tier);
+  q.rewardVal = Math.ceil(def.reward * Math.pow(1.5, q.tier));
+  q.progress = 0;
+  q.completed = false;
+  q.started = true;
+  // For layer‑type quests, update the base count to the current breakthroughs
+  if (def.type === 'layer') {
+    q.baseCount = (game.totalBreakthroughs || 0);
+  }
+  engine.emit('quest.claimed', { id: def.id, kind: 'quest', reward: { spiritStones: reward } });
+  return reward;
+}
+
+// Pay out a completed bounty and start its next tier.  Returns the reward
+// granted, or null if the bounty was not completed.
+function claimBounty(def) {
+  const b = bounties[def.id];
+  if (!b || !b.completed) return null;
+  const reward = Object.assign({}, b.reward);
+  game.spiritStones = (game.spiritStones || 0) + (reward.spiritStones || 0);
+  game.jade = (game.jade || 0) + (reward.jade || 0);
+  // track bounties claimed
+  game.bountiesClaimed = (game.bountiesClaimed || 0) + 1;
+  // Advance to next tier and auto‑start it
+  b.tier = (b.tier || 0) + 1;
+  b.amount = def.amount * Math.pow(2, b.tier);
+  b.reward = {
+    spiritStones: Math.ceil(def.reward.spiritStones * Math.pow(1.5, b.tier)),
+    jade: Math.ceil(def.reward.jade * Math.pow(1.5, b.tier))
+  };
+  b.progress = 0;
+  b.completed = false;
+  b.started = true;
+  // Update baseCount for layer‑type bounties
+  if (def.type === 'layer') {
+    b.baseCount = (game.totalBreakthroughs || 0);
+  }
+  engine.emit('quest.claimed', { id: def.id, kind: 'bounty', reward });
+  return reward;
+}
+
+function updateQuestUI() {
+  const listElem = document.getElementById('quest-list');
+  if (!listElem) return;
+  listElem.innerHTML = '';
+
+  ensureQuestState();
 
   // Build UI
   questDefs.forEach(def => {
@@ -2621,26 +1051,7 @@ function updateQuestUI() {
       status.textContent = 'Completed';
       btn.textContent = 'Claim';
       btn.disabled = false;
-      btn.addEventListener('click', () => {
-        game.spiritStones = (game.spiritStones || 0) + (q.rewardVal || 0);
-        if (game.tutorial && game.tutorial.active && game.tutorial.step === 4) {
-          advanceTutorial();
-        }
-        // Advance to next tier and auto‑start it
-        q.tier = (q.tier || 0) + 1;
-        q.amount = def.amount * Math.pow(2, q.tier);
-        q.rewardVal = Math.ceil(def.reward * Math.pow(1.5, q.tier));
-        q.progress = 0;
-        q.completed = false;
-        q.started = true;
-        // For layer‑type quests, update the base count to the current breakthroughs
-        if (def.type === 'layer') {
-          q.baseCount = (game.totalBreakthroughs || 0);
-        }
-        updateQuestUI();
-        updateStatsUI();
-        saveGame();
-      });
+      btn.addEventListener('click', () => claimQuest(def));
     } else {
       // Display current progress; disable the button since there is nothing to click
       status.textContent = `Progress: ${formatNumber(q.progress)} / ${formatNumber(q.amount)}`;
@@ -2689,58 +1100,7 @@ function updateBountyUI() {
   if (!listElem) return;
   listElem.innerHTML = '';
 
-  const now = Date.now();
-  // Weekly reset (7 days)
-  if (!game.bountyTimestamp || now - game.bountyTimestamp > 7 * 24 * 3600 * 1000) {
-    game.bountyTimestamp = now;
-    game.bounties = {};
-  }
-  if (!game.bounties) game.bounties = {};
-  bounties = game.bounties;
-
-  // Ensure bounty state for every definition
-  bountyDefs.forEach(def => {
-    if (!bounties[def.id]) {
-      // Auto‑start all bounties upon creation
-      bounties[def.id] = {
-        started: true,
-        progress: 0,
-        completed: false,
-        tier: 0,
-        amount: def.amount,
-        reward: Object.assign({}, def.reward),
-        baseCount: def.type === 'layer' ? (game.totalBreakthroughs || 0) : 0
-      };
-    } else {
-      const b = bounties[def.id];
-      if (typeof b.started === 'undefined' || b.started === false) b.started = true;
-      if (typeof b.completed === 'undefined') b.completed = false;
-      if (typeof b.progress !== 'number') b.progress = 0;
-      if (typeof b.tier !== 'number') b.tier = 0;
-      if (typeof b.amount !== 'number') b.amount = def.amount * Math.pow(2, b.tier || 0);
-      if (!b.reward) b.reward = Object.assign({}, def.reward);
-      if (typeof b.baseCount !== 'number' || isNaN(b.baseCount)) b.baseCount = def.type === 'layer' ? (game.totalBreakthroughs || 0) : 0;
-    }
-  });
-
-  // Update progress for each bounty independently
-  bountyDefs.forEach(def => {
-    const b = bounties[def.id];
-    if (b.started && !b.completed) {
-      if (def.type === 'qi') {
-        b.progress = Math.min(game.qi, b.amount);
-      } else if (def.type === 'upgrade') {
-        const totalLevels = Object.values(game.upgrades || {}).reduce((a,b) => a + b, 0);
-        b.progress = Math.min(totalLevels, b.amount);
-      } else if (def.type === 'layer') {
-        b.progress = Math.min(Math.max(0, (game.totalBreakthroughs || 0) - (b.baseCount || 0)), b.amount);
-      }
-      if (b.progress >= b.amount) {
-        b.completed = true;
-        b.progress = b.amount;
-      }
-    }
-  });
+  ensureQuestState();
 
   // Build UI
   bountyDefs.forEach(def => {
@@ -2777,29 +1137,7 @@ function updateBountyUI() {
       status.textContent = 'Completed';
       btn.textContent = 'Claim';
       btn.disabled = false;
-      btn.addEventListener('click', () => {
-        game.spiritStones = (game.spiritStones || 0) + (b.reward.spiritStones || 0);
-        game.jade = (game.jade || 0) + (b.reward.jade || 0);
-        // track bounties claimed
-        game.bountiesClaimed = (game.bountiesClaimed || 0) + 1;
-        // Advance to next tier and auto‑start it
-        b.tier = (b.tier || 0) + 1;
-        b.amount = def.amount * Math.pow(2, b.tier);
-        b.reward = {
-          spiritStones: Math.ceil(def.reward.spiritStones * Math.pow(1.5, b.tier)),
-          jade: Math.ceil(def.reward.jade * Math.pow(1.5, b.tier))
-        };
-        b.progress = 0;
-        b.completed = false;
-        b.started = true;
-        // Update baseCount for layer‑type bounties
-        if (def.type === 'layer') {
-          b.baseCount = (game.totalBreakthroughs || 0);
-        }
-        updateBountyUI();
-        updateStatsUI();
-        saveGame();
-      });
+      btn.addEventListener('click', () => claimBounty(def));
     } else {
       status.textContent = `Progress: ${formatNumber(b.progress)} / ${formatNumber(b.amount)}`;
       btn.textContent = '';
@@ -2840,168 +1178,31 @@ function updateBountyUI() {
 }
 
 
+// Claim all completed quests in one click
 function claimAllCompletedQuests() {
-  if (!game.quests) return;
   let total = 0;
-  questDefs.forEach(def => {
-    const q = game.quests[def.id];
-    if (!q) return;
-    if (q.completed) {
-      total += (q.rewardVal || 0);
-      // advance chain
-      q.tier = (q.tier || 0) + 1;
-      q.amount = def.amount * Math.pow(2, q.tier);
-      q.rewardVal = Math.ceil(def.reward * Math.pow(1.5, q.tier));
-      q.progress = 0;
-      q.completed = false;
-      q.started = false;
-    }
-  });
+  questDefs.forEach(def => { total += claimQuest(def); });
   if (total > 0) {
-    game.spiritStones = (game.spiritStones || 0) + total;
-    // advance tutorial once at most
-    if (game.tutorial && game.tutorial.active && game.tutorial.step === 4) {
-      advanceTutorial();
-    }
-    showToast(`Claimed ${formatNumber(total)} Spirit Stones from completed quests.`);
-    updateQuestUI();
-    updateStatsUI();
-    saveGame();
+    showToast(`Claimed ${formatNumber(total)} Spirit Stones from completed quests.`, { severity: 'success', category: 'quests' });
   } else {
-    showToast('No completed quests to claim.');
+    showToast('No completed quests to claim.', { severity: 'warning', category: 'quests' });
   }
 }
 
 // Claim all completed bounties in one click
 function claimAllCompletedBounties() {
-  if (!game.bounties) return;
   let totalSS = 0, totalJade = 0;
   bountyDefs.forEach(def => {
-    const b = game.bounties[def.id];
-    if (!b) return;
-    if (b.completed) {
-      totalSS += (b.reward.spiritStones || 0);
-      totalJade += (b.reward.jade || 0);
-      // advance chain
-      b.tier = (b.tier || 0) + 1;
-      b.amount = def.amount * Math.pow(2, b.tier);
-      b.reward = {
-        spiritStones: Math.ceil(def.reward.spiritStones * Math.pow(1.5, b.tier)),
-        jade: Math.ceil(def.reward.jade * Math.pow(1.5, b.tier))
-      };
-      b.progress = 0;
-      b.completed = false;
-      b.started = false;
-      game.bountiesClaimed = (game.bountiesClaimed || 0) + 1;
-    }
+    const reward = claimBounty(def);
+    if (!reward) return;
+    totalSS += reward.spiritStones || 0;
+    totalJade += reward.jade || 0;
   });
   if (totalSS > 0 || totalJade > 0) {
-    game.spiritStones = (game.spiritStones || 0) + totalSS;
-    game.jade = (game.jade || 0) + totalJade;
-    showToast(`Claimed ${formatNumber(totalSS)} Spirit Stones and ${formatNumber(totalJade)} Jade from completed bounties.`);
-    updateBountyUI();
-    updateStatsUI();
-    saveGame();
+    showToast(`Claimed ${formatNumber(totalSS)} Spirit Stones and ${formatNumber(totalJade)} Jade from completed bounties.`, { severity: 'success', category: 'quests' });
   } else {
-    showToast('No completed bounties to claim.');
-  }
-}
-
-
-
-
-
-// Disciples (simplified)
-// Disciple list: each disciple will have a name, classId and level
-let disciples = game.disciples || (game.disciples = []);
-
-// Avatar images for disciples.  We provide a small set of chibi faces that
-// are assigned to each disciple when they are recruited.  The paths are relative
-// to the index.html file.  You can add more avatars to
-// assets/icons/disciples and include them here to increase variety.
-const discipleAvatars = [
-  'assets/icons/disciples/avatar1.png',
-  'assets/icons/disciples/avatar2.png',
-  'assets/icons/disciples/avatar3.png',
-  'assets/icons/disciples/avatar4.png',
-  'assets/icons/disciples/avatar5.png',
-  'assets/icons/disciples/avatar6.png',
-  'assets/icons/disciples/avatar7.png',
-  'assets/icons/disciples/avatar8.png',
-  'assets/icons/disciples/avatar9.png',
-  'assets/icons/disciples/avatar10.png',
-  'assets/icons/disciples/avatar11.png',
-  'assets/icons/disciples/avatar12.png',
-  'assets/icons/disciples/avatar13.png',
-  'assets/icons/disciples/avatar14.png'
-];
-
-// Index used to assign unique avatars.  Each time a disciple is recruited
-// this counter increments to ensure a new avatar and unique hue rotation
-// combination.  When the base avatar array is exhausted, hue rotation is
-// applied to differentiate subsequent recruits.
-let nextAvatarIndex = 0;
-
-// Define possible disciple names and classes for enhanced disciple management
-const discipleNames = [
-  'Li', 'Zhang', 'Wang', 'Chen', 'Zhao', 'Lin', 'Liu', 'Yang', 'Huang', 'Zhou',
-  'Xu', 'Sun', 'Deng', 'Gao', 'Feng', 'Guo', 'Cai', 'Pan', 'Qin', 'Rao'
-];
-const discipleClasses = [
-  { id: 'sword', name: 'Sword Cultivator', qi: 2, herbs: 0, spiritStones: 0, beasts: 0 },
-  { id: 'alchemist', name: 'Alchemist', qi: 1, herbs: 0.5, spiritStones: 0, beasts: 0 },
-  { id: 'stone', name: 'Spirit Stone Cultivator', qi: 1, herbs: 0, spiritStones: 0.5, beasts: 0 },
-  { id: 'beastMaster', name: 'Beast Master', qi: 1, herbs: 0, spiritStones: 0, beasts: 0.5 }
-];
-
-// Disciple trait definitions.  Each trait provides a passive bonus that applies
-// either to the disciple’s own contributions or to other systems.  Traits are
-// assigned randomly when recruiting a new disciple.  The effects are applied
-// in various parts of the code (e.g. recalcProduction, expedition and forging).
-const discipleTraits = [
-  {
-    id: 'diligent',
-    name: 'Diligent',
-    // Adds +5% to all resource output contributed by this disciple
-    desc: 'Resource output +5% per level'
-  },
-  {
-    id: 'loyal',
-    name: 'Loyal',
-    // Reduces expedition duration by 5% per level when this disciple is in the
-    // sect.  Stacks additively across disciples.
-    desc: 'Expedition duration −5% per level'
-  },
-  {
-    id: 'forgeMaster',
-    name: 'Forge Master',
-    // Reduces forging duration by 5% per level.  Stacks across disciples.
-    desc: 'Forging duration −5% per level'
-  }
-  ,
-  {
-    id: 'lucky',
-    name: 'Lucky',
-    // Each level of Lucky reduces the rare reward threshold on expeditions by 1.
-    // This effectively increases the frequency of rare drops by making them
-    // occur sooner.  It does not guarantee specific items.
-    desc: 'Rare expedition rewards appear more often'
+    showToast('No completed bounties to claim.', { severity: 'warning', category: 'quests' });
   }
-];
-
-// Helper: compute the total levels of disciples possessing a particular trait.
-// Some traits stack based on disciple level (e.g. Loyal reduces expedition
-// duration by 5% per level of each Loyal disciple).  If no disciple has the
-// trait, returns 0.
-function getTraitLevelSum(traitId) {
-  let sum = 0;
-  disciples.forEach(d => {
-    if (d.traits && d.traits.includes(traitId)) {
-      // sum levels; default level is 1
-      sum += d.level || 1;
-    }
-  });
-  return sum;
 }
 
 // Party selection UI
@@ -3013,6 +1214,7 @@ function updatePartyUI() {
 }
 
 function updateDiscipleUI() {
+  const disciples = game.disciples;
   const listElem = document.getElementById('disciple-list');
   listElem.innerHTML = '';
   // Ensure every disciple has a unique avatar.  We base the assignment
@@ -3038,48 +1240,10 @@ function updateDiscipleUI() {
   const recruitEntry = document.createElement('div');
   recruitEntry.className = 'entry';
   // Use translation keys for the recruit label and cost.  The cost is fixed at 50 spirit stones.
-  recruitEntry.innerHTML = `<div class="entry-icon"><img src="assets/icons/disciples.svg" alt="Recruit Disciple"/></div><div><strong>${typeof t === 'function' ? t('recruit.title') : 'Recruit Disciple'}</strong><br><small>${typeof t === 'function' ? t('recruit.cost', { cost: 50 }) : 'Cost: 50 Spirit Stones'}</small></div>`;
+  recruitEntry.innerHTML = `<div class="entry-icon"><img src="disciples.svg" alt="Recruit Disciple"/></div><div><strong>${typeof t === 'function' ? t('recruit.title') : 'Recruit Disciple'}</strong><br><small>${typeof t === 'function' ? t('recruit.cost', { cost: 50 }) : 'Cost: 50 Spirit Stones'}</small></div>`;
   const recruitBtn = document.createElement('button');
   recruitBtn.textContent = typeof t === 'function' ? t('btn.recruit') : 'Recruit';
-  recruitBtn.addEventListener('click', () => {
-    if (game.spiritStones < 50) {
-      // Show a localized toast if available
-      const msg = (typeof t === 'function') ? t('toast.insufficientSS') : 'Not enough Spirit Stones';
-      showToast(msg);
-      return;
-    }
-    game.spiritStones -= 50;
-    // Assign a random name, class and trait to the new disciple.  Each
-    // disciple receives exactly one trait at recruitment to encourage variety.
-    const name = discipleNames[Math.floor(Math.random() * discipleNames.length)];
-    const cls = discipleClasses[Math.floor(Math.random() * discipleClasses.length)];
-    const trait = discipleTraits[Math.floor(Math.random() * discipleTraits.length)];
-    // Determine avatar for this disciple.  Use a unique index that
-    // increments with each recruitment.  The base avatar cycles through
-    // the available images, and once exhausted a hue rotation is applied
-    // to ensure uniqueness of appearance.
-    const idx = nextAvatarIndex;
-    const basePath = discipleAvatars[idx % discipleAvatars.length];
-    let hue = 0;
-    if (idx >= discipleAvatars.length) {
-      // Apply a deterministic hue rotation based on how many times we've
-      // wrapped around the avatar list.  Multiplying by 37 spreads out
-      // hues across the 360° color circle without obvious repetition.
-      hue = ((idx - discipleAvatars.length) * 37) % 360;
-    }
-    nextAvatarIndex++;
-    const avatar = { path: basePath, hue };
-    disciples.push({ name, classId: cls.id, level: 1, trainingCost: 20, traits: [trait.id], avatar });
-    // Localise recruit toast with variable interpolation if translation function exists
-    if (typeof t === 'function') {
-      showToast(t('toast.recruited', { name, class: cls.name, trait: trait.name }));
-    } else {
-      showToast(`Recruited ${name}, a ${cls.name} with the ${trait.name} trait!`);
-    }
-    updateDiscipleUI();
-    updateStatsUI();
-    saveGame();
-  });
+  recruitBtn.addEventListener('click', () => recruitDisciple());
   recruitEntry.appendChild(recruitBtn);
   listElem.appendChild(recruitEntry);
   disciples.forEach((disciple, idx) => {
@@ -3153,24 +1317,7 @@ function updateDiscipleUI() {
     const trainLabel = (typeof t === 'function' ? t('btn.train') : 'Train');
     btn.textContent = `${trainLabel} (${formatNumber(disciple.trainingCost || 20)} SS)`;
     
-    btn.addEventListener('click', () => {
-      disciple.trainingCost = disciple.trainingCost || 20;
-      if (game.spiritStones < disciple.trainingCost) {
-        showToast('Not enough Spirit Stones');
-        return;
-      }
-      game.spiritStones -= disciple.trainingCost;
-      disciple.level++;
-      disciple.trainingCost = Math.max(1, Math.floor(disciple.trainingCost * 2));
-      // Use a localized toast for disciple advancement if translation function exists
-      if (typeof t === 'function') {
-        showToast(t('toast.discipleAdvanced', { name: disciple.name, level: disciple.level, cost: formatNumber(disciple.trainingCost) }));
-      } else {
-        showToast(`${disciple.name} has advanced to Level ${disciple.level}! Training cost is now ${formatNumber(disciple.trainingCost)} SS.`);
-      }
-      updateDiscipleUI();
-      saveGame();
-    });
+    btn.addEventListener('click', () => trainDisciple(idx));
 entry.appendChild(btn);
     listElem.appendChild(entry);
   });
@@ -3178,119 +1325,6 @@ entry.appendChild(btn);
   updateExpeditionUI();
 }
 
-// Forging (simplified) - placeholder
-// Define forging recipes.  Each artifact specifies its unique id, display name,
-// which resource it boosts and by how much, base stone cost, base forging
-// time (in seconds) and the minimum realm stage required to unlock it.
-// The buffValue acts as a multiplicative factor (e.g. 1.10 = +10%).
-const artifactDefs = [
-  {
-    id: 'qiTalisman',
-    name: 'Qi Talisman',
-    buffType: 'qi',
-    buffValue: 1.10,
-    baseCost: 100,
-    baseTime: 60,
-    unlockStage: 3,
-    desc: 'Increases Qi/s by 10%'
-  },
-  {
-    id: 'herbTalisman',
-    name: 'Herbal Charm',
-    buffType: 'herbs',
-    buffValue: 1.15,
-    baseCost: 80,
-    baseTime: 90,
-    unlockStage: 3,
-    desc: 'Increases herb production by 15%'
-  },
-  {
-    id: 'stoneTalisman',
-    name: 'Stone Sigil',
-    buffType: 'spiritStones',
-    buffValue: 1.15,
-    baseCost: 80,
-    baseTime: 90,
-    unlockStage: 3,
-    desc: 'Increases spirit stone production by 15%'
-  },
-  {
-    id: 'beastTalisman',
-    name: 'Beast Totem',
-    buffType: 'beasts',
-    buffValue: 1.15,
-    baseCost: 80,
-    baseTime: 90,
-    unlockStage: 3,
-    desc: 'Increases beast energy production by 15%'
-  }
-  ,
-  // Fortune Charm reduces the chance of expedition failure.  Each charm
-  // multiplies the current expedition risk by (1 - buffValue).  Unlike other
-  // artifacts, this does not directly increase resource production but
-  // improves expedition outcomes.
-  {
-    id: 'fortuneCharm',
-    name: 'Fortune Charm',
-    buffType: 'riskReduction',
-    buffValue: 0.10,
-    baseCost: 120,
-    baseTime: 120,
-    unlockStage: 3,
-    desc: 'Reduces expedition failure chance by 10%'
-  }
-];
-
-// Alchemy elixir definitions
-const elixirDefs = [
-  {
-    id: 'qiDraft',
-    name: 'Qi Draft',
-    desc: '+25% Qi/s for 60s',
-    baseBrew: 60,
-    duration: 60,
-    costs: { herbs: 50 },
-    effects: { qiMult: 1.25 }
-  },
-  {
-    id: 'focusDraught',
-    name: 'Focus Draught',
-    desc: '+50 Qi per tap for 60s',
-    baseBrew: 75,
-    duration: 60,
-    costs: { herbs: 80 },
-    effects: { tapFlat: 50 }
-  },
-  {
-    id: 'beastBlood',
-    name: 'Beast Blood Elixir',
-    desc: '+15% Beasts/s for 90s',
-    baseBrew: 90,
-    duration: 90,
-    costs: { herbs: 60, beasts: 40 },
-    effects: { beastsMult: 1.15 }
-  },
-  {
-    id: 'spiritSerum',
-    name: 'Spirit Serum',
-    desc: '+15% Herbs & Spirit Stones/s for 90s',
-    baseBrew: 100,
-    duration: 90,
-    costs: { herbs: 100, spiritStones: 60 },
-    effects: { herbsMult: 1.15, spiritStonesMult: 1.15 }
-  },
-  {
-    id: 'celestialAmbrosia',
-    name: 'Celestial Ambrosia',
-    desc: '+10% all resources for 120s',
-    baseBrew: 120,
-    duration: 120,
-    unlockStage: 4,
-    costs: { herbs: 150, spiritStones: 120, beasts: 60, jade: 5 },
-    effects: { qiMult: 1.10, herbsMult: 1.10, spiritStonesMult: 1.10, beastsMult: 1.10, jadeMult: 1.10 }
-  }
-];
-
 
 
 // Update the Forging UI to show available artifacts, handle forging actions and
@@ -3306,34 +1340,28 @@ function updateForgingUI() {
   if (typeof game.forgingSlots !== 'number' || game.forgingSlots < 1) {
     game.forgingSlots = 1;
   }
-  // compute cost/time reductions from upgrades and perks
-  const talismanLv = game.upgrades.talismanWorkshop || 0;
-  const attuneLv = game.upgrades.elementalAttunement || 0;
-  const logisticLv = game.research.logistics || 0;
-  const forgeMasteryLv = game.ascensionPerks.forgeMastery || 0;
-  const costReduction = 1 - 0.05 * talismanLv - 0.01 * logisticLv - 0.02 * forgeMasteryLv;
-  // Base time reduction from upgrades and perks
-  let timeReduction = 1 - 0.05 * talismanLv - 0.02 * attuneLv - 0.01 * logisticLv - 0.02 * forgeMasteryLv;
+  // cost/time factors from upgrades, research, perks and story choices
+  const costFactor = getUtilityStat('forgeCost');
+  let timeReduction = getUtilityStat('forgeTime');
   // Apply additional reduction from disciples with the Forge Master trait
   const forgeTraitLevels = getTraitLevelSum('forgeMaster');
   if (forgeTraitLevels > 0) {
     timeReduction *= (1 - 0.05 * forgeTraitLevels);
   }
-  const costMult = (typeof game.forgeCostMult !== 'undefined' ? game.forgeCostMult : 1);
-  // Determine Heavenly Thunder level to apply synergy to Qi artifacts
-  const thunderLv = game.upgrades.heavenlyThunder || 0;
+  // Heavenly Thunder strengthens Qi artifacts
+  const qiBuffMult = getUtilityStat('qiForgeBuff');
   // For each artifact definition, create a UI entry
   artifactDefs.forEach(def => {
     const entry = document.createElement('div');
     entry.className = 'entry';
     // build description with dynamic buff
     let buffMult = def.buffValue;
-    if (def.buffType === 'qi' && thunderLv > 0) {
-      buffMult *= (1 + 0.02 * thunderLv);
+    if (def.buffType === 'qi') {
+      buffMult *= qiBuffMult;
     }
     const bonusPct = (buffMult * 100 - 100).toFixed(0);
     // compute final cost and time after reductions and story multipliers
-    const cost = Math.ceil(def.baseCost * costReduction * costMult);
+    const cost = Math.ceil(def.baseCost * costFactor);
     // Apply the global forging time multiplier (game.forgingTimeMult) on top of
     // upgrade/time reductions. A multiplier <1 speeds up forging while >1 slows it.
     const time = Math.max(5, Math.ceil(def.baseTime * timeReduction * (game.forgingTimeMult || 1)));
@@ -3389,57 +1417,7 @@ function updateForgingUI() {
         btn.disabled = true;
       } else {
         btn.textContent = (typeof window.t === 'function' ? t('btn.forge') : 'Forge');
-        btn.addEventListener('click', () => {
-          // Recalculate cost/time on click in case of dynamic upgrades
-          const currentCost = Math.ceil(def.baseCost * (1 - 0.05 * (game.upgrades.talismanWorkshop || 0) - 0.01 * (game.research.logistics || 0) - 0.02 * (game.ascensionPerks.forgeMastery || 0)) * (typeof game.forgeCostMult !== 'undefined' ? game.forgeCostMult : 1));
-          let currentTimeMult = 1 - 0.05 * (game.upgrades.talismanWorkshop || 0) - 0.02 * (game.upgrades.elementalAttunement || 0) - 0.01 * (game.research.logistics || 0) - 0.02 * (game.ascensionPerks.forgeMastery || 0);
-          // Apply forge master trait reduction to current time
-          const forgeTraitLv = getTraitLevelSum('forgeMaster');
-          if (forgeTraitLv > 0) {
-            currentTimeMult *= (1 - 0.05 * forgeTraitLv);
-          }
-          // Apply global forging time multiplier; ensure default of 1
-          const effectiveTimeMult = currentTimeMult * (game.forgingTimeMult || 1);
-          const currentTime = Math.max(5, Math.ceil(def.baseTime * effectiveTimeMult));
-          if (game.spiritStones < currentCost) {
-            // Show translated toast for insufficient stones
-            if (typeof window.t === 'function') {
-              showToast(t('toast.notEnoughSpiritStones2'));
-            } else {
-              showToast('Not enough spiritStones');
-            }
-            return;
-          }
-          // Check slots again just before queuing (race condition safety)
-          const inUse = Array.isArray(game.forgingQueue) ? game.forgingQueue.length : 0;
-          if (inUse >= ((typeof game.forgingSlots === 'number' && game.forgingSlots > 0) ? game.forgingSlots : 1)) {
-            if (typeof window.t === 'function') {
-              showToast(t('toast.forgingSlotsFull'));
-            } else {
-              showToast('All forging slots are currently in use');
-            }
-            updateForgingUI();
-            return;
-          }
-          // deduct cost and queue the artifact
-          game.spiritStones -= currentCost;
-          const finishTime = Date.now() + currentTime * 1000;
-          game.forgingQueue.push({ id: generateId(), artifactId: def.id, endTime: finishTime, duration: currentTime });
-          // Use translated artifact name and toast message if available
-          const forgeName = (typeof window.t === 'function' ? t(`artifact.${def.id}.name`) : null) || def.name;
-          if (typeof window.t === 'function') {
-            try {
-              showToast(t('toast.startedForging', { name: forgeName }));
-            } catch (e) {
-              showToast(`${forgeName} started forging!`);
-            }
-          } else {
-            showToast(`${forgeName} started forging!`);
-          }
-          updateForgingUI();
-          updateStatsUI();
-          saveGame();
-        });
+        btn.addEventListener('click', () => startForging(def.id));
       }
     }
     entry.appendChild(btn);
@@ -3507,70 +1485,48 @@ function updateForgingUI() {
   }
 }
 
-// Check active forging tasks each tick.  When a task finishes, apply its
-// multiplier to the appropriate resource, remove it from the queue and
-// refresh production and UI.  If multiple tasks finish simultaneously
-// they are all processed before updating.
-function updateForgingQueue() {
-  if (!Array.isArray(game.forgingQueue) || game.forgingQueue.length === 0) {
-    return;
-  }
-  const now = Date.now();
-  let changed = false;
-  // Process tasks in reverse order so splicing removal does not affect indices
-  for (let i = game.forgingQueue.length - 1; i >= 0; i--) {
-    const task = game.forgingQueue[i];
-    if (now >= task.endTime) {
-      const def = artifactDefs.find(a => a.id === task.artifactId);
-      if (def) {
-        // Apply Heavenly Thunder synergy if Qi artifact
-        let buffMult = def.buffValue;
-        const thunderLv = game.upgrades.heavenlyThunder || 0;
-        if (def.buffType === 'qi' && thunderLv > 0) {
-          buffMult *= (1 + 0.02 * thunderLv);
-        }
-        // Apply forging bonus depending on the artifact type.  For Qi/Herb/
-        // Stone/Beast buffs, multiply the appropriate resource multiplier.  For
-        // risk reduction charms, multiply the expedition risk multiplier.
-        if (def.buffType === 'riskReduction') {
-          // Initialize forgingRiskMult if absent
-          if (typeof game.forgingRiskMult !== 'number') {
-            game.forgingRiskMult = 1;
-          }
-          // Multiply by (1 - buffValue) to reduce risk
-          game.forgingRiskMult *= (1 - def.buffValue);
-        } else {
-          // multiply forgingMults for the corresponding resource type
-          if (!game.forgingMults) {
-            game.forgingMults = { qi: 1, herbs: 1, spiritStones: 1, beasts: 1 };
-          }
-          if (typeof game.forgingMults[def.buffType] !== 'number') {
-            game.forgingMults[def.buffType] = 1;
-          }
-          game.forgingMults[def.buffType] *= buffMult;
-        }
-        // increment forged artifact counter for achievements
-        game.artifactsForged = (game.artifactsForged || 0) + 1;
-        showToast(`${def.name} forging complete!`);
-        changed = true;
-      }
-      // Remove task from queue
-      game.forgingQueue.splice(i, 1);
-    }
-  }
-  if (changed) {
-    recalcProduction();
-    updateForgingUI();
-    updateStatsUI();
-    checkRelics && typeof checkRelics === 'function' && checkRelics();
-    saveGame();
-  }
-}
 
-// Show toast messages
-let toastTimeout;
-function showToast(msg) {
-  const toast = document.getElementById('toast');
+// Toast stack.  Up to TOAST_MAX_VISIBLE messages are shown at once in the
+// #toast container; further ones wait in toastQueue, most severe first, and
+// take the place of the oldest as it expires.  A message that is already on
+// screen is not repeated; its counter goes up instead.
+const TOAST_MAX_VISIBLE = 3;
+const TOAST_DURATION_MS = 4000;
+const toastPriority = { failure: 3, warning: 2, success: 1, info: 0 };
+// Screen opened by clicking a toast of each category.
+const toastCategoryScreens = {
+  expeditions: 'sect-recruitment',
+  forging: 'sect-forging',
+  alchemy: 'cultivation',
+  sect: 'sect-management',
+  ascension: 'ascension',
+  achievements: 'codex',
+  story: 'story',
+  quests: 'dao'
+};
+// English names for the mute toggles in Settings (label.toast.* in i18n.js).
+const toastCategoryLabels = {
+  general: 'General messages',
+  expeditions: 'Expeditions',
+  forging: 'Forging',
+  alchemy: 'Alchemy',
+  sect: 'Sect and disciples',
+  ascension: 'Breakthroughs and ascension',
+  achievements: 'Achievements',
+  story: 'Story',
+  quests: 'Quests and bounties',
+  events: 'Random events'
+};
+const toastQueue = [];
+const visibleToasts = [];
+
+// Show a toast.  `options` may give { severity, category } as reported by
+// the engine (see notifyToast() in core.js) and a `screen` to open on click,
+// which defaults to the category's screen.  Muted categories are dropped.
+function showToast(msg, options) {
+  const { severity = 'info', category = 'general' } = options || {};
+  const mute = game.settings && game.settings.toastMute;
+  if (mute && mute[category]) return;
   // Map certain English messages to translation keys.  This allows
   // toast messages to be fully localised without changing every call site.
   const toastKeyMap = {
@@ -3618,12 +1574,141 @@ function showToast(msg) {
   } catch (e) {
     // ignore translation errors
   }
-  toast.textContent = translated || msg;
-  toast.classList.remove('hidden');
-  clearTimeout(toastTimeout);
-  toastTimeout = setTimeout(() => {
-    toast.classList.add('hidden');
-  }, 4000);
+  const text = translated || msg;
+  const same = visibleToasts.find(item => item.text === text);
+  if (same) {
+    same.count++;
+    same.el.querySelector('.toast-count').textContent = `×${same.count}`;
+    clearTimeout(same.timer);
+    same.timer = setTimeout(() => dismissToast(same), TOAST_DURATION_MS);
+    return;
+  }
+  const screen = (options && options.screen) || toastCategoryScreens[category] || null;
+  const item = { text, severity, screen, count: 1 };
+  // Keep the queue ordered by severity; equal severities stay in order.
+  const idx = toastQueue.findIndex(q => toastPriority[q.severity] < toastPriority[severity]);
+  if (idx < 0) toastQueue.push(item); else toastQueue.splice(idx, 0, item);
+  showQueuedToasts();
+}
+
+// Move queued toasts into free slots of the stack.
+function showQueuedToasts() {
+  const stack = document.getElementById('toast');
+  if (!stack) return;
+  while (visibleToasts.length < TOAST_MAX_VISIBLE && toastQueue.length) {
+    const item = toastQueue.shift();
+    const el = document.createElement('div');
+    el.className = `toast-item toast-${item.severity}` + (item.screen ? ' toast-link' : '');
+    el.setAttribute('role', item.severity === 'failure' || item.severity === 'warning' ? 'alert' : 'status');
+    const text = document.createElement('span');
+    text.textContent = item.text;
+    const count = document.createElement('span');
+    count.className = 'toast-count';
+    el.appendChild(text);
+    el.appendChild(count);
+    el.addEventListener('click', () => {
+      dismissToast(item);
+      if (item.screen) showScreen(item.screen);
+    });
+    item.el = el;
+    item.timer = setTimeout(() => dismissToast(item), TOAST_DURATION_MS);
+    visibleToasts.push(item);
+    stack.appendChild(el);
+  }
+}
+
+function dismissToast(item) {
+  const idx = visibleToasts.indexOf(item);
+  if (idx < 0) return;
+  visibleToasts.splice(idx, 1);
+  clearTimeout(item.timer);
+  item.el.remove();
+  showQueuedToasts();
+}
+
+// Desktop notifications.  Opt-in per category (game.settings.desktopNotify)
+// and only shown while the game tab is hidden; in the foreground the toast
+// says the same thing.
+const desktopNotifyCategories = ['expeditions', 'forging', 'alchemy', 'dantian', 'quests'];
+// English names for the toggles in Settings (label.notify.* in i18n.js).
+const desktopNotifyLabels = {
+  expeditions: 'Expedition returned or failed',
+  forging: 'Forging complete',
+  alchemy: 'Brewing complete',
+  dantian: 'Dantian full',
+  quests: 'New daily quests'
+};
+// Engine events that raise a notification: its category and body text.
+const desktopNotifyEvents = {
+  'expedition.completed': {
+    category: 'expeditions',
+    text: e => {
+      const def = expeditionDefs.find(d => d.id === e.type);
+      const name = def ? def.name : e.type;
+      return e.success
+        ? translate('notify.expeditionDone', { name }, `Your ${name} expedition has returned.`)
+        : translate('notify.expeditionFailed', { name }, `Your ${name} expedition failed.`);
+    }
+  },
+  'artifact.forged': {
+    category: 'forging',
+    text: e => {
+      const def = artifactDefs.find(a => a.id === e.artifactId);
+      const name = def ? translate(`artifact.${def.id}.name`, undefined, def.name) : e.artifactId;
+      return translate('notify.forged', { name }, `${name} has finished forging.`);
+    }
+  },
+  'elixir.brewed': {
+    category: 'alchemy',
+    text: e => {
+      const def = elixirDefs.find(d => d.id === e.elixirId);
+      const name = def ? def.name : e.elixirId;
+      return translate('notify.brewed', { name }, `${name} has finished brewing.`);
+    }
+  },
+  'dantian.full': {
+    category: 'dantian',
+    text: () => translate('notify.dantianFull', undefined, 'Your dantian is full. Spend Qi to keep cultivating.')
+  },
+  'quests.reset': {
+    category: 'quests',
+    text: e => e.kind === 'bounty'
+      ? translate('notify.bountiesReset', undefined, 'New weekly bounties are available.')
+      : translate('notify.questsReset', undefined, 'New daily quests are available.')
+  }
+};
+
+function showDesktopNotification(category, body) {
+  const enabled = game.settings && game.settings.desktopNotify;
+  if (!enabled || !enabled[category]) return;
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  if (!document.hidden) return;
+  const title = document.title.trim();
+  // Replace an unread notification of the same category rather than piling up.
+  const options = { body, tag: `cw-${category}`, icon: 'meditation.svg' };
+  // Some browsers (Chrome on Android) only allow notifications through a
+  // service worker registration.
+  if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+    navigator.serviceWorker.ready.then(reg => reg.showNotification(title, options)).catch(e => console.warn('Notification failed:', e));
+    return;
+  }
+  try {
+    const notification = new Notification(title, options);
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  } catch (e) {
+    console.warn('Notification failed:', e);
+  }
+}
+
+// Ask for notification permission.  Resolves to true when granted.
+function requestNotificationPermission() {
+  if (typeof Notification === 'undefined') return Promise.resolve(false);
+  if (Notification.permission === 'granted') return Promise.resolve(true);
+  if (Notification.permission === 'denied') return Promise.resolve(false);
+  return Promise.resolve(Notification.requestPermission()).then(result => result === 'granted');
 }
 
 // Apply game settings (theme, accessibility)
@@ -3648,11 +1733,11 @@ function applySettings() {
   // actual image.  If an invalid index is provided, fall back to 0.
   try {
     const backgrounds = [
-      'assets/backgrounds/bg1.png',
-      'assets/backgrounds/bg2.png',
-      'assets/backgrounds/bg3.png',
-      'assets/backgrounds/bg4.png',
-      'assets/backgrounds/bg5.png'
+      'bg1.png',
+      'bg2.png',
+      'bg3.png',
+      'bg4.png',
+      'bg5.png'
     ];
     let idx = parseInt(game.settings.backgroundIndex, 10);
     if (isNaN(idx) || idx < 0 || idx >= backgrounds.length) {
@@ -3684,132 +1769,28 @@ function setHideLocked(val) {
   saveGame();
 }
 
-// Reset game: clear save and reload
+// Reset game: clear the active save slot and start over
 function resetGame() {
   // Immediately reset all game data without confirmation
   try {
-    // Clear storage to remove any persisted save data
-    localStorage.removeItem('cultivationGame');
-    localStorage.clear();
+    // Clear only the active slot (its save and backups).  Other slots and
+    // preferences such as the chosen language are kept.
+    clearSlot(getActiveSlotId());
   } catch (e) {
     console.warn('Error clearing save:', e);
   }
   // Reset in-memory game state to defaults
-  game.qi = 0;
-  game.qiPerTap = 1;
-  game.qiPerSec = 0;
-  game.herbs = 0;
-  game.spiritStones = 0;
-  game.beasts = 0;
-  game.jade = 0;
-  game.spiritStones = 0;
-  game.dantianCap = 1e6;
-  game.dantianMult = 1;
-  game.stage = 0;
-  game.subLayer = 0;
-  game.upgrades = {};
-  game.research = {};
-  game.multQi = 1;
-  game.multHerbs = 1;
-  game.multSpiritStones = 1;
-  game.multBeasts = 1;
-  game.layerMult = 1;
-  game.lastTick = Date.now();
-  game.autoSend = false;
-  game.lastExpeditionType = null;
-  // activeExpedition is deprecated; use activeExpeditions map instead.  Do not set this property on reset.
-  game.afterglowExpires = 0;
-  game.achCollapsed = false;
-  game.loreCollapsed = false;
-  game.questTimestamp = 0;
-  game.expeditionPity = { herb: 0, stone: 0, beast: 0, beastLair: 0 };
-  game.buildings = {};
-  game.ascensionPoints = 0;
-  game.ascensionPerks = {};
-  game.bountyTimestamp = 0;
-  game.bounties = {};
-  // Reset quest and bounty progress stored on the game object.  Without
-  // clearing these objects, stale quest and bounty data could leak into
-  // a fresh game when the player chooses to reset.  Also update the
-  // module‑scoped references so UI functions operate on the cleared
-  // objects.
-  game.quests = {};
+  resetState();
+  // Point the module‑scoped quest and bounty references at the cleared
+  // objects so UI functions operate on the fresh state.
   quests = game.quests;
-  game.bounties = {};
   bounties = game.bounties;
-  game.forgingBuffMult = 1;
-  // Reset new forging system state
-  game.forgingMults = { qi: 1, herbs: 1, spiritStones: 1, beasts: 1 };
-  game.forgingQueue = [];
-  game.forgingRiskMult = 1;
-  disciples = [];
-  game.disciples = [];
-  // Clear alchemy and expedition state
-  game.elixirQueue = [];
-  game.elixirInventory = {};
-  game.activeElixirs = [];
-  game.elixirOverdose = {};
-  game.selectedPartyIdxs = [];
-  game.activeExpeditions = {};
-  // Reset forging slots and time multiplier to default values
-  game.forgingSlots = 1;
-  game.forgingTimeMult = 1;
-  // Reset disciple assignments
-  game.discipleAssignments = {};
-  // Reset bounty and daily/weekly tasks
-  game.dailyBounties = [];
-  game.weeklyBounties = [];
-  game.dailySeed = 0;
-  game.weekSeed = 0;
-  // Reset the manual Qi per tap multiplier.  The testing toggle should
-  // always start disabled after a reset or in a new game.
-  game.qiPerTapMult = 1;
-  // Reset the passive Qi per second multiplier as well.  When starting a new game
-  // or resetting, the "Qi per second ×100" testing toggle should default to
-  // disabled (multiplier of 1).  Failing to reset this value would cause the
-  // game to remember the last multiplier state across new games.
-  game.qiPerSecMult = 1;
-  // Initialise story‑related multipliers for forging cost, expedition time,
-  // disciple output and ascension rewards.  These default to 1 (no effect)
-  // and may be modified by story choices.
-  game.forgeCostMult = 1;
-  game.expeditionTimeMult = 1;
-  game.discipleMult = 1;
-  game.ascensionRewardMult = 1;
-  // Tutorial state removed; nothing to initialise here
-  // Initialise relic collection tracking
-  game.relics = {};
-  // Reset story progress so players can experience the narrative anew
-  game.story = { choices: {} };
-  // Reset feature notification state.  When starting a new game, no screens
-  // should display the “!” badge until the player unlocks them again.  Clear
-  // the newFeatures and featuresSeen maps and collapse any expanded
-  // expedition details.
-  game.newFeatures = {};
-  game.featuresSeen = {};
-  game.expandedExpeditions = {};
-  // Reset counters and random event timer
-  game.expeditionsCompleted = 0;
-  game.bountiesClaimed = 0;
-  game.artifactsForged = 0;
-  game.lastRandomEvent = 0;
-  // Reset additional multipliers
-  game.multJade = 1;
-  // Reset breakthrough tracking
-  game.totalBreakthroughs = 0;
   // Reset the current screen tracker so that the first call to showScreen
   // does not mark a previous page as seen.  currentScreen is defined in
   // the broader script scope, so assign to it here explicitly.
   if (typeof currentScreen !== 'undefined') {
     currentScreen = null;
   }
-  // reset skill levels
-  const skillIds = ['alchemy','swordplay','bodyCultivation','beastTaming','sectLeadership','soulRefinement'];
-  for (const id of skillIds) {
-    game[`${id}Level`] = 0;
-  }
-  // Reset settings to defaults
-  game.settings = { colorBlind: false, largeFont: false, reduceMotion: false, theme: 'dark', backgroundIndex: 0, sectTab: 'management' };
   // Save and reapply settings
   saveGame();
   applySettings();
@@ -3831,7 +1812,7 @@ function resetGame() {
   // Recalculate production and update all UIs
   recalcProduction();
   updateStatsUI();
-  updateUpgradeUI();
+  notifyChange(['upgrades']);
   updateSkillUI();
   updateResearchUI();
   updateQuestUI();
@@ -3842,12 +1823,145 @@ function resetGame() {
   updateAchLoreUI();
   updateSectUI();
   updateAscensionTreeUI();
+  updateKarmaTreeUI();
+  updateChallengeListUI();
   // Refresh the story after resetting so that the introductory chapter is rendered
   updateStoryUI();
   // Return to the Story page after resetting the game
   showScreen('story');
 }
 
+// Render the save slot list in Settings.  Each slot shows its sect name,
+// realm, playtime and when it was last saved, with actions to load,
+// duplicate, rename or delete it.
+function updateSaveSlotUI() {
+  const listElem = document.getElementById('save-slot-list');
+  if (!listElem) return;
+  listElem.innerHTML = '';
+  const activeId = getActiveSlotId();
+  listSlots().forEach(slot => {
+    const entry = document.createElement('div');
+    entry.className = 'entry' + (slot.id === activeId ? ' active-slot' : '');
+    const realm = typeof slot.stage === 'number' ? `${getRealmName(slot.stage)} – Layer ${(slot.subLayer || 0) + 1}` : 'New game';
+    const saved = slot.lastSaved ? new Date(slot.lastSaved).toLocaleString() : 'Never';
+    const sect = slot.sectName ? `${slot.sectName} · ` : '';
+    // Slot and sect names come from imported saves and share codes, so they
+    // are set as text rather than parsed as HTML.
+    const info = document.createElement('div');
+    const title = document.createElement('strong');
+    title.textContent = slot.name;
+    info.appendChild(title);
+    if (slot.id === activeId) {
+      info.appendChild(document.createTextNode(' '));
+      const active = document.createElement('em');
+      active.textContent = '(active)';
+      info.appendChild(active);
+    }
+    [`${sect}${realm}`, `Playtime: ${formatDuration(slot.playtime || 0)} · Last saved: ${saved}`].forEach(line => {
+      info.appendChild(document.createElement('br'));
+      const small = document.createElement('small');
+      small.textContent = line;
+      info.appendChild(small);
+    });
+    entry.appendChild(info);
+    const actions = document.createElement('div');
+    actions.className = 'slot-actions';
+    const addAction = (label, handler, disabled) => {
+      const btn = document.createElement('button');
+      btn.textContent = label;
+      btn.disabled = !!disabled;
+      btn.addEventListener('click', handler);
+      actions.appendChild(btn);
+    };
+    addAction('Load', () => switchSaveSlot(slot.id), slot.id === activeId);
+    addAction('Duplicate', () => {
+      const name = prompt('Name for the copy:', `${slot.name} (copy)`);
+      if (name === null) return;
+      // Flush the running game first so the copy is current
+      if (slot.id === activeId) saveGame();
+      duplicateSlot(slot.id, name.trim() || `${slot.name} (copy)`);
+      updateSaveSlotUI();
+    });
+    addAction('Rename', () => {
+      const name = prompt('Rename save slot:', slot.name);
+      if (name && name.trim()) {
+        renameSlot(slot.id, name.trim());
+        updateSaveSlotUI();
+      }
+    });
+    addAction('Delete', () => {
+      if (confirm(`Delete save slot "${slot.name}"? This cannot be undone.`)) {
+        deleteSlot(slot.id);
+        updateSaveSlotUI();
+      }
+    }, slot.id === activeId);
+    entry.appendChild(actions);
+    listElem.appendChild(entry);
+  });
+}
+
+// Download the current game as a .json file.  The file holds the same
+// checksummed envelope that is written to storage.
+function downloadSaveFile() {
+  const blob = new Blob([serializeSave(game)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const slot = listSlots().find(s => s.id === getActiveSlotId());
+  const name = ((slot && slot.name) || 'save').replace(/[^a-z0-9_-]+/gi, '-');
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `cultivation-${name}-${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Replace the active slot with an imported save.  `result` comes from
+// parseSave() or decodeShareCode(), so imports are checksummed, migrated and
+// validated exactly like loadGame().  Returns true when the import went ahead.
+function importSave(result) {
+  if (!result || result.error || !result.data) {
+    showToast(`Could not import save: ${(result && result.error) || 'no save data'}`, { severity: 'failure' });
+    return false;
+  }
+  // A read-only tab never saves, so the import would be lost on reload.
+  if (tabReadOnly || !holdsTabLease()) {
+    showToast(translate('import.readOnly', undefined, 'The game is open in another tab. Take over in this tab before importing a save.'), { severity: 'warning' });
+    return false;
+  }
+  if (!confirm('Importing will overwrite your current progress. Continue?')) return false;
+  // The imported save is written as it is and the page reloads into it, so
+  // loadGame() applies it to a fresh game instead of merging it into this one.
+  const slotId = getActiveSlotId();
+  try {
+    writeSave(getSlotKey(slotId), result.data);
+  } catch (e) {
+    console.warn('Could not write the imported save:', e);
+    showToast(translate('save.failed', undefined, 'Saving failed. Export your save to keep your progress.'), { severity: 'failure' });
+    return false;
+  }
+  recordSlotMeta(slotId, result.data);
+  importPending = true;
+  location.reload();
+  return true;
+}
+
+// Read a save file chosen in the file picker or dropped on the Settings screen.
+function importSaveFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => importSave(parseSave(String(reader.result)));
+  reader.onerror = () => showToast('Could not read the save file', { severity: 'failure' });
+  reader.readAsText(file);
+}
+
+// Save the running game, make another slot active and reload into it.
+function switchSaveSlot(id) {
+  saveGame();
+  if (setActiveSlot(id)) {
+    location.reload();
+  }
+}
+
 // Toggle fullscreen mode and optionally lock/unlock screen orientation.  This function will
 // request fullscreen on the document element if not already in fullscreen.  When
 // entering fullscreen, it attempts to lock the orientation to landscape to
@@ -3890,24 +2004,6 @@ function toggleFullScreen() {
   }
 }
 
-// Check and unlock achievements
-function checkAchievements() {
-  for (const def of achievementDefs) {
-    if (!game.achievementsUnlocked[def.id] && def.condition()) {
-      game.achievementsUnlocked[def.id] = true;
-      // reward 1 Spirit Stone per achievement unlocked
-      game.spiritStones += 1;
-      showToast(`Achievement unlocked: ${def.name}!`);
-    }
-  }
-  // unlock lore based on stage
-  for (const entry of loreDefs) {
-    if (!game.loreUnlocked.includes(entry.stage) && game.stage >= entry.stage) {
-      game.loreUnlocked.push(entry.stage);
-    }
-  }
-  updateAchLoreUI();
-}
 
 // Build Achievements & Lore UI
 function updateAchLoreUI() {
@@ -3975,156 +2071,6 @@ function updateAchLoreUI() {
   });
 }
 
-// Start an expedition
-function startExpedition(type) {
-  // Ensure the activeExpeditions map exists
-  if (!game.activeExpeditions) game.activeExpeditions = {};
-  // Only one expedition of each type can run at a time
-  if (game.activeExpeditions[type]) {
-    showToast('This expedition is already in progress.');
-    return;
-  }
-  // Require at least one disciple
-  if (disciples.length === 0) {
-    showToast('You need disciples to go on expeditions.');
-    return;
-  }
-  const def = expeditionDefs.find(e => e.id === type);
-  if (!def) return;
-
-  // Expeditions no longer require a party.  Compute duration and reward
-  // solely from logistics research and global expedition modifiers.
-  const logisticLv = game.research.logistics || 0;
-  const durationMult = 1 - 0.01 * logisticLv;
-  const rewardMult = 1 + 0.01 * logisticLv;
-  const expMult = (game.expeditionTimeMult !== undefined ? game.expeditionTimeMult : 1);
-  // total duration after applying research and global modifiers
-  const totalDuration = Math.floor(def.baseDuration * durationMult * expMult);
-  const endTime = Date.now() + totalDuration * 1000;
-  // reward is based on base amounts scaled by logistics research
-  const reward = {
-    herbs: (def.reward.herbs || 0) * rewardMult,
-    spiritStones: (def.reward.spiritStones || 0) * rewardMult,
-    beasts: (def.reward.beasts || 0) * rewardMult
-  };
-  game.activeExpeditions[type] = {
-    type: type,
-    endTime: endTime,
-    reward: reward,
-    // maintain an empty party array for backward compatibility; no longer used
-    party: []
-  };
-  // Track last expedition type for auto send
-  game.lastExpeditionType = type;
-  showToast(`${def.name} expedition started!`);
-  updateExpeditionUI();
-  if (game.tutorial && game.tutorial.active && game.tutorial.step === 3) {
-    advanceTutorial();
-  }
-  saveGame();
-  return;
-}
-function updateExpedition() {
-  if (!game.activeExpeditions) return;
-  const now = Date.now();
-  let anyCompleted = false;
-  // iterate over active expeditions by type
-  for (const type of Object.keys(game.activeExpeditions)) {
-    const exp = game.activeExpeditions[type];
-    if (!exp) continue;
-    if (now >= exp.endTime) {
-      // Determine risk of failure for this expedition type.  If an expedition
-      // definition includes a risk value, roll a random check to see if it
-      // succeeds.  On failure, no rewards are granted.  Pity counter still
-      // increases so rare rewards can still be earned on subsequent attempts.
-      const eDef = expeditionDefs.find(e => e.id === type);
-      let success = true;
-      if (eDef && eDef.risk && eDef.risk > 0) {
-        // Apply forging risk reduction to the base risk.  Each Fortune Charm multiplies
-        // the risk downward.  Ensure risk does not fall below 0.
-        const riskMult = (typeof game.forgingRiskMult === 'number' ? game.forgingRiskMult : 1);
-        const actualRisk = Math.max(0, eDef.risk * riskMult);
-        if (Math.random() < actualRisk) success = false;
-      }
-      if (success) {
-        // grant rewards
-        const reward = exp.reward || {};
-        if (reward.herbs) game.herbs += reward.herbs;
-        if (reward.spiritStones) game.spiritStones += reward.spiritStones;
-        if (reward.beasts) game.beasts += reward.beasts;
-      }
-      // Increase pity counter and check for rare reward for this type
-      game.expeditionPity[type] = (game.expeditionPity[type] || 0) + 1;
-      let rare = false;
-      // Adjust rare reward threshold based on Lucky traits.  Each level of Lucky
-      // reduces the number of successful expeditions required before a rare drop.
-      const partyIdxs = (exp.party && Array.isArray(exp.party)) ? exp.party : [];
-      let luckyLv = 0;
-      partyIdxs.forEach(i => { const d = disciples[i]; if (d && d.traits && d.traits.includes('lucky')) luckyLv += d.level || 1; });
-      // Default threshold is 3; subtract one per lucky level but not below 1.
-      const rareThreshold = Math.max(1, 3 - luckyLv);
-      if (game.expeditionPity[type] >= rareThreshold) {
-        rare = true;
-        if (type === 'herb') game.herbs += 20;
-        if (type === 'stone') game.spiritStones += 20;
-        if (type === 'beast') game.beasts += 10;
-        game.jade += 1;
-        game.expeditionPity[type] = 0;
-      }
-      if (!success) {
-        showToast(`${type} expedition failed! Your disciples returned empty-handed.`);
-      } else {
-        showToast(rare ? `${type} expedition complete! Rare find discovered.` : `${type} expedition complete! Resources gained.`);
-      }
-      // remove the completed expedition
-      delete game.activeExpeditions[type];
-      anyCompleted = true;
-      // increment global counter for completed expeditions.  This
-      // counter is used for achievements such as Expedition Master.  It
-      // counts each expedition individually, regardless of type or
-      // simultaneous completion.
-      game.expeditionsCompleted = (game.expeditionsCompleted || 0) + 1;
-    }
-  }
-  if (anyCompleted) {
-    updateExpeditionUI();
-    updateStatsUI();
-    saveGame();
-  }
-
-  // Auto‑send idle expeditions according to per‑type settings.  When the global autoSend
-  // toggle is enabled, loop through each defined expedition and check whether the player
-  // has opted into auto sending for that type.  If so, and there is no active expedition
-  // of that type, immediately queue a new one.  This logic runs each tick regardless of
-  // whether any expeditions completed in this iteration.
-  try {
-    if (game.autoSend && game.settings && game.settings.autoSendTypes) {
-      // Track whether any expedition types are explicitly flagged for auto send.
-      let anyFlagSet = false;
-      expeditionDefs.forEach(def => {
-        const flagged = !!game.settings.autoSendTypes[def.id];
-        if (flagged) anyFlagSet = true;
-        // If this type is flagged and not currently active, start it immediately.
-        if (!game.activeExpeditions[def.id] && flagged) {
-          startExpedition(def.id);
-        }
-      });
-      // If no expedition types have been flagged for auto‑send, fall back to the
-      // last expedition type used.  This provides a sensible default so that
-      // enabling the global toggle immediately requeues the most recently
-      // selected expedition without requiring per‑type toggles.  Only start
-      // the fallback if there is no active expedition of that type.
-      if (!anyFlagSet && game.lastExpeditionType) {
-        const t = game.lastExpeditionType;
-        if (!game.activeExpeditions[t]) {
-          startExpedition(t);
-        }
-      }
-    }
-  } catch (e) {
-    console.error('Auto‑send error:', e);
-  }
-}
 
 // Build expedition UI
 function updateExpeditionUI() {
@@ -4143,11 +2089,9 @@ function updateExpeditionUI() {
       const remaining = Math.max(0, (active.endTime - Date.now()) / 1000);
       const expanded = !!game.expandedExpeditions[def.id];
       // Compute details: duration, failure chance and EV using the same logic as the idle state.
-      const riskMult = (typeof game.forgingRiskMult === 'number' ? game.forgingRiskMult : 1);
-      const displayRisk = def.risk && def.risk > 0 ? Math.max(0, def.risk * riskMult) : 0;
+      const displayRisk = getExpeditionRisk(def);
       const failureText = displayRisk > 0 ? `Failure: ${(displayRisk * 100).toFixed(0)}%` : 'Failure: 0%';
-      const logisticLv = (game.research && game.research.logistics) || 0;
-      const rewardMult = 1 + 0.01 * logisticLv;
+      const rewardMult = getUtilityStat('expeditionReward');
       const successProb = 1 - displayRisk;
       const evParts = [];
       if (def.reward) {
@@ -4194,12 +2138,10 @@ function updateExpeditionUI() {
       // show send button with duration info
       // Display duration, risk and expected value (EV) for each expedition when idle.
       // Risk: percentage chance that the expedition will fail and yield no reward.
-      // Reward multiplier from Logistics research: +1% reward per level.
-      const riskMult = (typeof game.forgingRiskMult === 'number' ? game.forgingRiskMult : 1);
-      const displayRisk = def.risk && def.risk > 0 ? Math.max(0, def.risk * riskMult) : 0;
+      // Reward multiplier from Logistics research.
+      const displayRisk = getExpeditionRisk(def);
       const failureText = displayRisk > 0 ? `Failure: ${(displayRisk * 100).toFixed(0)}%` : 'Failure: 0%';
-      const logisticLv = (game.research && game.research.logistics) || 0;
-      const rewardMult = 1 + 0.01 * logisticLv;
+      const rewardMult = getUtilityStat('expeditionReward');
       const successProb = 1 - displayRisk;
       // Compute expected value per resource (no party/trait bonuses)
       const evParts = [];
@@ -4283,30 +2225,12 @@ function updateSectUI() {
   }
 }
 
-// Purchase sect building level
-function buyBuilding(id) {
-  const def = buildingDefs.find(b => b.id === id);
-  if (!def) return;
-  const level = game.buildings[id] || 0;
-  if (def.unlockStage > game.stage) {
-    showToast(`Unlocks at ${getRealmName(def.unlockStage)}`);
-    return;
-  }
-  const cost = def.baseCost * Math.pow(def.costMult, level);
-  if (game.spiritStones < cost) {
-    showToast('Not enough Spirit Stones');
-    return;
-  }
-  game.spiritStones -= cost;
-  game.buildings[id] = level + 1;
-  showToast(`${def.name} upgraded!`);
-  recalcProduction();
-  updateSectUI();
-  updateStatsUI();
-  saveGame();
-}
 
 // Build ascension tree UI
+// The perks are laid out as a graph: each node sits at its tier (row) and
+// column, with lines drawn from the perks it requires.  Nodes are marked as
+// owned, available, locked (missing requirements), sealed (rival branch
+// taken) or maxed; capstones and branches get their own styling.
 function updateAscensionTreeUI() {
   const pointsElem = document.getElementById('asc-points');
   const listElem = document.getElementById('asc-perks-list');
@@ -4314,73 +2238,204 @@ function updateAscensionTreeUI() {
   // Display the current Ascension Points using a translated label.  The key
   // "label.ascensionPoints" provides the label including any punctuation.  If
   // a translation is unavailable it falls back to the English phrase.
-  let ascLabel;
-  try {
-    if (typeof window.t === 'function') {
-      ascLabel = window.t('label.ascensionPoints');
-    }
-  } catch (e) {
-    // ignore
-  }
-  if (!ascLabel || ascLabel === 'label.ascensionPoints') ascLabel = 'Ascension Points:';
+  const ascLabel = translate('label.ascensionPoints', undefined, 'Ascension Points:');
   pointsElem.textContent = `${ascLabel} ${formatNumber(game.ascensionPoints)}`;
+  const perkName = def => translate(`perk.${def.id}.name`, undefined, def.name);
+  const cols = Math.max(...ascensionPerkDefs.map(def => Math.ceil(def.col + 1)));
+  const rows = Math.max(...ascensionPerkDefs.map(def => def.tier + 1));
+  const x = def => def.col + 0.5;
+  const y = def => def.tier + 0.5;
   listElem.innerHTML = '';
+  listElem.style.height = `${rows * 10}rem`;
+  // Prerequisite lines, in grid units stretched over the whole tree.
+  const lines = [];
+  ascensionPerkDefs.forEach(def => {
+    (def.requires || []).forEach(req => {
+      const from = ascensionPerkDefs.find(p => p.id === req);
+      if (!from) return;
+      const owned = game.ascensionPerks[req] > 0 ? ' owned' : '';
+      lines.push(`<line class="perk-link${owned}" x1="${x(from)}" y1="${y(from)}" x2="${x(def)}" y2="${y(def)}"/>`);
+    });
+  });
+  listElem.innerHTML = `<svg class="perk-links" viewBox="0 0 ${cols} ${rows}" preserveAspectRatio="none" aria-hidden="true">${lines.join('')}</svg>`;
   for (const def of ascensionPerkDefs) {
-    const entry = document.createElement('div');
-    entry.className = 'entry';
     const level = game.ascensionPerks[def.id] || 0;
-    const cost = def.baseCost * Math.pow(def.costMult, level);
-    // Translate perk name and description via keys "perk.{id}.name" and
-    // "perk.{id}.desc".  Fallback to the definition when no translation is found.
-    let perkName = def.name;
-    let perkDesc = def.desc;
-    try {
-      if (typeof window.t === 'function') {
-        const nameKey = 'perk.' + def.id + '.name';
-        const descKey = 'perk.' + def.id + '.desc';
-        const nameTrans = window.t(nameKey);
-        const descTrans = window.t(descKey);
-        if (nameTrans && nameTrans !== nameKey) perkName = nameTrans;
-        if (descTrans && descTrans !== descKey) perkDesc = descTrans;
-      }
-    } catch (e) {
-      // ignore
+    const cost = getAscensionPerkCost(def);
+    const lock = getAscensionPerkLock(def);
+    const node = document.createElement('div');
+    const classes = ['perk-node'];
+    if (level > 0) classes.push('owned');
+    if (lock) classes.push(lock.reason === 'requires' ? 'locked' : lock.reason === 'branch' ? 'sealed' : 'maxed');
+    if (def.capstone) classes.push('capstone');
+    if (def.branch) classes.push(`branch-${def.branch}`);
+    node.className = classes.join(' ');
+    node.style.left = `${x(def) / cols * 100}%`;
+    node.style.top = `${y(def) / rows * 100}%`;
+    const levelText = def.maxLevel ? `${level}/${def.maxLevel}` : level;
+    let note = '';
+    if (lock && lock.reason === 'requires') {
+      const names = lock.missing.map(req => perkName(ascensionPerkDefs.find(p => p.id === req))).join(', ');
+      note = translate('perk.requires', { perks: names }, `Requires ${names}`);
+    } else if (lock && lock.reason === 'branch') {
+      const path = translate(`perk.branch.${lock.rival}`, undefined, lock.rival);
+      note = translate('perk.sealed', { path }, `Sealed by the ${path} path`);
+    } else if (def.branch) {
+      note = translate(`perk.branch.${def.branch}`, undefined, def.branch);
     }
-    entry.innerHTML = `<div><strong>${perkName}</strong> (Lv ${level})<br><small>${perkDesc}</small></div>`;
+    node.innerHTML = `<strong>${perkName(def)}</strong> <span class="perk-level">Lv ${levelText}</span>
+      <small>${translate(`perk.${def.id}.desc`, undefined, def.desc)}</small>${note ? `<small class="perk-note">${note}</small>` : ''}`;
     const btn = document.createElement('button');
-    // Translate the Buy verb and append the AP cost.  AP is left as is.
-    let buyVerb;
-    try {
-      if (typeof window.t === 'function') buyVerb = window.t('btn.buy');
-    } catch (e) {}
-    if (!buyVerb || buyVerb === 'btn.buy') buyVerb = 'Buy';
-    btn.textContent = `${buyVerb} (${formatNumber(cost)} AP)`;
+    btn.textContent = lock && lock.reason === 'maxed'
+      ? translate('btn.maxed', undefined, 'Maxed')
+      : `${translate('btn.buy', undefined, 'Buy')} (${formatNumber(cost)} AP)`;
+    btn.disabled = !!lock || game.ascensionPoints < cost;
     btn.addEventListener('click', () => buyAscensionPerk(def.id));
-    if (game.ascensionPoints < cost) {
-      btn.disabled = true;
-    }
-    entry.appendChild(btn);
-    listElem.appendChild(entry);
+    node.appendChild(btn);
+    listElem.appendChild(node);
+  }
+  const respecBtn = document.getElementById('perk-respec-btn');
+  if (respecBtn) {
+    const refund = getAscensionPerkRefund();
+    const cost = getPerkRespecCost();
+    respecBtn.textContent = translate('btn.respec', { refund: formatNumber(refund), cost: formatNumber(cost) },
+      `Respec: refund ${formatNumber(refund)} AP for ${formatNumber(cost)} Spirit Stones`);
+    respecBtn.disabled = refund <= 0 || game.spiritStones < cost;
+  }
+}
+
+// Reincarnation panel on the Ascension screen: Karma held, lives completed,
+// the Karma the current life would earn and the reincarnate button, which is
+// only enabled in the final realm.
+function updateReincarnationInfo() {
+  const info = document.getElementById('reincarnation-info');
+  const btn = document.getElementById('reincarnate-btn');
+  if (!info) return;
+  const life = getLifeStats();
+  const lines = [
+    translate('reincarnation.karma', { karma: formatNumber(game.karma || 0), lives: game.reincarnations || 0 }, `Karma: ${formatNumber(game.karma || 0)} • Lives completed: ${game.reincarnations || 0}`),
+    translate('reincarnation.life', { breakthroughs: life.breakthroughs, qi: formatNumber(life.qi), time: formatDuration(life.playtime) },
+      `This life: ${life.breakthroughs} breakthroughs, ${formatNumber(life.qi)} Qi gathered in ${formatDuration(life.playtime)}`)
+  ];
+  const ready = canReincarnate();
+  lines.push(ready
+    ? translate('reincarnation.ready', { karma: formatNumber(getKarmaGain()) }, `Reincarnating now earns ${formatNumber(getKarmaGain())} Karma.`)
+    : translate('reincarnation.locked', { realm: getRealmName(realms.length - 1) }, `Reach ${getRealmName(realms.length - 1)} to reincarnate.`));
+  info.innerHTML = lines.join('<br>');
+  if (btn) {
+    btn.textContent = translate('btn.reincarnate', undefined, 'Reincarnate');
+    btn.disabled = !ready;
+  }
+}
+
+// Karma tree and the record of past lives.  Nodes whose requirements are not
+// yet bought are shown locked with what they need.
+function updateKarmaTreeUI() {
+  const listElem = document.getElementById('karma-perks-list');
+  const livesElem = document.getElementById('past-lives-list');
+  if (listElem) {
+    listElem.innerHTML = '';
+    karmaPerkDefs.forEach(def => {
+      const level = (game.karmaPerks || {})[def.id] || 0;
+      const unlocked = isKarmaPerkUnlocked(def);
+      const maxed = !!def.maxLevel && level >= def.maxLevel;
+      const cost = getKarmaPerkCost(def);
+      const entry = document.createElement('div');
+      entry.className = 'entry karma-node' + (unlocked ? '' : ' locked');
+      const levelText = def.maxLevel ? `${level}/${def.maxLevel}` : level;
+      let requires = '';
+      if (!unlocked) {
+        const names = def.requires.map(req => karmaPerkDefs.find(p => p.id === req).name).join(', ');
+        requires = `<br><small>${translate('karma.requires', { perks: names }, `Requires ${names}`)}</small>`;
+      }
+      entry.innerHTML = `<div><strong>${def.name}</strong> (Lv ${levelText})<br><small>${def.desc}</small>${requires}</div>`;
+      const btn = document.createElement('button');
+      btn.textContent = maxed ? translate('btn.maxed', undefined, 'Maxed') : `${translate('btn.buy', undefined, 'Buy')} (${formatNumber(cost)} ${translate('label.karmaShort', undefined, 'Karma')})`;
+      btn.disabled = maxed || !unlocked || (game.karma || 0) < cost;
+      btn.addEventListener('click', () => buyKarmaPerk(def.id));
+      entry.appendChild(btn);
+      listElem.appendChild(entry);
+    });
+  }
+  if (livesElem) {
+    const lives = game.pastLives || [];
+    livesElem.innerHTML = lives.length ? '' : `<small>${translate('reincarnation.noLives', undefined, 'No past lives yet.')}</small>`;
+    lives.forEach(life => {
+      const row = document.createElement('div');
+      row.className = 'entry past-life';
+      const params = {
+        breakthroughs: life.breakthroughs,
+        transcendences: life.transcendences,
+        qi: formatNumber(BigNum.from(life.qi)),
+        time: formatDuration(life.playtime),
+        karma: formatNumber(life.karma)
+      };
+      const title = translate('reincarnation.lifeNumber', { life: life.life }, `Life ${life.life}`);
+      const summary = translate('reincarnation.lifeSummary', params,
+        `${params.breakthroughs} breakthroughs, ${params.transcendences} transcendences, ${params.qi} Qi in ${params.time} • +${params.karma} Karma`);
+      row.innerHTML = `<div><strong>${title}</strong><br><small>${summary}</small></div>`;
+      livesElem.appendChild(row);
+    });
   }
 }
 
-// Purchase an ascension perk
-function buyAscensionPerk(id) {
-  const def = ascensionPerkDefs.find(p => p.id === id);
-  if (!def) return;
-  const level = game.ascensionPerks[id] || 0;
-  const cost = def.baseCost * Math.pow(def.costMult, level);
-  if (game.ascensionPoints < cost) {
-    showToast('Not enough Ascension Points');
+// Challenge banner on the Ascension screen: the running challenge, its goal
+// and the time spent on it, with a button to abandon it.
+function updateChallengeStatus() {
+  const status = document.getElementById('challenge-status');
+  if (!status) return;
+  const def = getActiveChallenge();
+  if (!def) {
+    status.style.display = 'none';
     return;
   }
-  game.ascensionPoints -= cost;
-  game.ascensionPerks[id] = level + 1;
-  showToast(`${def.name} upgraded!`);
-  recalcProduction();
-  updateAscensionTreeUI();
-  updateStatsUI();
-  saveGame();
+  status.style.display = '';
+  const elapsed = formatDuration(game.challenges.active.seconds || 0);
+  const text = translate('challenge.active', { name: def.name, realm: getRealmName(def.targetStage), time: elapsed },
+    `Challenge in progress: ${def.name}. Reach ${getRealmName(def.targetStage)} (${elapsed} so far).`);
+  let textElem = status.querySelector('span');
+  if (!textElem) {
+    // Built once so the abandon button survives the per-second refresh.
+    status.innerHTML = '<span></span>';
+    textElem = status.querySelector('span');
+    const btn = document.createElement('button');
+    btn.id = 'challenge-abandon-btn';
+    btn.addEventListener('click', () => {
+      if (confirm(translate('challenge.abandonConfirm', undefined, 'Abandon this challenge? You return to your previous run without the reward.'))) abandonChallenge();
+    });
+    status.appendChild(btn);
+  }
+  textElem.textContent = text;
+  status.querySelector('button').textContent = translate('btn.abandon', undefined, 'Abandon');
+}
+
+// Challenge list: each challenge's constraints, goal and reward, whether it
+// has been completed, its best local times and a button to start it.
+function updateChallengeListUI() {
+  const listElem = document.getElementById('challenge-list');
+  if (!listElem) return;
+  listElem.innerHTML = '';
+  const running = getActiveChallenge();
+  challengeDefs.forEach(def => {
+    const completions = game.challenges.completed[def.id] || 0;
+    const entry = document.createElement('div');
+    entry.className = 'entry challenge' + (completions > 0 ? ' completed' : '') + (running === def ? ' running' : '');
+    const goal = translate('challenge.goal', { realm: getRealmName(def.targetStage) }, `Goal: reach ${getRealmName(def.targetStage)}`);
+    const reward = translate('challenge.reward', { reward: def.reward.desc }, `Reward: ${def.reward.desc}`);
+    const done = completions > 0
+      ? translate('challenge.completed', { count: completions }, `Completed ${completions}×`)
+      : '';
+    const times = (game.challenges.best[def.id] || []).map((run, i) =>
+      `<li>${i + 1}. ${formatDuration(run.seconds)} <small>(${new Date(run.date).toLocaleDateString()})</small></li>`).join('');
+    entry.innerHTML = `<div><strong>${def.name}</strong><br><small>${def.desc}</small><br><small>${goal} • ${reward}</small>${done ? `<br><small class="challenge-done">${done}</small>` : ''}${times ? `<ol class="challenge-times">${times}</ol>` : ''}</div>`;
+    const btn = document.createElement('button');
+    btn.textContent = translate('btn.startChallenge', undefined, 'Start');
+    btn.disabled = !!running;
+    btn.addEventListener('click', () => {
+      if (confirm(translate('challenge.startConfirm', { name: def.name }, `Start ${def.name}? The challenge begins from the first realm; your current run is set aside and restored when it ends.`))) startChallenge(def.id);
+    });
+    entry.appendChild(btn);
+    listElem.appendChild(entry);
+  });
 }
 
 // Toggle between the Sect Management (buildings) view and the Forging view.
@@ -4428,106 +2483,6 @@ function updateSectTab() {
   }
 }
 
-// Tick function - runs every second
-
-// Compute aggregate active elixir buffs and prune expired ones
-function getActiveElixirBuffs() {
-  const now = Date.now();
-  const buffs = { qiMult: 1, herbsMult: 1, spiritStonesMult: 1, beastsMult: 1, jadeMult: 1, tapMult: 1, tapFlat: 0 };
-  // remove expired
-  game.activeElixirs = (game.activeElixirs || []).filter(e => e.expiresAt > now);
-  const alchLv = game['alchemyLevel'] || 0;
-  const resLv = game.research['alchemyResearch'] || 0;
-  const potency = 1 + 0.05 * alchLv + 0.01 * resLv;
-  for (const e of game.activeElixirs) {
-    const def = elixirDefs.find(d => d.id === e.id);
-    if (!def) continue;
-    const eff = def.effects || {};
-    if (eff.qiMult) buffs.qiMult *= 1 + (eff.qiMult - 1) * potency;
-    if (eff.herbsMult) buffs.herbsMult *= 1 + (eff.herbsMult - 1) * potency;
-    if (eff.spiritStonesMult) buffs.spiritStonesMult *= 1 + (eff.spiritStonesMult - 1) * potency;
-    if (eff.beastsMult) buffs.beastsMult *= 1 + (eff.beastsMult - 1) * potency;
-    if (eff.jadeMult) buffs.jadeMult *= 1 + (eff.jadeMult - 1) * potency;
-    if (eff.tapMult) buffs.tapMult *= 1 + (eff.tapMult - 1) * potency;
-    if (eff.tapFlat) buffs.tapFlat += eff.tapFlat * potency;
-  }
-  return buffs;
-}
-
-// Process brewing queue and move finished elixirs into inventory
-function updateAlchemyQueue() {
-  game.elixirQueue = Array.isArray(game.elixirQueue) ? game.elixirQueue : [];
-  game.elixirInventory = game.elixirInventory || {};
-  const now = Date.now();
-  let changed = false;
-  for (const task of game.elixirQueue) {
-    if (!task.done && now >= task.endTime) {
-      // Mark the task as done and move the brewed elixir into the inventory.
-      task.done = true;
-      game.elixirInventory[task.id] = (game.elixirInventory[task.id] || 0) + 1;
-      changed = true;
-    }
-  }
-  // Remove completed tasks from the brewing queue.  Leaving them in place
-  // results in entries with "0s remaining" cluttering the UI.  Filtering
-  // here ensures the queue only contains active brews.
-  const beforeLen = game.elixirQueue.length;
-  game.elixirQueue = game.elixirQueue.filter(task => !task.done);
-  if (game.elixirQueue.length !== beforeLen) {
-    changed = true;
-  }
-  if (changed) saveGame();
-}
-
-// Start brewing an elixir
-function craftElixir(id) {
-  const def = elixirDefs.find(d => d.id === id);
-  if (!def) return;
-  if (def.unlockStage && game.stage < def.unlockStage) {
-    showToast('This elixir unlocks later.');
-    return;
-  }
-  const costs = def.costs || {};
-  for (const k of Object.keys(costs)) {
-    if ((game[k] || 0) < costs[k]) {
-      showToast('Not enough resources.');
-      return;
-    }
-  }
-  // pay costs
-  for (const k of Object.keys(costs)) {
-    game[k] -= costs[k];
-  }
-  // brew time reduced by Alchemy level (5% per level, min 50%) and Logistics (1% per level)
-  const alchLv = game['alchemyLevel'] || 0;
-  const logisticLv = game.research['logistics'] || 0;
-  const mult = Math.max(0.5, 1 - 0.05 * alchLv) * (1 - 0.01 * logisticLv);
-  const brewMs = Math.floor((def.baseBrew || 60) * mult * 1000);
-  const task = { id: def.id, endTime: Date.now() + brewMs, done: false };
-  game.elixirQueue.push(task);
-  showToast(`Brewing ${def.name}...`);
-  updateAlchemyUI();
-  saveGame();
-}
-
-// Consume an elixir from inventory
-function useElixir(id) {
-  game.elixirInventory = game.elixirInventory || {};
-  const count = game.elixirInventory[id] || 0;
-  if (count <= 0) {
-    showToast('You do not have that elixir.');
-    return;
-  }
-  const def = elixirDefs.find(d => d.id === id);
-  if (!def) return;
-  game.elixirInventory[id] = count - 1;
-  const durMs = (def.duration || 60) * 1000;
-  game.activeElixirs = Array.isArray(game.activeElixirs) ? game.activeElixirs : [];
-  game.activeElixirs.push({ id: id, expiresAt: Date.now() + durMs });
-  showToast(`${def.name} consumed!`);
-  updateAlchemyUI();
-  saveGame();
-}
 
 // Build Alchemy UI
 function updateAlchemyUI() {
@@ -4539,14 +2494,14 @@ function updateAlchemyUI() {
   queueList.innerHTML = '';
   invList.innerHTML = '';
 
-  const alchLv = game['alchemyLevel'] || 0;
+  const brewFactor = getUtilityStat('brewTime');
   // Recipes
   elixirDefs.forEach(def => {
     if (def.unlockStage && game.stage < def.unlockStage) return;
     const entry = document.createElement('div');
     entry.className = 'entry';
     const costs = Object.entries(def.costs || {}).map(([k,v]) => `${formatNumber(v)} ${k}`).join(', ');
-    entry.innerHTML = `<div class="entry-icon"><img src="assets/icons/alchemyResearch.svg" alt="Alchemy"/></div>
+    entry.innerHTML = `<div class="entry-icon"><img src="alchemyResearch.svg" alt="Alchemy"/></div>
       <div><strong>${def.name}</strong><br><small>${def.desc}</small><br><small>Costs: ${costs} • Brew: ${def.baseBrew}s</small></div>`;
     const btn = document.createElement('button');
     btn.textContent = 'Craft';
@@ -4564,7 +2519,7 @@ function updateAlchemyUI() {
     const remain = Math.max(0, task.endTime - Date.now());
     const bar = document.createElement('div');
     bar.className = 'progress-bar';
-    const total = def.baseBrew * Math.max(0.5, 1 - 0.05 * alchLv) * (1 - 0.01 * (game.research.logistics || 0));
+    const total = def.baseBrew * brewFactor;
     const pct = Math.min(100, 100 * (1 - remain/ (total*1000)));
     bar.style.width = pct.toFixed(2) + '%';
     entry.innerHTML = `<div><strong>Brewing ${def.name}</strong><br><small>${Math.ceil(remain/1000)}s remaining</small></div>`;
@@ -4579,118 +2534,87 @@ function updateAlchemyUI() {
     if (count <= 0) return;
     const entry = document.createElement('div');
     entry.className = 'entry';
-    entry.innerHTML = `<div class="entry-icon"><img src="assets/icons/alchemyResearch.svg" alt="Elixir"/></div>
+    entry.innerHTML = `<div class="entry-icon"><img src="alchemyResearch.svg" alt="Elixir"/></div>
       <div><strong>${def.name}</strong><br><small>${def.desc}</small><br><small>In bag: ${count}</small></div>`;
-    const btn = document.createElement('button');
-    btn.textContent = 'Use';
-    btn.addEventListener('click', () => useElixir(def.id));
-    entry.appendChild(btn);
-    invList.appendChild(entry);
-  });
-}
-
-function tick() {
-  // Process any completed forging tasks before adding resources
-  updateForgingQueue();
-  // Process any completed alchemy brews
-  updateAlchemyQueue();
-  // add resources per second
-  // apply afterglow buff if active
-  const buffs = getActiveElixirBuffs();
-  let qiPerSec = game.finalQiPerSec * buffs.qiMult;
-  if (game.afterglowExpires && Date.now() < game.afterglowExpires) {
-    qiPerSec *= 1.20;
-  }
-  game.qi += qiPerSec;
-  if (game.qi > game.dantianCap) game.qi = game.dantianCap;
-  game.herbs += game.finalHerbPerSec * buffs.herbsMult;
-  game.spiritStones += game.finalSpiritStonePerSec * buffs.spiritStonesMult;
-  game.beasts += game.finalBeastPerSec * buffs.beastsMult;
-  game.jade += (game.finalJadePerSec || 0) * buffs.jadeMult;
-  // disciple contributions are handled in recalcProduction; no need to add separately here
-  // update expedition progress
-  updateExpedition();
-  updateStatsUI();
-  updateQuestUI();
-  updateBountyUI();
-  // Update ascension UI each second so the time‑to‑next estimate ticks down in real time
-  updateAscensionUI();
-
-  // Refresh forging progress bars each tick.  Without this, the progress bars
-  // would not update until a task completes.  This call is lightweight as it
-  // simply updates DOM elements to reflect remaining time and progress.
-  updateForgingUI();
-  updateAlchemyUI();
-
-  // Random Events: occasionally award small bonuses.  To avoid overwhelming
-  // the player, random events can only occur if at least five minutes have
-  // passed since the last event.  Once that cooldown elapses, there is a 5%
-  // chance each second that a random event will occur.  When an event
-  // triggers, one of several bonuses is selected at random and granted.
-  const now = Date.now();
-  // 5 minute cooldown: 5 * 60 * 1000 = 300000 ms
-  if (now - (game.lastRandomEvent || 0) > 300000) {
-    if (Math.random() < 0.05) {
-      const roll = Math.random();
-      if (roll < 0.2) {
-        // Moderate random event rewards to provide small boosts
-        game.herbs += 50;
-        showToast('A wandering herbalist shares 50 herbs with you.');
-      } else if (roll < 0.4) {
-        game.spiritStones += 50;
-        showToast('You discover a modest stone vein! +50 spiritStones.');
-      } else if (roll < 0.6) {
-        game.beasts += 25;
-        showToast('A small pack of spirit beasts crosses your path. +25 beast energy.');
-      } else if (roll < 0.8) {
-        game.jade += 1;
-        showToast('A tiny jade shard lands nearby! +1 jade.');
-      } else {
-        game.spiritStones += 20;
-        showToast('A wandering merchant gifts you 20 Spirit Stones.');
-      }
-      game.lastRandomEvent = now;
-    }
-  }
-  // check achievements and lore unlocks
-  checkAchievements();
-  saveGame();
-  game.lastTick = Date.now();
+    const btn = document.createElement('button');
+    // Breakthrough pills are held for the next breakthrough, not drunk now.
+    btn.textContent = def.category === 'breakthrough' ? 'Prepare' : 'Use';
+    btn.addEventListener('click', () => useElixir(def.id));
+    entry.appendChild(btn);
+    invList.appendChild(entry);
+  });
 }
 
-// Calculate Qi cost to break through the next layer
 
-// Base layer cost without any discounts (used for cap calculations)
-function getBaseLayerCostNoDiscount() {
-  const base = 100;
-  const exponent = game.subLayer + 9 * game.stage;
-  return base * Math.pow(2, exponent);
+// Tribulation panel on the Ascension screen: the odds of the coming
+// tribulation, the waves of the one in progress, or the recovery time after a
+// failure.  The ascend button stays disabled while a tribulation runs or
+// during the recovery.
+function updateTribulationUI(isFinalLayer, tFn, ascendBtn) {
+  const panel = document.getElementById('tribulation-info');
+  if (!panel) return;
+  const trib = game.tribulation || {};
+  const guarded = isFinalLayer && game.stage >= tribulationConfig.minStage;
+  if (!trib.active && !guarded) {
+    panel.style.display = 'none';
+    return;
+  }
+  panel.style.display = '';
+  const now = gameNow();
+  const power = formatNumber(getTribulationPower());
+  if (trib.active) {
+    const a = trib.active;
+    const marks = a.results.map(passed => `<span class="trib-wave ${passed ? 'passed' : 'failed'}">${passed ? '✔' : '✘'}</span>`);
+    for (let i = a.results.length; i < a.waves; i++) marks.push('<span class="trib-wave pending">⚡</span>');
+    const secs = Math.max(0, Math.ceil((a.nextWaveAt - now) / 1000));
+    const chance = Math.round(getTribulationChance(a.stage, a.wave) * 100);
+    panel.innerHTML = `${tFn('tribulation.active', { wave: a.wave + 1, waves: a.waves, secs })}<br>${marks.join('')}<br><small>${tFn('tribulation.odds', { chance, power })}</small>`;
+    if (ascendBtn) ascendBtn.disabled = true;
+    return;
+  }
+  const wait = Math.ceil(((trib.cooldownUntil || 0) - now) / 1000);
+  if (wait > 0) {
+    panel.innerHTML = tFn('tribulation.cooldown', { mins: Math.floor(wait / 60), secs: wait % 60 });
+    if (ascendBtn) ascendBtn.disabled = true;
+    return;
+  }
+  const chance = Math.round(getTribulationChance(game.stage, 0) * 100);
+  panel.innerHTML = `${tFn('tribulation.preview', { waves: tribulationConfig.waves })}<br><small>${tFn('tribulation.odds', { chance, power })}</small>`;
 }
 
-function getLayerCost() {
-  // Base cost increases exponentially per layer and scales by realm.  We multiply the
-  // base cost by 5^stage so each realm starts at 5x the previous realm\'s base cost.
-  // Within a realm, each minor layer doubles the cost.  This yields ever-increasing
-  // breakthrough costs that carry over between realms instead of resetting.
-  // Lower the base breakthrough cost further to improve early progression pacing.
-  // Increase the base breakthrough cost to make realm progression more challenging.
-  // Originally the base was 70; subsequent revisions increased this to 90.  Further
-  // raising the base to 100 pushes breakthrough requirements slightly higher across
-  // all realms and layers (about a 43% increase from 70), resulting in a more
-  // deliberate pace without making progress feel impossible.
-  const base = 100;
-  // New cost formula: each minor layer doubles the cost (2^subLayer) and each
-  // new realm multiplies the cost by 10 (10^stage).  This prevents cost resets
-  // between realms and enforces a steep increase for ascension.
-  let cost = base * Math.pow(2, game.subLayer) * Math.pow(10, game.stage);
-  // Apply Ascension Theory research discount: each level reduces layer and realm cost by 2%,
-  // up to a minimum factor of 0.2 to prevent the cost from becoming trivial.
-  const theoryLv = game.research.ascensionTheory || 0;
-  if (theoryLv > 0) {
-    const factor = Math.max(0.2, 1 - 0.02 * theoryLv);
-    cost *= factor;
-  }
-  return cost;
+// Breakthrough risk panel on the Ascension screen: the success chance of the
+// next minor breakthrough and where it comes from, the pill prepared for it
+// (or buttons to take one from the bag) and any Qi deviation still running.
+function updateBreakthroughUI(isFinalLayer, tFn) {
+  const panel = document.getElementById('breakthrough-info');
+  if (!panel) return;
+  if (!game.settings.breakthroughRisk || isFinalLayer) {
+    panel.style.display = 'none';
+    return;
+  }
+  panel.style.display = '';
+  const pct = value => Math.round(value * 100);
+  const odds = getBreakthroughChance();
+  let html = `<strong>${tFn('breakthrough.chance', { chance: pct(odds.chance) })}</strong><br><small>${tFn('breakthrough.parts', {
+    base: pct(odds.base), stability: pct(odds.stability), research: pct(odds.research), pill: pct(odds.pill), pity: pct(odds.pity)
+  })}</small>`;
+  const deviation = Math.ceil(((game.qiDeviationExpires || 0) - gameNow()) / 1000);
+  if (deviation > 0) {
+    html += `<br><small class="qi-deviation">${tFn('breakthrough.deviation', { secs: deviation, penalty: pct(1 - breakthroughConfig.deviationQiMult) })}</small>`;
+  }
+  const prepared = game.breakthroughPill && elixirDefs.find(d => d.id === game.breakthroughPill);
+  if (prepared) html += `<br><small>${tFn('breakthrough.pillPrepared', { pill: prepared.name })}</small>`;
+  panel.innerHTML = html;
+  if (prepared) return;
+  const inv = game.elixirInventory || {};
+  elixirDefs.forEach(def => {
+    if (def.category !== 'breakthrough' || !(inv[def.id] > 0)) return;
+    const btn = document.createElement('button');
+    btn.className = 'pill-btn';
+    btn.textContent = tFn('breakthrough.takePill', { pill: def.name, count: inv[def.id] });
+    btn.addEventListener('click', () => useElixir(def.id));
+    panel.appendChild(btn);
+  });
 }
 
 // Update ascension UI
@@ -4711,9 +2635,9 @@ function updateAscensionUI() {
     return str;
   };
   let timeToNext = '';
-  if (game.finalQiPerSec > 0) {
-    const qiNeeded = Math.max(0, cost - game.qi);
-    const seconds = qiNeeded / game.finalQiPerSec;
+  if (game.finalQiPerSec.gt(0)) {
+    const qiNeeded = BigNum.max(0, cost.sub(game.qi));
+    const seconds = qiNeeded.div(game.finalQiPerSec).toNumber();
     if (seconds > 0) {
       const mins = Math.floor(seconds / 60);
       const secs = Math.floor(seconds % 60);
@@ -4722,21 +2646,14 @@ function updateAscensionUI() {
     }
   }
   const ascendBtn = document.getElementById('ascend-btn');
-  // Handle display when at the final realm and final layer.  Show a custom
-  // message and disable the ascend button entirely to indicate there is
-  // nowhere left to progress.
+  // At the final layer of the final realm the player transcends: the realm
+  // starts over at a higher cost instead of advancing.
   if (isFinalLayer && atFinalRealm) {
-    // Use translation if available; otherwise fall back to English.
-    let finalMsg;
-    try {
-      finalMsg = tFn('ascension.finalRealm');
-    } catch (e) {
-      finalMsg = 'You have reached the pinnacle of cultivation. No further ascension is possible.';
-    }
-    info.innerHTML = `${finalMsg}`;
+    const message = tFn('ascension.readyToTranscend', { realm: getRealmName(game.stage), cost: formatNumber(cost) });
+    info.innerHTML = `${message}${timeToNext}`;
     if (ascendBtn) {
       ascendBtn.textContent = tFn('btn.ascendRealm');
-      ascendBtn.disabled = true;
+      ascendBtn.disabled = false;
     }
   } else if (isFinalLayer) {
     const message = tFn('ascension.readyToAscend', { realm: getRealmName(game.stage + 1), cost: formatNumber(cost) });
@@ -4753,18 +2670,22 @@ function updateAscensionUI() {
       ascendBtn.disabled = false;
     }
   }
+  updateTribulationUI(isFinalLayer, tFn, ascendBtn);
+  updateBreakthroughUI(isFinalLayer, tFn);
+  updateReincarnationInfo();
+  updateChallengeStatus();
 
   // Update ascension progress bar and text if they exist.  This shows how close the player is to the next breakthrough or ascension based on current Qi relative to cost.
   const ascBar = document.getElementById('asc-progress-bar');
   const ascText = document.getElementById('asc-progress-text');
   if (ascBar && ascText) {
-    const percentAsc = Math.min(game.qi / cost * 100, 100);
+    const percentAsc = Math.min(game.qi.div(cost).toNumber() * 100, 100);
     ascBar.style.width = percentAsc.toFixed(2) + '%';
     // Estimate time remaining to reach cost
     let etaStr = '';
-    if (game.finalQiPerSec > 0) {
-      const qiNeeded = Math.max(0, cost - game.qi);
-      const secs = qiNeeded / game.finalQiPerSec;
+    if (game.finalQiPerSec.gt(0)) {
+      const qiNeeded = BigNum.max(0, cost.sub(game.qi));
+      const secs = qiNeeded.div(game.finalQiPerSec).toNumber();
       if (secs > 0) {
         const mins = Math.floor(secs / 60);
         const sec = Math.floor(secs % 60);
@@ -4778,173 +2699,6 @@ function updateAscensionUI() {
   }
 }
 
-// Handle layer breakthrough or realm ascension
-function ascendLayer() {
-  // Prevent further breakthroughs or ascensions when at the final realm and final layer.
-  const finalRealmIndex = realms.length - 1;
-  if (game.stage >= finalRealmIndex && game.subLayer >= 8) {
-    // Inform the player that they have reached the pinnacle.  Use translation if available.
-    if (typeof window.t === 'function') {
-      try {
-        showToast(t('toast.finalRealm'));
-      } catch (e) {
-        showToast('You have reached the pinnacle of cultivation and cannot ascend further.');
-      }
-    } else {
-      showToast('You have reached the pinnacle of cultivation and cannot ascend further.');
-    }
-    return;
-  }
-  // Calculate the Qi cost for the next breakthrough or ascension.
-  const cost = getLayerCost();
-  // Players must have enough Qi to proceed.
-  if (game.qi < cost) {
-    showToast('Not enough Qi');
-    return;
-  }
-  // Check resource requirements if the player is about to ascend to a new realm.
-  // In the first realm (Qi Gathering, stage 0) only Qi is required, so skip extra
-  // resource checks.  For later realms, herbs, spiritStones, beasts and jade are
-  // consumed in increasing amounts.  This allows new players to ascend out of
-  // the first realm without worrying about other resources.
-  if (game.subLayer >= 8) {
-    const stage = game.stage;
-    // Only enforce resource requirements when ascending beyond the first realm.
-    if (stage > 0) {
-      const herbCost = 100 * Math.pow(2, stage);
-      const stoneCost = 100 * Math.pow(2, stage);
-      const beastCost = 50 * Math.pow(2, stage);
-      const jadeCost = Math.pow(2, stage);
-      if (game.herbs < herbCost || game.spiritStones < stoneCost || game.beasts < beastCost || game.jade < jadeCost) {
-        showToast(`Insufficient resources to ascend. Need ${herbCost} Herbs, ${stoneCost} Spirit Stones, ${beastCost} Beast Energy and ${jadeCost} Jade.`);
-        return;
-      }
-      // Deduct the required resources for ascension.
-      game.herbs -= herbCost;
-      game.spiritStones -= stoneCost;
-      game.beasts -= beastCost;
-      game.jade -= jadeCost;
-    }
-  }
-  // Deduct the Qi cost now that all requirements are satisfied.
-  game.qi -= cost;
-  if (game.subLayer < 8) {
-    // Minor breakthrough: advance the sub‑layer and apply a modest boost.
-    game.subLayer++;
-    // Each layer increases overall Qi output by 2% (0.02 multiplier).
-    // Previously this was 5%, but ascension mechanics have been adjusted for
-    // a smoother, less explosive growth curve.
-    game.layerMult *= 1.02;
-    // Increment the total breakthrough counter for minor breakthroughs.  This
-    // counter tracks both minor layer breakthroughs and realm ascensions.  It
-    // drives progress for quests and bounties that measure cumulative
-    // breakthroughs.  Without incrementing here, only realm ascensions would
-    // count, resulting in progress increments every nine layers instead of
-    // each breakthrough.
-    game.totalBreakthroughs = (game.totalBreakthroughs || 0) + 1;
-    showToast('Breakthrough successful!');
-    // Tutorial: after the first breakthrough, advance the onboarding tutorial.
-    if (game.tutorial && game.tutorial.active && game.tutorial.step === 2) {
-      advanceTutorial();
-    }
-  } else {
-    // Completing the 9th layer triggers a realm ascension or resets within the final realm.
-    const finalRealm = realms.length - 1;
-    const atFinalRealm = game.stage >= finalRealm;
-    // Reset the sub‑layer counter and apply the realm multiplier.  Each realm
-    // ascended grants a 10% bonus to all Qi production.  Previously this
-    // bonus was 40% which caused very steep scaling.
-    game.subLayer = 0;
-    game.layerMult *= 1.10;
-    game.totalBreakthroughs = (game.totalBreakthroughs || 0) + 1;
-    // Calculate Spirit Stone reward based on the Qi cost and various bonuses.
-    let reward = Math.floor(Math.pow(cost, 0.65) / 1000);
-    const soulLv = game['soulRefinementLevel'] || 0;
-    const phoenixLv = game.upgrades.phoenixRebirth || 0;
-    const heavenlyLv = game.research.heavenlyResearch || 0;
-    const soulSearchLv = game.research.soulSearch || 0;
-    reward = Math.floor(
-      reward * (1 + 0.10 * soulLv) * (1 + 0.15 * phoenixLv) * (1 + 0.05 * heavenlyLv) * (1 + 0.05 * soulSearchLv)
-    );
-    // Apply global ascension reward multiplier from story choices (Eternal Cycle).
-    const ascMult = (typeof game.ascensionRewardMult !== 'undefined' ? game.ascensionRewardMult : 1);
-    reward = Math.floor(reward * ascMult);
-    game.spiritStones += reward;
-    // Award Ascension Points proportional to Spirit Stones (minimum of 1).
-    const apReward = Math.max(1, Math.floor(reward / 10));
-    game.ascensionPoints += apReward;
-    // Reset Qi after ascension.
-    game.qi = 0;
-    if (atFinalRealm) {
-      // Remain in the final realm; no further stage increment.
-      showToast(`You have transcended beyond Eternal Godhood! Reward: ${reward} Spirit Stones`);
-    } else {
-      // Advance to the next realm.
-      game.stage++;
-      showToast(`Ascended to ${getRealmName(game.stage)}! Reward: ${reward} Spirit Stones`);
-      // Unlock new features at specific stages.
-      if (game.stage === 1) {
-        showToast('Research unlocked! New studies await in the Cultivation hall.');
-      } else if (game.stage === 2) {
-        showToast('New buildings have been unlocked within your sect.');
-      } else if (game.stage === 3) {
-        showToast('Forging unlocked! The forge within your sect is now available.');
-      }
-      // After increasing the stage, check for newly available features
-      checkNewFeatures();
-      updateNewFeatureIndicators();
-      // Tutorial: ascending counts as a breakthrough for the tutorial.
-      if (game.tutorial && game.tutorial.active && game.tutorial.step === 2) {
-        advanceTutorial();
-      }
-      // After ascending to a new realm (not the final realm), redirect to the Story page
-      // and scroll to the newly unlocked chapter.  This provides narrative context
-      // immediately after each realm ascension.
-      setTimeout(() => {
-        // Switch to the Story screen
-        showScreen('story');
-        // Scroll to the last unlocked story chapter after the screen has rendered.
-        setTimeout(() => {
-          const chapters = document.querySelectorAll('#story-chapters .card');
-          if (chapters.length > 0) {
-            const last = chapters[chapters.length - 1];
-            last.scrollIntoView({ behavior: 'smooth' });
-          }
-        }, 100);
-      }, 0);
-    }
-  }
-  recalcProduction();
-  updateAscensionUI();
-  updateAscensionTreeUI();
-  updateSectUI();
-  updateStatsUI();
-  updateUpgradeUI();
-  updateResearchUI();
-  updateAlchemyUI();
-  updateQuestUI();
-  // After ascending, update the story UI to reveal new chapters if the realm has changed
-  updateStoryUI();
-  saveGame();
-}
-
-// Manual gather
-function gatherQi() {
-  // Apply Qi per tap multiplier for testing (e.g. 1 or 100).  Do not mutate
-  // qiPerTap itself so that upgrades and other mechanics remain balanced.
-  const tapMult = (typeof game.qiPerTapMult === 'number' && game.qiPerTapMult > 0) ? game.qiPerTapMult : 1;
-  const buffs = getActiveElixirBuffs();
-  const tapVal = (game.qiPerTap * tapMult * (buffs.tapMult||1)) + (buffs.tapFlat||0);
-  game.qi += tapVal;
-  if (game.qi > game.dantianCap) game.qi = game.dantianCap;
-  updateStatsUI();
-  updateQuestUI();
-  // Tutorial: after the first Qi gather, progress to the next step
-  if (game.tutorial && game.tutorial.active && game.tutorial.step === 0) {
-    advanceTutorial();
-  }
-  saveGame();
-}
 
 // Screen switching
 // Screen switching with gating.  Only Sect management is gated by reaching Foundation Establishment.
@@ -5085,7 +2839,7 @@ function showScreen(id) {
   // check gating
   const reqStage = screenUnlocks[id];
   if (reqStage !== undefined && game.stage < reqStage) {
-    showToast(`Reach ${getRealmName(reqStage)} to unlock this screen.`);
+    showToast(`Reach ${getRealmName(reqStage)} to unlock this screen.`, { severity: 'warning' });
     return;
   }
   // If leaving a screen, mark it as seen so its notification disappears.
@@ -5109,6 +2863,9 @@ function showScreen(id) {
   currentScreen = id;
   updateNewFeatureIndicators();
   
+  if (id === 'settings') {
+    updateSaveSlotUI();
+  }
   // When navigating to the Forging Hall, ensure the forging list is populated
   // and the correct placeholder is shown/hidden based on unlock state.
   if (id === 'sect-forging') {
@@ -5158,32 +2915,32 @@ function showScreen(id) {
     }
     // Determine which background to use based on the hall
     if (id === 'sect') {
-      document.documentElement.style.setProperty('--bg-image', "url('assets/sect_background.png')");
+      document.documentElement.style.setProperty('--bg-image', "url('sect_background.png')");
       document.documentElement.style.setProperty('--bg-dimmer', 0.3);
       handledBg = true;
     } else if (id === 'sect-management') {
-      document.documentElement.style.setProperty('--bg-image', "url('assets/backgrounds/management_hall.png')");
+      document.documentElement.style.setProperty('--bg-image', "url('management_hall.png')");
       document.documentElement.style.setProperty('--bg-dimmer', 0.25);
       // update hall header with sect name
       const header = document.getElementById('sect-header-management');
       if (header) header.textContent = `${game.sectName || 'Sect'} – Management Hall`;
       handledBg = true;
     } else if (id === 'sect-forging') {
-      document.documentElement.style.setProperty('--bg-image', "url('assets/backgrounds/forging_hall.png')");
+      document.documentElement.style.setProperty('--bg-image', "url('forging_hall.png')");
       document.documentElement.style.setProperty('--bg-dimmer', 0.25);
       const header = document.getElementById('sect-header-forging');
       if (header) header.textContent = `${game.sectName || 'Sect'} – Forging Hall`;
       handledBg = true;
     } else if (id === 'dao') {
-      document.documentElement.style.setProperty('--bg-image', "url('assets/backgrounds/dao_hall.png')");
+      document.documentElement.style.setProperty('--bg-image', "url('dao_hall.png')");
       document.documentElement.style.setProperty('--bg-dimmer', 0.25);
       // No header update for Dao screen because it uses its own title
       handledBg = true;
     } else if (id === 'sect-recruitment') {
       // Use the management hall background for the recruitment hall as a default.  You can replace
-      // this image in the assets/backgrounds folder to customise the appearance.  A slightly
+      // management_hall.png to customise the appearance.  A slightly
       // darker dimmer is applied for contrast.
-      document.documentElement.style.setProperty('--bg-image', "url('assets/backgrounds/management_hall.png')");
+      document.documentElement.style.setProperty('--bg-image', "url('management_hall.png')");
       document.documentElement.style.setProperty('--bg-dimmer', 0.25);
       // update recruitment hall header with sect name
       const header = document.getElementById('sect-header-recruitment');
@@ -5197,8 +2954,206 @@ function showScreen(id) {
   }
 }
 
+// Multi-tab coordination.  Only one tab may run the simulation and write the
+// save.  The active tab holds a short lease in localStorage and renews it
+// every second; a tab that finds the lease held by another live tab goes
+// read-only (no ticking, no saving) and shows a "take over?" banner.  Take
+// over is announced on a BroadcastChannel, with the storage event on the
+// lease key as a fallback, so the previous tab stops immediately.
+const TAB_LEASE_KEY = 'cultivationGame.lease';
+const TAB_LEASE_MS = 5000;
+// The tab id survives reloads of the same tab (sessionStorage is per tab).
+const tabId = (() => {
+  const fresh = Math.random().toString(36).slice(2) + Date.now().toString(36);
+  try {
+    let id = sessionStorage.getItem('cultivationTabId');
+    if (!id) {
+      id = fresh;
+      sessionStorage.setItem('cultivationTabId', id);
+    }
+    return id;
+  } catch (e) {
+    return fresh;
+  }
+})();
+let tabReadOnly = false;
+let tabChannel = null;
+// Stops tickAtTimerEnds() while the page is hidden, or null.
+let stopTimerWake = null;
+
+function readTabLease() {
+  try {
+    return JSON.parse(localStorage.getItem(TAB_LEASE_KEY));
+  } catch (e) {
+    return null;
+  }
+}
+
+// True when no other live tab holds the lease.
+function holdsTabLease() {
+  const lease = readTabLease();
+  return !lease || lease.tabId === tabId || lease.expires < Date.now();
+}
+
+function renewTabLease() {
+  if (tabReadOnly) return;
+  try {
+    localStorage.setItem(TAB_LEASE_KEY, JSON.stringify({ tabId, expires: Date.now() + TAB_LEASE_MS }));
+  } catch (e) {
+    console.warn('Could not renew tab lease:', e);
+  }
+}
+
+// Stop simulating and saving in this tab and show the take-over banner.
+function enterReadOnly() {
+  if (tabReadOnly) return;
+  tabReadOnly = true;
+  if (game._tickTimer) {
+    clearInterval(game._tickTimer);
+    game._tickTimer = null;
+  }
+  if (stopTimerWake) {
+    stopTimerWake();
+    stopTimerWake = null;
+  }
+  const lock = document.getElementById('tab-lock');
+  if (lock) lock.classList.remove('hidden');
+}
+
+// Claim the game for this tab: tell the other tab to stop, then reload so
+// the latest save it wrote is picked up.
+function takeOverTab() {
+  tabReadOnly = false;
+  renewTabLease();
+  if (tabChannel) tabChannel.postMessage({ type: 'takeover', tabId });
+  setTimeout(() => location.reload(), 250);
+}
+
+// Decide whether this tab is active and listen for other tabs taking over.
+function initTabCoordination() {
+  if (typeof BroadcastChannel === 'function') {
+    tabChannel = new BroadcastChannel('cultivationGame');
+    tabChannel.addEventListener('message', ev => {
+      if (ev.data && ev.data.type === 'takeover' && ev.data.tabId !== tabId) enterReadOnly();
+    });
+  }
+  window.addEventListener('storage', ev => {
+    if (ev.key !== TAB_LEASE_KEY || tabReadOnly) return;
+    const lease = readTabLease();
+    if (lease && lease.tabId !== tabId && lease.expires >= Date.now()) enterReadOnly();
+  });
+  const takeOverBtn = document.getElementById('tab-takeover-btn');
+  if (takeOverBtn) takeOverBtn.addEventListener('click', takeOverTab);
+  if (!holdsTabLease()) {
+    enterReadOnly();
+    return;
+  }
+  renewTabLease();
+  setInterval(() => {
+    if (tabReadOnly) return;
+    if (holdsTabLease()) renewTabLease(); else enterReadOnly();
+  }, 1000);
+  // Release the lease on close so a new tab does not have to wait for it to expire
+  window.addEventListener('pagehide', () => {
+    const lease = readTabLease();
+    if (!tabReadOnly && lease && lease.tabId === tabId) localStorage.removeItem(TAB_LEASE_KEY);
+  });
+}
+
+// Map the area keys reported by the engine's 'change' event to the UI
+// functions that redraw them.  Code that only redraws the upgrade list calls
+// notifyChange(['upgrades']) so other 'change' listeners (the S1 ROI tags)
+// see it too.
+const engineAreaRenderers = {
+  stats: () => updateStatsUI(),
+  upgrades: () => updateUpgradeUI(),
+  skills: () => updateSkillUI(),
+  research: () => updateResearchUI(),
+  story: () => updateStoryUI(),
+  codex: () => updateAchLoreUI(),
+  disciples: () => updateDiscipleUI(),
+  expeditions: () => updateExpeditionUI(),
+  forging: () => updateForgingUI(),
+  alchemy: () => updateAlchemyUI(),
+  sect: () => updateSectUI(),
+  perks: () => {
+    updateAscensionTreeUI();
+    updateKarmaTreeUI();
+  },
+  challenges: () => updateChallengeListUI(),
+  ascension: () => updateAscensionUI()
+};
+
+// Subscribe the UI to the simulation core (core.js).  The core never touches
+// the DOM; it reports messages and state changes here instead.
+function bindEngine() {
+  engine.on('toast', toast => showToast(toast.message, toast));
+  engine.on('change', areas => {
+    (areas || []).forEach(area => {
+      const render = engineAreaRenderers[area];
+      if (render) render();
+    });
+    saveGame();
+  });
+  engine.on('tick', () => {
+    updateStatsUI();
+    // Update ascension UI each second so the time‑to‑next estimate ticks down in real time
+    updateAscensionUI();
+    // Refresh forging and brewing progress bars each tick.  Without this, the
+    // progress bars would not update until a task completes.
+    updateForgingUI();
+    updateAlchemyUI();
+    saveGame();
+  });
+  // Quests and bounties only move when an event they measure fires.
+  Object.keys(questEvents).forEach(type => {
+    engine.on(type, () => {
+      if (!advanceQuests(questEvents[type])) return;
+      updateQuestUI();
+      updateBountyUI();
+    });
+  });
+  Object.keys(desktopNotifyEvents).forEach(type => {
+    const { category, text } = desktopNotifyEvents[type];
+    engine.on(type, event => showDesktopNotification(category, text(event)));
+  });
+  engine.on('quest.claimed', event => {
+    if (event.kind === 'quest' && game.tutorial && game.tutorial.active && game.tutorial.step === 4) {
+      advanceTutorial();
+    }
+    // The next tier may already be met (e.g. upgrade levels bought so far).
+    advanceQuests();
+    updateQuestUI();
+    updateBountyUI();
+    updateStatsUI();
+    saveGame();
+  });
+  engine.on('realm.ascended', event => {
+    if (event.transcended) return;
+    // After increasing the stage, check for newly available features
+    checkNewFeatures();
+    updateNewFeatureIndicators();
+    // Redirect to the Story page and scroll to the newly unlocked chapter.
+    // This provides narrative context immediately after each realm ascension.
+    setTimeout(() => {
+      showScreen('story');
+      // Scroll to the last unlocked story chapter after the screen has rendered.
+      setTimeout(() => {
+        const chapters = document.querySelectorAll('#story-chapters .card');
+        if (chapters.length > 0) {
+          const last = chapters[chapters.length - 1];
+          last.scrollIntoView({ behavior: 'smooth' });
+        }
+      }, 100);
+    }, 0);
+  });
+}
+
 // Setup event listeners
 function init() {
+  bindEngine();
+  // Decide first whether this tab runs the game or only shows it read-only
+  initTabCoordination();
   loadGame();
   // NOTE: When loading the game, do not override the player's realm or
   // resources.  Previously we temporarily bumped the realm stage and
@@ -5289,7 +3244,7 @@ function init() {
   } catch(e) { /* benign */ }
   recalcProduction();
   updateStatsUI();
-  updateUpgradeUI();
+  notifyChange(['upgrades']);
   updateSkillUI();
   updateResearchUI();
   updateQuestUI();
@@ -5300,6 +3255,8 @@ function init() {
   updateAchLoreUI();
   updateSectUI();
   updateAscensionTreeUI();
+  updateKarmaTreeUI();
+  updateChallengeListUI();
   updateStoryUI();
   // nav
   document.querySelectorAll('.nav-bar button').forEach(btn => {
@@ -5342,12 +3299,26 @@ function init() {
   // ascend button
   const ascendBtn = document.getElementById('ascend-btn');
   if (ascendBtn) ascendBtn.addEventListener('click', ascendLayer);
+  const respecBtn = document.getElementById('perk-respec-btn');
+  if (respecBtn) {
+    respecBtn.addEventListener('click', () => {
+      const cost = formatNumber(getPerkRespecCost());
+      if (confirm(translate('perk.respecConfirm', { cost }, `Reset the perk tree for ${cost} Spirit Stones? All AP spent will be refunded.`))) respecAscensionPerks();
+    });
+  }
+  const reincarnateBtn = document.getElementById('reincarnate-btn');
+  if (reincarnateBtn) {
+    reincarnateBtn.addEventListener('click', () => {
+      const karma = formatNumber(getKarmaGain());
+      if (confirm(translate('reincarnation.confirm', { karma }, `Reincarnate for ${karma} Karma? Your realm, layers, upgrades, research and buildings will be lost.`))) reincarnate();
+    });
+  }
   // multi selector
   document.querySelectorAll('#upgrade-multiplier button').forEach(btn => {
     btn.addEventListener('click', () => {
       document.querySelectorAll('#upgrade-multiplier button').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
-      updateUpgradeUI();
+      notifyChange(['upgrades']);
     });
   });
   // default active screen: go directly to the Story page instead of a separate home
@@ -5381,12 +3352,26 @@ function init() {
       game._tickTimer = null;
     }
   }
-  startTick();
+  if (!tabReadOnly) startTick();
   document.addEventListener('visibilitychange', () => {
     if (document.hidden) {
       stopTick();
+      // Still wake for expeditions, forges and brews so their desktop
+      // notifications arrive while the tab is in the background.
+      if (!tabReadOnly) stopTimerWake = tickAtTimerEnds();
     } else {
-      // Run a single tick immediately to process offline gains and refresh UI
+      if (stopTimerWake) {
+        stopTimerWake();
+        stopTimerWake = null;
+      }
+      if (tabReadOnly) return;
+      // Another tab may have taken over while this one was in the background
+      if (!holdsTabLease()) {
+        enterReadOnly();
+        return;
+      }
+      // Run a tick immediately; it catches up the time spent hidden and
+      // refreshes the UI
       tick();
       startTick();
     }
@@ -5527,6 +3512,16 @@ function init() {
   if (resetBtn) {
     resetBtn.addEventListener('click', resetGame);
   }
+  // Save slots: create a new empty slot and switch to it
+  const newSlotBtn = document.getElementById('new-slot-btn');
+  if (newSlotBtn) {
+    newSlotBtn.addEventListener('click', () => {
+      const name = prompt('Name for the new save slot:', `Slot ${listSlots().length + 1}`);
+      if (name === null) return;
+      const slot = createSlot(name.trim());
+      switchSaveSlot(slot.id);
+    });
+  }
 
   // Background dimmer slider: initialise value from settings and listen for changes
   const bgDimmerSlider = document.getElementById('bg-dimmer-slider');
@@ -5543,9 +3538,101 @@ function init() {
     });
   }
 
+  // Number notation and decimal places.  Every number on screen goes through
+  // formatNumber(), so a change re-renders all areas.
+  const notationSelect = document.getElementById('notation-select');
+  const precisionSelect = document.getElementById('notation-precision-select');
+  const applyNotation = () => {
+    Object.values(engineAreaRenderers).forEach(render => render());
+    saveGame();
+  };
+  if (notationSelect) {
+    notationSelect.value = numberNotations.includes(game.settings.notation) ? game.settings.notation : 'standard';
+    notationSelect.addEventListener('change', () => {
+      game.settings.notation = notationSelect.value;
+      applyNotation();
+    });
+  }
+  if (precisionSelect) {
+    precisionSelect.value = String(Number.isInteger(game.settings.notationPrecision) ? game.settings.notationPrecision : 2);
+    precisionSelect.addEventListener('change', () => {
+      const precision = parseInt(precisionSelect.value, 10);
+      if (!isNaN(precision)) {
+        game.settings.notationPrecision = precision;
+        applyNotation();
+      }
+    });
+  }
+
+  // One toggle per toast category; unticking one mutes its toasts (they are
+  // still written to the event log).
+  const toastMuteList = document.getElementById('toast-mute-list');
+  if (toastMuteList) {
+    toastCategories.forEach(category => {
+      const key = `label.toast.${category}`;
+      const label = document.createElement('label');
+      label.setAttribute('data-i18n', key);
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.checked = !(game.settings.toastMute || {})[category];
+      cb.addEventListener('change', () => {
+        game.settings.toastMute = Object.assign({}, game.settings.toastMute, { [category]: !cb.checked });
+        saveGame();
+      });
+      label.appendChild(cb);
+      label.appendChild(document.createTextNode(' ' + translate(key, undefined, toastCategoryLabels[category])));
+      toastMuteList.appendChild(label);
+      toastMuteList.appendChild(document.createElement('br'));
+    });
+  }
+
+  // Desktop notification toggles.  Turning one on asks for permission first
+  // and stays off if the browser refuses.
+  const desktopNotifyList = document.getElementById('desktop-notify-list');
+  if (desktopNotifyList) {
+    desktopNotifyCategories.forEach(category => {
+      const key = `label.notify.${category}`;
+      const label = document.createElement('label');
+      label.setAttribute('data-i18n', key);
+      const cb = document.createElement('input');
+      cb.type = 'checkbox';
+      cb.checked = !!(game.settings.desktopNotify || {})[category];
+      const store = on => {
+        game.settings.desktopNotify = Object.assign({}, game.settings.desktopNotify, { [category]: on });
+        saveGame();
+      };
+      cb.addEventListener('change', () => {
+        if (!cb.checked) {
+          store(false);
+          return;
+        }
+        requestNotificationPermission().then(granted => {
+          if (!granted) {
+            cb.checked = false;
+            showToast(translate('toast.notificationsBlocked', undefined, 'Notifications are blocked for this site in your browser settings.'), { severity: 'warning' });
+          }
+          store(granted);
+        });
+      });
+      label.appendChild(cb);
+      label.appendChild(document.createTextNode(' ' + translate(key, undefined, desktopNotifyLabels[category])));
+      desktopNotifyList.appendChild(label);
+      desktopNotifyList.appendChild(document.createElement('br'));
+    });
+  }
+
   // Testing toggle for Qi per tap multiplier.  When enabled, manual Qi gains
   // are multiplied by 100 to accelerate testing.  This checkbox is not
   // visible to ordinary players but aids development and balancing.
+  const cbBreakthroughRisk = document.getElementById('cb-breakthrough-risk');
+  if (cbBreakthroughRisk) {
+    cbBreakthroughRisk.checked = !!game.settings.breakthroughRisk;
+    cbBreakthroughRisk.addEventListener('change', () => {
+      game.settings.breakthroughRisk = cbBreakthroughRisk.checked;
+      updateAscensionUI();
+      saveGame();
+    });
+  }
   const cbTapMult = document.getElementById('cb-tap-mult');
   if (cbTapMult) {
     // Determine initial state from the game property: enable if multiplier > 1
@@ -5553,6 +3640,7 @@ function init() {
     cbTapMult.addEventListener('change', () => {
       game.qiPerTapMult = cbTapMult.checked ? 100 : 1;
       // Update stats to reflect the new effective Qi per tap immediately
+      recalcProduction();
       updateStatsUI();
       saveGame();
     });
@@ -5579,40 +3667,80 @@ function init() {
     });
   }
 
-  // Export save: copy current game state as JSON to clipboard
+  // Export save: download the current game as a .json file
   const exportBtn = document.getElementById('export-save-btn');
   if (exportBtn) {
-    exportBtn.addEventListener('click', async () => {
-      try {
-        const text = JSON.stringify(game);
-        await navigator.clipboard.writeText(text);
-        showToast('Save exported to clipboard');
-      } catch (err) {
-        showToast('Unable to copy save to clipboard');
-      }
+    exportBtn.addEventListener('click', () => {
+      saveGame();
+      downloadSaveFile();
     });
   }
-  // Import save: prompt user to paste JSON and load
+  // Import save: pick a .json file, or drop one anywhere on the Settings screen
   const importBtn = document.getElementById('import-save-btn');
-  if (importBtn) {
-    importBtn.addEventListener('click', async () => {
-      const data = prompt('Paste your save JSON here:');
-      if (!data) return;
+  const importInput = document.getElementById('import-file-input');
+  if (importBtn && importInput) {
+    importBtn.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+      if (importInput.files && importInput.files[0]) importSaveFile(importInput.files[0]);
+      importInput.value = '';
+    });
+  }
+  const settingsScreen = document.getElementById('screen-settings');
+  if (settingsScreen) {
+    settingsScreen.addEventListener('dragover', ev => {
+      ev.preventDefault();
+      settingsScreen.classList.add('drop-target');
+    });
+    settingsScreen.addEventListener('dragleave', () => settingsScreen.classList.remove('drop-target'));
+    settingsScreen.addEventListener('drop', ev => {
+      ev.preventDefault();
+      settingsScreen.classList.remove('drop-target');
+      const file = ev.dataTransfer && ev.dataTransfer.files && ev.dataTransfer.files[0];
+      if (file) importSaveFile(file);
+    });
+  }
+  // Share codes: generate a compact code for the current game or load one
+  const shareBtn = document.getElementById('share-code-btn');
+  const shareModal = document.getElementById('share-modal');
+  const shareText = document.getElementById('share-code-text');
+  if (shareBtn && shareModal && shareText) {
+    shareBtn.addEventListener('click', async () => {
+      saveGame();
+      shareText.value = '';
+      shareModal.classList.remove('hidden');
       try {
-        const obj = JSON.parse(data);
-        if (obj) {
-          if (confirm('Importing will overwrite your current progress. Continue?')) {
-            Object.assign(game, obj);
-            saveGame();
-            location.reload();
-          }
-        } else {
-          showToast('Invalid save data');
-        }
+        shareText.value = await encodeShareCode(game);
+        shareText.select();
       } catch (e) {
-        showToast('Failed to parse save data');
+        showToast('Share codes are not supported in this browser', { severity: 'warning' });
       }
     });
+    const copyBtn = document.getElementById('share-copy-btn');
+    if (copyBtn) {
+      copyBtn.addEventListener('click', async () => {
+        try {
+          await navigator.clipboard.writeText(shareText.value);
+          showToast('Share code copied to clipboard', { severity: 'success' });
+        } catch (err) {
+          shareText.select();
+          showToast('Unable to copy; select the code and copy it manually', { severity: 'warning' });
+        }
+      });
+    }
+    const loadBtn = document.getElementById('share-load-btn');
+    if (loadBtn) {
+      loadBtn.addEventListener('click', async () => {
+        let result;
+        try {
+          result = await decodeShareCode(shareText.value);
+        } catch (e) {
+          result = { error: 'share codes are not supported in this browser' };
+        }
+        if (importSave(result)) shareModal.classList.add('hidden');
+      });
+    }
+    const closeBtn = document.getElementById('share-close-btn');
+    if (closeBtn) closeBtn.addEventListener('click', () => shareModal.classList.add('hidden'));
   }
 
   // Floating buttons: open settings screen and toggle fullscreen
@@ -5638,21 +3766,142 @@ function init() {
   
 }
 
+// Register the service worker (sw.js) that caches the game for offline play
+// and lets it be installed as an app.  When a new release has installed next
+// to the running one, offer to reload into it.
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+  let updateAccepted = false;
+  const showUpdatePrompt = worker => {
+    if (document.querySelector('.update-banner')) return;
+    const banner = document.createElement('div');
+    banner.className = 'update-banner';
+    banner.setAttribute('role', 'status');
+    const text = document.createElement('span');
+    text.textContent = translate('update.available', undefined, 'A new version is available.');
+    const btn = document.createElement('button');
+    btn.textContent = translate('btn.reload', undefined, 'Reload');
+    btn.addEventListener('click', () => {
+      saveGame();
+      updateAccepted = true;
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+    banner.appendChild(text);
+    banner.appendChild(btn);
+    document.body.prepend(banner);
+  };
+  // The first install also takes control of the page; only reload when the
+  // player asked for the update.
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updateAccepted) location.reload();
+  });
+  navigator.serviceWorker.register('sw.js').then(reg => {
+    if (reg.waiting && navigator.serviceWorker.controller) showUpdatePrompt(reg.waiting);
+    reg.addEventListener('updatefound', () => {
+      const worker = reg.installing;
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+      });
+    });
+  }).catch(e => console.warn('Service worker registration failed:', e));
+}
+
+// Show a message at the top of the page when the game cannot start; the
+// details go to the console.
+function showFatal(err, message) {
+  console.error(err);
+  const box = document.createElement('div');
+  box.className = 'content-error';
+  box.setAttribute('role', 'alert');
+  box.textContent = message || translate('error.startFailed', undefined, 'The game failed to start. Please reload the page.');
+  document.body.prepend(box);
+}
+
 // Start the game when DOM is ready
-document.addEventListener('DOMContentLoaded', init);
+// Load the content files (core.js loadContent()) before starting the game.
+// Without content nothing can run, so a failure shows a message instead.
+// Browsers do not let a page opened from file:// fetch the content files, so
+// that case asks for the game to be served over http.
+function start() {
+  registerServiceWorker();
+  loadContent()
+    .then(init, err => showFatal(err, location.protocol === 'file:'
+      ? translate('error.fileProtocol', undefined, 'The game cannot load its content when opened as a file. Serve the game folder with a local web server (for example "npx serve") and open it from there.')
+      : translate('error.contentLoad', undefined, 'The game content could not be loaded. Please reload the page.')))
+    .catch(err => showFatal(err));
+}
+document.addEventListener('DOMContentLoaded', start);
 
 // ===== SPRINT 1 ENHANCEMENTS =====
-// Event Log UI + API, ROI/Max for upgrades, Qi/s breakdown panel, Expedition party clarity, Text/effect guardrails.
+// Event Log UI + API, ROI/Max for upgrades, Qi/s breakdown panel, Text/effect guardrails.
 (function(){
   // --- Event Log ---
+  // Entries live on game.eventLog, newest first, so the log is saved with the
+  // game: { t, type, category, msg, data, pinned }.  The autosave writes the
+  // whole game every second, so the log is kept short: starred (pinned)
+  // entries are kept, up to S1_PINNED_LIMIT; the others are trimmed to the
+  // newest S1_LOG_LIMIT, and payloads larger than S1_DATA_LIMIT characters of
+  // JSON keep only their plain top-level fields.
   const S1 = window.__S1 || (window.__S1 = {});
-  S1.events = S1.events || [];
+  const S1_LOG_LIMIT = 100;
+  const S1_PINNED_LIMIT = 50;
+  const S1_DATA_LIMIT = 500;
+  // 'toasts' holds entries from older saves, which logged toasts as well.
+  const s1Categories = { expeditions:'Expeditions', forging:'Forging', alchemy:'Alchemy', ascension:'Ascension', sect:'Sect', quests:'Quests', achievements:'Achievements', story:'Story', random:'Random events', toasts:'Toasts' };
+  const s1EventCategory = {
+    'expedition.started':'expeditions', 'expedition.completed':'expeditions',
+    'artifact.forged':'forging', 'relic.discovered':'forging',
+    'elixir.brewed':'alchemy', 'elixir.used':'alchemy',
+    'layer.breakthrough':'ascension', 'realm.ascended':'ascension', 'breakthrough.failed':'ascension',
+    'reincarnated':'ascension', 'karma.purchased':'ascension', 'perk.purchased':'ascension', 'perks.respec':'ascension',
+    'challenge.started':'ascension', 'challenge.completed':'ascension', 'challenge.abandoned':'ascension',
+    'tribulation.started':'ascension', 'tribulation.wave':'ascension', 'tribulation.ended':'ascension',
+    'disciple.recruited':'sect', 'building.purchased':'sect',
+    'quest.claimed':'quests',
+    'achievement.unlocked':'achievements',
+    'story.chosen':'story',
+    'random.event':'random',
+    'toast':'toasts'
+  };
+  function s1Entries(){
+    if (!Array.isArray(game.eventLog)) game.eventLog = [];
+    // Saves from before the limits were lowered are trimmed when loaded.
+    if (game.eventLog.length > S1_LOG_LIMIT + S1_PINNED_LIMIT) s1Trim(game.eventLog);
+    return game.eventLog;
+  }
+  Object.defineProperty(S1, 'events', { get: s1Entries, configurable: true });
   S1.ui = S1.ui || {};
-  function s1Now(){ return Date.now(); }
+  S1.filter = { category:'', query:'' };
+  function s1CompactData(data){
+    if (!data) return null;
+    if (JSON.stringify(data).length <= S1_DATA_LIMIT) return data;
+    const compact = {};
+    Object.keys(data).forEach(k=>{
+      const v = data[k];
+      if (typeof v === 'number' || typeof v === 'boolean') compact[k] = v;
+      else if (typeof v === 'string') compact[k] = v.length > 100 ? v.slice(0, 100) + '…' : v;
+    });
+    return compact;
+  }
+  // Unstar the oldest starred entries beyond S1_PINNED_LIMIT (saves from
+  // before the limit), then drop the oldest unstarred entries beyond
+  // S1_LOG_LIMIT.
+  function s1Trim(entries){
+    let pinned = 0;
+    entries.forEach(e=>{ if (e.pinned && ++pinned > S1_PINNED_LIMIT) e.pinned = false; });
+    let unpinned = entries.length - Math.min(pinned, S1_PINNED_LIMIT);
+    for (let i=entries.length-1; i>=0 && unpinned>S1_LOG_LIMIT; i--){
+      if (!entries[i].pinned){ entries.splice(i,1); unpinned--; }
+    }
+  }
   S1.log = function(type, msg, data){
     try {
-      S1.events.unshift({t:s1Now(), type, msg, data: data||null});
-      if (S1.events.length>200) S1.events.pop();
+      const entries = s1Entries();
+      // gameNow() follows the offline replay, so entries from time away are
+      // stamped with when they happened.
+      entries.unshift({t:gameNow(), type, category:s1EventCategory[type]||'other', msg, data: s1CompactData(data), pinned:false});
+      s1Trim(entries);
       const bell = S1.ui.bell;
       if (bell){
         const count = Number(bell.getAttribute('data-count')||'0')+1;
@@ -5674,17 +3923,36 @@ document.addEventListener('DOMContentLoaded', init);
     document.body.appendChild(bell);
     const drawer = document.createElement('div');
     drawer.className = 's1-drawer';
-    drawer.innerHTML = '<div class="s1-drawer-head"><div>Event Log</div><button class="s1-close">✕</button></div><div class="s1-events"></div>';
+    const options = Object.keys(s1Categories).map(k=>'<option value="'+k+'">'+s1Categories[k]+'</option>').join('');
+    drawer.innerHTML = '<div class="s1-drawer-head"><div>Event Log</div><div class="s1-drawer-actions">'+
+      '<button class="s1-export" data-format="csv" title="Export the shown entries as CSV">CSV</button>'+
+      '<button class="s1-export" data-format="json" title="Export the shown entries as JSON">JSON</button>'+
+      '<button class="s1-close">✕</button></div></div>'+
+      '<div class="s1-log-filters"><input type="search" class="s1-search" placeholder="Search…">'+
+      '<select class="s1-category"><option value="">All</option>'+options+'<option value="starred">★ Starred</option></select></div>'+
+      '<div class="s1-events"></div>';
     drawer.querySelector('.s1-close').addEventListener('click', ()=>drawer.classList.remove('open'));
+    drawer.querySelector('.s1-search').addEventListener('input', e=>{ S1.filter.query = e.target.value; s1RenderEvents(); });
+    drawer.querySelector('.s1-category').addEventListener('change', e=>{ S1.filter.category = e.target.value; s1RenderEvents(); });
+    drawer.querySelectorAll('.s1-export').forEach(btn=>btn.addEventListener('click', ()=>s1ExportEvents(btn.dataset.format)));
     document.body.appendChild(drawer);
     S1.ui.bell = bell; S1.ui.drawer = drawer;
   }
+  // Entries matching the drawer's category and search filters.
+  function s1FilteredEvents(){
+    const { category } = S1.filter;
+    const query = S1.filter.query.trim().toLowerCase();
+    return s1Entries().filter(e=>{
+      if (category==='starred' ? !e.pinned : (category && e.category!==category)) return false;
+      return !query || (e.msg||'').toLowerCase().includes(query) || (e.type||'').toLowerCase().includes(query);
+    });
+  }
   function s1RenderEvents(){
     const host = S1.ui.drawer?.querySelector('.s1-events'); if (!host) return;
     host.innerHTML = '';
-    for (const e of S1.events) {
+    for (const e of s1FilteredEvents()) {
       const row = document.createElement('div');
-      row.className = 's1-event';
+      row.className = 's1-event' + (e.pinned ? ' pinned' : '');
       const dt = new Date(e.t).toLocaleString();
       // Hide the event type when it's a toast message to reduce clutter
       const typeLabel = e.type && e.type !== 'toast' ? e.type : '';
@@ -5692,79 +3960,103 @@ document.addEventListener('DOMContentLoaded', init);
       if (typeLabel) {
         headerHtml += '<span class="s1-type">' + typeLabel + '</span>';
       }
+      headerHtml += '<button class="s1-star" title="Star this entry">' + (e.pinned ? '★' : '☆') + '</button>';
       row.innerHTML = '<div class="s1-row">' + headerHtml + '</div><div class="s1-msg"></div>';
       row.querySelector('.s1-msg').textContent = e.msg || '';
+      row.querySelector('.s1-star').addEventListener('click', ()=>{
+        if (!e.pinned && s1Entries().filter(x=>x.pinned).length >= S1_PINNED_LIMIT){
+          showToast(translate('log.starLimit', { limit: S1_PINNED_LIMIT }, `At most ${S1_PINNED_LIMIT} entries can be starred. Unstar one first.`), { severity: 'warning' });
+          return;
+        }
+        e.pinned = !e.pinned;
+        saveGame();
+        s1RenderEvents();
+      });
       host.appendChild(row);
     }
-  }
-
-  // Hook logging into key flows
-  const _showToast = typeof showToast==='function' ? showToast : null;
-  if (_showToast){
-    window.showToast = function(m){ try{ S1.log('toast', m);}catch(e){}; return _showToast(m); };
-  }
-  const _startExpedition = startExpedition;
-  window.startExpedition = function(type){
-    S1.log('expedition_start', 'Expedition started: '+type);
-    return _startExpedition(type);
-  };
-
-  const _updateExpedition = updateExpedition;
-  window.updateExpedition = function(){
-    const before = JSON.stringify(Object.keys(game.activeExpeditions||{}));
-    _updateExpedition();
-    // detect completions by diff (best-effort)
-    const after = JSON.stringify(Object.keys(game.activeExpeditions||{}));
-    if (before!==after) S1.log('expedition_update','Expeditions updated');
-  };
-
-  const _updateAlchemyQueue = updateAlchemyQueue;
-  window.updateAlchemyQueue = function(){
-    const invBefore = JSON.stringify(game.elixirInventory||{});
-    _updateAlchemyQueue();
-    const invAfter = JSON.stringify(game.elixirInventory||{});
-    if (invBefore!==invAfter) S1.log('brew_complete','An elixir finished brewing');
-  };
-  const _useElixir = useElixir;
-  window.useElixir = function(id){
-    S1.log('elixir_used','Elixir used: '+id);
-    return _useElixir(id);
-  };
-  const _updateForgingQueue = updateForgingQueue;
-  window.updateForgingQueue = function(){
-    const forgedBefore = game.artifactsForged||0;
-    _updateForgingQueue();
-    const forgedAfter = game.artifactsForged||0;
-    if (forgedAfter>forgedBefore) S1.log('forge_complete','An artifact was forged');
+    if (!host.children.length) host.innerHTML = '<div class="s1-empty">No matching entries</div>';
+  }
+  // Download the entries currently shown in the drawer.
+  function s1ExportEvents(format){
+    const entries = s1FilteredEvents();
+    let text, type;
+    if (format==='csv'){
+      const cell = v=>'"'+String(v==null ? '' : v).replace(/"/g,'""')+'"';
+      const rows = entries.map(e=>[new Date(e.t).toISOString(), e.type, e.category, e.msg, e.pinned ? 1 : 0, e.data ? JSON.stringify(e.data) : ''].map(cell).join(','));
+      text = ['time,type,category,message,starred,data'].concat(rows).join('\r\n');
+      type = 'text/csv';
+    } else {
+      text = JSON.stringify(entries, null, 2);
+      type = 'application/json';
+    }
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `cultivation-events-${new Date().toISOString().slice(0, 10)}.${format==='csv' ? 'csv' : 'json'}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // Log game events.  Each entry keeps the event type and its payload as
+  // data.  Toasts are not logged: the happenings they announce are logged
+  // here once from their event, which also fires during offline replay when
+  // toasts are held back.
+  const s1LoggedEvents = {
+    'expedition.started': e => 'Expedition started: '+e.type,
+    'expedition.completed': e => 'Expedition returned: '+e.type+(e.success ? (e.rare ? ' (rare find)' : '') : ' (failed)'),
+    'elixir.brewed': e => 'Elixir brewed: '+e.elixirId,
+    'elixir.used': e => 'Elixir used: '+e.elixirId,
+    'artifact.forged': e => 'Artifact forged: '+e.artifactId,
+    'relic.discovered': e => 'Relic discovered: '+e.id,
+    'disciple.recruited': e => 'Disciple recruited: '+e.name+' ('+e.classId+')',
+    'building.purchased': e => 'Building: '+e.id+' level '+e.level,
+    'achievement.unlocked': e => 'Achievement unlocked: '+e.id,
+    'story.chosen': e => 'Story choice: '+e.choiceId,
+    'layer.breakthrough': e => 'Breakthrough to layer '+(e.subLayer+1)+' of '+getRealmName(e.stage),
+    'breakthrough.failed': e => 'Breakthrough failed at layer '+(e.subLayer+1)+' of '+getRealmName(e.stage)+' ('+Math.round(e.chance*100)+'% chance)',
+    'reincarnated': e => 'Reincarnated: life '+(e.life+1)+' begins (+'+formatNumber(e.karma)+' Karma)',
+    'karma.purchased': e => 'Karma tree: '+e.id+' level '+e.level,
+    'perk.purchased': e => 'Perk: '+e.id+' level '+e.level,
+    'challenge.started': e => 'Challenge started: '+e.id,
+    'challenge.completed': e => 'Challenge completed: '+e.id+' in '+formatDuration(e.seconds)+(e.best ? ' (best time)' : ''),
+    'challenge.abandoned': e => 'Challenge abandoned: '+e.id,
+    'perks.respec': e => 'Perk tree respecced: '+formatNumber(e.refund)+' AP refunded for '+formatNumber(e.cost)+' Spirit Stones',
+    'realm.ascended': e => e.transcended ? 'Transcended the final realm' : 'Ascended to '+getRealmName(e.stage),
+    'tribulation.started': e => 'Tribulation of '+getRealmName(e.stage)+' began ('+e.waves+' waves)',
+    'tribulation.wave': e => 'Tribulation wave '+e.wave+(e.passed ? ' withstood' : ' failed')+' ('+Math.round(e.chance*100)+'% chance)',
+    'tribulation.ended': e => e.success ? 'Tribulation survived: '+e.passed+' waves, +'+e.bonusAp+' AP' : 'Tribulation failed: '+e.passed+' waves withstood',
+    'quest.claimed': e => (e.kind==='bounty' ? 'Bounty claimed: ' : 'Quest claimed: ')+e.id,
+    'random.event': e => e.message
   };
+  Object.keys(s1LoggedEvents).forEach(type=>{
+    engine.on(type, e=>S1.log(type, s1LoggedEvents[type](e), e));
+  });
 
   // --- ROI & Max for upgrades ---
-  function s1EffFactor(){
-    const effLv = game.ascensionPerks?.upgradeEfficiency || 0;
-    const talismanLv = game.upgrades?.originTalisman || 0;
-    let eff = 1 - 0.02*effLv - 0.02*talismanLv;
-    if (eff < 0.3) eff = 0.3;
-    return eff;
-  }
+  function s1EffFactor(){ return getUtilityStat('upgradeCost'); }
   function s1GetUpgradeDef(id){ return upgradeDefs.find(u=>u.id===id); }
   function s1GetLevel(id){ return game.upgrades[id] || 0; }
-  function s1TotalCost(def, level, n){ return getUpgradeTotalCost(def, level, n) * s1EffFactor(); }
+  function s1TotalCost(def, level, n){ return getUpgradeTotalCost(def, level, n).mul(s1EffFactor()); }
   function s1MaxAffordable(def, level, wallet){
-    const r = def.costMult, a = def.baseCost*Math.pow(r, level), eff = s1EffFactor();
-    const maxByCost = r===1 ? Math.floor(wallet/(a*eff)) :
-      Math.floor(Math.log(1 + (wallet*(r-1))/(a*eff))/Math.log(r));
+    // Worked in BigNum/log space so huge wallets and costs stay finite.
+    const r = def.costMult, eff = s1EffFactor();
+    const a = BigNum.from(def.baseCost).mul(BigNum.fromLog10(level*Math.log10(r))).mul(eff);
+    const maxByCost = r===1 ? Math.floor(BigNum.from(wallet).div(a).toNumber()) :
+      Math.floor(BigNum.from(wallet).mul(r-1).div(a).add(1).log10()/Math.log10(r));
     const cap = (typeof def.maxLevel==='number') ? (def.maxLevel - level) : Infinity;
     return Math.max(0, Math.min(maxByCost, cap));
   }
   function s1SimulateDeltaQiPerSec(id, n){
     const old = s1GetLevel(id);
-    const qiBefore = game.finalQiPerSec || 0;
+    const qiBefore = game.finalQiPerSec;
     game.upgrades[id] = old + n;
     recalcProduction();
-    const after = game.finalQiPerSec || 0;
+    const after = game.finalQiPerSec;
     game.upgrades[id] = old;
     recalcProduction();
-    return after - qiBefore;
+    return after.sub(qiBefore);
   }
   function s1FmtSecs(ms){
     let s = Math.floor(ms/1000); if (s<0) s=0;
@@ -5773,13 +4065,11 @@ document.addEventListener('DOMContentLoaded', init);
   }
   function s1EnhanceUpgradeUI(){
     const list = document.getElementById('upgrade-list'); if (!list) return;
-    const wallet = game.qi || 0;
     list.querySelectorAll('.entry').forEach(entry => {
       const buyBtn = entry.querySelector('button');
-      // Extract the upgrade ID from the onClick handler e.g. buyUpgrade('meditation')
-      const idMatch = entry.innerHTML.match(/buyUpgrade\(['"]([a-zA-Z0-9_]+)['"]\)/);
-      if (!idMatch) return;
-      const id = idMatch[1];
+      // updateUpgradeUI() tags each entry with its upgrade ID.
+      const id = entry.dataset.upgrade;
+      if (!id) return;
       const def = s1GetUpgradeDef(id); if (!def) return;
       const level = s1GetLevel(id);
       // ROI tag
@@ -5789,7 +4079,7 @@ document.addEventListener('DOMContentLoaded', init);
       try{
         delta = s1SimulateDeltaQiPerSec(id, 1);
         const cost = s1TotalCost(def, level, 1);
-        be = (delta>0) ? s1FmtSecs((cost/delta)*1000) : '—';
+        be = delta.gt(0) ? s1FmtSecs(cost.div(delta).toNumber()*1000) : '—';
       }catch(e){}
       tag.textContent = `ROI: +${formatNumber(delta)} Qi/s • BE ${be}`;
       // Max button
@@ -5798,7 +4088,7 @@ document.addEventListener('DOMContentLoaded', init);
         maxBtn.className = 's1-max'; maxBtn.textContent = 'Max';
         maxBtn.title = 'Buy all affordable levels';
         maxBtn.addEventListener('click', ()=>{
-          const n = s1MaxAffordable(def, level, game.qi||0);
+          const n = s1MaxAffordable(def, level, game.qi);
           if (n>0) buyUpgrade(id, n);
         });
         entry.appendChild(maxBtn);
@@ -5806,61 +4096,53 @@ document.addEventListener('DOMContentLoaded', init);
     });
   }
 
-  // Wrap updateUpgradeUI to inject ROI/Max
-  const _updateUpgradeUI = updateUpgradeUI;
-  window.updateUpgradeUI = function(){ _updateUpgradeUI(); try{s1EnhanceUpgradeUI();}catch(e){} };
+  // Add ROI/Max whenever the upgrade list is redrawn.  This block subscribes
+  // before bindEngine(), so wait until every 'change' listener has run.
+  engine.on('change', areas=>{
+    if ((areas||[]).includes('upgrades')) queueMicrotask(()=>{ try{s1EnhanceUpgradeUI();}catch(e){} });
+  });
 
-  // --- Qi/s Breakdown Panel ---
+  // --- Production Breakdown Panel ---
+  // Lists every modifier in the core's registry (getModifierBreakdown) for
+  // each resource and Qi per tap.  Click the stats banner to show or hide it.
   function s1UpdateBreakdown(){
     const host = document.getElementById('qi-breakdown-panel'); if (!host) return;
-    const base = game.qiPerSec || 0;
-    const buffs = (typeof getActiveElixirBuffs==='function') ? getActiveElixirBuffs() : {qiMult:1};
-    // Try to reconstruct multipliers we can attribute
-    const qiMasteryLv = game.ascensionPerks?.qiMastery || 0;
-    const mastery = (1 + 0.02*qiMasteryLv);
-    const layerRealm = game.layerMult || 1;
-    const forgeQi = (window.forgeQiMult !== undefined ? forgeQiMult : (game.forgeQiMult||1));
-    const synergy = (typeof synergyMult!=='undefined') ? synergyMult : 1; // may be lexically scoped; if not, skip
-    const multQi = game.multQi || 1;
-
-    const lines = [];
-    function add(name, mult){ if (mult && isFinite(mult) && mult!==1) lines.push([name, mult]); }
-    add('Qi Mult', multQi);
-    add('Forging', forgeQi);
-    add('Layers/Realms', layerRealm);
-    add('Synergy', synergy);
-    add('Ascension (Qi Mastery)', mastery);
-    add('Elixirs (display)', buffs.qiMult||1);
-
-    // Render
+    if (!host.classList.contains('open')) return;
+    const breakdown = getModifierBreakdown();
+    const tapLabel = (typeof window.t==='function') ? window.t('stat.qiPerTap') : 'Qi per Tap';
     host.innerHTML = '';
-    const head = document.createElement('div');
-    const displayQi = (game.finalQiPerSec||0) * (buffs.qiMult||1);
-    head.className='s1-bd-head';
-    head.innerHTML = `<div><b>Qi/s</b> now: ${formatNumber(displayQi)} (base ${formatNumber(base)})</div>`;
-    host.appendChild(head);
-    lines.forEach(([name, mult])=>{
-      const row = document.createElement('div'); row.className='s1-bd-row';
-      row.innerHTML = `<div class="s1-bd-cat">${name}</div><div class="s1-bd-mult">×${(Math.round(mult*100)/100).toLocaleString()}</div>`;
-      host.appendChild(row);
+    Object.keys(breakdown).forEach(stat=>{
+      const { modifiers, value } = breakdown[stat];
+      // Factors of exactly 1 (e.g. no layers yet) change nothing; skip them.
+      const shown = modifiers.filter(m => !(m.kind==='mult' && BigNum.from(m.value).eq(1)));
+      if (!shown.length) return;
+      const head = document.createElement('div'); head.className='s1-bd-head';
+      const name = stat==='qiPerTap' ? tapLabel : getResourceDisplayName(stat);
+      head.innerHTML = `<b>${name}</b>: ${formatNumber(value)}${stat==='qiPerTap' ? '' : '/s'}`;
+      host.appendChild(head);
+      shown.forEach(m=>{
+        const row = document.createElement('div'); row.className='s1-bd-row';
+        const amount = m.kind==='mult' ? `×${formatNumber(m.value)}` : `+${formatNumber(m.value)}`;
+        row.innerHTML = `<div class="s1-bd-cat">${m.label} <small>(${m.source})</small></div><div class="s1-bd-mult">${amount}</div>`;
+        host.appendChild(row);
+      });
     });
   }
-  const _recalcProduction = recalcProduction;
-  window.recalcProduction = function(){ _recalcProduction(); try{s1UpdateBreakdown();}catch(e){} };
-
-  // Ensure breakdown updates when alchemy changes too
-  const _updateStatsUI = updateStatsUI;
-  window.updateStatsUI = function(){ _updateStatsUI(); try{s1UpdateBreakdown();}catch(e){} };
-
-  // --- Expedition party clarity (on cards) ---
-  // The party system has been removed.  To avoid unnecessary DOM
-  // decoration and ensure backwards compatibility with existing hook calls,
-  // s1DecorateExpeditions is now a no‑op.
-  function s1DecorateExpeditions(){
-    return;
-  }
-  const _updateExpeditionUI = updateExpeditionUI;
-  window.updateExpeditionUI = function(){ _updateExpeditionUI(); try{s1DecorateExpeditions();}catch(e){} };
+  const s1BannerText = document.getElementById('stats-banner-text');
+  if (s1BannerText){
+    s1BannerText.title = 'Show production breakdown';
+    const toggle = ()=>{
+      const host = document.getElementById('qi-breakdown-panel'); if (!host) return;
+      host.classList.toggle('open');
+      s1UpdateBreakdown();
+    };
+    s1BannerText.addEventListener('click', toggle);
+    s1BannerText.addEventListener('keydown', e=>{ if (e.key==='Enter') toggle(); });
+  }
+  // Keep the open panel current as production changes (purchases, elixirs
+  // wearing off).
+  engine.on('tick', s1UpdateBreakdown);
+  engine.on('change', areas=>{ if ((areas||[]).includes('stats')) s1UpdateBreakdown(); });
 
   // --- Text/effect guardrails ---
   function s1Guardrails(){
@@ -5879,72 +4161,3 @@ document.addEventListener('DOMContentLoaded', init);
 })();
 // ===== END SPRINT 1 ENHANCEMENTS =====
 
-
-// Claim all completed quests in one click
-function claimAllCompletedQuests() {
-  if (!game.quests) return;
-  let total = 0;
-  questDefs.forEach(def => {
-    const q = game.quests[def.id];
-    if (!q) return;
-    if (q.completed) {
-      total += (q.rewardVal || 0);
-      // advance chain
-      q.tier = (q.tier || 0) + 1;
-      q.amount = def.amount * Math.pow(2, q.tier);
-      q.rewardVal = Math.ceil(def.reward * Math.pow(1.5, q.tier));
-      q.progress = 0;
-      q.completed = false;
-      q.started = false;
-    }
-  });
-  if (total > 0) {
-    game.spiritStones = (game.spiritStones || 0) + total;
-    // advance tutorial once at most
-    if (game.tutorial && game.tutorial.active && game.tutorial.step === 4) {
-      advanceTutorial();
-    }
-    showToast(`Claimed ${formatNumber(total)} Spirit Stones from completed quests.`);
-    updateQuestUI();
-    updateStatsUI();
-    saveGame();
-  } else {
-    showToast('No completed quests to claim.');
-  }
-}
-
-// Claim all completed bounties in one click
-function claimAllCompletedBounties() {
-  if (!game.bounties) return;
-  let totalSS = 0, totalJade = 0;
-  bountyDefs.forEach(def => {
-    const b = game.bounties[def.id];
-    if (!b) return;
-    if (b.completed) {
-      totalSS += (b.reward.spiritStones || 0);
-      totalJade += (b.reward.jade || 0);
-      // advance chain
-      b.tier = (b.tier || 0) + 1;
-      b.amount = def.amount * Math.pow(2, b.tier);
-      b.reward = {
-        spiritStones: Math.ceil(def.reward.spiritStones * Math.pow(1.5, b.tier)),
-        jade: Math.ceil(def.reward.jade * Math.pow(1.5, b.tier))
-      };
-      b.progress = 0;
-      b.completed = false;
-      b.started = false;
-      game.bountiesClaimed = (game.bountiesClaimed || 0) + 1;
-    }
-  });
-  if (totalSS > 0 || totalJade > 0) {
-    game.spiritStones = (game.spiritStones || 0) + totalSS;
-    game.jade = (game.jade || 0) + totalJade;
-    showToast(`Claimed ${formatNumber(totalSS)} Spirit Stones and ${formatNumber(totalJade)} Jade from completed bounties.`);
-    updateBountyUI();
-    updateStatsUI();
-    saveGame();
-  } else {
-    showToast('No completed bounties to claim.');
-  }
-}
-
@@ -0,0 +1,605 @@
+/*
+ * Cultivation World - Save Format
+ *
+ * Persisted saves are plain JSON snapshots of the `game` object.  Every save
+ * carries a `saveVersion`; when an older save is loaded it is upgraded one
+ * version at a time by the migrations registered below and stamped with the
+ * new version, so a change in a field's shape is handled exactly once, in one
+ * place, instead of by "ensure this exists" checks scattered through
+ * loadGame().
+ *
+ * Migrations operate on the parsed save data only (no `game`, DOM or
+ * storage access), so they can be exercised directly under Node:
+ *
+ *   const { migrateSave } = require('./save.js');
+ *   const data = migrateSave({ activeExpedition: { type: 'herb', endTime: 0 } });
+ *   // data.activeExpeditions.herb is set and data.saveVersion === SAVE_VERSION
+ *
+ * On disk a save is an envelope `{ checksum, data }` where the checksum is
+ * computed over the JSON of `data`; a save that fails its checksum or the
+ * schema check below is rejected instead of being loaded half-broken.  Every
+ * few minutes a copy of the save is also kept as a timestamped backup so a
+ * corrupt write can be recovered from.
+ *
+ * Saves can also travel as a compact share code: the save JSON deflated and
+ * base64-encoded behind a "CW<version>." header.  Share codes and save files
+ * are read back through parseSave(), the same path loadGame() uses.
+ *
+ * Players can keep several named save slots.  Each slot is stored under its
+ * own key (see getSlotKey()) and an index records the slots, their metadata
+ * and which one is active.
+ */
+
+// Default settings merged into every save.  New settings fields should be
+// added here (and, if older saves need a non-default value, in a migration).
+const defaultSettings = { colorBlind: false, largeFont: false, reduceMotion: false, theme: 'dark', backgroundIndex: 0, hideLocked: true, bgDimmer: 0, sectTab: 'management', notation: 'standard', notationPrecision: 2, toastMute: {}, desktopNotify: {}, breakthroughRisk: false };
+
+// Ordered registry of save migrations.  The function stored under version N
+// upgrades a save from version N - 1 to version N.  Saves written before
+// versioning existed count as version 0 (see LEGACY_SAVE_VERSION).  To change
+// the save format, bump `saveVersion` on the game object in core.js and
+// register the matching migration here.
+const saveMigrations = {
+  // 0 → 1: single-expedition and single-multiplier forging formats.
+  1(data) {
+    // activeExpedition (one at a time) became the activeExpeditions map keyed
+    // by expedition type.
+    if (!data.activeExpeditions || typeof data.activeExpeditions !== 'object') {
+      data.activeExpeditions = {};
+    }
+    const legacy = data.activeExpedition;
+    if (legacy && typeof legacy === 'object' && legacy.type && !data.activeExpeditions[legacy.type]) {
+      data.activeExpeditions[legacy.type] = legacy;
+    }
+    delete data.activeExpedition;
+    // forgingBuffMult (Qi only) became per-resource forgingMults.
+    const legacyMult = (typeof data.forgingBuffMult === 'number' && data.forgingBuffMult > 0) ? data.forgingBuffMult : 1;
+    data.forgingBuffMult = legacyMult;
+    if (!data.forgingMults || typeof data.forgingMults !== 'object') {
+      data.forgingMults = { qi: legacyMult, herbs: 1, spiritStones: 1, beasts: 1 };
+    }
+    if (!Array.isArray(data.forgingQueue)) data.forgingQueue = [];
+    if (typeof data.forgingRiskMult !== 'number') data.forgingRiskMult = 1;
+    return data;
+  },
+
+  // 1 → 2: the dantian cap became a base capacity times dantianMult.
+  2(data) {
+    if (typeof data.dantianMult !== 'number') {
+      // Estimate the multiplier from the saved cap so capacity does not
+      // shrink on load.  The base is 10× the cost of the next breakthrough,
+      // using the same formula as getLayerCost().
+      const stage = data.stage || 0;
+      const subLayer = data.subLayer || 0;
+      const theoryLv = (data.research && data.research.ascensionTheory) || 0;
+      let cost = 100 * Math.pow(2, subLayer) * Math.pow(10, stage);
+      if (theoryLv > 0) cost *= Math.max(0.2, 1 - 0.02 * theoryLv);
+      const estimatedBase = cost * 10;
+      data.dantianMult = (data.dantianCap && estimatedBase > 0) ? data.dantianCap / estimatedBase : 1;
+    }
+    return data;
+  },
+
+  // 2 → 3: sect, alchemy, story and feature-tracking state.
+  3(data) {
+    const ensureObject = key => {
+      if (!data[key] || typeof data[key] !== 'object' || Array.isArray(data[key])) data[key] = {};
+    };
+    const ensureArray = key => {
+      if (!Array.isArray(data[key])) data[key] = [];
+    };
+    ['elixirInventory', 'quests', 'bounties', 'buildings', 'ascensionPerks', 'relics', 'featuresSeen', 'newFeatures', 'expandedExpeditions'].forEach(ensureObject);
+    ['disciples', 'elixirQueue', 'activeElixirs', 'selectedPartyIdxs'].forEach(ensureArray);
+    if (!data.expeditionPity || typeof data.expeditionPity !== 'object') {
+      data.expeditionPity = { herb: 0, stone: 0, beast: 0, beastLair: 0 };
+    }
+    if (!data.story || typeof data.story !== 'object') data.story = {};
+    if (!data.story.choices || typeof data.story.choices !== 'object') data.story.choices = {};
+    // Testing multipliers and story reward multipliers default to 1.
+    ['qiPerTapMult', 'qiPerSecMult', 'forgeCostMult', 'expeditionTimeMult', 'discipleMult', 'ascensionRewardMult'].forEach(key => {
+      if (typeof data[key] !== 'number' || data[key] <= 0) data[key] = 1;
+    });
+    ['achCollapsed', 'loreCollapsed', 'skillsCollapsed', 'researchCollapsed'].forEach(key => {
+      data[key] = !!data[key];
+    });
+    ['questTimestamp', 'bountyTimestamp', 'ascensionPoints'].forEach(key => {
+      if (typeof data[key] !== 'number') data[key] = 0;
+    });
+    data.settings = Object.assign({}, defaultSettings, (data.settings && typeof data.settings === 'object') ? data.settings : {});
+    if (typeof data.settings.sectTab !== 'string') data.settings.sectTab = 'management';
+    return data;
+  },
+
+  // 3 → 4: seeded random number generator; drop runtime-only fields.
+  4(data) {
+    if (typeof data.rngState !== 'number' || !isFinite(data.rngState)) {
+      const seed = ((Date.now() ^ Math.floor(Math.random() * 0x100000000)) >>> 0) || 1;
+      data.rngSeed = seed;
+      data.rngState = seed;
+    }
+    // The tick interval handle was accidentally persisted by older builds.
+    delete data._tickTimer;
+    return data;
+  },
+
+  // 4 → 5: playtime tracking for save slot metadata.
+  5(data) {
+    if (typeof data.playtime !== 'number' || !isFinite(data.playtime) || data.playtime < 0) data.playtime = 0;
+    return data;
+  },
+
+  // 5 → 6: Qi, the dantian cap and the layer multiplier are stored as
+  // "<mantissa>e<exponent>" strings (BigNum in core.js) so they can exceed
+  // the range of a double.  Completions of the final realm are counted.
+  6(data) {
+    ['qi', 'dantianCap', 'layerMult', 'finalQiPerSec'].forEach(key => {
+      if (typeof data[key] === 'number' && isFinite(data[key])) data[key] = data[key].toExponential().replace('e+', 'e');
+    });
+    if (typeof data.transcendences !== 'number' || !isFinite(data.transcendences) || data.transcendences < 0) data.transcendences = 0;
+    return data;
+  },
+
+  // 6 → 7: a save area for plugins, keyed by plugin id.
+  7(data) {
+    if (!data.pluginData || typeof data.pluginData !== 'object' || Array.isArray(data.pluginData)) data.pluginData = {};
+    return data;
+  },
+
+  // 7 → 8: the event log is kept with the save.
+  8(data) {
+    if (!Array.isArray(data.eventLog)) data.eventLog = [];
+    return data;
+  },
+
+  // 8 → 9: realm ascensions are guarded by a tribulation, which is saved
+  // while it runs along with the cooldown after a failure.
+  9(data) {
+    const trib = data.tribulation;
+    if (!trib || typeof trib !== 'object' || Array.isArray(trib)) data.tribulation = { active: null, cooldownUntil: 0 };
+    return data;
+  },
+
+  // 9 → 10: minor breakthroughs can fail (opt-in), so the prepared pill, the
+  // pity bonus and the Qi deviation debuff are saved.
+  10(data) {
+    if (typeof data.breakthroughPill !== 'string') data.breakthroughPill = null;
+    if (typeof data.breakthroughPity !== 'number' || !isFinite(data.breakthroughPity) || data.breakthroughPity < 0) data.breakthroughPity = 0;
+    if (typeof data.qiDeviationExpires !== 'number' || !isFinite(data.qiDeviationExpires)) data.qiDeviationExpires = 0;
+    return data;
+  },
+
+  // 10 → 11: reincarnation.  Karma, the Karma tree, the number of lives and
+  // their records are kept; the current life starts counting from the save's
+  // totals, with the Qi held as its Qi gathered so far.
+  11(data) {
+    if (typeof data.karma !== 'number' || !isFinite(data.karma) || data.karma < 0) data.karma = 0;
+    if (!data.karmaPerks || typeof data.karmaPerks !== 'object' || Array.isArray(data.karmaPerks)) data.karmaPerks = {};
+    if (typeof data.reincarnations !== 'number' || !isFinite(data.reincarnations) || data.reincarnations < 0) data.reincarnations = 0;
+    if (!Array.isArray(data.pastLives)) data.pastLives = [];
+    if (!data.lifeStart || typeof data.lifeStart !== 'object') data.lifeStart = { breakthroughs: 0, playtime: 0 };
+    if (data.lifeQi == null) data.lifeQi = data.qi != null ? data.qi : 0;
+    return data;
+  },
+
+  // 11 → 12: the perk tree can be respecced for a growing price.
+  12(data) {
+    if (typeof data.perkRespecs !== 'number' || !isFinite(data.perkRespecs) || data.perkRespecs < 0) data.perkRespecs = 0;
+    return data;
+  },
+
+  // 12 → 13: challenge runs, with completions and best times per challenge.
+  13(data) {
+    const ch = data.challenges;
+    if (!ch || typeof ch !== 'object' || Array.isArray(ch)) data.challenges = { active: null, completed: {}, best: {} };
+    else {
+      if (!ch.completed || typeof ch.completed !== 'object') ch.completed = {};
+      if (!ch.best || typeof ch.best !== 'object') ch.best = {};
+      if (!ch.active || typeof ch.active !== 'object') ch.active = null;
+      else if (typeof ch.active.seconds !== 'number') ch.active.seconds = 0;
+    }
+    return data;
+  }
+};
+
+// Latest save version: the highest registered migration.
+const SAVE_VERSION = Math.max(...Object.keys(saveMigrations).map(Number));
+
+// Before the migration registry, every save was stamped `saveVersion: 3`
+// whatever fields it held, and loadGame() repaired it on each load.  A
+// version up to this one therefore says nothing about the save's shape, so
+// such saves replay the registry from the start; migrations 1–3 only fill in
+// what is missing and are safe to run on a save that already has it.
+const LEGACY_SAVE_VERSION = 3;
+
+// Upgrade parsed save data to SAVE_VERSION, one migration at a time, stamping
+// the version after each step.  Saves from a newer build are returned as is.
+function migrateSave(data) {
+  let version = (typeof data.saveVersion === 'number' && isFinite(data.saveVersion)) ? Math.floor(data.saveVersion) : 0;
+  if (version <= LEGACY_SAVE_VERSION) version = 0;
+  while (version < SAVE_VERSION) {
+    version++;
+    const migrate = saveMigrations[version];
+    if (migrate) data = migrate(data) || data;
+    data.saveVersion = version;
+  }
+  return data;
+}
+
+// Minimal schema for a migrated save: the type every core field must have.
+// Saves that do not match are treated as corrupt.
+const saveSchema = {
+  number: ['herbs', 'spiritStones', 'beasts', 'jade', 'stage', 'subLayer', 'dantianMult', 'ascensionPoints', 'saveVersion', 'playtime', 'transcendences', 'karma', 'reincarnations'],
+  // BigNum fields: "<mantissa>e<exponent>" strings, or plain numbers.
+  bignum: ['qi', 'dantianCap', 'layerMult', 'lifeQi'],
+  object: ['upgrades', 'research', 'buildings', 'ascensionPerks', 'activeExpeditions', 'forgingMults', 'elixirInventory', 'quests', 'bounties', 'story', 'settings', 'pluginData', 'tribulation', 'karmaPerks', 'lifeStart', 'challenges'],
+  array: ['disciples', 'forgingQueue', 'elixirQueue', 'activeElixirs', 'eventLog', 'pastLives']
+};
+
+// Check migrated save data against saveSchema.  Returns a list of problems;
+// an empty list means the save is usable.
+function validateSave(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['save is not an object'];
+  }
+  // null is what JSON.stringify writes for NaN/Infinity; older builds could
+  // persist that for counters, so it is tolerated rather than treated as
+  // corruption.
+  saveSchema.number.forEach(key => {
+    if (key in data && data[key] !== null && (typeof data[key] !== 'number' || !isFinite(data[key]))) {
+      errors.push(`${key} is not a finite number`);
+    }
+  });
+  saveSchema.bignum.forEach(key => {
+    if (key in data && data[key] !== null && !isBigNumValue(data[key])) {
+      errors.push(`${key} is not a number`);
+    }
+  });
+  saveSchema.object.forEach(key => {
+    if (key in data && (!data[key] || typeof data[key] !== 'object' || Array.isArray(data[key]))) {
+      errors.push(`${key} is not an object`);
+    }
+  });
+  saveSchema.array.forEach(key => {
+    if (key in data && !Array.isArray(data[key])) {
+      errors.push(`${key} is not a list`);
+    }
+  });
+  ['stage', 'subLayer'].forEach(key => {
+    if (typeof data[key] === 'number' && (data[key] < 0 || Math.floor(data[key]) !== data[key])) {
+      errors.push(`${key} is out of range`);
+    }
+  });
+  if (isBigNumValue(data.qi) && parseFloat(data.qi) < 0) errors.push('qi is negative');
+  return errors;
+}
+
+// A finite number, or a string such as "1.5e400" in BigNum's save format.
+function isBigNumValue(value) {
+  if (typeof value === 'number') return isFinite(value);
+  return typeof value === 'string' && /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(value);
+}
+
+// 32-bit FNV-1a hash of a string, as 8 hex digits.  Detects truncated or
+// corrupted writes; it is not meant to stop deliberate editing.
+function checksum(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Serialise game state into the checksummed envelope stored on disk.
+function serializeSave(state) {
+  const json = JSON.stringify(state);
+  return `{"checksum":"${checksum(json)}","data":${json}}`;
+}
+
+// Parse a stored save.  Accepts the checksummed envelope as well as the raw
+// JSON written by older builds, then migrates and validates it.  Returns
+// { data } on success or { error } describing why the save was rejected.
+function parseSave(text) {
+  if (typeof text !== 'string' || text === '') return { error: 'no save data' };
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    return { error: 'save is not valid JSON' };
+  }
+  let data = parsed;
+  if (parsed && typeof parsed === 'object' && typeof parsed.checksum === 'string' && 'data' in parsed) {
+    if (checksum(JSON.stringify(parsed.data)) !== parsed.checksum) {
+      return { error: 'checksum mismatch' };
+    }
+    data = parsed.data;
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return { error: 'save is not an object' };
+  try {
+    data = migrateSave(data);
+  } catch (e) {
+    return { error: `migration failed: ${e.message}` };
+  }
+  const errors = validateSave(data);
+  if (errors.length > 0) return { error: errors.join(', ') };
+  return { data };
+}
+
+// Share codes.  Format: "CW" + save version + "." + base64url(deflate(JSON)).
+// Compression uses the browser's CompressionStream, so both helpers are async.
+const SHARE_CODE_PREFIX = 'CW';
+
+async function transformBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// Encode game state as a share code.
+async function encodeShareCode(state) {
+  const json = serializeSave(state);
+  const packed = await transformBytes(new TextEncoder().encode(json), new CompressionStream('deflate'));
+  return `${SHARE_CODE_PREFIX}${state.saveVersion || SAVE_VERSION}.${bytesToBase64Url(packed)}`;
+}
+
+// Decode a share code and parse it like any stored save.  Returns { data } or
+// { error }.
+async function decodeShareCode(code) {
+  const match = /^CW(\d+)\.([A-Za-z0-9_-]+)$/.exec(String(code || '').replace(/\s+/g, ''));
+  if (!match) return { error: 'not a share code' };
+  if (Number(match[1]) > SAVE_VERSION) return { error: 'share code is from a newer version of the game' };
+  let json;
+  try {
+    const bytes = await transformBytes(base64UrlToBytes(match[2]), new DecompressionStream('deflate'));
+    json = new TextDecoder().decode(bytes);
+  } catch (e) {
+    return { error: 'share code is damaged' };
+  }
+  return parseSave(json);
+}
+
+// Rolling backups.  A copy of the save is written to `<key>.backup.<time>`
+// at most once per BACKUP_INTERVAL_MS, keeping the newest MAX_BACKUPS.
+const BACKUP_INTERVAL_MS = 10 * 60 * 1000;
+const MAX_BACKUPS = 5;
+const lastBackupAt = {};
+
+// Backups of a save key, newest first: [{ key, time }].
+function listBackups(key, storage) {
+  storage = storage || localStorage;
+  const prefix = `${key}.backup.`;
+  const backups = [];
+  for (let i = 0; i < storage.length; i++) {
+    const name = storage.key(i);
+    if (name && name.startsWith(prefix)) {
+      const time = Number(name.slice(prefix.length));
+      if (isFinite(time)) backups.push({ key: name, time });
+    }
+  }
+  return backups.sort((a, b) => b.time - a.time);
+}
+
+// Write a save under `key` and take a backup when one is due.
+function writeSave(key, state, storage) {
+  storage = storage || localStorage;
+  const text = serializeSave(state);
+  try {
+    storage.setItem(key, text);
+  } catch (e) {
+    if (!isQuotaError(e)) throw e;
+    // Out of storage: the save matters more than its backups, so drop this
+    // slot's backups and try once more.  A second failure is thrown.
+    listBackups(key, storage).forEach(b => storage.removeItem(b.key));
+    storage.setItem(key, text);
+  }
+  const now = Date.now();
+  if (lastBackupAt[key] === undefined) {
+    const latest = listBackups(key, storage)[0];
+    lastBackupAt[key] = latest ? latest.time : 0;
+  }
+  if (now - lastBackupAt[key] >= BACKUP_INTERVAL_MS) {
+    lastBackupAt[key] = now;
+    const backups = listBackups(key, storage);
+    // Drop the oldest so at most MAX_BACKUPS remain after this one.
+    backups.slice(MAX_BACKUPS - 1).forEach(b => storage.removeItem(b.key));
+    try {
+      storage.setItem(`${key}.backup.${now}`, text);
+    } catch (e) {
+      console.warn('Could not write save backup:', e);
+    }
+  }
+  return text;
+}
+
+// Whether a storage write failed because the storage quota is used up.
+function isQuotaError(e) {
+  return !!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22 || e.code === 1014);
+}
+
+// Read and parse the save stored under `key`.  Returns { data }, { error }
+// or { empty: true } when nothing has been saved yet.
+function readSave(key, storage) {
+  storage = storage || localStorage;
+  const text = storage.getItem(key);
+  if (text === null) return { empty: true };
+  return parseSave(text);
+}
+
+// Newest backup of `key` that passes validation: { data, time } or null.
+function findGoodBackup(key, storage) {
+  storage = storage || localStorage;
+  for (const backup of listBackups(key, storage)) {
+    const result = parseSave(storage.getItem(backup.key));
+    if (result.data) return { data: result.data, time: backup.time };
+  }
+  return null;
+}
+
+// Save slots.  The index lives under SLOT_INDEX_KEY:
+//   { active: 'main', slots: [{ id, name, sectName, stage, subLayer, playtime, lastSaved }] }
+// The 'main' slot keeps the original save key so saves from before slots
+// existed simply become the "Main" slot.
+const SAVE_KEY = 'cultivationGame';
+const SLOT_INDEX_KEY = 'cultivationGame.slots';
+
+function getSlotKey(id) {
+  return id === 'main' ? SAVE_KEY : `${SAVE_KEY}.slot.${id}`;
+}
+
+function loadSlotIndex(storage) {
+  storage = storage || localStorage;
+  let index = null;
+  try {
+    index = JSON.parse(storage.getItem(SLOT_INDEX_KEY));
+  } catch (e) {
+    index = null;
+  }
+  if (!index || !Array.isArray(index.slots)) index = { active: 'main', slots: [] };
+  if (index.slots.length === 0) index.slots.push({ id: 'main', name: 'Main' });
+  if (!index.slots.some(slot => slot.id === index.active)) index.active = index.slots[0].id;
+  return index;
+}
+
+function writeSlotIndex(index, storage) {
+  (storage || localStorage).setItem(SLOT_INDEX_KEY, JSON.stringify(index));
+}
+
+// All slots with their metadata, in creation order.
+function listSlots(storage) {
+  return loadSlotIndex(storage).slots;
+}
+
+function getActiveSlotId(storage) {
+  return loadSlotIndex(storage).active;
+}
+
+function setActiveSlot(id, storage) {
+  const index = loadSlotIndex(storage);
+  if (!index.slots.some(slot => slot.id === id)) return false;
+  index.active = id;
+  writeSlotIndex(index, storage);
+  return true;
+}
+
+// Refresh a slot's metadata from the state just saved into it.
+function recordSlotMeta(id, state, storage) {
+  const index = loadSlotIndex(storage);
+  const slot = index.slots.find(s => s.id === id);
+  if (!slot) return;
+  slot.sectName = state.sectName || '';
+  slot.stage = state.stage || 0;
+  slot.subLayer = state.subLayer || 0;
+  slot.playtime = state.playtime || 0;
+  slot.lastSaved = state.lastSaveTime || Date.now();
+  writeSlotIndex(index, storage);
+}
+
+// Add an empty slot.  Returns the new slot.
+function createSlot(name, storage) {
+  const index = loadSlotIndex(storage);
+  let id = `s${Date.now().toString(36)}`;
+  while (index.slots.some(slot => slot.id === id)) id += 'x';
+  const slot = { id, name: name || `Slot ${index.slots.length + 1}` };
+  index.slots.push(slot);
+  writeSlotIndex(index, storage);
+  return slot;
+}
+
+// Copy a slot's save (not its backups) into a new slot.  Returns the new slot.
+function duplicateSlot(id, name, storage) {
+  storage = storage || localStorage;
+  const source = loadSlotIndex(storage).slots.find(s => s.id === id);
+  if (!source) return null;
+  const slot = createSlot(name || `${source.name} (copy)`, storage);
+  const text = storage.getItem(getSlotKey(id));
+  if (text !== null) storage.setItem(getSlotKey(slot.id), text);
+  const index = loadSlotIndex(storage);
+  Object.assign(index.slots.find(s => s.id === slot.id), {
+    sectName: source.sectName,
+    stage: source.stage,
+    subLayer: source.subLayer,
+    playtime: source.playtime,
+    lastSaved: source.lastSaved
+  });
+  writeSlotIndex(index, storage);
+  return slot;
+}
+
+function renameSlot(id, name, storage) {
+  const index = loadSlotIndex(storage);
+  const slot = index.slots.find(s => s.id === id);
+  if (!slot || !name) return false;
+  slot.name = name;
+  writeSlotIndex(index, storage);
+  return true;
+}
+
+// Remove a slot's save, backups and any kept-aside damaged save.  The slot
+// itself stays in the index.
+function clearSlot(id, storage) {
+  storage = storage || localStorage;
+  const key = getSlotKey(id);
+  listBackups(key, storage).forEach(b => storage.removeItem(b.key));
+  storage.removeItem(`${key}.corrupt`);
+  storage.removeItem(key);
+  delete lastBackupAt[key];
+}
+
+// Delete a slot entirely.  The active slot cannot be deleted.
+function deleteSlot(id, storage) {
+  const index = loadSlotIndex(storage);
+  if (id === index.active) return false;
+  const pos = index.slots.findIndex(s => s.id === id);
+  if (pos < 0) return false;
+  clearSlot(id, storage);
+  index.slots.splice(pos, 1);
+  writeSlotIndex(index, storage);
+  return true;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SAVE_VERSION,
+    saveMigrations,
+    migrateSave,
+    defaultSettings,
+    validateSave,
+    checksum,
+    serializeSave,
+    parseSave,
+    listBackups,
+    writeSave,
+    isQuotaError,
+    readSave,
+    findGoodBackup,
+    encodeShareCode,
+    decodeShareCode,
+    getSlotKey,
+    listSlots,
+    getActiveSlotId,
+    setActiveSlot,
+    recordSlotMeta,
+    createSlot,
+    duplicateSlot,
+    renameSlot,
+    clearSlot,
+    deleteSlot
+  };
+}
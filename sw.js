@@ -0,0 +1,143 @@
+/*
+ * Cultivation World - Service Worker
+ *
+ * Precaches the game shell, the content tables and every image the game
+ * shows so it can be installed and played fully offline.  Everything is
+ * served cache-first from a cache named after CACHE_VERSION; the Google
+ * Fonts stylesheet and font files are cached the first time they load.
+ *
+ * The shell and content tables must all be cached for the game to run, so
+ * the install fails if one of them cannot be fetched.  Images are cached one
+ * by one and a missing image is skipped, so a deployment without some of the
+ * art still installs and plays offline.
+ *
+ * Icons named after upgrades, research and techniques are listed from the
+ * content tables; other images go in PRECACHE_IMAGES.
+ *
+ * Releasing: bump CACHE_VERSION whenever a precached file changes.
+ * tests/service-worker.test.js fails until it is bumped and the new digest
+ * of the precached files is recorded in tests/fixtures/sw-precache.json.  The
+ * browser then installs the new worker next to the running one and main.js
+ * shows an "update available" prompt; reloading from it activates the new
+ * cache and removes the old ones.
+ */
+
+const CACHE_VERSION = 'cw-v15';
+const CACHE_NAME = `cultivation-world-${CACHE_VERSION}`;
+const FONT_CACHE = 'cultivation-world-fonts';
+
+const PRECACHE_URLS = [
+  // Game shell
+  './',
+  'index.html',
+  'style.min.css',
+  'i18n.js',
+  'core.js',
+  'save.js',
+  'main.js',
+  'manifest.webmanifest',
+  'meditation.svg',
+  // Content tables (see contentFiles in core.js)
+  'content/artifacts.json',
+  'content/buildings.json',
+  'content/elixirs.json',
+  'content/expeditions.json',
+  'content/relics.json',
+  'content/research.json',
+  'content/skills.json',
+  'content/story.json',
+  'content/upgrades.json'
+];
+
+// Images that are not named after content: backgrounds (including the hall
+// backgrounds set by showScreen()), disciple avatars (discipleAvatars in
+// core.js) and the recruit icon.
+const PRECACHE_IMAGES = [
+  'background.png',
+  'sect_background.png',
+  'bg1.png',
+  'bg2.png',
+  'bg3.png',
+  'bg4.png',
+  'bg5.png',
+  'dao_hall.png',
+  'forging_hall.png',
+  'management_hall.png',
+  'avatar1.png',
+  'avatar2.png',
+  'avatar3.png',
+  'avatar4.png',
+  'avatar5.png',
+  'avatar6.png',
+  'avatar7.png',
+  'avatar8.png',
+  'avatar9.png',
+  'avatar10.png',
+  'avatar11.png',
+  'avatar12.png',
+  'avatar13.png',
+  'avatar14.png',
+  'disciples.svg'
+];
+
+// Content tables whose entries are drawn with an icon named after their id.
+const ICON_TABLES = ['content/upgrades.json', 'content/research.json', 'content/skills.json'];
+
+// `${id}.svg` for every entry of ICON_TABLES, read from the cache.
+function contentIcons(cache) {
+  return Promise.all(ICON_TABLES.map(url => cache.match(url).then(response => response.json())))
+    .then(tables => tables.reduce((all, table) => all.concat(table.map(def => `${def.id}.svg`)), []));
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS)
+    .then(() => contentIcons(cache))
+    .then(icons => Promise.all(PRECACHE_IMAGES.concat(icons).map(url => cache.add(url).catch(() => {
+      console.warn(`Not precached: ${url}`);
+    }))))));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key.startsWith('cultivation-world-') && key !== CACHE_NAME && key !== FONT_CACHE)
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+// The page asks a waiting worker to take over when the player accepts the
+// update prompt.
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(caches.open(CACHE_NAME).then(cache =>
+      // Query strings (cache busting) do not change the file served.
+      cache.match(request, { ignoreSearch: true }).then(hit => {
+        if (hit) return hit;
+        if (request.mode === 'navigate') return cache.match('index.html').then(page => page || fetch(request));
+        return fetch(request);
+      })));
+  } else if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
+    event.respondWith(caches.open(FONT_CACHE).then(cache =>
+      cache.match(request).then(hit => hit || fetch(request).then(response => {
+        cache.put(request, response.clone());
+        return response;
+      }))));
+  }
+});
+
+// Desktop notifications shown through the worker (see showDesktopNotification()
+// in main.js) focus the game when clicked.
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  event.waitUntil(self.clients.matchAll({ type: 'window' }).then(windows => {
+    if (windows.length) return windows[0].focus();
+    return self.clients.openWindow('./');
+  }));
+});
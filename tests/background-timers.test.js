@@ -0,0 +1,54 @@
+// Hidden-tab timer checks.  Run with:  node --test tests/
+//
+// main.js stops its tick loop while the page is hidden and relies on
+// tickAtTimerEnds() to wake for finished timers; the completion events it
+// fires are what raise the desktop notifications.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const core = require('../core.js');
+
+const T0 = 1760000000000;
+
+test('a hidden tab wakes when a pending expedition returns', t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: T0 });
+  core.resetState();
+  const game = core.game;
+  game.lastTick = T0;
+  core.recalcProduction();
+  game.activeExpeditions = {
+    herb: { type: 'herb', endTime: T0 + 60000, reward: { herbs: 10, spiritStones: 0, beasts: 0 }, party: [] }
+  };
+  const returned = [];
+  const onReturn = e => returned.push(e);
+  core.engine.on('expedition.completed', onReturn);
+  const stop = core.tickAtTimerEnds();
+  try {
+    t.mock.timers.tick(59000);
+    assert.strictEqual(returned.length, 0);
+    t.mock.timers.tick(1000);
+    assert.strictEqual(returned.length, 1);
+    assert.strictEqual(returned[0].type, 'herb');
+    assert.deepStrictEqual(game.activeExpeditions, {});
+    assert.strictEqual(game.lastTick, T0 + 60000);
+  } finally {
+    stop();
+    core.engine.off('expedition.completed', onReturn);
+  }
+});
+
+test('no tick runs once waking is stopped', t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: T0 });
+  core.resetState();
+  const game = core.game;
+  game.lastTick = T0;
+  game.forgingQueue = [{ id: 'f1', artifactId: core.artifactDefs[0].id, endTime: T0 + 5000, duration: 5 }];
+  const ticks = [];
+  const onTick = () => ticks.push(Date.now());
+  core.engine.on('tick', onTick);
+  const stop = core.tickAtTimerEnds();
+  stop();
+  t.mock.timers.tick(10000);
+  assert.deepStrictEqual(ticks, []);
+  core.engine.off('tick', onTick);
+});
@@ -0,0 +1,75 @@
+// BigNum checks.  Run with:  node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { BigNum } = require('../core.js');
+
+const parts = n => [n.m, n.e];
+
+test('values are normalised to a mantissa in [1, 10)', () => {
+  assert.deepStrictEqual(parts(new BigNum(1234, 0)), [1.234, 3]);
+  assert.deepStrictEqual(parts(new BigNum(0.05, 2)), [5, 0]);
+  assert.deepStrictEqual(parts(new BigNum(-250, 1)), [-2.5, 3]);
+  assert.deepStrictEqual(parts(new BigNum(0, 7)), [0, 0]);
+  assert.deepStrictEqual(parts(new BigNum(NaN, 0)), [0, 0]);
+});
+
+test('from() reads numbers, save strings and {m, e} objects', () => {
+  assert.deepStrictEqual(parts(BigNum.from(500)), [5, 2]);
+  assert.deepStrictEqual(parts(BigNum.from('1.5e400')), [1.5, 400]);
+  assert.deepStrictEqual(parts(BigNum.from('42')), [4.2, 1]);
+  assert.deepStrictEqual(parts(BigNum.from({ m: 2, e: 500 })), [2, 500]);
+  assert.deepStrictEqual(parts(BigNum.from(null)), [0, 0]);
+  assert.deepStrictEqual(parts(BigNum.from('junk')), [0, 0]);
+  const n = BigNum.from(7);
+  assert.strictEqual(BigNum.from(n), n);
+});
+
+test('a save string round-trips through toJSON()', () => {
+  ['3.25e1000', '-1e-5', '0e0', '9.99e308'].forEach(text => {
+    const n = BigNum.from(text);
+    assert.strictEqual(JSON.stringify({ qi: n }), `{"qi":"${n.toString()}"}`);
+    assert.ok(BigNum.from(JSON.parse(JSON.stringify(n))).eq(n));
+  });
+});
+
+test('arithmetic past the range of a double', () => {
+  const big = BigNum.from('5e400');
+  assert.deepStrictEqual(parts(big.add('5e400')), [1, 401]);
+  assert.deepStrictEqual(parts(big.sub('4e400')), [1, 400]);
+  assert.deepStrictEqual(parts(big.mul('3e300')), [1.5, 701]);
+  assert.deepStrictEqual(parts(big.div('2e100')), [2.5, 300]);
+  assert.deepStrictEqual(parts(big.div(0)), [0, 0]);
+  assert.ok(Math.abs(BigNum.from(10).pow(500).log10() - 500) < 1e-9);
+  assert.strictEqual(big.toNumber(), Infinity);
+  assert.strictEqual(big.neg().toNumber(), -Infinity);
+  // A term more than 17 orders of magnitude smaller does not change the sum.
+  assert.strictEqual(big.add(1), big);
+});
+
+test('comparisons follow sign and magnitude', () => {
+  const values = ['-1e500', '-2', '0', '3e-10', '1', '1e308', '1e309', '2e309'].map(BigNum.from);
+  for (let i = 0; i < values.length; i++) {
+    for (let j = 0; j < values.length; j++) {
+      assert.strictEqual(values[i].cmp(values[j]), Math.sign(i - j), `${values[i]} vs ${values[j]}`);
+    }
+  }
+  assert.ok(BigNum.max('1e400', 5).eq('1e400'));
+  assert.ok(BigNum.min('1e400', 5).eq(5));
+});
+
+test('floor() and fromLog10()', () => {
+  assert.strictEqual(BigNum.from(12.75).floor().toNumber(), 12);
+  const huge = BigNum.from('1.23456e40');
+  assert.strictEqual(huge.floor(), huge);
+  assert.deepStrictEqual(parts(BigNum.fromLog10(3)), [1, 3]);
+  assert.strictEqual(BigNum.fromLog10(-Infinity).toNumber(), 0);
+  assert.ok(BigNum.fromLog10(Infinity).gt('1e1000000'));
+});
+
+test('valueOf() keeps plain-number code working in range', () => {
+  const n = BigNum.from(250);
+  assert.strictEqual(n + 1, 251);
+  assert.ok(n > 100);
+  assert.strictEqual(Math.max(n, 300), 300);
+});
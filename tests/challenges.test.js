@@ -0,0 +1,119 @@
+// Challenge run checks.  Run with:  node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const core = require('../core.js');
+
+const T0 = 1760000000000;
+
+function freshGame() {
+  core.resetState();
+  core.game.lastTick = T0;
+  core.recalcProduction();
+  return core.game;
+}
+
+test('a challenge clock counts hidden-tab catch-up and offline time', () => {
+  const game = freshGame();
+  core.startChallenge('noDisciples');
+  core.tick(T0 + 1000);
+  // An hour in a hidden tab, caught up by the next tick.
+  core.tick(T0 + 1000 + 3600 * 1000);
+  // Two hours with the game closed.
+  const closedAt = game.lastTick;
+  core.simulateOffline(closedAt, closedAt + 7200 * 1000);
+  assert.strictEqual(game.challenges.active.seconds, 1 + 3600 + 7200);
+  // Playtime still leaves the catch-up out.
+  assert.strictEqual(game.playtime, 1 + 5);
+  core.abandonChallenge();
+});
+
+test('Half Offline Gains also halves what a hidden tab catches up', () => {
+  const gainOverHiddenHour = () => {
+    const game = core.game;
+    const before = game.qi.toNumber();
+    core.tick(game.lastTick + 3600 * 1000);
+    return game.qi.toNumber() - before;
+  };
+  const game = freshGame();
+  const perSec = game.finalQiPerSec.toNumber();
+  assert.ok(Math.abs(gainOverHiddenHour() - perSec * 3600) < 1e-6);
+  core.startChallenge('halfOffline');
+  assert.strictEqual(game.finalQiPerSec.toNumber(), perSec);
+  // The last five seconds count as live play and pay in full.
+  assert.ok(Math.abs(gainOverHiddenHour() - perSec * (3595 * 0.5 + 5)) < 1e-6);
+  core.abandonChallenge();
+});
+
+// A main run with progress, points to spend and work under way.
+function mainRun() {
+  const game = freshGame();
+  const now = Date.now();
+  game.qi = core.BigNum.from(500);
+  game.stage = 2;
+  game.upgrades = { meditation: 3 };
+  game.herbs = 40;
+  game.ascensionPoints = 4;
+  game.ascensionPerks = {};
+  game.activeExpeditions = { herb: { type: 'herb', endTime: now + 60000, reward: { herbs: 10, spiritStones: 0, beasts: 0 }, party: [] } };
+  game.forgingQueue = [{ id: 'f1', artifactId: core.artifactDefs[0].id, endTime: now + 30000, duration: 30 }];
+  game.activeElixirs = [{ id: core.elixirDefs[0].id, expiresAt: now + 20000 }];
+  game.elixirInventory = { [core.elixirDefs[0].id]: 2 };
+  core.recalcProduction();
+  return game;
+}
+
+// What the challenge run changes before it ends.
+function playChallenge(game) {
+  assert.strictEqual(game.stage, 0);
+  assert.deepStrictEqual(game.upgrades, {});
+  assert.deepStrictEqual(game.activeExpeditions, {});
+  assert.deepStrictEqual(game.forgingQueue, []);
+  assert.deepStrictEqual(game.activeElixirs, []);
+  assert.deepStrictEqual(game.elixirInventory, {});
+  game.upgrades = { meditation: 10 };
+  game.ascensionPoints += 6;
+  game.ascensionPerks = { qiMastery: 1 };
+  game.elixirInventory = { [core.elixirDefs[0].id]: 5 };
+}
+
+function assertMainRunBack(game, start, away) {
+  assert.strictEqual(game.qi.toNumber(), 500);
+  assert.strictEqual(game.stage, 2);
+  assert.deepStrictEqual(game.upgrades, { meditation: 3 });
+  assert.strictEqual(game.herbs, 40);
+  assert.strictEqual(game.ascensionPoints, 4);
+  assert.deepStrictEqual(game.ascensionPerks, {});
+  assert.deepStrictEqual(game.elixirInventory, { [core.elixirDefs[0].id]: 2 });
+  // Timers were paused while the run was set aside.
+  assert.strictEqual(game.activeExpeditions.herb.endTime, start + 60000 + away);
+  assert.strictEqual(game.forgingQueue[0].endTime, start + 30000 + away);
+  assert.strictEqual(game.activeElixirs[0].expiresAt, start + 20000 + away);
+}
+
+test('abandoning a challenge restores the run set aside', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: T0 });
+  const game = mainRun();
+  core.startChallenge('costlyUpgrades');
+  playChallenge(game);
+  t.mock.timers.tick(600000);
+  core.abandonChallenge();
+  assert.strictEqual(game.challenges.active, null);
+  assert.ok(!game.challenges.completed.costlyUpgrades);
+  assertMainRunBack(game, T0, 600000);
+});
+
+test('completing a challenge records it and restores the run set aside', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: T0 });
+  const game = mainRun();
+  core.startChallenge('noDisciples');
+  playChallenge(game);
+  game.challenges.active.seconds = 321;
+  t.mock.timers.tick(900000);
+  game.stage = core.challengeDefs.find(c => c.id === 'noDisciples').targetStage;
+  core.checkChallengeGoal();
+  assert.strictEqual(game.challenges.active, null);
+  assert.strictEqual(game.challenges.completed.noDisciples, 1);
+  assert.strictEqual(game.challenges.best.noDisciples[0].seconds, 321);
+  assertMainRunBack(game, T0, 900000);
+});
@@ -0,0 +1,44 @@
+// Headless core checks.  Run with:  node --test tests/
+//
+// core.js is loaded here without a browser: there is no window or document,
+// and everything the simulation reports arrives through core.engine.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const core = require('../core.js');
+
+const T0 = 1760000000000;
+
+test('the core loads and runs without a DOM', () => {
+  assert.strictEqual(typeof window, 'undefined');
+  assert.strictEqual(typeof document, 'undefined');
+  core.resetState();
+  core.game.lastTick = T0;
+  core.recalcProduction();
+  core.tick(T0 + 10 * 1000);
+  assert.ok(core.game.qi.gt(0));
+});
+
+test('purchases report through engine events and toasts', () => {
+  core.resetState();
+  core.recalcProduction();
+  const game = core.game;
+  const perSecBefore = game.finalQiPerSec.toNumber();
+  const seen = [];
+  const offPurchase = core.engine.on('upgrade.purchased', e => seen.push(['upgrade.purchased', e.id, e.level]));
+  const offToast = core.engine.on('toast', e => seen.push(['toast', e.message, e.severity]));
+  try {
+    core.buyUpgrade('meditation', 1);
+    assert.deepStrictEqual(seen, [['toast', 'Not enough Qi', 'warning']]);
+    seen.length = 0;
+    game.qi = core.BigNum.from(1e6);
+    core.buyUpgrade('meditation', 5);
+    assert.deepStrictEqual(seen, [['upgrade.purchased', 'meditation', 5]]);
+  } finally {
+    offPurchase();
+    offToast();
+  }
+  assert.strictEqual(game.upgrades.meditation, 5);
+  assert.ok(game.qi.lt(1e6));
+  assert.ok(game.finalQiPerSec.toNumber() > perSecBefore);
+});
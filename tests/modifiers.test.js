@@ -0,0 +1,63 @@
+// Modifier registry checks.  Run with:  node --test tests/
+//
+// The expected values were computed by recalcProduction() as it was before
+// the modifier registry, where each upgrade, research and technique changed
+// game.qiPerTap in turn and the testing multiplier was applied on tap.  The
+// registry must give the same Qi per tap.
+
+//
+// fixtures/baseline-qi-per-tap.json holds random realms, upgrade, research
+// and technique levels with the Qi per tap (times the testing tap
+// multiplier) that the baseline build's recalcProduction() gave for each.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const core = require('../core.js');
+const baselineTaps = require('./fixtures/baseline-qi-per-tap.json');
+
+const legacyTapValues = [
+  { upgrades: {}, cosmicAlignment: 0, swordplay: 0, tapMult: 1, qiPerTap: 1 },
+  { upgrades: { breathing: 3, meditationFocus: 2 }, cosmicAlignment: 0, swordplay: 4, tapMult: 1, qiPerTap: 261 },
+  { upgrades: { breathing: 3, meditationFocus: 2 }, cosmicAlignment: 5, swordplay: 0, tapMult: 1, qiPerTap: 67.3489289952 },
+  { upgrades: { breathing: 3, meditationFocus: 2 }, cosmicAlignment: 5, swordplay: 4, tapMult: 1, qiPerTap: 267.3489289952 },
+  { upgrades: { breathing: 10, meditationFocus: 8, cosmicBreath: 4, manaPool: 2 }, cosmicAlignment: 12, swordplay: 9, tapMult: 1, qiPerTap: 1389.7671697708465 },
+  { upgrades: { breathing: 10, meditationFocus: 8, cosmicBreath: 4, manaPool: 2 }, cosmicAlignment: 12, swordplay: 9, tapMult: 3, qiPerTap: 4169.30150931254 }
+];
+
+test('Qi per tap matches the values from before the modifier registry', () => {
+  legacyTapValues.forEach(c => {
+    core.game.upgrades = Object.assign({}, c.upgrades);
+    core.game.research = { cosmicAlignment: c.cosmicAlignment };
+    core.game.swordplayLevel = c.swordplay;
+    core.game.qiPerTapMult = c.tapMult;
+    core.recalcProduction();
+    const label = JSON.stringify(c);
+    assert.ok(Math.abs(core.game.qiPerTap - c.qiPerTap) < 1e-9 * c.qiPerTap, `${label}: got ${core.game.qiPerTap}`);
+    assert.ok(Math.abs(core.getModifierBreakdown().qiPerTap.value - c.qiPerTap) < 1e-9 * c.qiPerTap, `${label}: breakdown`);
+  });
+});
+
+test('Qi per tap matches the baseline build for every recorded combination', () => {
+  baselineTaps.forEach((c, i) => {
+    core.game.stage = c.stage;
+    core.game.upgrades = Object.assign({}, c.upgrades);
+    core.game.research = Object.assign({}, c.research);
+    core.skillDefs.forEach(def => { core.game[def.id + 'Level'] = c.skills[def.id] || 0; });
+    core.game.qiPerTapMult = c.tapMult;
+    core.recalcProduction();
+    assert.ok(Math.abs(core.game.qiPerTap - c.qiPerTap) <= 1e-9 * Math.max(1, c.qiPerTap), `combination ${i}: expected ${c.qiPerTap}, got ${core.game.qiPerTap}`);
+  });
+  core.skillDefs.forEach(def => { core.game[def.id + 'Level'] = 0; });
+});
+
+test('a later-stage addition is not raised by earlier multipliers', () => {
+  const list = [
+    { stat: 'qiPerTap', kind: 'add', value: 10 },
+    { stat: 'qiPerTap', kind: 'mult', value: 2 },
+    { stat: 'qiPerTap', kind: 'add', value: 5, stage: 1 },
+    { stat: 'qiPerTap', kind: 'mult', value: 3, stage: 1 },
+    { stat: 'qiPerTap', kind: 'flat', value: 1 }
+  ];
+  assert.strictEqual(core.getStatValue('qiPerTap', list).toNumber(), (10 * 2 + 5) * 3 + 1);
+  assert.strictEqual(core.getStatValue('qiPerTap', list.filter(m => !m.stage)).toNumber(), 10 * 2 + 1);
+});
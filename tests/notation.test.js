@@ -0,0 +1,64 @@
+// Number notation checks.  Run with:  node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const core = require('../core.js');
+
+// Format `n` with the given notation settings.
+function format(n, settings) {
+  core.resetState();
+  Object.assign(core.game.settings, settings);
+  return core.formatNumber(n);
+}
+
+test('small values print plainly in every notation', () => {
+  core.numberNotations.filter(notation => notation !== 'full').forEach(notation => {
+    assert.strictEqual(format(0, { notation }), '0');
+    assert.strictEqual(format(999, { notation }), '999');
+    assert.strictEqual(format(12.345, { notation }), '12.35');
+  });
+});
+
+test('each notation formats a million', () => {
+  const million = { standard: '1.23M', scientific: '1.23e6', engineering: '1.23e6', letters: '1.23ab', full: '1,234,567' };
+  Object.keys(million).forEach(notation => {
+    assert.strictEqual(format(1234567, { notation, language: 'en' }), million[notation], notation);
+  });
+  assert.strictEqual(format(12345678, { notation: 'engineering' }), '12.35e6');
+});
+
+test('standard notation runs to decillions, then turns scientific', () => {
+  assert.strictEqual(format(1500, { notation: 'standard' }), '1.50K');
+  assert.strictEqual(format(2e15, { notation: 'standard' }), '2.00Qa');
+  assert.strictEqual(format(3e33, { notation: 'standard' }), '3.00De');
+  assert.strictEqual(format(4e36, { notation: 'standard' }), '4.00e36');
+});
+
+test('letters go aa … zz, then aaa', () => {
+  assert.strictEqual(format(1e3, { notation: 'letters' }), '1.00aa');
+  assert.strictEqual(format(1e6, { notation: 'letters' }), '1.00ab');
+  assert.strictEqual(format(core.BigNum.from(`1e${676 * 3}`), { notation: 'letters' }), '1.00zz');
+  assert.strictEqual(format(core.BigNum.from(`1e${677 * 3}`), { notation: 'letters' }), '1.00aaa');
+});
+
+test('values past a double still format', () => {
+  const qi = core.BigNum.from('4.56e1000');
+  assert.strictEqual(format(qi, { notation: 'scientific' }), '4.56e1000');
+  assert.strictEqual(format(qi, { notation: 'engineering' }), '45.60e999');
+  assert.strictEqual(format(qi, { notation: 'standard' }), '4.56e1000');
+  // Full notation cannot spell it out and falls back to scientific.
+  assert.strictEqual(format(qi, { notation: 'full' }), '4.56e1000');
+});
+
+test('rounding carries into the next unit', () => {
+  assert.strictEqual(format(999999, { notation: 'standard' }), '1.00M');
+  assert.strictEqual(format(9.999e9, { notation: 'scientific' }), '1.00e10');
+  assert.strictEqual(format(999999, { notation: 'engineering' }), '1.00e6');
+});
+
+test('precision is clamped to 0–6 places and unknown notations fall back to standard', () => {
+  assert.strictEqual(format(1234567, { notation: 'scientific', notationPrecision: 0 }), '1e6');
+  assert.strictEqual(format(1234567, { notation: 'scientific', notationPrecision: 4 }), '1.2346e6');
+  assert.strictEqual(format(1234567, { notation: 'scientific', notationPrecision: 9 }), '1.234567e6');
+  assert.strictEqual(format(1234567, { notation: 'roman' }), '1.23M');
+});
@@ -0,0 +1,90 @@
+// Offline simulation checks.  Run with:  node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const core = require('../core.js');
+
+const T0 = 1760000000000;
+const HOUR = 3600 * 1000;
+
+function freshGame() {
+  core.resetState();
+  core.game.lastTick = T0;
+  core.recalcProduction();
+  // A cap out of the way unless a test sets one.
+  core.game.dantianCap = core.BigNum.from('1e300');
+  return core.game;
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)), `${actual} != ${expected}`);
+
+test('time away pays the rates for every second of it', () => {
+  const game = freshGame();
+  const perSec = game.finalQiPerSec.toNumber();
+  const report = core.simulateOffline(T0, T0 + HOUR);
+  assert.strictEqual(report.seconds, 3600);
+  close(report.production.qi, perSec * 3600 * report.offlineMult);
+  close(game.qi.toNumber(), report.production.qi);
+  const bySource = report.bySource.qi;
+  close(bySource.base + bySource.buildings + bySource.disciples, report.production.qi);
+  assert.strictEqual(report.qiLost, 0);
+});
+
+test('an elixir wearing off partway stops boosting from then on', () => {
+  const game = freshGame();
+  const perSec = game.finalQiPerSec.toNumber();
+  const qiDraft = core.elixirDefs.find(d => d.id === 'qiDraft');
+  game.activeElixirs = [{ id: qiDraft.id, expiresAt: T0 + 600 * 1000 }];
+  const report = core.simulateOffline(T0, T0 + HOUR);
+  close(report.production.qi, perSec * (600 * 1.25 + 3000) * report.offlineMult);
+  assert.deepStrictEqual(game.activeElixirs, []);
+});
+
+test('forges, brews and expeditions finish while away and are reported', () => {
+  const game = freshGame();
+  game.rngState = 1;
+  const artifactId = core.artifactDefs[0].id;
+  const elixirId = core.elixirDefs[0].id;
+  game.forgingQueue = [{ id: 'f1', artifactId, endTime: T0 + 600 * 1000, duration: 600 }];
+  game.elixirQueue = [{ id: elixirId, endTime: T0 + 900 * 1000 }];
+  game.activeExpeditions = {
+    herb: { type: 'herb', endTime: T0 + 1200 * 1000, reward: { herbs: 10, spiritStones: 0, beasts: 0 }, party: [] }
+  };
+  const herbsBefore = game.herbs;
+  const report = core.simulateOffline(T0, T0 + HOUR);
+  assert.deepStrictEqual(report.forged, [artifactId]);
+  assert.deepStrictEqual(report.brewed, [elixirId]);
+  assert.deepStrictEqual(report.expeditions.map(e => e.type), ['herb']);
+  assert.deepStrictEqual(game.forgingQueue, []);
+  assert.strictEqual(game.elixirInventory[elixirId], 1);
+  assert.deepStrictEqual(game.activeExpeditions, {});
+  close(game.herbs - herbsBefore, report.production.herbs + report.expeditionRewards.herbs);
+});
+
+test('Qi stops at the dantian cap and the excess is reported lost', () => {
+  const game = freshGame();
+  const perSec = game.finalQiPerSec.toNumber();
+  game.dantianCap = core.BigNum.from(perSec * 1000);
+  const report = core.simulateOffline(T0, T0 + HOUR);
+  close(game.qi.toNumber(), perSec * 1000);
+  close(report.production.qi, perSec * 1000);
+  close(report.qiLost, perSec * 3600 * report.offlineMult - perSec * 1000);
+});
+
+test('the replay fires game events but holds back toasts', () => {
+  const game = freshGame();
+  const artifactId = core.artifactDefs[0].id;
+  game.forgingQueue = [{ id: 'f1', artifactId, endTime: T0 + 600 * 1000, duration: 600 }];
+  const seen = [];
+  const onToast = e => seen.push(['toast', e.message]);
+  const onForged = e => seen.push(['artifact.forged', e.artifactId]);
+  core.engine.on('toast', onToast);
+  core.engine.on('artifact.forged', onForged);
+  try {
+    core.simulateOffline(T0, T0 + HOUR);
+  } finally {
+    core.engine.off('toast', onToast);
+    core.engine.off('artifact.forged', onForged);
+  }
+  assert.deepStrictEqual(seen, [['artifact.forged', artifactId]]);
+});
@@ -0,0 +1,132 @@
+// Save checksum and backup checks.  Run with:  node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const save = require('../save.js');
+const core = require('../core.js');
+
+const T0 = 1760000000000;
+const MINUTE = 60 * 1000;
+
+// In-memory stand-in for localStorage.  With `quota` set, a write that would
+// take the stored text past that many characters throws like a full browser
+// storage does.
+function memoryStorage(quota) {
+  const items = new Map();
+  const used = () => [...items.values()].reduce((sum, text) => sum + text.length, 0);
+  return {
+    get length() { return items.size; },
+    key: i => [...items.keys()][i] ?? null,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      const text = String(value);
+      if (quota && used() - (items.get(key) || '').length + text.length > quota) {
+        const e = new Error('The quota has been exceeded.');
+        e.name = 'QuotaExceededError';
+        throw e;
+      }
+      items.set(key, text);
+    },
+    removeItem: key => { items.delete(key); }
+  };
+}
+
+function freshGame() {
+  core.resetState();
+  return core.game;
+}
+
+// Save keys are unique per test: writeSave() remembers when it last took a
+// backup of each key.
+let keyCount = 0;
+const nextKey = () => `test-save-${++keyCount}`;
+
+test('a saved game reads back unchanged', () => {
+  const storage = memoryStorage();
+  const key = nextKey();
+  const game = freshGame();
+  game.herbs = 123;
+  game.qi = core.BigNum.from('7e400');
+  save.writeSave(key, game, storage);
+  const result = save.readSave(key, storage);
+  assert.strictEqual(result.error, undefined);
+  assert.strictEqual(result.data.herbs, 123);
+  assert.strictEqual(result.data.qi, '7e400');
+  assert.deepStrictEqual(save.readSave(nextKey(), storage), { empty: true });
+});
+
+test('a corrupted or truncated save fails its checksum', () => {
+  const text = save.serializeSave(freshGame());
+  assert.ok(save.parseSave(text).data);
+  assert.strictEqual(save.parseSave(text.replace('"herbs":0', '"herbs":9')).error, 'checksum mismatch');
+  assert.strictEqual(save.parseSave(text.slice(0, -20)).error, 'save is not valid JSON');
+  assert.strictEqual(save.parseSave('').error, 'no save data');
+});
+
+test('a save that parses but is invalid is rejected', () => {
+  const game = JSON.parse(JSON.stringify(freshGame()));
+  game.stage = -1;
+  game.upgrades = [];
+  const result = save.parseSave(save.serializeSave(game));
+  assert.match(result.error, /upgrades is not an object/);
+  assert.match(result.error, /stage is out of range/);
+});
+
+test('backups roll every ten minutes and keep the newest five', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: T0 });
+  const storage = memoryStorage();
+  const key = nextKey();
+  const game = freshGame();
+  save.writeSave(key, game, storage);
+  save.writeSave(key, game, storage);
+  assert.deepStrictEqual(save.listBackups(key, storage).map(b => b.time), [T0]);
+  for (let i = 1; i <= 7; i++) {
+    t.mock.timers.tick(10 * MINUTE);
+    save.writeSave(key, game, storage);
+  }
+  assert.deepStrictEqual(save.listBackups(key, storage).map(b => b.time),
+    [7, 6, 5, 4, 3].map(i => T0 + i * 10 * MINUTE));
+});
+
+test('the newest backup that still parses is offered after a bad save', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: T0 });
+  const storage = memoryStorage();
+  const key = nextKey();
+  const game = freshGame();
+  game.herbs = 1;
+  save.writeSave(key, game, storage);
+  t.mock.timers.tick(10 * MINUTE);
+  game.herbs = 2;
+  save.writeSave(key, game, storage);
+  // The latest backup and the save itself are damaged.
+  storage.setItem(`${key}.backup.${T0 + 10 * MINUTE}`, '{"checksum":"00000000","data":{}}');
+  storage.setItem(key, storage.getItem(key).slice(0, 50));
+  assert.ok(save.readSave(key, storage).error);
+  const backup = save.findGoodBackup(key, storage);
+  assert.strictEqual(backup.time, T0);
+  assert.strictEqual(backup.data.herbs, 1);
+  assert.strictEqual(save.findGoodBackup(nextKey(), storage), null);
+});
+
+test('a full storage gives up the backups to keep the save', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: T0 });
+  const game = freshGame();
+  const size = save.serializeSave(game).length;
+  const storage = memoryStorage(size * 3);
+  const key = nextKey();
+  save.writeSave(key, game, storage);
+  t.mock.timers.tick(10 * MINUTE);
+  save.writeSave(key, game, storage);
+  assert.strictEqual(save.listBackups(key, storage).length, 2);
+  game.herbs = 5;
+  game.story = { choices: {}, filler: 'x'.repeat(size) };
+  save.writeSave(key, game, storage);
+  assert.strictEqual(save.readSave(key, storage).data.herbs, 5);
+  assert.deepStrictEqual(save.listBackups(key, storage), []);
+});
+
+test('a save too big even without backups still throws', () => {
+  const game = freshGame();
+  const storage = memoryStorage(100);
+  assert.throws(() => save.writeSave(nextKey(), game, storage), e => save.isQuotaError(e));
+});
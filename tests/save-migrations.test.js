@@ -0,0 +1,105 @@
+// Save migration checks.  Run with:  node --test tests/
+//
+// fixtures/baseline-v3-save.json was written by the last build before the
+// migration registry; every save from that build carries saveVersion 3.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { SAVE_VERSION, parseSave, serializeSave } = require('../save.js');
+const core = require('../core.js');
+
+const baselineText = fs.readFileSync(path.join(__dirname, 'fixtures', 'baseline-v3-save.json'), 'utf8');
+
+function baselineSave() {
+  return JSON.parse(baselineText);
+}
+
+// Load parsed save data into core's game the way loadGame() does and run a
+// second of simulation.
+function loadIntoCore(data) {
+  Object.assign(core.game, data);
+  core.reviveBigNums();
+  core.recalcProduction();
+  core.game.lastTick = Date.now() - 1000;
+  core.tick();
+  return core.game;
+}
+
+test('a baseline v3 save loads and reaches the current version', () => {
+  const result = parseSave(baselineText);
+  assert.strictEqual(result.error, undefined);
+  const data = result.data;
+  assert.strictEqual(data.saveVersion, SAVE_VERSION);
+  assert.strictEqual(Number(data.qi), 500);
+  assert.strictEqual(data.herbs, 40);
+  assert.deepStrictEqual(data.upgrades, { meditation: 3 });
+  assert.deepStrictEqual(data.forgingMults, { qi: 1, herbs: 1, spiritStones: 1, beasts: 1 });
+  assert.deepStrictEqual(data.challenges, { active: null, completed: {}, best: {} });
+  assert.strictEqual(data.settings.breakthroughRisk, false);
+
+  const game = loadIntoCore(data);
+  assert.ok(game.qi.gt(500), 'Qi grows after a tick');
+  assert.ok(isFinite(game.qiPerSec) && game.qiPerSec > 0);
+  assert.strictEqual(game.upgrades.meditation, 3);
+});
+
+test('a v3 save still gets the fix-ups the baseline loadGame applied', () => {
+  const data = baselineSave();
+  data.activeExpedition = { type: 'herb', endTime: 1760000060000 };
+  data.forgingBuffMult = 1.5;
+  delete data.forgingMults;
+  delete data.forgingQueue;
+  delete data.forgingRiskMult;
+  delete data.qiPerTapMult;
+  data.settings = { theme: 'light' };
+
+  const result = parseSave(JSON.stringify(data));
+  assert.strictEqual(result.error, undefined);
+  const migrated = result.data;
+  assert.deepStrictEqual(migrated.activeExpeditions.herb, { type: 'herb', endTime: 1760000060000 });
+  assert.ok(!('activeExpedition' in migrated));
+  assert.deepStrictEqual(migrated.forgingMults, { qi: 1.5, herbs: 1, spiritStones: 1, beasts: 1 });
+  assert.deepStrictEqual(migrated.forgingQueue, []);
+  assert.strictEqual(migrated.forgingRiskMult, 1);
+  assert.strictEqual(migrated.qiPerTapMult, 1);
+  assert.strictEqual(migrated.settings.theme, 'light');
+  assert.strictEqual(migrated.settings.sectTab, 'management');
+  assert.strictEqual(migrated.settings.notation, 'standard');
+});
+
+test('a save from before saveVersion existed is upgraded', () => {
+  const data = baselineSave();
+  delete data.saveVersion;
+  delete data.dantianMult;
+  delete data.forgingMults;
+  delete data.activeExpeditions;
+  delete data.settings;
+  delete data.story;
+  data.activeExpedition = { type: 'stone', endTime: 0 };
+  // 10× the cost of the next breakthrough at stage 0, layer 1 (100) is the
+  // base cap, so a cap of 2000 means a ×2 multiplier.
+  data.dantianCap = 2000;
+
+  const result = parseSave(JSON.stringify(data));
+  assert.strictEqual(result.error, undefined);
+  const migrated = result.data;
+  assert.strictEqual(migrated.saveVersion, SAVE_VERSION);
+  assert.strictEqual(migrated.dantianMult, 2);
+  assert.deepStrictEqual(migrated.activeExpeditions, { stone: { type: 'stone', endTime: 0 } });
+  assert.deepStrictEqual(migrated.story, { choices: {} });
+  assert.strictEqual(migrated.settings.sectTab, 'management');
+
+  const game = loadIntoCore(migrated);
+  assert.ok(isFinite(game.qiPerSec) && game.qiPerSec > 0);
+});
+
+test('a current save round-trips without being migrated again', () => {
+  const data = parseSave(baselineText).data;
+  data.dantianMult = 3;
+  const again = parseSave(serializeSave(data));
+  assert.strictEqual(again.error, undefined);
+  assert.strictEqual(again.data.saveVersion, SAVE_VERSION);
+  assert.strictEqual(again.data.dantianMult, 3);
+});
@@ -0,0 +1,76 @@
+// Service worker checks.  Run with:  node --test tests/
+//
+// sw.js runs here against a stand-in for the Cache API that serves the files
+// on disk.  fixtures/sw-precache.json records the digest of the precached
+// files for the current CACHE_VERSION; when a precached file changes, bump
+// CACHE_VERSION and record the digest the failing test prints.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const recorded = require('./fixtures/sw-precache.json');
+
+const fileFor = url => path.join(ROOT, url === './' ? 'index.html' : url);
+
+// Run sw.js and its install handler.  Resolves to the URLs cached, the
+// warnings logged and the worker's CACHE_VERSION.
+function installWorker() {
+  const listeners = {};
+  const cached = [];
+  const warnings = [];
+  const cache = {
+    add: url => {
+      if (!fs.existsSync(fileFor(url))) return Promise.reject(new Error(`404: ${url}`));
+      cached.push(url);
+      return Promise.resolve();
+    },
+    addAll: urls => Promise.all(urls.map(url => cache.add(url))),
+    match: url => Promise.resolve({ json: () => Promise.resolve(JSON.parse(fs.readFileSync(fileFor(url), 'utf8'))) })
+  };
+  const context = vm.createContext({
+    URL,
+    console: { warn: message => warnings.push(message) },
+    caches: { open: () => Promise.resolve(cache) },
+    self: { addEventListener: (type, listener) => { listeners[type] = listener; } }
+  });
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8'), context);
+  let installing = null;
+  listeners.install({ waitUntil: promise => { installing = promise; } });
+  return installing.then(() => ({ cached, warnings, version: vm.runInContext('CACHE_VERSION', context) }));
+}
+
+test('every file the worker precaches exists', async () => {
+  const { cached, warnings } = await installWorker();
+  assert.deepStrictEqual(warnings, []);
+  assert.ok(cached.includes('breathing.svg'), 'content icons are precached');
+});
+
+test('every image the game names is precached', async () => {
+  const { cached } = await installWorker();
+  ['index.html', 'style.min.css', 'main.js', 'core.js', 'manifest.webmanifest'].forEach(file => {
+    const text = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    (text.match(/[\w/.-]+\.(png|svg)\b/g) || []).forEach(url => {
+      assert.ok(cached.includes(url), `${file} refers to ${url}, which is not precached`);
+    });
+  });
+});
+
+test('CACHE_VERSION is bumped whenever a precached file changes', async () => {
+  const { cached, version } = await installWorker();
+  const hash = crypto.createHash('sha256');
+  [...new Set(cached.filter(url => url !== './'))].sort().forEach(url => {
+    hash.update(`${url}\n`);
+    hash.update(fs.readFileSync(fileFor(url)));
+  });
+  const digest = hash.digest('hex');
+  if (version === recorded.version) {
+    assert.strictEqual(digest, recorded.digest, `Precached files changed: bump CACHE_VERSION in sw.js, then record { "version": "<new version>", "digest": "${digest}" } in tests/fixtures/sw-precache.json`);
+  } else {
+    assert.fail(`CACHE_VERSION is ${version}: record { "version": "${version}", "digest": "${digest}" } in tests/fixtures/sw-precache.json`);
+  }
+});
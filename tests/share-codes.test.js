@@ -0,0 +1,59 @@
+// Share code checks.  Run with:  node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const save = require('../save.js');
+const core = require('../core.js');
+
+function freshGame() {
+  core.resetState();
+  return core.game;
+}
+
+test('a share code round-trips the game', async () => {
+  const game = freshGame();
+  game.herbs = 321;
+  game.qi = core.BigNum.from('2.5e777');
+  game.upgrades = { meditation: 12 };
+  const code = await save.encodeShareCode(game);
+  assert.match(code, new RegExp(`^CW${save.SAVE_VERSION}\\.[A-Za-z0-9_-]+$`));
+  const result = await save.decodeShareCode(code);
+  assert.strictEqual(result.error, undefined);
+  assert.strictEqual(result.data.herbs, 321);
+  assert.strictEqual(result.data.qi, '2.5e777');
+  assert.deepStrictEqual(result.data.upgrades, { meditation: 12 });
+});
+
+test('a share code is compressed', async () => {
+  const game = freshGame();
+  const code = await save.encodeShareCode(game);
+  assert.ok(code.length < save.serializeSave(game).length, `${code.length} characters`);
+});
+
+test('whitespace from pasting and wrapping is ignored', async () => {
+  const code = await save.encodeShareCode(freshGame());
+  const wrapped = ` ${code.match(/.{1,40}/g).join('\n  ')}\n`;
+  assert.ok((await save.decodeShareCode(wrapped)).data);
+});
+
+test('codes that are not share codes, damaged or from a newer version are refused', async () => {
+  const code = await save.encodeShareCode(freshGame());
+  const body = code.slice(code.indexOf('.') + 1);
+  assert.deepStrictEqual(await save.decodeShareCode('hello'), { error: 'not a share code' });
+  assert.deepStrictEqual(await save.decodeShareCode(''), { error: 'not a share code' });
+  assert.deepStrictEqual(await save.decodeShareCode(`CW${save.SAVE_VERSION + 1}.${body}`),
+    { error: 'share code is from a newer version of the game' });
+  assert.deepStrictEqual(await save.decodeShareCode(`CW${save.SAVE_VERSION}.${body.slice(0, -10)}`),
+    { error: 'share code is damaged' });
+});
+
+test('a share code from an older version is migrated', async () => {
+  const game = JSON.parse(JSON.stringify(freshGame()));
+  game.saveVersion = 3;
+  delete game.challenges;
+  const code = await save.encodeShareCode(game);
+  assert.match(code, /^CW3\./);
+  const result = await save.decodeShareCode(code);
+  assert.strictEqual(result.data.saveVersion, save.SAVE_VERSION);
+  assert.deepStrictEqual(result.data.challenges, { active: null, completed: {}, best: {} });
+});
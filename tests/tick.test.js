@@ -0,0 +1,65 @@
+// Fixed-timestep tick checks.  Run with:  node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const core = require('../core.js');
+
+const T0 = 1760000000000;
+
+function freshGame() {
+  core.resetState();
+  core.game.lastTick = T0;
+  core.recalcProduction();
+  return core.game;
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)), `${actual} != ${expected}`);
+
+test('one late tick produces what a tick every second would', () => {
+  let game = freshGame();
+  for (let s = 1; s <= 90; s++) core.tick(T0 + s * 1000);
+  const everySecond = game.qi.toNumber();
+
+  game = freshGame();
+  core.tick(T0 + 90 * 1000);
+  close(game.qi.toNumber(), everySecond);
+  close(everySecond, game.finalQiPerSec.toNumber() * 90);
+  assert.strictEqual(game.lastTick, T0 + 90 * 1000);
+});
+
+test('timers that end during a catch-up complete within it', () => {
+  const game = freshGame();
+  const forged = [];
+  const onForged = e => forged.push(e.artifactId);
+  const artifactId = core.artifactDefs[0].id;
+  game.forgingQueue = [{ id: 'f1', artifactId, endTime: T0 + 30000, duration: 30 }];
+  core.engine.on('artifact.forged', onForged);
+  try {
+    core.tick(T0 + 1000);
+    assert.deepStrictEqual(forged, []);
+    core.tick(T0 + 60000);
+    assert.deepStrictEqual(forged, [artifactId]);
+    assert.deepStrictEqual(game.forgingQueue, []);
+  } finally {
+    core.engine.off('artifact.forged', onForged);
+  }
+});
+
+test('a catch-up is capped at the offline limit', () => {
+  const game = freshGame();
+  const capSeconds = core.getOfflineCapSeconds();
+  // Keep the cap out of the way: only the time limit is under test.
+  game.dantianCap = core.BigNum.from('1e300');
+  core.tick(T0 + (capSeconds + 7200) * 1000);
+  close(game.qi.toNumber(), game.finalQiPerSec.toNumber() * capSeconds);
+  assert.strictEqual(game.lastTick, T0 + (capSeconds + 7200) * 1000);
+});
+
+test('a clock that goes backwards produces nothing', () => {
+  const game = freshGame();
+  core.tick(T0 - 60000);
+  assert.strictEqual(game.qi.toNumber(), 0);
+  assert.strictEqual(game.lastTick, T0 - 60000);
+  core.tick(T0 - 59000);
+  close(game.qi.toNumber(), game.finalQiPerSec.toNumber());
+});